@@ -30,6 +30,7 @@ export const metadata = {
   pushToTalk: true,  // Enable push-to-talk behavior (Cmd+Option)
   pushToTalkAutoSubmit: true,  // Auto-submit on release
   commandsOnly: true,  // Don't type transcribed text, only execute commands
+  transcriptionProfile: 'music',  // Short endpointing for snappy commands
 };
 
 // OSC Configuration
@@ -305,6 +306,64 @@ export const patterns = [
   { pattern: /^copy\s+scene\s+(\d+)$/, action: 'duplicate_scene', extract: (m) => parseInt(m[1]) },
 ];
 
+// ============================================================================
+// ACTIONS - Descriptions and value shapes for the AI tier
+// ============================================================================
+
+/**
+ * What the actions do and the JSON schemas of the values pattern actions take
+ * The AI tier offers these actions with their descriptions and shapes, and
+ * rejects replies that don't match ("make it faster, like 128" → tempo 128,
+ * not tempo "fast").
+ */
+const TRACK = { type: 'integer', minimum: 1 };
+const SCENE = { type: 'integer', minimum: 1 };
+
+export const actions = {
+  play: { description: 'Start playback' },
+  stop: { description: 'Stop playback' },
+  continue: { description: 'Continue playback from where it stopped' },
+  record: { description: 'Start session recording' },
+  overdub: { description: 'Turn on arrangement overdub' },
+  tap_tempo: { description: 'Tap the tempo' },
+  undo: { description: 'Undo in Live' },
+  redo: { description: 'Redo in Live' },
+  tempo: { description: 'Set the tempo in BPM', params: { type: 'number', minimum: 20, maximum: 999 } },
+  metronome_on: { description: 'Turn the metronome (click) on' },
+  metronome_off: { description: 'Turn the metronome (click) off' },
+  loop_on: { description: 'Turn the arrangement loop on' },
+  loop_off: { description: 'Turn the arrangement loop off' },
+  scene: { description: 'Launch a scene by number', params: SCENE },
+  stop_all: { description: 'Stop all clips' },
+  mute: { description: 'Mute a track by number', params: TRACK },
+  unmute: { description: 'Unmute a track by number', params: TRACK },
+  solo: { description: 'Solo a track by number', params: TRACK },
+  unsolo: { description: 'Unsolo a track by number', params: TRACK },
+  arm: { description: 'Arm a track for recording', params: TRACK },
+  disarm: { description: 'Disarm a track', params: TRACK },
+  select_track: { description: 'Select a track by number', params: TRACK },
+  volume: {
+    description: 'Set a track\'s volume in percent',
+    params: {
+      type: 'object',
+      properties: { track: TRACK, volume: { type: 'integer', minimum: 0, maximum: 100 } },
+      required: ['track', 'volume']
+    }
+  },
+  next_cue: { description: 'Jump to the next cue point' },
+  prev_cue: { description: 'Jump to the previous cue point' },
+  create_audio: { description: 'Create an audio track' },
+  create_midi: { description: 'Create a MIDI track' },
+  create_return: { description: 'Create a return track' },
+  create_scene: { description: 'Create a scene' },
+  delete_track: { description: 'Delete a track by number', params: TRACK },
+  duplicate_track: { description: 'Duplicate a track by number', params: TRACK },
+  delete_scene: { description: 'Delete a scene by number', params: SCENE },
+  duplicate_scene: { description: 'Duplicate a scene by number', params: SCENE },
+  capture_midi: { description: 'Capture the MIDI just played' },
+  find: { description: 'Search the browser' },
+};
+
 // ============================================================================
 // ACTION HANDLERS
 // ============================================================================
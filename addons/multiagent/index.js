@@ -41,7 +41,10 @@ const STATE_FILE = path.join(MULTIAGENT_DIR, 'state.json');
 const LOCKS_FILE = path.join(MULTIAGENT_DIR, 'locks', 'current.json');
 const ACTIVE_TASKS = path.join(MULTIAGENT_DIR, 'tasks', 'active.json');
 const SUPERVISOR_INBOX = path.join(MULTIAGENT_DIR, 'inbox', 'supervisor.jsonl');
-const TTS_QUEUE = '/tmp/s2t-tts-queue.txt';
+const TTS_QUEUE = '/tmp/s2t-tts-queue.txt';  // Fallback when no addon API is available
+
+// Addon API from AddonLoader (speak, ...), set in init()
+let addonApi = null;
 
 // ============================================================
 // STATE
@@ -143,11 +146,37 @@ export const patterns = [
   },
 ];
 
+// ============================================================
+// ACTIONS (descriptions and value shapes for AI understanding)
+// ============================================================
+
+const NAME = { type: 'string' };
+const TEXT = { type: 'string' };
+
+export const actions = {
+  system_status: { description: 'Report the status of all agents' },
+  assign_to: {
+    description: 'Assign a task to an agent',
+    params: { type: 'object', properties: { agent: NAME, task: TEXT }, required: ['agent', 'task'] },
+  },
+  broadcast_msg: { description: 'Send a message to all agents', params: TEXT },
+  check_messages: { description: 'Read the supervisor inbox' },
+  release_locks: { description: 'Release all file locks' },
+  list_agents: { description: 'List the agents online' },
+  list_tasks: { description: 'List what every agent is working on' },
+  task_done: { description: 'Mark this agent\'s task done' },
+  ask_question: { description: 'Ask the supervisor a question', params: TEXT },
+  my_task: { description: 'Read this agent\'s task' },
+  become_executor: { description: 'Become an executor agent with a name', params: NAME },
+  check_agent: { description: 'Check on an agent by name', params: NAME },
+};
+
 // ============================================================
 // INIT / CLEANUP
 // ============================================================
 
-export function init() {
+export function init(api) {
+  addonApi = api || null;
   console.log('[MultiAgent] Voice control initialized');
 
   // Check if multiagent system is set up
@@ -480,10 +509,12 @@ function checkAgent(name) {
 // ============================================================
 
 function speak(text) {
-  try {
-    fs.appendFileSync(TTS_QUEUE, text + '\n');
-  } catch (e) {
-    // Ignore
+  if (!addonApi?.speak || !addonApi.speak(text)) {
+    try {
+      fs.appendFileSync(TTS_QUEUE, text + '\n');
+    } catch (e) {
+      // Ignore
+    }
   }
   console.log(`[MultiAgent TTS] ${text}`);
 }
@@ -48,7 +48,10 @@ const state = {
 
 const PLANS_DIR = path.join(process.env.HOME, '.claude', 'plans');
 const STATUS_FILE = '/tmp/s2t-planning-status.json';
-const TTS_QUEUE = '/tmp/s2t-tts-queue.txt';
+const TTS_QUEUE = '/tmp/s2t-tts-queue.txt';  // Fallback when no addon API is available
+
+// Addon API from AddonLoader (speak, ...), set in init()
+let addonApi = null;
 
 // ============================================================
 // COMMANDS
@@ -170,11 +173,40 @@ export const patterns = [
   },
 ];
 
+// ============================================================
+// ACTIONS (descriptions and value shapes for AI understanding)
+// ============================================================
+
+const NUMBER = { type: 'integer', minimum: 1 };
+const TEXT = { type: 'string' };
+
+export const actions = {
+  create_plan: { description: 'Start planning a new project' },
+  create_plan_for: { description: 'Create a plan for a described project', params: TEXT },
+  list_plans: { description: 'List the saved plans' },
+  open_plan_name: { description: 'Open a plan by name', params: TEXT },
+  close_plan: { description: 'Close the open plan' },
+  next_task: { description: 'Go to the next task' },
+  previous_task: { description: 'Go to the previous task' },
+  current_task: { description: 'Read the current task' },
+  goto_task: { description: 'Go to a task by number', params: NUMBER },
+  run_task: { description: 'Run the current task with Claude' },
+  run_task_num: { description: 'Run a task by number', params: NUMBER },
+  complete_task: { description: 'Mark the current task done' },
+  skip_task: { description: 'Skip the current task' },
+  plan_status: { description: 'Report the plan\'s progress' },
+  whats_next: { description: 'Save progress and hand off to the next session' },
+  add_task_desc: { description: 'Add a task with a description', params: TEXT },
+  create_prompt_for: { description: 'Create a prompt for a described task', params: TEXT },
+  run_prompt_num: { description: 'Run a saved prompt by number', params: NUMBER },
+};
+
 // ============================================================
 // INITIALIZATION
 // ============================================================
 
-export function init() {
+export function init(api) {
+  addonApi = api || null;
   console.log('[Planning] Addon initialized');
 
   // Ensure plans directory exists
@@ -835,11 +867,13 @@ function reviewPlan() {
 }
 
 function speak(text) {
-  // Write to TTS queue file for Speech2Type to pick up
-  try {
-    fs.appendFileSync(TTS_QUEUE, text + '\n');
-  } catch (e) {
-    // Ignore errors, file might not be writable
+  // Prefer the addon API; fall back to the TTS queue file for Speech2Type to pick up
+  if (!addonApi?.speak || !addonApi.speak(text)) {
+    try {
+      fs.appendFileSync(TTS_QUEUE, text + '\n');
+    } catch (e) {
+      // Ignore errors, file might not be writable
+    }
   }
   console.log(`[Planning TTS] ${text}`);
 }
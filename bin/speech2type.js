@@ -8,7 +8,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 import { Config } from '../src/config.js';
-import { startApplication } from '../src/index.js';
+import { runClientCommand, CLIENT_COMMANDS } from '../src/cli.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,6 +24,12 @@ const flag = args[1];
 const autoStart = args.includes('--auto');
 
 async function main() {
+  // Control a running instance (toggle, mode, status, say, ...)
+  if (CLIENT_COMMANDS.includes(command)) {
+    process.exitCode = await runClientCommand(command, args.slice(1));
+    return;
+  }
+
   switch (command) {
     case 'config':
       if (flag === '--hotkey') {
@@ -32,6 +38,10 @@ async function main() {
         await config.configureLanguage();
       } else if (flag === '--deepgram-api-key') {
         await config.configureDeepgramApiKey();
+      } else if (flag === '--stt-provider') {
+        await config.configureSpeechProvider();
+      } else if (flag === '--vocabulary') {
+        await config.configureVocabulary();
       } else if (flag === '--path') {
         config.showPath();
       } else {
@@ -46,9 +56,12 @@ async function main() {
       break;
 
     case 'start':
-    case undefined:
+    case undefined: {
+      // Loaded here so client subcommands stay fast
+      const { startApplication } = await import('../src/index.js');
       await startApplication(config, { autoStart });
       break;
+    }
 
     default:
       console.log(`Unknown command: ${command}`);
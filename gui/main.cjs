@@ -11,6 +11,7 @@ const { app, Tray, Menu, nativeImage, BrowserWindow, ipcMain, globalShortcut, sh
 const path = require('path');
 const { spawn, exec, execSync } = require('child_process');
 const fs = require('fs');
+const net = require('net');
 const https = require('https');
 const { createWriteStream, mkdirSync, cpSync, rmSync } = require('fs');
 const { pipeline } = require('stream/promises');
@@ -39,6 +40,9 @@ let currentMode = 'general';
 let ttsEnabled = false;
 let isSpeaking = false;
 let smartModeEnabled = false;
+let liveTypingEnabled = false;
+let currentPartial = '';  // Interim transcript from the backend (live typing)
+let connectionState = 'stopped';  // Speech stream: connected, reconnecting, offline, ...
 let aiEnabled = false;
 let aiMode = null;
 let isTraining = false;  // Training mode state (Phase 2.8)
@@ -58,6 +62,8 @@ const TTS_CONTROL_FILE = '/tmp/claude-auto-speak';
 const TTS_SPEAKING_FILE = '/tmp/claude-tts-speaking';
 const S2T_STATUS_FILE = '/tmp/s2t-status.json';
 const S2T_COMMAND_FILE = '/tmp/s2t-command';
+const S2T_GUI_COMMAND_FILE = '/tmp/s2t-gui-command';  // Deprecated - fallback only
+const S2T_CONTROL_SOCKET = process.env.S2T_CONTROL_SOCKET || '/tmp/s2t-control.sock';
 
 // Handle both development and packaged app paths
 const isPackaged = app.isPackaged;
@@ -569,9 +575,15 @@ function updateTrayIcon() {
     state = 'speaking';
     tooltip = 'Speech2Type - Speaking...';
     startAnimation();
+  } else if (isListening && (connectionState === 'reconnecting' || connectionState === 'offline')) {
+    state = 'listening';
+    tooltip = connectionState === 'offline'
+      ? 'Speech2Type - Offline (retrying, audio buffered)'
+      : 'Speech2Type - Reconnecting...';
+    stopAnimation();
   } else if (isListening) {
     state = 'listening';
-    tooltip = 'Speech2Type - Listening...';
+    tooltip = currentPartial ? `Speech2Type - Listening...\n"${currentPartial}"` : 'Speech2Type - Listening...';
     startAnimation();
   } else {
     state = 'idle';
@@ -1050,8 +1062,8 @@ function saveAddonSettings(addonName, settings) {
     config.settings[addonName] = settings;
     saveAddonConfig(config);
 
-    // Notify backend to reload (write to command file)
-    fs.writeFileSync('/tmp/s2t-gui-command', 'reload-addons');
+    // Notify backend to reload
+    sendCommand('reload', { target: 'addons' });
 
     return { success: true };
   } catch (error) {
@@ -1193,11 +1205,17 @@ async function exportAddon(addonName) {
 /**
  * Build the context menu
  */
+function connectionLabel() {
+  if (connectionState === 'reconnecting') return '◌ Reconnecting...';
+  if (connectionState === 'offline') return '◌ Offline (retrying)';
+  return '● Listening';
+}
+
 function buildContextMenu() {
   checkTTSState();
 
   const statusLabel = isServiceRunning
-    ? (isListening ? '● Listening' : '○ Ready')
+    ? (isListening ? connectionLabel() : '○ Ready')
     : '○ Stopped';
 
   const modeSubmenu = [
@@ -1252,6 +1270,13 @@ function buildContextMenu() {
       click: toggleSmartMode,
       enabled: isServiceRunning
     },
+    {
+      label: 'Live Typing',
+      type: 'checkbox',
+      checked: liveTypingEnabled,
+      click: toggleLiveTyping,
+      enabled: isServiceRunning
+    },
     { type: 'separator' },
     {
       label: isServiceRunning ? 'Restart Service' : 'Start Service',
@@ -1287,13 +1312,139 @@ function buildContextMenu() {
 }
 
 /**
- * Send command to s2t backend via shared file
+ * Control API client (JSON-RPC over the backend's Unix-domain socket)
+ * See src/services/control-server.js for the protocol.
  */
-function sendCommand(command) {
-  const commandFile = '/tmp/s2t-gui-command';
+let controlSocket = null;
+let controlConnected = false;
+let controlConnecting = false;
+let controlNextId = 1;
+let controlLastAttempt = 0;
+const controlPending = new Map();   // id → { resolve, reject, timer }
+const CONTROL_RETRY_MS = 2000;
+const CONTROL_TIMEOUT_MS = 3000;
+
+function connectControl() {
+  if (controlConnected || controlConnecting) return;
+  if (Date.now() - controlLastAttempt < CONTROL_RETRY_MS) return;
+  if (!fs.existsSync(S2T_CONTROL_SOCKET)) return;
+
+  controlLastAttempt = Date.now();
+  controlConnecting = true;
+  const socket = net.createConnection(S2T_CONTROL_SOCKET);
+  let buffer = '';
+  socket.setEncoding('utf8');
+
+  socket.on('connect', () => {
+    controlSocket = socket;
+    controlConnected = true;
+    controlConnecting = false;
+    console.log('[control] Connected to backend');
+    callControl('subscribe')
+      .then(status => refreshState(status))
+      .catch(e => console.error('[control] Subscribe failed:', e.message));
+  });
+
+  socket.on('data', (data) => {
+    buffer += data;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      try {
+        handleControlMessage(JSON.parse(line));
+      } catch (e) {
+        console.error('[control] Bad message:', e.message);
+      }
+    }
+  });
+
+  const onClosed = () => {
+    if (controlConnected) console.log('[control] Disconnected from backend');
+    controlSocket = null;
+    controlConnected = false;
+    controlConnecting = false;
+    for (const { reject, timer } of controlPending.values()) {
+      clearTimeout(timer);
+      reject(new Error('Control socket closed'));
+    }
+    controlPending.clear();
+  };
+  socket.on('error', onClosed);
+  socket.on('close', onClosed);
+}
+
+function handleControlMessage(message) {
+  // Response to one of our calls
+  if (message.id !== undefined && message.id !== null) {
+    const pending = controlPending.get(message.id);
+    if (!pending) return;
+    controlPending.delete(message.id);
+    clearTimeout(pending.timer);
+    if (message.error) {
+      pending.reject(new Error(message.error.message));
+    } else {
+      pending.resolve(message.result);
+    }
+    return;
+  }
+
+  // Pushed notification
+  if (message.method === 'status') {
+    refreshState(message.params);
+  }
+}
+
+/**
+ * Call a control API method
+ * @returns {Promise<any>} - The method's result
+ */
+function callControl(method, params = {}) {
+  return new Promise((resolve, reject) => {
+    if (!controlConnected) {
+      reject(new Error('Control socket not connected'));
+      return;
+    }
+    const id = controlNextId++;
+    const timer = setTimeout(() => {
+      controlPending.delete(id);
+      reject(new Error(`${method} timed out`));
+    }, CONTROL_TIMEOUT_MS);
+    controlPending.set(id, { resolve, reject, timer });
+    controlSocket.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+  });
+}
+
+/**
+ * The same call in the deprecated command-file protocol
+ */
+function toLegacyCommand(method, params) {
+  switch (method) {
+    case 'setMode': return `mode:${params.mode}`;
+    case 'reload': return `reload-${params.target}`;
+    case 'syncTts': return 'sync-tts';
+    case 'setSmartCommands': return params.enabled ? 'smart-commands-on' : 'smart-commands-off';
+    case 'setLiveTyping': return params.enabled ? 'live-typing-on' : 'live-typing-off';
+    default: return method;
+  }
+}
+
+/**
+ * Send command to s2t backend
+ * Uses the control socket; falls back to the shared command file if it's down.
+ */
+function sendCommand(method, params = {}) {
+  if (controlConnected) {
+    callControl(method, params)
+      .then(() => console.log(`[gui] Sent command: ${method}`))
+      .catch(e => console.error(`Failed to send command ${method}:`, e.message));
+    return;
+  }
+
+  const command = toLegacyCommand(method, params);
   try {
-    fs.writeFileSync(commandFile, command);
-    console.log(`[gui] Sent command: ${command}`);
+    fs.writeFileSync(S2T_GUI_COMMAND_FILE, command);
+    console.log(`[gui] Sent command (file): ${command}`);
   } catch (e) {
     console.error('Failed to send command:', e);
   }
@@ -1320,7 +1471,7 @@ function setMode(mode) {
   updateTrayIcon();
 
   // Send mode change to backend
-  sendCommand(`mode:${mode}`);
+  sendCommand('setMode', { mode });
 
   // Notify settings window if open
   if (settingsWindow) {
@@ -1347,10 +1498,8 @@ function toggleTTS() {
     console.log('TTS: enabled (GUI)');
   }
 
-  // Also notify the backend via command file so it updates its state
-  try {
-    fs.writeFileSync('/tmp/s2t-gui-command', 'sync-tts');
-  } catch (e) {}
+  // Also notify the backend so it updates its state
+  sendCommand('syncTts');
 
   tray.setContextMenu(buildContextMenu());
 
@@ -1367,8 +1516,7 @@ function toggleSmartMode() {
   smartModeEnabled = !smartModeEnabled;
 
   // Send command to backend
-  const command = smartModeEnabled ? 'smart-commands-on' : 'smart-commands-off';
-  sendCommand(command);
+  sendCommand('setSmartCommands', { enabled: smartModeEnabled });
 
   console.log(`Smart Mode: ${smartModeEnabled ? 'enabled' : 'disabled'} (GUI)`);
   tray.setContextMenu(buildContextMenu());
@@ -1379,6 +1527,24 @@ function toggleSmartMode() {
   }
 }
 
+/**
+ * Toggle Live Typing (type partial transcripts as they arrive)
+ */
+function toggleLiveTyping() {
+  liveTypingEnabled = !liveTypingEnabled;
+
+  // Send command to backend
+  sendCommand('setLiveTyping', { enabled: liveTypingEnabled });
+
+  console.log(`Live Typing: ${liveTypingEnabled ? 'enabled' : 'disabled'} (GUI)`);
+  tray.setContextMenu(buildContextMenu());
+
+  // Notify settings window if open
+  if (settingsWindow) {
+    settingsWindow.webContents.send('live-typing-changed', liveTypingEnabled);
+  }
+}
+
 /**
  * Start the speech2type backend service
  */
@@ -1539,77 +1705,125 @@ Licensed under MIT`,
 }
 
 /**
- * Watch for state changes from backend
+ * Apply a status object from the backend (control socket push or status file)
  */
-function startStateWatcher() {
-  setInterval(() => {
-    const prevSpeaking = isSpeaking;
-    const prevListening = isListening;
-    const prevTTS = ttsEnabled;
-    const prevMode = currentMode;
-    const prevSmartMode = smartModeEnabled;
+function applyBackendStatus(status) {
+  isListening = status.listening;
+
+  // Only update mode from backend if we haven't recently changed it from GUI
+  // This prevents the flickering when switching modes
+  const timeSinceModeChange = Date.now() - modeChangeTime;
+  if (timeSinceModeChange > MODE_CHANGE_DEBOUNCE) {
+    if (status.mode === 'addon') {
+      currentMode = 'music';
+    } else {
+      currentMode = status.mode;
+    }
+  }
 
-    checkTTSState();
+  // Sync TTS from actual file, not status.json (more reliable)
+  ttsEnabled = fs.existsSync(TTS_CONTROL_FILE);
 
-    // Read status from backend
-    try {
-      if (fs.existsSync(S2T_STATUS_FILE)) {
-        const status = JSON.parse(fs.readFileSync(S2T_STATUS_FILE, 'utf8'));
-        isListening = status.listening;
-
-        // Only update mode from backend if we haven't recently changed it from GUI
-        // This prevents the flickering when switching modes
-        const timeSinceModeChange = Date.now() - modeChangeTime;
-        if (timeSinceModeChange > MODE_CHANGE_DEBOUNCE) {
-          if (status.mode === 'addon') {
-            currentMode = 'music';
-          } else {
-            currentMode = status.mode;
-          }
-        }
+  // Sync smart mode from status
+  if (status.smartCommandsOnly !== undefined) {
+    smartModeEnabled = status.smartCommandsOnly;
+  }
 
-        // Sync TTS from actual file, not status.json (more reliable)
-        ttsEnabled = fs.existsSync(TTS_CONTROL_FILE);
+  // Sync live typing and the current partial transcript
+  if (status.liveTyping !== undefined) {
+    liveTypingEnabled = status.liveTyping;
+  }
+  currentPartial = status.partial || '';
+  connectionState = status.connection || 'stopped';
 
-        // Sync smart mode from status
-        if (status.smartCommandsOnly !== undefined) {
-          smartModeEnabled = status.smartCommandsOnly;
-        }
+  // Sync AI status
+  if (status.aiEnabled !== undefined) {
+    aiEnabled = status.aiEnabled;
+    aiMode = status.aiMode || null;
+  }
+}
 
-        // Sync AI status
-        if (status.aiEnabled !== undefined) {
-          aiEnabled = status.aiEnabled;
-          aiMode = status.aiMode || null;
-        }
-      }
-    } catch (e) {
-      // Ignore read errors
+/**
+ * Re-read local state, apply a backend status if given, and refresh the UI on changes
+ * @param {object|null} status - Backend status, or null to only re-check local files
+ */
+function refreshState(status = null) {
+  const prevSpeaking = isSpeaking;
+  const prevListening = isListening;
+  const prevTTS = ttsEnabled;
+  const prevMode = currentMode;
+  const prevSmartMode = smartModeEnabled;
+  const prevLiveTyping = liveTypingEnabled;
+  const prevPartial = currentPartial;
+  const prevConnection = connectionState;
+
+  checkTTSState();
+
+  if (status) {
+    applyBackendStatus(status);
+  }
+
+  const stateChanged = prevSpeaking !== isSpeaking ||
+                       prevListening !== isListening ||
+                       prevTTS !== ttsEnabled ||
+                       prevMode !== currentMode ||
+                       prevSmartMode !== smartModeEnabled ||
+                       prevLiveTyping !== liveTypingEnabled ||
+                       prevConnection !== connectionState;
+
+  // Partials change several times a second - only refresh the tooltip and settings window
+  if (prevPartial !== currentPartial) {
+    if (!stateChanged) updateTrayIcon();
+    if (settingsWindow) {
+      settingsWindow.webContents.send('partial-changed', currentPartial);
     }
+  }
 
-    const stateChanged = prevSpeaking !== isSpeaking ||
-                         prevListening !== isListening ||
-                         prevTTS !== ttsEnabled ||
-                         prevMode !== currentMode ||
-                         prevSmartMode !== smartModeEnabled;
+  if (stateChanged) {
+    updateTrayIcon();
+    tray.setContextMenu(buildContextMenu());
 
-    if (stateChanged) {
-      updateTrayIcon();
-      tray.setContextMenu(buildContextMenu());
+    // Notify settings window of all state changes
+    if (settingsWindow) {
+      // Send unified state update for consistency
+      settingsWindow.webContents.send('state-changed', {
+        isListening,
+        isServiceRunning,
+        currentMode,
+        ttsEnabled,
+        smartModeEnabled,
+        liveTypingEnabled,
+        connectionState,
+        aiEnabled,
+        aiMode
+      });
+    }
+  }
+}
+
+/**
+ * Watch for state changes from backend
+ * Status is pushed over the control socket; the status file is only read
+ * while the socket is down (older backend, or still starting).
+ */
+function startStateWatcher() {
+  setInterval(() => {
+    if (!controlConnected) {
+      connectControl();
+    }
 
-      // Notify settings window of all state changes
-      if (settingsWindow) {
-        // Send unified state update for consistency
-        settingsWindow.webContents.send('state-changed', {
-          isListening,
-          isServiceRunning,
-          currentMode,
-          ttsEnabled,
-          smartModeEnabled,
-          aiEnabled,
-          aiMode
-        });
+    let status = null;
+    if (!controlConnected) {
+      try {
+        if (fs.existsSync(S2T_STATUS_FILE)) {
+          status = JSON.parse(fs.readFileSync(S2T_STATUS_FILE, 'utf8'));
+        }
+      } catch (e) {
+        // Ignore read errors
       }
     }
+
+    refreshState(status);
   }, 300);
 }
 
@@ -1661,7 +1875,7 @@ function removeLearnedCommand(commandId) {
     fs.writeFileSync(personalCommandsPath, JSON.stringify(data, null, 2));
 
     // Notify backend to reload
-    fs.writeFileSync('/tmp/s2t-gui-command', 'reload-commands');
+    sendCommand('reload', { target: 'commands' });
 
     return { success: true };
   } catch (error) {
@@ -1675,13 +1889,18 @@ ipcMain.handle('get-config', () => loadConfig());
 ipcMain.handle('save-config', (event, config) => saveConfig(config));
 ipcMain.handle('get-learned-commands', () => getLearnedCommands());
 ipcMain.handle('remove-learned-command', (event, commandId) => removeLearnedCommand(commandId));
+// Active voice commands from the running instance's command registry (null when not running)
+ipcMain.handle('get-command-registry', () => callControl('commands').catch(() => null));
 ipcMain.handle('get-state', () => ({
   isListening,
   isServiceRunning,
   currentMode,
   ttsEnabled,
   isSpeaking,
-  isTraining
+  isTraining,
+  liveTypingEnabled,
+  currentPartial,
+  connectionState
 }));
 ipcMain.handle('get-addons', () => getAddonsList());
 ipcMain.handle('get-addon-commands', (event, addonName) => {
@@ -1819,7 +2038,7 @@ ipcMain.handle('set-api-key', async (event, keyName, value) => {
   try {
     await keytar.setPassword(KEYCHAIN_SERVICE, keyName, value);
     // Notify backend to reload AI settings
-    fs.writeFileSync('/tmp/s2t-gui-command', 'reload-ai');
+    sendCommand('reload', { target: 'ai' });
     return true;
   } catch (e) {
     console.error(`[keychain] Failed to set ${keyName}:`, e.message);
@@ -1831,7 +2050,7 @@ ipcMain.handle('delete-api-key', async (event, keyName) => {
   try {
     await keytar.deletePassword(KEYCHAIN_SERVICE, keyName);
     // Notify backend to reload AI settings
-    fs.writeFileSync('/tmp/s2t-gui-command', 'reload-ai');
+    sendCommand('reload', { target: 'ai' });
     return true;
   } catch (e) {
     console.error(`[keychain] Failed to delete ${keyName}:`, e.message);
@@ -1854,6 +2073,12 @@ ipcMain.on('set-smart-mode', (event, enabled) => {
     toggleSmartMode();
   }
 });
+ipcMain.on('set-live-typing', (event, enabled) => {
+  console.log('Received set-live-typing:', enabled, 'current:', liveTypingEnabled);
+  if (enabled !== liveTypingEnabled) {
+    toggleLiveTyping();
+  }
+});
 ipcMain.on('set-training', (event, enabled) => {
   console.log('Received set-training:', enabled, 'current:', isTraining);
   if (enabled !== isTraining) {
@@ -1887,23 +2112,8 @@ ipcMain.on('stop-service', () => stopS2T());
 ipcMain.on('restart-service', () => restartS2T());
 
 // Listening controls (toggle voice recognition without stopping service)
-ipcMain.on('start-listening', () => {
-  try {
-    fs.writeFileSync('/tmp/s2t-gui-command', 'start');
-    console.log('Sent start listening command');
-  } catch (e) {
-    console.error('Failed to send start command:', e);
-  }
-});
-
-ipcMain.on('stop-listening', () => {
-  try {
-    fs.writeFileSync('/tmp/s2t-gui-command', 'stop');
-    console.log('Sent stop listening command');
-  } catch (e) {
-    console.error('Failed to send stop command:', e);
-  }
-});
+ipcMain.on('start-listening', () => sendCommand('start'));
+ipcMain.on('stop-listening', () => sendCommand('stop'));
 ipcMain.on('open-external', (event, url) => shell.openExternal(url));
 
 // App lifecycle
@@ -0,0 +1,141 @@
+/**
+ * Control subcommands for a running instance
+ *
+ *   s2t toggle | start-listening | stop-listening
+ *   s2t mode <general|claude|music|addon>
+ *   s2t status [--json]
+ *   s2t say "text"
+ *   s2t reload [addons|ai|commands]
+ *
+ * Each talks to the control socket (services/control-server.js) and exits
+ * with one of EXIT_CODES, so scripts, launchers and hooks can tell
+ * "not running" apart from "request failed".
+ */
+
+import chalk from 'chalk';
+
+import { callControl, CLIENT_ERRORS } from './services/control-client.js';
+
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,         // The instance rejected the request (unknown mode, ...)
+  USAGE: 2,         // Bad arguments
+  NOT_RUNNING: 3    // No instance to talk to (same as `systemctl status`)
+};
+
+/**
+ * Subcommands handled here (everything else is handled by bin/speech2type.js)
+ */
+export const CLIENT_COMMANDS = ['toggle', 'start-listening', 'stop-listening', 'mode', 'status', 'say', 'reload'];
+
+const RELOAD_TARGETS = ['addons', 'ai', 'commands'];
+
+/**
+ * Run a control subcommand
+ * @param {string} command - One of CLIENT_COMMANDS
+ * @param {string[]} args - Remaining arguments
+ * @param {object} io - Injection points for tests
+ * @param {function} io.call - (method, params) => Promise<result>
+ * @param {function} io.log - Output for results
+ * @param {function} io.error - Output for errors
+ * @returns {Promise<number>} - Exit code
+ */
+export async function runClientCommand(command, args = [], { call = callControl, log = console.log, error = console.error } = {}) {
+  const json = args.includes('--json');
+  const positional = args.filter(arg => !arg.startsWith('--'));
+
+  const request = buildRequest(command, positional);
+  if (request.usage) {
+    error(chalk.red(request.usage));
+    return EXIT_CODES.USAGE;
+  }
+
+  let result;
+  try {
+    result = await call(request.method, request.params);
+  } catch (e) {
+    if (e.code === CLIENT_ERRORS.NOT_RUNNING) {
+      if (json) {
+        log(JSON.stringify({ running: false }));
+      } else {
+        error(chalk.yellow('ONE is not running. Start it with `s2t start`.'));
+      }
+      return EXIT_CODES.NOT_RUNNING;
+    }
+    error(chalk.red(e.message));
+    return EXIT_CODES.ERROR;
+  }
+
+  if (json) {
+    log(JSON.stringify(command === 'status' ? { running: true, ...result } : result, null, 2));
+  } else {
+    log(describeResult(command, result));
+  }
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Map a subcommand to a control method
+ * @returns {{method: string, params: object}|{usage: string}}
+ */
+function buildRequest(command, positional) {
+  switch (command) {
+    case 'toggle':
+      return { method: 'toggle', params: {} };
+    case 'start-listening':
+      return { method: 'start', params: {} };
+    case 'stop-listening':
+      return { method: 'stop', params: {} };
+    case 'status':
+      return { method: 'status', params: {} };
+    case 'mode':
+      if (!positional[0]) return { usage: 'Usage: s2t mode <general|claude|music|addon name>' };
+      return { method: 'setMode', params: { mode: positional[0] } };
+    case 'say':
+      if (positional.length === 0) return { usage: 'Usage: s2t say "text to speak"' };
+      return { method: 'say', params: { text: positional.join(' ') } };
+    case 'reload':
+      if (positional[0] && !RELOAD_TARGETS.includes(positional[0])) {
+        return { usage: `Usage: s2t reload [${RELOAD_TARGETS.join('|')}]` };
+      }
+      return { method: 'reload', params: { target: positional[0] || 'all' } };
+    default:
+      return { usage: `Unknown command: ${command}` };
+  }
+}
+
+/**
+ * One-line (or short) human-readable result
+ */
+function describeResult(command, result) {
+  switch (command) {
+    case 'toggle':
+    case 'start-listening':
+    case 'stop-listening':
+      return result.listening ? 'Listening' : 'Not listening';
+    case 'mode':
+      return `Mode: ${result.addon || result.mode}`;
+    case 'say':
+      return result.queued ? 'Queued for speech' : 'Nothing to say';
+    case 'reload':
+      return `Reloaded ${result.reloaded.join(', ')}`;
+    case 'status':
+      return describeStatus(result);
+    default:
+      return JSON.stringify(result);
+  }
+}
+
+function describeStatus(status) {
+  const yesNo = value => (value ? 'on' : 'off');
+  const mode = status.mode === 'addon' && status.addon ? `${status.addon} (addon)` : status.mode;
+  return [
+    `Listening:      ${status.listening ? 'yes' : 'no'}`,
+    `Mode:           ${mode}`,
+    `Connection:     ${status.connection}`,
+    `TTS:            ${yesNo(status.tts)}`,
+    `Smart commands: ${yesNo(status.smartCommandsOnly)}`,
+    `Live typing:    ${yesNo(status.liveTyping)}`,
+    `AI:             ${status.aiEnabled ? `on (${status.aiMode || 'unknown'})` : 'off'}`
+  ].join('\n');
+}
@@ -5,10 +5,11 @@ import prompts from 'prompts';
 
 import { HotkeyService } from './services/hotkey.js';
 import { LANGUAGES } from './data/languages.js';
+import { STT_PROVIDERS } from './services/stt-providers.js';
 
 const DEFAULT_CONFIG = {
   hotkey: { modifiers: ['cmd'], key: ';' },
-  speech: { language: 'en', deepgramApiKey: null },
+  speech: { language: 'en', deepgramApiKey: null, provider: 'deepgram' },
   setupDone: false,
 };
 
@@ -31,6 +32,60 @@ class Config {
           properties: {
             language: { type: 'string' },
             deepgramApiKey: { type: 'string', format: 'password', nullable: true },
+            provider: { type: 'string', enum: STT_PROVIDERS },
+            audioFile: { type: 'string', nullable: true },
+            whisper: {
+              type: 'object',
+              properties: {
+                binary: { type: 'string' },
+                model: { type: 'string' },
+                language: { type: 'string' },
+              },
+            },
+            replay: {
+              type: 'object',
+              properties: {
+                transcript: { type: 'string' },
+              },
+            },
+            vocabulary: { type: 'array', items: { type: 'string' } },
+            reconnectBufferSeconds: { type: 'number', minimum: 1 },
+            profiles: {
+              type: 'object',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  endpointing: { anyOf: [{ type: 'integer' }, { type: 'boolean' }] },
+                  utteranceEndMs: { type: 'integer', minimum: 1000 },
+                  vadEvents: { type: 'boolean' },
+                  keywords: { type: 'array', items: { type: 'string' } },
+                },
+              },
+            },
+            formatting: {
+              type: 'object',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  enabled: { type: 'boolean' },
+                  punctuation: { type: 'boolean' },
+                  casing: { type: 'boolean' },
+                  symbols: { type: 'boolean' },
+                  numbers: { type: 'boolean' },
+                  dates: { type: 'boolean' },
+                  code: { type: 'boolean' },
+                  apps: { type: 'array', items: { type: 'string' } },
+                },
+              },
+            },
+            localCommands: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean' },
+                binary: { type: 'string' },
+                model: { type: 'string' },
+              },
+            },
           },
         },
       },
@@ -55,6 +110,10 @@ class Config {
     return hotkey.modifiers.join('+').toUpperCase() + '+' + hotkey.key.toUpperCase();
   }
 
+  get speechProvider() {
+    return this.data.speech.provider || 'deepgram';
+  }
+
   formatLanguage(language = this.data.speech.language) {
     const lang = LANGUAGES.find((lang) => lang.code === language);
     return lang ? `${lang.name} (${lang.code})` : language || 'English (US)';
@@ -80,10 +139,23 @@ class Config {
     console.log('  s2t config                      Show current configuration\n');
     console.log('  s2t config --hotkey             Change hotkey');
     console.log('  s2t config --language           Change language');
-    console.log('  s2t config --deepgram-api-key   Update Deepgram API key\n');
+    console.log('  s2t config --deepgram-api-key   Update Deepgram API key');
+    console.log('  s2t config --stt-provider       Choose speech recognition (Deepgram or offline)');
+    console.log('  s2t config --vocabulary         Words to recognize better (project names, tools)\n');
+    console.log(chalk.bold('Control a running instance:'));
+    console.log('  s2t toggle                      Start or stop listening');
+    console.log('  s2t start-listening             Start listening');
+    console.log('  s2t stop-listening              Stop listening');
+    console.log('  s2t mode <name>                 Switch mode (general, claude, music or an addon)');
+    console.log('  s2t status [--json]             Show listening state, mode and connection');
+    console.log('  s2t say "text"                  Speak text through the TTS queue');
+    console.log('  s2t reload [addons|ai|commands] Reload settings (all by default)');
+    console.log(chalk.dim('  Exit codes: 0 ok, 1 request failed, 2 bad arguments, 3 not running\n'));
     console.log(chalk.bold(`Current configuration:`));
     console.log(`  Hotkey: ${this.formatHotkey()}`);
     console.log(`  Language: ${this.formatLanguage()}`);
+    console.log(`  Speech provider: ${this.speechProvider}`);
+    console.log(`  Vocabulary: ${this.data.speech.vocabulary?.length ? this.data.speech.vocabulary.join(', ') : 'None'}`);
     console.log(
       `  Deepgram API key: ${
         this.data.speech.deepgramApiKey
@@ -117,6 +189,68 @@ class Config {
     }
   }
 
+  async configureSpeechProvider() {
+    const response = await prompts(
+      {
+        type: 'select',
+        name: 'provider',
+        message: 'Choose speech recognition:',
+        choices: [
+          { title: 'Deepgram (cloud, best accuracy)', value: 'deepgram' },
+          { title: 'whisper.cpp (offline)', value: 'whisper' },
+        ],
+        initial: this.speechProvider === 'whisper' ? 1 : 0,
+      },
+      this.cancelHandler
+    );
+
+    if (response.provider === 'whisper') {
+      const whisper = await prompts(
+        [
+          {
+            type: 'text',
+            name: 'binary',
+            message: 'whisper.cpp CLI binary:',
+            initial: this.data.speech.whisper?.binary || 'whisper-cli',
+          },
+          {
+            type: 'text',
+            name: 'model',
+            message: 'Path to a ggml model (e.g. ggml-base.en.bin):',
+            initial: this.data.speech.whisper?.model || '',
+          },
+        ],
+        this.cancelHandler
+      );
+      this.conf.set('speech.whisper', { ...this.data.speech.whisper, binary: whisper.binary, model: whisper.model });
+    }
+
+    if (response.provider) {
+      this.conf.set('speech.provider', response.provider);
+      console.log(chalk.green(`→ Speech provider: ${response.provider}\n`));
+    }
+  }
+
+  async configureVocabulary() {
+    console.log(chalk.dim('Project names, CLI tools and jargon are boosted so they are recognized more reliably.'));
+    console.log(chalk.dim('Add ":N" to boost a word more, e.g. kubectl:5\n'));
+
+    const response = await prompts(
+      {
+        type: 'list',
+        name: 'vocabulary',
+        message: 'Words (comma-separated):',
+        initial: (this.data.speech.vocabulary || []).join(', '),
+        separator: ',',
+      },
+      this.cancelHandler
+    );
+
+    const vocabulary = (response.vocabulary || []).map((word) => word.trim()).filter(Boolean);
+    this.conf.set('speech.vocabulary', vocabulary);
+    console.log(chalk.green(`→ Vocabulary: ${vocabulary.length ? vocabulary.join(', ') : 'None'}\n`));
+  }
+
   async configureLanguage() {
     // Create choices with only English first, then "Show all" option
     const defaultChoices = [
@@ -201,9 +335,15 @@ class Config {
     console.log(chalk.bold('Speech2Type Setup\n'));
     console.log('Speak anywhere. Text appears at your cursor.\n');
 
+    // Speech provider
+    console.log(chalk.bold('Speech recognition'));
+    await this.configureSpeechProvider();
+
     // API Key
-    console.log(chalk.bold('Deepgram API Key (for speech recognition)'));
-    await this.configureDeepgramApiKey();
+    if (this.speechProvider === 'deepgram') {
+      console.log(chalk.bold('Deepgram API Key (for speech recognition)'));
+      await this.configureDeepgramApiKey();
+    }
 
     // Language
     console.log(chalk.bold('Language (for speech recognition)'));
@@ -12,6 +12,22 @@ import { createIntentResolverAsync, commandDictionary } from './services/intent-
 import { migrateFromConfig, getAnthropicKey } from './services/secrets.js';
 import { learningLoop } from './services/learning-loop.js';
 import { trainingMode } from './services/training-mode.js';
+import { workflowEngine } from './services/workflow-engine.js';
+import { ttsQueue } from './services/tts-queue.js';
+import { liveTyper } from './services/live-typer.js';
+import { buildKeywordVocabulary } from './services/vocabulary.js';
+import { controlServer, parseLegacyCommand, rpcError } from './services/control-server.js';
+import { parseActionModifiers, matchModifiedCommand, actionUnits, REPEATABLE_ACTIONS } from './services/action-modifiers.js';
+import { commandRegistry, LAYERS } from './services/command-registry.js';
+import { spotCommands, hasCommands } from './services/command-spotter.js';
+import { splitCompound, stepDelay, runSteps, planUndo, SYSTEM_UNDO } from './services/action-chain.js';
+import { formatDictation, resolveFormatting } from './services/dictation-formatter.js';
+import { isCodeApp } from './services/code-dictation.js';
+import { undoStack } from './services/undo-stack.js';
+import { lastUnit, replaceLast, capitalizeWords } from './services/text-editing.js';
+import { appProfiles } from './services/app-profiles.js';
+import { intentClassifier } from './services/intent-classifier.js';
+import { contextWindow } from './services/context-window.js';
 import defaultCommandsData from './data/default_commands.json' with { type: 'json' };
 
 let sessionActive = false;
@@ -25,10 +41,11 @@ let aiUnderstandingEnabled = false;
 let pendingText = '';
 let pendingTimeout = null;
 const COMMAND_WAIT_MS = 400; // Wait this long to see if a command follows
+const MAX_COMMAND_WORDS = 7; // Longer utterances are dictation - never sent to the intent resolver
 
-// History of typed text lengths for multiple undos
-const typedHistory = [];
-const MAX_UNDO_HISTORY = 20; // Keep last 20 chunks
+// Live typing - type interim transcripts and rewrite them when the final arrives
+let liveTypingEnabled = false;
+let currentPartial = ''; // Latest interim transcript (shown in the GUI)
 
 // TTS state - pause transcription while speaking
 let isSpeaking = false;
@@ -63,134 +80,50 @@ let smartCommandsOnly = false; // Global setting for auto commands-only mode
 let lastFocusCheck = 0;
 let cachedIsTextInput = true; // Cache result, default to true (allow typing)
 const FOCUS_CHECK_INTERVAL = 200; // Check focus every 200ms max
+let cachedFocusInfo = null; // Last focus-checker output (app, role, isTextInput)
+let lastFocusRead = 0;
+const CODE_APP_CHECK_INTERVAL = 1000; // The focused app changes less often than the focused element
+let codeDictationActive = false;
+
+// Set while chain steps run (or are reversed) - the chain is recorded for undo as a whole
+let runningChain = false;
+
+// Mode to return to when the app whose profile switched modes leaves the front
+let modeBeforeProfile = null;
+// Profile whose mode was last applied by the focus poll (see applyProfileMode)
+let modeProfile = null;
 
 // Reset focus cache - call when smart mode changes to force fresh check
 function resetFocusCache() {
   lastFocusCheck = 0;
+  lastFocusRead = 0;
   cachedIsTextInput = true;
 }
 
 // Voice commands - all commands require "computer" prefix except affirmative/retract
-// GENERAL mode commands (always available)
-const GENERAL_COMMANDS = {
-  // Submit / Enter - affirmative works without "computer" prefix (+ variations)
-  'affirmative': 'enter',
-  'affirmatives': 'enter',
-  'a]firmative': 'enter',
-  'affirm a tive': 'enter',
-  'affirm ative': 'enter',
-  'firm ative': 'enter',
-  'computer affirmative': 'enter',
-  'computer enter': 'enter',
-  'computer submit': 'enter',
-  'computer send': 'enter',
-  'computer go': 'enter',
-  'computer done': 'enter',
-
-  // Undo last spoken chunk - retract works without "computer" prefix (+ variations)
-  'retract': 'undo',
-  'retracts': 'undo',
-  'retracted': 'undo',
-  're tract': 'undo',
-  'ree tract': 'undo',
-  'detract': 'undo',
-  'computer retract': 'undo',
-  'computer undo': 'undo',
-  'computer oops': 'undo',
-  'computer nevermind': 'undo',
-  'computer never mind': 'undo',
-
-  // Clear entire input field (+ variations) - only "scratch" to avoid accidents
-  'computer scratch': 'clear_all',
-  'computer scratch all': 'clear_all',
-  'computer scratch that': 'clear_all',
-  'computer scrap': 'clear_all',
-  'computer scrap all': 'clear_all',
-  'computer scrap that': 'clear_all',
-
-  // Clipboard operations
-  'computer copy': 'copy',
-  'computer paste': 'paste',
-  'computer cut': 'cut',
-
-  // Selection
-  'computer select all': 'select_all',
-
-  // Common shortcuts
-  'computer save': 'save',
-  'computer find': 'find',
-  'computer new tab': 'new_tab',
-  'computer close tab': 'close_tab',
-  'computer new window': 'new_window',
-
-  // Listening control - variations for speech recognition
-  'computer stop listening': 'stop_listening',
-  'computer stopped listening': 'stop_listening',
-  'computer stop lesson': 'stop_listening',
-  'computer stop lessening': 'stop_listening',
-  'computer stop listing': 'stop_listening',
-  'computer stop listen': 'stop_listening',
-  'computer stuff listening': 'stop_listening',
-  'computer stock listening': 'stop_listening',
-  'computer top listening': 'stop_listening',
-
-  // TTS control - variations
-  'computer text to speech on': 'tts_on',
-  'computer text to speech off': 'tts_off',
-  'computer speech on': 'tts_on',
-  'computer speech off': 'tts_off',
-  'computer speak on': 'tts_on',
-  'computer speak off': 'tts_off',
-  'computer speaking on': 'tts_on',
-  'computer speaking off': 'tts_off',
-  'computer voice on': 'tts_on',
-  'computer voice off': 'tts_off',
-
-  // Claude Code launch
-  'computer resume': 'claude_resume',
-  'computer fresh': 'claude_fresh',
-
-  // Smart commands-only mode (focus detection)
-  'computer smart mode on': 'smart_commands_on',
-  'computer smart mode off': 'smart_commands_off',
-  'computer focus mode on': 'smart_commands_on',
-  'computer focus mode off': 'smart_commands_off',
-
-  // Mode switching (always available) - with variations
-  'computer general mode': 'mode_general',
-  'computer general': 'mode_general',
-  'computer normal mode': 'mode_general',
-  'computer default mode': 'mode_general',
-  'computer regular mode': 'mode_general',
-
-  // Claude/Power mode - many variations for speech recognition
-  'computer power mode': 'mode_claude',
-  'computer powermode': 'mode_claude',
-  'computer power-mode': 'mode_claude',
-  'computer claude mode': 'mode_claude',
-  'computer powered mode': 'mode_claude',
-  'computer par mode': 'mode_claude',
-  'computer pour mode': 'mode_claude',
-  'computer tower mode': 'mode_claude',
-  'computer powder mode': 'mode_claude',
-  'computer hour mode': 'mode_claude',
-  'computer flower mode': 'mode_claude',
-  'computer coding mode': 'mode_claude',
-  'computer claw mode': 'mode_claude',
-  'computer cloud mode': 'mode_claude',
-
-  // Training mode (Phase 2.2)
-  'computer learn': 'training_learn',
-  'computer training mode': 'training_learn',
-  'computer teach you': 'training_learn',
-  'computer teach': 'training_learn',
-
-  // Training commands (Phase 2.3)
-  'computer what have i taught you': 'training_list',
-  'computer what did i teach you': 'training_list',
-  'computer list learned': 'training_list',
-  'computer show learned': 'training_list',
-};
+// Phrases live in src/data/default_commands.json; addon and trained phrases are layered
+// on top by the command registry (see services/command-registry.js)
+commandRegistry.seed(defaultCommandsData.commands);
+commandRegistry.setCallbacks({
+  getAddonCommands: () => (addonLoader ? {
+    modes: addonLoader.getModeCommands(),
+    active: currentMode === 'addon' ? addonLoader.getActiveCommands() : {},
+    addon: addonLoader.activeAddon
+  } : {}),
+  getUserCommands: getTrainedCommands,
+  getAppCommands: () => appProfiles.commands().map(command => ({
+    ...command,
+    action: AI_ACTION_MAP[command.action] || command.action
+  }))
+});
+appProfiles.setCallbacks({
+  getProfiles: () => commandDictionary.getContextOverrides()
+});
+// The intent resolver's local tier learns the personal dictionary's phrases
+intentClassifier.setCallbacks({
+  getPhrases: () => commandDictionary.getAllCommands()
+});
+commandDictionary.onChange(() => intentClassifier.invalidate());
 
 // Dynamic patterns for general mode (Phase 2.3)
 const GENERAL_PATTERNS = [
@@ -203,31 +136,30 @@ const GENERAL_PATTERNS = [
     pattern: /^computer\s+what\s+does\s+(.+?)\s+do\??$/i,
     action: 'training_query',
     extract: (match) => ({ phrase: match[1] })
+  },
+  {
+    pattern: /^computer\s+replace\s+(.+?)\s+with\s+(.+)$/i,
+    action: 'replace_text',
+    extract: (match) => ({ phrase: match[1], replacement: match[2] })
   }
 ];
 
-// Get active commands based on current mode
+// Get active commands based on current mode (phrase → action, all registry layers)
 function getActiveCommands() {
-  const commands = { ...GENERAL_COMMANDS };
-
-  // Add addon mode switching commands
-  if (addonLoader) {
-    Object.assign(commands, addonLoader.getModeCommands());
-  }
-
-  // In addon mode, add addon-specific commands
-  if (currentMode === 'addon' && addonLoader) {
-    const addonCommands = addonLoader.getActiveCommands();
-    Object.assign(commands, addonCommands);
-
-    // In addon mode, "computer stop" should go to addon, not stop_listening
-    // Remove general stop_listening if addon has a stop command
-    if (addonCommands['computer stop']) {
-      delete commands['computer stop listening'];
-    }
-  }
+  return commandRegistry.getCommands();
+}
 
-  return commands;
+// Phrases taught in training mode, for the registry's user layer
+function getTrainedCommands() {
+  if (!commandDictionary.data) return [];
+  return commandDictionary.getAllCommands()
+    .filter(cmd => cmd.source === 'trained' && AI_ACTION_MAP[cmd.action])
+    .flatMap(cmd => cmd.phrases.map(phrase => ({
+      phrase,
+      action: AI_ACTION_MAP[cmd.action],
+      target: cmd.target || null,
+      id: cmd.id
+    })));
 }
 
 // Get active patterns for current mode
@@ -271,9 +203,6 @@ function stopClaudeModeWatcher() {
   }
 }
 
-// For backward compatibility
-const VOICE_COMMANDS = GENERAL_COMMANDS;
-
 // Normalize "computers" to "computer" for command matching
 function normalizeCommand(text) {
   return text.replace(/^computers\s+/, 'computer ');
@@ -333,7 +262,13 @@ function getAISettings() {
       return {
         enabled: config.aiUnderstandingEnabled || false,
         mode: config.aiUnderstandingMode || 'auto',
-        apiKey: config.anthropicApiKey || null
+        apiKey: config.anthropicApiKey || null,
+        // Provider settings (null = the provider's default, see services/intent-providers.js)
+        model: config.aiUnderstandingModel || null,
+        temperature: config.aiUnderstandingTemperature ?? null,
+        timeoutMs: config.aiUnderstandingTimeoutMs || null,
+        endpoint: config.aiUnderstandingEndpoint || null,
+        endpointKey: config.aiUnderstandingEndpointKey || null
       };
     }
   } catch (e) {
@@ -350,6 +285,8 @@ async function initializeIntentResolver() {
   // Migrate default commands if dictionary is empty
   if (commandDictionary.isEmpty()) {
     await commandDictionary.migrateDefaults(defaultCommandsData.commands);
+  } else {
+    await commandDictionary.addMissingDefaults(defaultCommandsData.commands);
   }
 
   const aiSettings = getAISettings();
@@ -364,9 +301,20 @@ async function initializeIntentResolver() {
     // Use async version that checks keychain for API key
     intentResolver = await createIntentResolverAsync({
       mode: aiSettings.mode === 'auto' ? undefined : aiSettings.mode,
-      apiKey: aiSettings.apiKey  // Falls through to keychain if not set
+      apiKey: aiSettings.apiKey,  // Falls through to keychain if not set
+      model: aiSettings.model,
+      temperature: aiSettings.temperature,
+      timeoutMs: aiSettings.timeoutMs,
+      endpoint: aiSettings.endpoint,
+      endpointKey: aiSettings.endpointKey
+    });
+    const model = intentResolver.provider.settings.model;
+    console.log(chalk.cyan(`[ai] Intent resolver initialized (${intentResolver.mode} mode, ${model})`));
+
+    // In addon mode the model may also answer with the addon's actions (schema-validated)
+    intentResolver.setCallbacks({
+      getAddonActions: () => (currentMode === 'addon' && addonLoader ? addonLoader.getActiveActions() : null)
     });
-    console.log(chalk.cyan(`[ai] Intent resolver initialized (${intentResolver.mode} mode)`));
   } catch (e) {
     console.error(chalk.yellow(`[ai] Failed to initialize intent resolver: ${e.message}`));
     intentResolver = null;
@@ -380,7 +328,7 @@ async function initializeIntentResolver() {
     },
     onExecute: async (action) => {
       // Execute an action from the learning loop (e.g., after confirmation)
-      const mappedAction = AI_ACTION_MAP[action];
+      const mappedAction = toInternalAction(action);
       if (mappedAction) {
         await executeGeneralAction(mappedAction);
         playBeep();
@@ -411,14 +359,26 @@ async function initializeIntentResolver() {
       // Use TTS with lock to prevent transcript pickup
       exec(`touch /tmp/claude-tts-speaking && say -v Samantha -r 180 "${text.replace(/"/g, '\\"')}" && rm -f /tmp/claude-tts-speaking &`, () => {});
     },
-    onExecute: async (action) => {
+    onExecute: async (action, target = null) => {
       // Execute an action from training mode
       const mappedAction = AI_ACTION_MAP[action];
       if (mappedAction) {
-        await executeGeneralAction(mappedAction);
+        await executeResolvedAction(mappedAction, target);
         playBeep();
       }
     },
+    onResolve: async (description) => {
+      // Resolve a spoken action description ("delete the selection") with the AI tier only,
+      // so the description itself is never learned as a command
+      if (!intentResolver) return null;
+      try {
+        return await intentResolver.resolve(description);
+      } catch (err) {
+        console.error(chalk.dim(`[training] Resolution error: ${err.message}`));
+        return null;
+      }
+    },
+    onMatchApp: matchAppName,
     onStateChange: (newState, oldState) => {
       console.log(chalk.magenta(`[training] State: ${oldState} -> ${newState}`));
     }
@@ -429,20 +389,27 @@ async function initializeIntentResolver() {
 const AI_ACTION_MAP = {
   'enter': 'enter',
   'undo': 'undo',
+  'redo': 'redo',
+  'delete': 'delete',
   'clear_all': 'clear_all',
   'copy': 'copy',
   'paste': 'paste',
   'cut': 'cut',
   'select_all': 'select_all',
+  'newline': 'newline',
+  'save': 'save',
+  'find': 'find',
   'scroll_up': 'scroll_up',
   'scroll_down': 'scroll_down',
   'page_up': 'page_up',
   'page_down': 'page_down',
   'new_tab': 'new_tab',
   'close_tab': 'close_tab',
+  'new_window': 'new_window',
   'volume_up': 'volume_up',
   'volume_down': 'volume_down',
   'mute': 'mute',
+  'unmute': 'unmute',
   'stop_listening': 'stop_listening',
   'start_listening': 'start_listening',
   'mode_general': 'mode_general',
@@ -455,6 +422,12 @@ const AI_ACTION_MAP = {
   'focus_app': 'focus_app'  // Special - needs target
 };
 
+// Map a resolved action to an internal action. AI actions go through AI_ACTION_MAP;
+// registry actions (intent resolver tier 1) are already internal
+function toInternalAction(action) {
+  return AI_ACTION_MAP[action] || (commandRegistry.hasAction(action) ? action : null);
+}
+
 // Get sound file path for an event
 function getSoundFile(eventType) {
   const audio = getAudioSettings();
@@ -598,6 +571,91 @@ function initFocusChecker(config) {
   focusCheckerPath = join(config.projectRoot, 'bin', 'focus-checker');
 }
 
+// Run focus-checker, reusing output younger than maxAge ms
+// Throws like execSync (callers inspect the error output)
+function readFocusInfo(maxAge = FOCUS_CHECK_INTERVAL) {
+  const now = Date.now();
+  if (cachedFocusInfo && now - lastFocusRead < maxAge) {
+    return cachedFocusInfo;
+  }
+  const result = execSync(focusCheckerPath, {
+    encoding: 'utf8',
+    timeout: 100,
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  cachedFocusInfo = JSON.parse(result);
+  lastFocusRead = now;
+  return cachedFocusInfo;
+}
+
+// focus-checker output, or null when it isn't available
+function tryReadFocusInfo(maxAge) {
+  if (!focusCheckerPath || !existsSync(focusCheckerPath)) return null;
+  try {
+    return readFocusInfo(maxAge);
+  } catch (e) {
+    console.log(chalk.dim(`[focus] focus-checker failed: ${e.message}`));
+    return null;
+  }
+}
+
+// Name of the current mode as switchModeFromControl takes it ('general', 'claude' or an addon)
+function currentModeName() {
+  return currentMode === 'addon' ? addonLoader?.activeAddon || 'addon' : currentMode;
+}
+
+// Mode names in app profiles use the GUI's names ("music" is the Ableton addon)
+function profileModeName(mode) {
+  return mode === 'music' ? 'ableton' : mode;
+}
+
+// Pick the frontmost app's profile (see services/app-profiles.js). Its phrases, commands-only
+// and formatting settings apply while the app is in front.
+function refreshAppProfile() {
+  const { profile, previous, changed } = appProfiles.update(tryReadFocusInfo(CODE_APP_CHECK_INTERVAL));
+  if (!changed) return;
+  console.log(chalk.cyan(profile ? `[profile] Using ${profile.app} profile` : `[profile] Left ${previous.app} profile`));
+  notifyStatus();
+}
+
+// Focus poll: switch to the profile's mode when its app comes to the front and back when it
+// leaves (unless changed meanwhile). Runs between utterances - a mode switch reconnects the
+// stream and may stop the session, which must not happen while a transcript is handled.
+function applyProfileMode() {
+  if (!modeProfile && !(appProfiles.getProfiles() || []).some(profile => profile.mode)) return;
+  refreshAppProfile();
+
+  const profile = appProfiles.active;
+  if ((profile?.app || null) === (modeProfile?.app || null)) return;
+  const previous = modeProfile;
+  modeProfile = profile;
+
+  if (modeBeforeProfile && previous?.mode && currentModeName() === profileModeName(previous.mode)) {
+    switchModeFromControl(modeBeforeProfile, currentConfig);
+  }
+  modeBeforeProfile = null;
+
+  if (profile?.mode && currentModeName() !== profileModeName(profile.mode)) {
+    const before = currentModeName();
+    if (switchModeFromControl(profile.mode, currentConfig)) {
+      modeBeforeProfile = before;
+      console.log(chalk.cyan(`[profile] ${profile.app} switched to ${profile.mode} mode`));
+    } else {
+      console.log(chalk.yellow(`[profile] Unknown mode "${profile.mode}" in ${profile.app} profile`));
+    }
+  }
+  notifyStatus();
+}
+
+// Where typed text goes: the frontmost app and its focused window (undo target)
+function getTypingTarget() {
+  const info = tryReadFocusInfo();
+  if (info?.appName) {
+    return { app: info.appName, window: info.windowTitle || null };
+  }
+  return { app: getFrontmostApp(), window: null };
+}
+
 function checkIsTextInput() {
   // Rate limit focus checks
   const now = Date.now();
@@ -618,12 +676,7 @@ function checkIsTextInput() {
   }
 
   try {
-    const result = execSync(focusCheckerPath, {
-      encoding: 'utf8',
-      timeout: 100,
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-    const data = JSON.parse(result);
+    const data = readFocusInfo();
 
     // Check for accessibility permission error
     if (data.error === 'accessibility_not_granted') {
@@ -684,6 +737,12 @@ function isCommandsOnlyActive() {
     return true;
   }
 
+  // The frontmost app's profile can turn commands-only on or off
+  const profileCommandsOnly = appProfiles.commandsOnly();
+  if (profileCommandsOnly !== null) {
+    return profileCommandsOnly;
+  }
+
   // Check smart commands-only (focus-based)
   if (smartCommandsOnly && !checkIsTextInput()) {
     return true;
@@ -757,6 +816,684 @@ function matchAppName(spokenName) {
   return spokenName.trim().split(' ').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
 }
 
+// Get the frontmost app name (focus-checker first, AppleScript fallback)
+function getFrontmostApp() {
+  try {
+    if (focusCheckerPath && existsSync(focusCheckerPath)) {
+      const data = JSON.parse(execSync(focusCheckerPath, {
+        encoding: 'utf8',
+        timeout: 200,
+        stdio: ['pipe', 'pipe', 'pipe']
+      }));
+      if (data.appName) return data.appName;
+    }
+    return execSync(
+      'osascript -e \'tell application "System Events" to get name of first process whose frontmost is true\'',
+      { encoding: 'utf8', timeout: 500 }
+    ).trim() || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Workflow step conditions - "I'm in chrome", "terminal is focused"
+const APP_CONDITION_PATTERNS = [
+  /^(?:i'?m|i am|we'?re|we are)?\s*(?:in|using)\s+(.+)$/i,
+  /^(.+?)\s+is\s+(?:focused|frontmost|active|in front)$/i,
+];
+
+// Evaluate a workflow step condition (true/false, or null if not understood)
+function evaluateWorkflowCondition(condition) {
+  const clean = stripPunctuation(condition.toLowerCase().trim());
+  for (const pattern of APP_CONDITION_PATTERNS) {
+    const match = clean.match(pattern);
+    if (match) {
+      const frontmost = getFrontmostApp();
+      if (!frontmost) return null;
+      return frontmost.toLowerCase() === matchAppName(match[1]).toLowerCase();
+    }
+  }
+  return null;
+}
+
+// Resolve a workflow step description to an executable action
+async function resolveWorkflowStep(description) {
+  const cleanText = normalizeCommand(stripPunctuation(description.toLowerCase().trim()));
+
+  // Voice commands, with or without the "computer" prefix ("copy", "computer copy")
+  const direct = commandRegistry.resolve(cleanText) || commandRegistry.resolve(`computer ${cleanText}`);
+  if (direct) return { action: direct.action, target: direct.target };
+
+  // App switching ("switch to chrome")
+  for (const pattern of APP_SWITCH_PATTERNS) {
+    const match = cleanText.match(pattern);
+    if (match) return { action: 'focus_app', target: match[1] };
+  }
+
+  // Personal dictionary (Tier 1 + 2)
+  const known = commandDictionary.lookup(cleanText);
+  if (known) {
+    return { action: AI_ACTION_MAP[known.action] || known.action, target: known.target || null };
+  }
+
+  // AI fallback (Tier 3)
+  if (intentResolver) {
+    const result = await intentResolver.resolve(cleanText);
+    if (result.confidence >= 0.7 && AI_ACTION_MAP[result.action]) {
+      return { action: AI_ACTION_MAP[result.action], target: result.target || null };
+    }
+  }
+
+  return null;
+}
+
+// Execute a resolved action with optional target (workflow steps, trained phrases)
+async function executeResolvedAction(action, target) {
+  if (action === 'focus_app') {
+    if (!target) return false;
+    return typerService.focusApp(matchAppName(target));
+  }
+  if (action === 'undo') {
+    const { undone } = await undoEntries(1);
+    return undone.length > 0;
+  }
+  return executeGeneralAction(action);
+}
+
+// Describe an undo stack entry for the log
+function describeEntry(entry) {
+  const where = entry.app ? ` in ${entry.app}` : '';
+  if (entry.type === 'chain') return `chain ${entry.steps.map(step => step.action).join(' → ')}${where}`;
+  if (entry.type === 'edit') return `edit "${entry.replaced.trim()}" → "${entry.text.trim()}"${where}`;
+  return `"${entry.text.trim()}"${where}`;
+}
+
+// Undo the newest undo stack entries (typed text or whole action chains, see services/undo-stack.js).
+// The target app is refocused first; undo is refused if the text went into another window.
+async function undoEntries(count) {
+  const result = await undoStack.undo(count);
+  for (const entry of result.undone) {
+    console.log(chalk.yellow(`[undo] Removed ${describeEntry(entry)}`));
+  }
+  if (result.refused) {
+    console.log(chalk.yellow(`[undo] Stopped: ${result.refused}`));
+    ttsQueue.enqueue(`Can't undo, ${result.refused}`, 'undo');
+  }
+  return result;
+}
+
+// Redo what "retract" removed, in the app and window it came from
+async function redoEntries(count = 1) {
+  const result = await undoStack.redo(count);
+  for (const entry of result.redone) {
+    console.log(chalk.green(`[redo] Restored ${describeEntry(entry)}`));
+  }
+  if (result.refused) {
+    console.log(chalk.yellow(`[redo] Stopped: ${result.refused}`));
+    ttsQueue.enqueue(`Can't redo, ${result.refused}`, 'undo');
+  } else if (result.redone.length === 0) {
+    console.log(chalk.yellow('[redo] Nothing to redo'));
+  }
+  playBeep();
+  return result.redone.length > 0;
+}
+
+// "What did I just type" - read back the newest typed text
+function readBackLastText() {
+  const last = undoStack.lastText();
+  if (!last) {
+    ttsQueue.enqueue('Nothing typed yet', 'undo');
+    return false;
+  }
+  console.log(chalk.cyan(`[undo] Last typed ${describeEntry(last)}`));
+  ttsQueue.enqueue(`You typed: ${last.text.trim()}${last.app ? `, in ${last.app}` : ''}`, 'undo');
+  return true;
+}
+
+// Explain why a voice edit didn't run
+function refuseEdit(what, reason) {
+  console.log(chalk.yellow(`[edit] Can't ${what}: ${reason}`));
+  ttsQueue.enqueue(`Can't ${what}, ${reason}`, 'undo');
+  return false;
+}
+
+// Record a voice edit that changes no text (selection, cursor move) so "retract" reverses it.
+// Steps of a running chain are recorded with the chain instead.
+function recordEditStep(action) {
+  if (!runningChain) undoStack.pushChain([{ action, target: null, modifiers: {} }]);
+}
+
+// Replace the end of the dictated text: delete `remove`, type `insert`, record the edit for "retract"
+async function rewriteTail(remove, insert) {
+  await undoStack.rewrite(remove, insert);
+  if (!runningChain) undoStack.pushEdit(insert, remove);
+}
+
+// "Select last word/sentence/line" (see services/text-editing.js). Boundaries come from
+// the text dictation typed; without it, words and lines use the app's own shortcuts.
+async function selectLast(unit) {
+  const tail = undoStack.tailText();
+  if (tail) {
+    await typerService.selectCharacters(lastUnit(tail, unit).length);
+  } else if (unit === 'sentence') {
+    return refuseEdit('select the last sentence', 'nothing was dictated here');
+  } else {
+    await typerService.selectPrevious(unit);
+  }
+  recordEditStep(`select_last_${unit}`);
+  playBeep();
+  return true;
+}
+
+// "Delete last word/sentence/line" - dictated text is deleted character by character
+// and retyped on "retract"; otherwise the app's shortcut runs and Cmd+Z reverses it
+async function deleteLast(unit) {
+  const tail = undoStack.tailText();
+  if (tail) {
+    const removed = lastUnit(tail, unit);
+    console.log(chalk.cyan(`[edit] Deleting "${removed.trim()}"`));
+    await rewriteTail(removed, '');
+  } else if (unit === 'sentence') {
+    return refuseEdit('delete the last sentence', 'nothing was dictated here');
+  } else {
+    await typerService.deletePrevious(unit);
+    recordEditStep(`delete_last_${unit}`);
+  }
+  playBeep();
+  return true;
+}
+
+// Retype the last dictated chunk with a change ("replace X with Y", "capitalize that")
+async function rewriteLastChunk(what, change) {
+  const chunk = undoStack.lastChunk();
+  if (!chunk) return refuseEdit(what, 'nothing was dictated here');
+  const rewritten = change(chunk);
+  if (rewritten === null) return refuseEdit(what, 'that is not in the last thing you said');
+  if (rewritten === chunk) return true;
+
+  console.log(chalk.cyan(`[edit] "${chunk.trim()}" → "${rewritten.trim()}"`));
+  await rewriteTail(chunk, rewritten);
+  playBeep();
+  return true;
+}
+
+// Resolve one step of a compound command without the AI tier: registry phrases (later steps
+// may drop "computer"), counts/amounts ("scroll down three times") and app switching
+function resolveLocalStep(part, { implicitPrefix = false } = {}) {
+  const candidates = implicitPrefix ? [part, `computer ${part}`] : [part];
+  const commands = getActiveCommands();
+  for (const candidate of candidates) {
+    const registered = commandRegistry.resolve(candidate);
+    if (registered) return { action: registered.action, target: registered.target, modifiers: {} };
+    const modifiers = matchModifiedCommand(candidate, commands);
+    if (modifiers) return { action: commands[modifiers.text], target: null, modifiers };
+  }
+  for (const pattern of APP_SWITCH_PATTERNS) {
+    const match = part.match(pattern);
+    if (match) return { action: 'focus_app', target: match[1], modifiers: {} };
+  }
+  return null;
+}
+
+// Is this an app we know by name or alias ("chrome", "Google Chrome")?
+function isKnownApp(spokenName) {
+  const lower = spokenName.toLowerCase().trim();
+  return !!APP_ALIASES[lower] || Object.values(APP_ALIASES).some(appName => appName.toLowerCase() === lower);
+}
+
+// Does this chain start like a command - "computer ..." or switching to a known app?
+// Anything else ("open the file and save it") is dictation unless the resolver says otherwise.
+function startsWithCommand(part) {
+  if (part.startsWith('computer ')) return true;
+  return APP_SWITCH_PATTERNS.some(pattern => {
+    const match = part.match(pattern);
+    return !!match && isKnownApp(match[1]);
+  });
+}
+
+// Resolve a compound command ("switch to chrome and open a new tab") to its steps.
+// Locally when it starts like a command (later steps may drop "computer"), otherwise
+// the intent resolver's dictionary and Claude tiers for short utterances.
+async function resolveActionChain(cleanText) {
+  const parts = splitCompound(cleanText);
+  if (parts.length < 2) return null;
+
+  if (startsWithCommand(parts[0])) {
+    const local = parts.map((part, index) => resolveLocalStep(part, { implicitPrefix: index > 0 }));
+    if (local.every(Boolean)) return local;
+  }
+
+  if (!intentResolver || !aiUnderstandingEnabled || cleanText.split(' ').length > MAX_COMMAND_WORDS ||
+      !intentResolver.looksLikeCommand(cleanText)) return null;
+  try {
+    const result = await intentResolver.resolveWithDictionary(cleanText, resolverContext());
+    return toChainSteps(result);
+  } catch (e) {
+    console.error(chalk.dim(`[chain] Error: ${e.message}`));
+    return null;
+  }
+}
+
+// Steps of a multi-step resolver result, mapped to internal actions (null unless all map)
+function toChainSteps(result) {
+  if (!result.steps || result.steps.length < 2 || result.confidence < 0.7) return null;
+  const steps = result.steps.map(step => ({ action: toInternalAction(step.action), target: step.target || null, modifiers: {} }));
+  return steps.every(step => step.action) ? steps : null;
+}
+
+// Run an action chain step by step with a pause between steps (see services/action-chain.js).
+// The finished steps go on the undo stack as one entry, so one "retract" undoes the chain.
+// Returns false if the first step failed, so the caller can treat the speech as dictation.
+async function runActionChain(steps, spoken) {
+  await flushPendingText();
+  console.log(chalk.cyan(`[chain] "${spoken}" → ${steps.map(step => step.action).join(' → ')}`));
+
+  const done = await runChainSteps(steps);
+  if (done.length === 0) return false;
+
+  undoStack.pushChain(done);
+  playBeep();
+  return true;
+}
+
+// Run chain steps in order; returns the steps that finished (with the app each focus_app left)
+async function runChainSteps(steps) {
+  runningChain = true;
+  try {
+    const done = await runSteps(steps, async (step) => {
+      const previousApp = step.action === 'focus_app' ? getFrontmostApp() : null;
+      const result = step.action === 'focus_app'
+        ? await executeResolvedAction(step.action, step.target)
+        : await runVoiceCommand(step.action, step.modifiers);
+      return result === false ? false : { ...step, previousApp };
+    });
+    if (done.length < steps.length) {
+      const failed = steps[done.length];
+      console.log(chalk.yellow(`[chain] Step ${done.length + 1} (${failed.action}) failed - stopping`));
+    }
+    return done;
+  } finally {
+    runningChain = false;
+  }
+}
+
+// Reverse a finished action chain, last step first. Steps without an inverse (enter, save) are skipped.
+async function undoChain(chain) {
+  const { undo, skipped } = planUndo(chain);
+  runningChain = true;
+  try {
+    for (const step of undo) {
+      if (step.action === SYSTEM_UNDO) {
+        await typerService.undoSystem();
+      } else if (step.action === 'focus_app') {
+        await typerService.focusApp(step.target);
+      } else {
+        await executeGeneralAction(step.action, step.modifiers);
+      }
+      await new Promise(resolve => setTimeout(resolve, stepDelay(step)));
+    }
+  } finally {
+    runningChain = false;
+  }
+  const cantUndo = skipped.length > 0 ? ` (can't undo ${skipped.join(', ')})` : '';
+  console.log(chalk.yellow(`[undo] Reversed chain: ${chain.map(step => step.action).join(' → ')}${cantUndo}`));
+}
+
+// Is a terminal or code editor focused? (same focus-checker data as checkIsTextInput)
+function isCodeAppFocused(overrides) {
+  const code = resolveFormatting('code', overrides);
+  const active = code.enabled && isCodeApp(tryReadFocusInfo(CODE_APP_CHECK_INTERVAL), code.apps);
+  if (active !== codeDictationActive) {
+    codeDictationActive = active;
+    console.log(chalk.cyan(`[code] Code dictation ${active ? `on (${cachedFocusInfo?.appName})` : 'off'}`));
+  }
+  return active;
+}
+
+// Format dictation for the current mode (spoken punctuation, casing, symbols, numbers)
+// General mode switches to code formatting while a terminal or editor is focused
+function formatForMode(text) {
+  const overrides = currentConfig?.data.speech.formatting || {};
+  const profile = currentMode === 'general' && isCodeAppFocused(overrides) ? 'code' : currentMode;
+  return formatDictation(text, { ...resolveFormatting(profile, overrides), ...appProfiles.formatting() });
+}
+
+// Dictation as it is typed: formatted, plus the space before the next chunk
+function dictationText(text) {
+  const formatted = formatForMode(text);
+  if (!formatted) return '';
+  return /[\n([{]$/.test(formatted) ? formatted : formatted + ' ';
+}
+
+// Type buffered dictation now (before a command runs) and remember it for undo
+async function flushPendingText() {
+  if (!pendingText) return;
+  const typedText = dictationText(pendingText);
+  pendingText = '';
+  await typeAndRemember(typedText);
+}
+
+// Type text and put it on the undo stack, so "retract" can take it back
+async function typeAndRemember(text) {
+  await typerService.typeText(text);
+  undoStack.pushText(text);
+}
+
+// Undo the last dictated chunks ("retract three"): pending text first, then the undo stack
+async function undoLastChunk(count = 1) {
+  let remaining = count;
+  if (pendingText) {
+    console.log(chalk.yellow(`[undo] Discarding pending: "${pendingText}"`));
+    pendingText = '';
+    remaining--;
+  }
+  if (remaining > 0) {
+    const { undone, refused } = await undoEntries(remaining);
+    if (undone.length === 0 && !refused && remaining === count) {
+      console.log(chalk.yellow(`[undo] Nothing to undo`));
+    }
+  }
+
+  // Track undo for learning loop (potential negative feedback)
+  await learningLoop.handleImmediateUndo();
+
+  playBeep();
+}
+
+// Run a voice command action: addon mode switches, then the active addon, then general actions.
+// Returns false when neither the addon nor the general actions handled it.
+async function runVoiceCommand(action, modifiers = {}) {
+  // Check for addon mode switch commands
+  if (action.startsWith('mode_addon_')) {
+    const addonName = action.replace('mode_addon_', '');
+    currentMode = 'addon';
+    stopClaudeModeWatcher();
+    addonLoader.activate(addonName);
+    applyTranscriptionProfile();
+
+    // Set TTS based on addon settings
+    if (addonLoader.isTTSEnabled()) {
+      exec('touch /tmp/claude-auto-speak', () => {});
+    } else {
+      exec('rm -f /tmp/claude-auto-speak', () => {});
+    }
+    playModeSound();
+
+    // If addon has push-to-talk enabled, stop listening
+    if (addonLoader.isPushToTalkEnabled() && currentConfig) {
+      const meta = addonLoader.getActiveMetadata();
+      const ttsStatus = addonLoader.isTTSEnabled() ? 'TTS on' : 'TTS off';
+      console.log(chalk.dim(`[${meta?.displayName || addonName}] Push-to-talk mode: Cmd+Option to speak (${ttsStatus})`));
+      stopSession(currentConfig);
+    }
+    return;
+  }
+
+  // Try addon action FIRST (addon can override general actions like 'find')
+  if (currentMode === 'addon' && addonLoader) {
+    if (await handleAddonResult(addonLoader.executeAction(action, null))) return true;
+    // result was false, fall through to general action
+  }
+
+  return executeGeneralAction(action, modifiers);
+}
+
+// Act on what an addon's execute() returned; false when the addon didn't handle the action
+async function handleAddonResult(result) {
+  if (result === true) {
+    playBeep();
+    return true;
+  } else if (typeof result === 'string') {
+    // Delegate to general action
+    await executeGeneralAction(result);
+    return true;
+  } else if (result && typeof result === 'object') {
+    // Handle special addon return values
+    if (result.action === 'search_mode') {
+      // Enter search mode: enable transcription, open search (Cmd+F)
+      addonLoader.setTempCommandsOnly(false);
+      await typerService.find();
+      console.log(chalk.magenta('[ableton] Search mode: Type your search, say "affirmative" when done'));
+      playBeep();
+    } else if (result.action === 'exit_search_mode') {
+      // Exit search mode: disable transcription, optionally stop listening
+      addonLoader.setTempCommandsOnly(null);
+      playBeep();
+      if (result.stopListening && currentConfig) {
+        stopSession(currentConfig);
+      }
+    }
+    return true;
+  }
+  return false;
+}
+
+// Active addon's action for an intent resolver result ("ableton.tempo" → "tempo"), null otherwise
+function toAddonAction(action) {
+  if (currentMode !== 'addon' || !addonLoader?.activeAddon) return null;
+  const prefix = `${addonLoader.activeAddon}.`;
+  return action?.startsWith(prefix) ? action.slice(prefix.length) : null;
+}
+
+// Run an addon action the intent resolver understood, with its value ("make it faster, like 128")
+async function runAddonIntent(cleanText, result) {
+  const action = toAddonAction(result.action);
+  const value = result.value ?? null;
+  const tierInfo = result.tier ? `tier ${result.tier}` : 'cache';
+  console.log(chalk.cyan(`[ai] Understood "${cleanText}" → ${result.action}${value !== null ? ` ${JSON.stringify(value)}` : ''} (${Math.round(result.confidence * 100)}%, ${tierInfo}, ${result.latencyMs}ms)`));
+
+  if (pendingTimeout) {
+    clearTimeout(pendingTimeout);
+    pendingTimeout = null;
+  }
+  await flushPendingText();
+
+  const handled = await handleAddonResult(await addonLoader.executeAction(action, value));
+  if (!handled) {
+    console.log(chalk.yellow(`[ai] ${addonLoader.activeAddon} didn't handle ${action}`));
+    return;
+  }
+  rememberAction(cleanText, result.action, { value, confidence: result.confidence, tier: result.tier });
+}
+
+// Context for the intent resolver: app, mode and a summary of recent actions and corrections
+// (follow-ups like "do that again" resolve against it)
+function resolverContext() {
+  return {
+    appName: currentMode === 'addon' ? addonLoader?.getActiveMetadata()?.displayName : null,
+    mode: currentModeName(),
+    history: contextWindow.getSummary()
+  };
+}
+
+// Remember an action that ran, for follow-ups ("do that again", "the other one")
+function rememberAction(phrase, action, { target = null, value = null, modifiers = null, confidence = 1, tier = 1 } = {}) {
+  contextWindow.addSpeech(phrase);
+  contextWindow.addAction(action, confidence, tier, { target, value, modifiers });
+}
+
+// Repeat count or amount the action a follow-up refers to ran with ("scroll down three times")
+function historyModifiers(result) {
+  const { lastAction, previousAction } = contextWindow.getSummary();
+  const entry = [lastAction, previousAction].find(candidate => candidate &&
+    candidate.action === result.action && (candidate.target || null) === (result.target || null) &&
+    JSON.stringify(candidate.value) === JSON.stringify(result.value ?? null));
+  return entry?.modifiers || {};
+}
+
+// Action name for the context window: the active addon's own actions as "<addon>.<action>",
+// the way the intent resolver names them
+function historyAction(action) {
+  if (currentMode !== 'addon' || !addonLoader?.activeAddon) return action;
+  const own = addonLoader.getActiveActions()?.actions.some(entry => entry.name === action);
+  return own ? `${addonLoader.activeAddon}.${action}` : action;
+}
+
+// Run the action a follow-up refers to ("do that again" → the last action, with its target and value)
+async function runFollowUp(cleanText, result) {
+  const value = result.value ?? null;
+  let modifiers = null;
+  const details = `${result.target ? ` ${result.target}` : ''}${value !== null ? ` ${JSON.stringify(value)}` : ''}`;
+  console.log(chalk.cyan(`[context] "${cleanText}" → ${result.action}${details} (tier ${result.tier || 3})`));
+
+  if (pendingTimeout) {
+    clearTimeout(pendingTimeout);
+    pendingTimeout = null;
+  }
+  await flushPendingText();
+
+  const addonAction = toAddonAction(result.action);
+  if (addonAction) {
+    if (!await handleAddonResult(await addonLoader.executeAction(addonAction, value))) return;
+  } else {
+    const action = toInternalAction(result.action);
+    if (!action) {
+      console.log(chalk.yellow(`[context] Can't run ${result.action} in ${currentModeName()} mode`));
+      return;
+    }
+    if (action === 'focus_app') {
+      await executeResolvedAction(action, result.target);
+      playBeep();
+    } else {
+      modifiers = historyModifiers(result);
+      await runVoiceCommand(action, modifiers);
+    }
+  }
+  rememberAction(cleanText, result.action, { target: result.target, value, modifiers, confidence: result.confidence, tier: result.tier });
+}
+
+// Run spotted text and command segments in the order they were spoken (see services/command-spotter.js)
+async function runSegments(segments) {
+  // Live typing may have put the start of the utterance on screen - retype it segment by segment
+  if (liveTyper.hasText()) await liveTyper.discard();
+
+  for (const segment of segments) {
+    if (segment.type === 'text') {
+      if (isCommandsOnlyActive()) {
+        console.log(chalk.dim(`[commands-only] Ignoring text: "${segment.text}"`));
+        continue;
+      }
+      pendingText += (pendingText ? ' ' : '') + segment.text;
+      await flushPendingText();
+      continue;
+    }
+
+    console.log(chalk.cyan(`[voice command] "${segment.phrase}" → ${segment.action}`));
+    if (segment.action === 'undo') {
+      await undoLastChunk(segment.modifiers?.count || 1);
+      continue;
+    }
+
+    await flushPendingText();
+    const entry = commandRegistry.resolve(segment.phrase);
+    if (entry?.layer === 'user') {
+      // Trained phrase - may carry a target (focus_app → chrome)
+      commandDictionary.recordUsage(entry.id);
+      await executeResolvedAction(entry.action, entry.target);
+    } else {
+      await runVoiceCommand(segment.action, segment.modifiers || {});
+    }
+  }
+}
+
+// Set up the workflow engine (runs workflows taught in training mode)
+function initWorkflowEngine() {
+  workflowEngine.setCallbacks({
+    onSpeak: async (text) => {
+      exec(`touch ${TTS_LOCK_FILE} && say -v Samantha -r 180 "${text.replace(/"/g, '\\"')}" && rm -f ${TTS_LOCK_FILE} &`, () => {});
+    },
+    onResolve: resolveWorkflowStep,
+    onExecute: executeResolvedAction,
+    onType: (text) => typeAndRemember(text + ' '),
+    onCondition: evaluateWorkflowCondition,
+    onProgress: (stepNum, total, step) => {
+      console.log(chalk.cyan(`[workflow] Step ${stepNum}/${total}: ${step.description}`));
+    }
+  });
+}
+
+// Transcription profile for the current mode (endpointing etc., see stt-providers.js)
+function transcriptionProfileForMode() {
+  if (currentMode === 'addon') {
+    return addonLoader?.getTranscriptionProfile() || 'general';
+  }
+  return currentMode;
+}
+
+// Apply the current mode's transcription profile (reconnects the stream if it changed)
+function applyTranscriptionProfile() {
+  if (!transcriberService) return;
+  // Active addon commands are part of the vocabulary - picked up by the reconnect below
+  transcriberService.refreshKeywords();
+  const profile = transcriptionProfileForMode();
+  if (transcriberService.setProfile(profile)) {
+    console.log(chalk.dim(`[transcriber] Using ${transcriberService.getProfile().name} transcription profile`));
+  }
+}
+
+// Set up the undo stack ("retract", "retract three", "computer redo")
+function initUndoStack() {
+  undoStack.setCallbacks({
+    getTarget: getTypingTarget,
+    onFocusApp: (app) => typerService.focusApp(app),
+    onDelete: (count) => typerService.deleteCharacters(count),
+    onType: (text) => typerService.typeText(text),
+    onUndoChain: undoChain,
+    onRedoChain: runChainSteps
+  });
+}
+
+// Set up live typing of interim transcripts
+function initLiveTyping() {
+  liveTyper.setCallbacks({
+    onType: (text) => typerService.typeText(text),
+    onDelete: (count) => typerService.deleteCharacters(count)
+  });
+}
+
+// Could this (possibly unfinished) utterance be routed to a command instead of typed?
+// Mirrors the checks in the transcript handler so live typing never types a command.
+function couldBeCommand(cleanText, { partial = false } = {}) {
+  if (!cleanText) return false;
+
+  const commands = getActiveCommands();
+  const phrases = Object.keys(commands);
+  if (phrases.some(phrase => cleanText === phrase || cleanText.endsWith(' ' + phrase))) return true;
+  if (matchModifiedCommand(cleanText, commands)) return true;
+  if (hasCommands(spotCommands(cleanText, commands))) return true;
+  if (partial && phrases.some(phrase => phrase.startsWith(cleanText) || cleanText.startsWith(phrase))) return true;
+  // A command may be starting mid-utterance ("fix the typo computer ...")
+  if (partial && cleanText.split(' ').includes('computer')) return true;
+
+  if (TERMINAL_INDEX_PATTERN.test(cleanText) || TERMINAL_NAME_PATTERN.test(cleanText)) return true;
+  if (APP_SWITCH_PATTERNS.some(pattern => pattern.test(cleanText))) return true;
+  if (getActivePatterns().some(({ pattern }) => pattern.test(cleanText))) return true;
+  if (workflowEngine.findWorkflow(cleanText)) return true;
+
+  return !!(intentResolver && aiUnderstandingEnabled &&
+    cleanText.split(' ').length <= MAX_COMMAND_WORDS && intentResolver.looksLikeCommand(cleanText));
+}
+
+// Can an interim transcript be typed right now?
+function canLiveType() {
+  return liveTypingEnabled && sessionActive &&
+    !isSpeaking && !existsSync(TTS_LOCK_FILE) &&
+    !pendingText &&
+    !trainingMode.isActive() && !workflowEngine.isRunning() &&
+    !isCommandsOnlyActive();
+}
+
+// Set up the TTS queue (speech from addons, via api.speak() or the queue file)
+function initTTSQueue() {
+  ttsQueue.setCallbacks({
+    onSpeak: (text) => typerService.speak(text, 'Samantha', 180)
+  });
+  addonLoader.setCallbacks({
+    onSpeak: (text, addonName) => ttsQueue.enqueue(text, addonName)
+  });
+  ttsQueue.start();
+}
+
 function playStartSound() {
   playSound('start', 0.25, '-r 1.5');
 }
@@ -774,25 +1511,55 @@ async function initializeServices(config) {
 
   hotkeyService = new HotkeyService(config);
   transcriberService = new TranscriberService(config);
+  // Local command recognition follows the commands active in the current mode
+  transcriberService.setCommandSource(() => ({
+    phrases: Object.keys(getActiveCommands()),
+    patterns: getActivePatterns()
+  }));
+  // Boosted keywords: personal dictionary, app names, addon phrases and user jargon
+  transcriberService.setKeywordSource(() => buildKeywordVocabulary({
+    commands: commandDictionary.data ? commandDictionary.getAllCommands().flatMap(cmd => cmd.phrases) : [],
+    apps: [...Object.values(APP_ALIASES), ...Object.keys(APP_ALIASES)],
+    addons: addonLoader ? addonLoader.getVocabulary() : [],
+    jargon: config.data.speech.vocabulary || []
+  }));
+  commandDictionary.onChange(() => transcriberService.refreshKeywords());
   typerService = new TyperService(config);
 
   // Load addons
   addonLoader = new AddonLoader(config.projectRoot);
   await addonLoader.loadAll();
 
+  // Speak queued addon speech
+  initTTSQueue();
+
+  // Type interim transcripts (live typing setting)
+  initLiveTyping();
+
+  // Remember the app and window of typed text for "retract"
+  initUndoStack();
+
   // Initialize focus checker for smart commands-only mode
   initFocusChecker(config);
 
+  // Workflows taught in training mode
+  initWorkflowEngine();
+
   // Load smart commands-only setting from config
   const audioSettings = getAudioSettings();
   smartCommandsOnly = audioSettings.smartCommandsOnly === true;
   if (smartCommandsOnly) {
     console.log(chalk.cyan('[focus] Smart commands-only mode enabled - will detect text inputs'));
   }
+
+  liveTypingEnabled = audioSettings.liveTyping === true;
+  if (liveTypingEnabled) {
+    console.log(chalk.cyan('[live] Live typing enabled - partial transcripts are typed as you speak'));
+  }
 }
 
 // Execute a general action (keyboard shortcuts, mode switches, etc.)
-async function executeGeneralAction(action) {
+async function executeGeneralAction(action, modifiers = {}) {
   switch (action) {
     case 'enter':
       // In Ableton/addon mode with search mode active, press Enter twice (select + confirm)
@@ -803,7 +1570,7 @@ async function executeGeneralAction(action) {
           await typerService.pressEnter();
           await new Promise(resolve => setTimeout(resolve, 100)); // Small delay between presses
           await typerService.pressEnter();
-          typedHistory.length = 0;
+          undoStack.barrier('enter');
           playBeep();
           // Exit search mode
           addon.setSearchMode(false);
@@ -817,7 +1584,7 @@ async function executeGeneralAction(action) {
         }
         // Not in search mode, but still in addon mode - stop listening on affirmative
         await typerService.pressEnter();
-        typedHistory.length = 0;
+        undoStack.barrier('enter');
         playBeep();
         if (currentConfig) {
           stopSession(currentConfig);
@@ -826,7 +1593,7 @@ async function executeGeneralAction(action) {
       }
       // Normal enter for other modes
       await typerService.pressEnter();
-      typedHistory.length = 0;
+      undoStack.barrier('enter');
       playBeep();
       // In Claude mode, pause listening after submit
       if (currentMode === 'claude' && currentConfig) {
@@ -834,9 +1601,46 @@ async function executeGeneralAction(action) {
         stopSession(currentConfig);
       }
       return true;
+    case 'newline':
+      // Shift+Enter: a line break in chat apps, where Enter sends
+      await typerService.insertNewline();
+      playBeep();
+      return true;
     case 'clear_all':
       await typerService.clearAll();
-      typedHistory.length = 0;
+      undoStack.barrier('clear_all');
+      playBeep();
+      return true;
+    case 'undo':
+      await undoLastChunk(modifiers.count || 1);
+      return true;
+    case 'redo':
+      return redoEntries(modifiers.count || 1);
+    case 'read_back':
+      return readBackLastText();
+    case 'select_last_word':
+    case 'select_last_sentence':
+    case 'select_last_line':
+      return selectLast(action.replace('select_last_', ''));
+    case 'delete_last_word':
+    case 'delete_last_sentence':
+    case 'delete_last_line':
+      return deleteLast(action.replace('delete_last_', ''));
+    case 'cursor_start':
+    case 'cursor_end':
+      await (action === 'cursor_start' ? typerService.pressHome() : typerService.pressEnd());
+      recordEditStep(action);
+      playBeep();
+      return true;
+    case 'deselect':
+      // Collapse a selection to its end (reverses "select last ...")
+      await typerService.pressArrow('right');
+      return true;
+    case 'capitalize_that':
+      return rewriteLastChunk('capitalize that', capitalizeWords);
+    case 'delete':
+      // Forward delete removes the current selection
+      await typerService.pressDelete();
       playBeep();
       return true;
     case 'stop_speak':
@@ -885,6 +1689,33 @@ async function executeGeneralAction(action) {
         stopSession(currentConfig);
       }
       return true;
+    case 'start_listening':
+      // Reachable from workflows, push-to-talk and the AI tier
+      if (currentConfig && !sessionActive) {
+        startSession(currentConfig);
+      }
+      return true;
+    case 'scroll_up':
+    case 'scroll_down':
+      await typerService.scroll(action === 'scroll_up' ? 'up' : 'down', actionUnits(action, modifiers));
+      return true;
+    case 'page_up':
+    case 'page_down':
+      await typerService.page(action === 'page_up' ? 'up' : 'down', actionUnits(action, modifiers));
+      return true;
+    case 'volume_up':
+    case 'volume_down': {
+      const steps = actionUnits(action, modifiers);
+      await typerService.changeVolume(action === 'volume_up' ? steps : -steps);
+      playBeep();
+      return true;
+    }
+    case 'mute':
+      await typerService.toggleMute();
+      return true;
+    case 'unmute':
+      await typerService.unmute();
+      return true;
     case 'tts_on':
       exec('touch /tmp/claude-auto-speak', () => {});
       console.log(chalk.green('[TTS] Text-to-speech ON'));
@@ -925,6 +1756,7 @@ async function executeGeneralAction(action) {
       currentMode = 'general';
       stopClaudeModeWatcher();
       if (addonLoader) addonLoader.deactivate();
+      applyTranscriptionProfile();
       // TTS off by default in general mode
       exec('rm -f /tmp/claude-auto-speak', () => {});
       console.log(chalk.green.bold('[mode] Switched to GENERAL mode (TTS off)'));
@@ -933,6 +1765,7 @@ async function executeGeneralAction(action) {
     case 'mode_claude':
       currentMode = 'claude';
       if (addonLoader) addonLoader.deactivate();
+      applyTranscriptionProfile();
       startClaudeModeWatcher(currentConfig);
       // TTS on by default in Claude mode
       exec('touch /tmp/claude-auto-speak', () => {});
@@ -990,9 +1823,13 @@ function startSession(config) {
   sessionActive = true;
   // Remove ALL listeners before adding new ones to prevent double-firing
   transcriberService.removeAllListeners('transcript');
+  transcriberService.removeAllListeners('partial');
   transcriberService.removeAllListeners('open');
   transcriberService.removeAllListeners('close');
   transcriberService.removeAllListeners('error');
+  transcriberService.removeAllListeners('reconnecting');
+  transcriberService.removeAllListeners('offline');
+  transcriberService.removeAllListeners('reconnected');
 
   console.log(chalk.bold.magenta('\n▶ Started listening...'));
   console.log(chalk.dim(`Press ${config.formatHotkey()} again to stop.`));
@@ -1011,8 +1848,46 @@ function startSession(config) {
     console.error('[speech2type] Speech recognition connection error:', error?.message || error);
     stopSession(config);
   });
+  // Stream drops: the mic keeps recording and the gap is replayed after reconnect
+  transcriberService.on('reconnecting', ({ attempt, delayMs }) => {
+    console.log(chalk.yellow(`[speech2type] Speech recognition dropped, reconnecting (attempt ${attempt}, ${delayMs}ms)...`));
+    if (attempt === 1) playErrorSound();
+    controlServer.publishEvent('reconnecting', { attempt, delayMs });
+    notifyStatus();
+  });
+  transcriberService.on('offline', () => {
+    console.log(chalk.red('[speech2type] Speech recognition offline - still retrying, audio is buffered'));
+    exec(`touch ${TTS_LOCK_FILE} && say -v Samantha -r 180 "Speech recognition offline" && rm -f ${TTS_LOCK_FILE} &`, () => {});
+    controlServer.publishEvent('offline');
+    notifyStatus();
+  });
+  transcriberService.on('reconnected', ({ bufferedMs, droppedMs }) => {
+    const dropped = droppedMs > 0 ? `, ${(droppedMs / 1000).toFixed(1)}s lost` : '';
+    console.log(chalk.green(`[speech2type] Speech recognition reconnected (replayed ${(bufferedMs / 1000).toFixed(1)}s${dropped})`));
+    playModeSound();
+    controlServer.publishEvent('reconnected', { bufferedMs, droppedMs });
+    notifyStatus();
+  });
+  transcriberService.on('partial', (text) => {
+    if (!sessionActive) return;
+    currentPartial = text;
+    notifyStatus();
+
+    if (!canLiveType()) return;
+
+    // Don't type what may still become a command; erase it if it was typed already
+    if (couldBeCommand(normalizeCommand(stripPunctuation(text.toLowerCase().trim())), { partial: true })) {
+      if (liveTyper.hasText()) liveTyper.discard();
+      return;
+    }
+
+    liveTyper.update(formatForMode(text));
+  });
   transcriberService.on('transcript', async (text) => {
     if (!sessionActive) return;
+    currentPartial = '';
+    controlServer.publishEvent('transcript', { text });
+    notifyStatus();
 
     // Ignore transcriptions while TTS is speaking (prevents feedback loop)
     // Check both internal isSpeaking flag and external Claude TTS lock file
@@ -1027,6 +1902,26 @@ function startSession(config) {
     // Log what we received for debugging
     console.log(chalk.dim(`[transcript] "${text}" → clean: "${cleanText}"`));
 
+    // Phrases and settings of the app the speech is meant for
+    refreshAppProfile();
+
+    // Live typing: the partial stays on screen only if this turns out to be dictation
+    if (liveTyper.hasText() && (!canLiveType() || couldBeCommand(cleanText))) {
+      await liveTyper.discard();
+    }
+
+    // While a workflow runs, only listen for "computer cancel"
+    if (workflowEngine.isRunning()) {
+      if (workflowEngine.isCancelPhrase(cleanText)) {
+        console.log(chalk.yellow('[workflow] Cancelling...'));
+        workflowEngine.cancel();
+        playBeep();
+      } else {
+        console.log(chalk.dim(`[workflow] Ignored while running: "${cleanText}"`));
+      }
+      return;
+    }
+
     // Check if training mode is active and handle speech there
     if (trainingMode.isActive()) {
       const handled = await trainingMode.handleSpeech(text);
@@ -1035,9 +1930,44 @@ function startSession(config) {
       }
     }
 
+    // Check for trained workflow trigger phrases
+    const workflow = workflowEngine.findWorkflow(cleanText);
+    if (workflow) {
+      if (pendingTimeout) {
+        clearTimeout(pendingTimeout);
+        pendingTimeout = null;
+      }
+      await flushPendingText();
+
+      console.log(chalk.cyan(`[workflow] "${cleanText}" → ${workflow.name || workflow.id}`));
+      playBeep();
+      await workflowEngine.run(workflow);
+      isInitMode = false;
+      return;
+    }
+
+    // Check for phrases taught in training mode ("when I say 'yeet', delete the selection")
+    // and the frontmost app's phrase overrides. These are the registry's user and app layers,
+    // so they win over default and addon phrases
+    const trained = commandRegistry.resolve(cleanText);
+    if (trained && (trained.layer === 'user' || trained.layer === 'app')) {
+      if (pendingTimeout) {
+        clearTimeout(pendingTimeout);
+        pendingTimeout = null;
+      }
+      await flushPendingText();
+
+      const tag = trained.layer === 'app' ? `${trained.source} profile` : 'trained';
+      console.log(chalk.cyan(`[${tag}] "${cleanText}" → ${trained.action}${trained.target ? ` (${trained.target})` : ''}`));
+      if (trained.id) commandDictionary.recordUsage(trained.id);
+      await executeResolvedAction(trained.action, trained.target);
+      isInitMode = false;
+      return;
+    }
+
     // Check for corrections first (learning loop)
     const correctionHandled = await learningLoop.handleSpeech(cleanText);
-    if (correctionHandled) {
+    if (correctionHandled.handled) {
       console.log(chalk.yellow(`[learning] Handled as correction/feedback`));
       return;
     }
@@ -1050,10 +1980,7 @@ function startSession(config) {
         clearTimeout(pendingTimeout);
         pendingTimeout = null;
       }
-      if (pendingText) {
-        await typerService.typeText(pendingText + ' ');
-        pendingText = '';
-      }
+      await flushPendingText();
 
       const windowIndex = parseInt(terminalIndexMatch[1], 10);
       console.log(chalk.green(`[terminal switch] window index ${windowIndex}`));
@@ -1072,10 +1999,7 @@ function startSession(config) {
           clearTimeout(pendingTimeout);
           pendingTimeout = null;
         }
-        if (pendingText) {
-          await typerService.typeText(pendingText + ' ');
-          pendingText = '';
-        }
+        await flushPendingText();
 
         console.log(chalk.green(`[terminal switch] searching for "${searchTerm}"`));
         await typerService.focusTerminalByName(searchTerm);
@@ -1083,6 +2007,19 @@ function startSession(config) {
       }
     }
 
+    // Compound commands ("switch to chrome and open a new tab", "computer select all and copy")
+    const chain = await resolveActionChain(cleanText);
+    if (chain) {
+      if (pendingTimeout) {
+        clearTimeout(pendingTimeout);
+        pendingTimeout = null;
+      }
+      if (await runActionChain(chain, cleanText)) {
+        isInitMode = false;
+        return;
+      }
+    }
+
     // Check for app switching commands (e.g., "focus terminal", "switch to chrome")
     for (const pattern of APP_SWITCH_PATTERNS) {
       const match = cleanText.match(pattern);
@@ -1092,10 +2029,7 @@ function startSession(config) {
           clearTimeout(pendingTimeout);
           pendingTimeout = null;
         }
-        if (pendingText) {
-          await typerService.typeText(pendingText + ' ');
-          pendingText = '';
-        }
+        await flushPendingText();
 
         const spokenAppName = match[1];
         const appName = matchAppName(spokenAppName);
@@ -1115,10 +2049,8 @@ function startSession(config) {
           clearTimeout(pendingTimeout);
           pendingTimeout = null;
         }
-        if (pendingText) {
-          await typerService.typeText(pendingText + ' ');
-          pendingText = '';
-        }
+        // Typed and recorded for undo, so "computer replace X with Y" can edit it
+        await flushPendingText();
 
         const params = extract(match);
 
@@ -1148,6 +2080,10 @@ function startSession(config) {
           }
           playBeep();
           return;
+        } else if (action === 'replace_text') {
+          console.log(chalk.cyan(`[edit] Replace "${params.phrase}" with "${params.replacement}"`));
+          await rewriteLastChunk(`replace ${params.phrase}`, (chunk) => replaceLast(chunk, params.phrase, params.replacement));
+          return;
         }
 
         // Handle addon patterns
@@ -1162,14 +2098,18 @@ function startSession(config) {
             // Delegate to general action
             await executeGeneralAction(result);
           }
+          rememberAction(cleanText, `${addonLoader.activeAddon}.${action}`, { value: params });
           return;
         }
       }
     }
 
     // Check if this chunk is ONLY a command (using cleaned text without punctuation)
+    // Navigation/volume commands may end in a count or amount ("scroll down three times")
     const activeCommands = getActiveCommands();
-    if (activeCommands[cleanText]) {
+    const modifiers = matchModifiedCommand(cleanText, activeCommands);
+    const commandPhrase = modifiers ? modifiers.text : cleanText;
+    if (activeCommands[commandPhrase]) {
       // Clear any pending timeout
       if (pendingTimeout) {
         clearTimeout(pendingTimeout);
@@ -1177,183 +2117,88 @@ function startSession(config) {
       }
 
       // For undo, don't type pending text - we want to undo it too
-      const action = activeCommands[cleanText];
+      const action = activeCommands[commandPhrase];
 
       if (action === 'undo') {
-        // Delete pending text if any, or delete from history
-        if (pendingText) {
-          console.log(chalk.yellow(`[undo] Discarding pending: "${pendingText}"`));
-          pendingText = '';
-        } else if (typedHistory.length > 0) {
-          const lastLength = typedHistory.pop();
-          console.log(chalk.yellow(`[undo] Deleting ${lastLength} characters (${typedHistory.length} more in history)`));
-          await typerService.deleteCharacters(lastLength);
-        } else {
-          console.log(chalk.yellow(`[undo] Nothing to undo`));
-        }
-
-        // Track undo for learning loop (potential negative feedback)
-        await learningLoop.handleImmediateUndo();
-
-        playBeep();
+        await undoLastChunk(modifiers?.count || 1);
         return;
       }
 
       // If there's pending text, type it first (for non-undo commands)
-      if (pendingText) {
-        const typedText = pendingText + ' ';
-        await typerService.typeText(typedText);
-        typedHistory.push(typedText.length);
-        if (typedHistory.length > MAX_UNDO_HISTORY) typedHistory.shift();
-        pendingText = '';
-      }
+      await flushPendingText();
 
       // Execute the command
       console.log(chalk.cyan(`[voice command] "${cleanText}" → ${action}`));
-
-      // Check for addon mode switch commands
-      if (action.startsWith('mode_addon_')) {
-        const addonName = action.replace('mode_addon_', '');
-        currentMode = 'addon';
-        stopClaudeModeWatcher();
-        addonLoader.activate(addonName);
-
-        // Set TTS based on addon settings
-        if (addonLoader.isTTSEnabled()) {
-          exec('touch /tmp/claude-auto-speak', () => {});
-        } else {
-          exec('rm -f /tmp/claude-auto-speak', () => {});
-        }
-        playModeSound();
-
-        // If addon has push-to-talk enabled, stop listening
-        if (addonLoader.isPushToTalkEnabled() && currentConfig) {
-          const meta = addonLoader.getActiveMetadata();
-          const ttsStatus = addonLoader.isTTSEnabled() ? 'TTS on' : 'TTS off';
-          console.log(chalk.dim(`[${meta?.displayName || addonName}] Push-to-talk mode: Cmd+Option to speak (${ttsStatus})`));
-          stopSession(currentConfig);
-        }
-        isInitMode = false;
-        return;
-      }
-
-      // Try addon action FIRST (addon can override general actions like 'find')
-      if (currentMode === 'addon' && addonLoader) {
-        const result = addonLoader.executeAction(action, null);
-        if (result === true) {
-          playBeep();
-          isInitMode = false;
-          return;
-        } else if (typeof result === 'string') {
-          // Delegate to general action
-          await executeGeneralAction(result);
-          isInitMode = false;
-          return;
-        } else if (result && typeof result === 'object') {
-          // Handle special addon return values
-          if (result.action === 'search_mode') {
-            // Enter search mode: enable transcription, open search (Cmd+F)
-            addonLoader.setTempCommandsOnly(false);
-            await typerService.find();
-            console.log(chalk.magenta('[ableton] Search mode: Type your search, say "affirmative" when done'));
-            playBeep();
-          } else if (result.action === 'exit_search_mode') {
-            // Exit search mode: disable transcription, optionally stop listening
-            addonLoader.setTempCommandsOnly(null);
-            playBeep();
-            if (result.stopListening && currentConfig) {
-              stopSession(currentConfig);
-            }
-          }
-          isInitMode = false;
-          return;
-        }
-        // result was false, fall through to general action
-      }
-
-      // Try general action
-      const handled = await executeGeneralAction(action);
-      if (handled) {
-        isInitMode = false;
-        return;
-      }
+      await runVoiceCommand(action, modifiers || {});
+      rememberAction(cleanText, historyAction(action), { modifiers });
 
       // After any command, disable init mode
       isInitMode = false;
       return;
     }
 
-    // Check if text ends with a command (e.g., "hello world affirmative" in one chunk)
-    for (const [phrase, action] of Object.entries(VOICE_COMMANDS)) {
-      // Check if cleaned text ends with the command phrase
-      if (cleanText.endsWith(phrase)) {
-        // Clear any pending
-        if (pendingTimeout) {
-          clearTimeout(pendingTimeout);
-          pendingTimeout = null;
-        }
-        if (pendingText) {
-          await typerService.typeText(pendingText + ' ');
-          pendingText = '';
-        }
-
-        // Type the text before the command (use cleanText length calculation)
-        const textBeforeCommand = cleanText.slice(0, -phrase.length).trim();
-        if (textBeforeCommand) {
-          await typerService.typeText(textBeforeCommand + ' ');
-        }
-
-        console.log(chalk.cyan(`[voice command] "${phrase}" → ${action}`));
-
-        switch (action) {
-          case 'enter':
-            await typerService.pressEnter();
-            // In Claude mode, pause listening after submit
-            if (currentMode === 'claude' && currentConfig) {
-              console.log(chalk.cyan('[claude mode] Pausing listening - waiting for response...'));
-              stopSession(currentConfig);
-            }
-            break;
-          case 'newline':
-            await typerService.insertNewline();
-            break;
-          case 'escape':
-            await typerService.pressEscape();
-            break;
-        }
-        return;
+    // Commands inside the utterance ("fix the typo computer select all then paste"):
+    // type the text and run the commands in the order they were spoken
+    const segments = spotCommands(text, activeCommands);
+    if (hasCommands(segments)) {
+      if (pendingTimeout) {
+        clearTimeout(pendingTimeout);
+        pendingTimeout = null;
       }
+      await runSegments(segments);
+      isInitMode = false;
+      return;
     }
 
     // AI Understanding fallback - try to interpret natural speech as commands
     // Only for short phrases that might be commands (under 8 words)
-    if (intentResolver && aiUnderstandingEnabled && cleanText.split(' ').length <= 7) {
+    if (intentResolver && aiUnderstandingEnabled && cleanText.split(' ').length <= MAX_COMMAND_WORDS) {
       // Use heuristic check first (no API call)
       if (intentResolver.looksLikeCommand(cleanText)) {
         console.log(chalk.dim(`[ai] Checking: "${cleanText}"...`));
         try {
           // Use tiered resolution: Dictionary (Tier 1+2) first, then AI (Tier 3)
-          const result = await intentResolver.resolveWithDictionary(cleanText, {
-            appName: currentMode === 'addon' ? addonLoader?.getActiveMetadata()?.displayName : null
-          });
+          const result = await intentResolver.resolveWithDictionary(cleanText, resolverContext());
 
           // Log tier info for debugging
           const tierInfo = result.tier ? `tier ${result.tier}` : 'cache';
 
+          // Follow-ups ("do that again", "the other one") run the action they refer to
+          if (result.followUp && result.confidence >= 0.7) {
+            await runFollowUp(cleanText, result);
+            return;
+          }
+
+          // Addon actions run through the active addon ("make it faster, like 128" → ableton.tempo 128)
+          if (toAddonAction(result.action) && (result.steps?.length ?? 1) === 1 && result.confidence >= 0.7) {
+            await runAddonIntent(cleanText, result);
+            return;
+          }
+
           // Check if we should ask for confirmation (50-70% confidence)
-          if (result.action !== 'none' && result.action !== 'unknown' &&
+          if (result.action !== 'none' && result.action !== 'unknown' && !toAddonAction(result.action) &&
               result.confidence >= 0.5 && result.confidence < 0.7) {
             console.log(chalk.yellow(`[ai] Low confidence "${cleanText}" → ${result.action} (${Math.round(result.confidence * 100)}%, ${tierInfo})`));
 
             // Ask user for confirmation via learning loop
-            const actionDescription = AI_ACTION_MAP[result.action] || result.action;
+            const actionDescription = toInternalAction(result.action) || result.action;
             await learningLoop.askForConfirmation(cleanText, result.action, result.confidence, actionDescription);
             return;
           }
 
+          // Several steps in one phrase ("copy this and paste it in notes")
+          const steps = toChainSteps(result);
+          if (steps) {
+            if (pendingTimeout) {
+              clearTimeout(pendingTimeout);
+              pendingTimeout = null;
+            }
+            if (await runActionChain(steps, cleanText)) return;
+          }
+
           // Only act on high-confidence results (>= 70%)
           if (result.action !== 'none' && result.action !== 'unknown' && result.confidence >= 0.7) {
-            const mappedAction = AI_ACTION_MAP[result.action];
+            const mappedAction = toInternalAction(result.action);
             if (mappedAction) {
               console.log(chalk.cyan(`[ai] Understood "${cleanText}" → ${result.action} (${Math.round(result.confidence * 100)}%, ${tierInfo}, ${result.latencyMs}ms)`));
 
@@ -1362,12 +2207,7 @@ function startSession(config) {
                 clearTimeout(pendingTimeout);
                 pendingTimeout = null;
               }
-              if (pendingText) {
-                await typerService.typeText(pendingText + ' ');
-                typedHistory.push((pendingText + ' ').length);
-                if (typedHistory.length > MAX_UNDO_HISTORY) typedHistory.shift();
-                pendingText = '';
-              }
+              await flushPendingText();
 
               // Handle focus_app specially (needs target)
               if (result.action === 'focus_app' && result.target) {
@@ -1375,15 +2215,17 @@ function startSession(config) {
                 console.log(chalk.green(`[ai] Focus app: "${result.target}" → ${appName}`));
                 await typerService.focusApp(appName);
                 playBeep();
+                rememberAction(cleanText, 'focus_app', { target: result.target, confidence: result.confidence, tier: result.tier });
                 return;
               }
 
-              // Execute the action
-              await executeGeneralAction(mappedAction);
+              // Execute the action (with "three times" / "a bit" for navigation and volume)
+              const aiModifiers = REPEATABLE_ACTIONS.has(mappedAction) ? parseActionModifiers(cleanText) : {};
+              await executeGeneralAction(mappedAction, aiModifiers);
               playBeep();
 
               // Track action for learning loop (observe for implicit feedback)
-              await learningLoop.observeAction(cleanText, result.action, result.confidence, result.tier || 3);
+              await learningLoop.observeAction(cleanText, result.action, result.confidence, result.tier || 3, { modifiers: aiModifiers });
 
               return;
             }
@@ -1403,6 +2245,18 @@ function startSession(config) {
         ? 'addon commands-only'
         : 'not in text field';
       console.log(chalk.dim(`[commands-only] Ignoring text (${reason}): "${text}"`));
+      if (liveTyper.hasText()) await liveTyper.discard();
+      return;
+    }
+
+    // Live typing: rewrite the partial on screen into the final text
+    if (liveTyper.hasText()) {
+      const typedText = dictationText(text);
+      await liveTyper.commit(typedText);
+      console.log(chalk.dim(`[live] Final: "${text}"`));
+      playTypingSound();
+      undoStack.pushText(typedText);
+      isInitMode = false;
       return;
     }
 
@@ -1413,7 +2267,7 @@ function startSession(config) {
 
     pendingTimeout = setTimeout(async () => {
       if (pendingText && sessionActive) {
-        let typedText = pendingText + ' ';
+        let typedText = dictationText(pendingText);
 
         // In Ableton search mode, strip punctuation (it interferes with search)
         if (currentMode === 'addon' && addonLoader) {
@@ -1427,8 +2281,7 @@ function startSession(config) {
         await typerService.typeText(typedText);
         playTypingSound();
         // Add to undo history
-        typedHistory.push(typedText.length);
-        if (typedHistory.length > MAX_UNDO_HISTORY) typedHistory.shift();
+        undoStack.pushText(typedText);
         pendingText = '';
         // After first text typed, disable init mode
         isInitMode = false;
@@ -1437,24 +2290,32 @@ function startSession(config) {
     }, COMMAND_WAIT_MS);
   });
 
-  transcriberService.start();
+  try {
+    transcriberService.start();
+  } catch (error) {
+    // Provider misconfigured (missing API key, whisper model, replay transcript...)
+    console.error(chalk.red(error.message));
+    stopSession(config);
+  }
+  notifyStatus();
 }
 
 function stopSession(config) {
   if (!sessionActive) return;
 
   sessionActive = false;
+  currentPartial = '';
+
+  // Partial text that never got a final is left as typed
+  liveTyper.reset();
 
   // Clear any pending text buffer
   if (pendingTimeout) {
     clearTimeout(pendingTimeout);
     pendingTimeout = null;
   }
-  if (pendingText) {
-    // Type any remaining text before stopping
-    typerService.typeText(pendingText + ' ');
-    pendingText = '';
-  }
+  // Type any remaining text before stopping
+  flushPendingText();
 
   playStopSound();
 
@@ -1462,6 +2323,162 @@ function stopSession(config) {
   console.log(chalk.dim(`Press ${config.formatHotkey()} to start listening again. Press Ctrl+C to quit.`));
 
   transcriberService.stop();
+  notifyStatus();
+}
+
+/**
+ * Current state for the GUI, hooks and CLI (control API and status file)
+ */
+function buildStatus() {
+  return {
+    listening: sessionActive,
+    mode: currentMode,
+    addon: currentMode === 'addon' ? addonLoader?.activeAddon || null : null,
+    tts: existsSync('/tmp/claude-auto-speak'),
+    smartCommandsOnly: smartCommandsOnly,
+    aiEnabled: aiUnderstandingEnabled,
+    aiMode: intentResolver?.mode || null,
+    liveTyping: liveTypingEnabled,
+    partial: currentPartial,
+    recognition: transcriberService?.getRecognitionMetrics() || null,
+    connection: transcriberService?.getConnectionState() || 'stopped'
+  };
+}
+
+/**
+ * Push the status to control API subscribers right away (skipped if unchanged)
+ */
+function notifyStatus() {
+  controlServer.publishStatus(buildStatus());
+}
+
+/**
+ * Switch mode on request from the GUI / control API
+ * @returns {boolean} - False for an unknown mode
+ */
+function switchModeFromControl(mode, config) {
+  if (mode === 'general') {
+    currentMode = 'general';
+    stopClaudeModeWatcher();
+    if (addonLoader) addonLoader.deactivate();
+    applyTranscriptionProfile();
+    console.log(chalk.cyan('[mode] Switched to general mode'));
+  } else if (mode === 'claude') {
+    currentMode = 'claude';
+    if (addonLoader) addonLoader.deactivate();
+    startClaudeModeWatcher(currentConfig);
+    applyTranscriptionProfile();
+    console.log(chalk.cyan('[mode] Switched to claude/power mode'));
+  } else if (addonLoader?.get(mode === 'music' ? 'ableton' : mode)) {
+    // "music" is the GUI's name for the Ableton addon; any other addon by name
+    stopClaudeModeWatcher();
+    currentMode = 'addon';
+    addonLoader.activate(mode === 'music' ? 'ableton' : mode);
+    applyTranscriptionProfile();
+    console.log(chalk.cyan(`[mode] Switched to ${mode}/addon mode`));
+    // Stop listening - music mode uses push-to-talk
+    if (addonLoader.isPushToTalkEnabled() && sessionActive) {
+      console.log(chalk.dim('[music mode] Push-to-talk mode: Cmd+Option to speak'));
+      stopSession(config);
+    }
+  } else {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Control API methods (see services/control-server.js)
+ * Every method answers with the resulting state and pushes a status update.
+ */
+function registerControlMethods(config) {
+  const methods = {
+    start: () => {
+      if (!sessionActive) startSession(config);
+      return { listening: sessionActive };
+    },
+    stop: () => {
+      if (sessionActive) stopSession(config);
+      return { listening: sessionActive };
+    },
+    toggle: () => {
+      sessionActive ? stopSession(config) : startSession(config);
+      return { listening: sessionActive };
+    },
+    setMode: ({ mode }) => {
+      if (!switchModeFromControl(mode, config)) {
+        throw rpcError(`Unknown mode: ${mode} (general, claude, music or an addon name)`);
+      }
+      const addon = currentMode === 'addon' ? addonLoader.activeAddon : null;
+      controlServer.publishEvent('mode', { mode: currentMode, addon });
+      return { mode: currentMode, addon };
+    },
+    reload: async ({ target = 'all' }) => {
+      const targets = target === 'all' ? ['addons', 'ai', 'commands'] : [target];
+      for (const name of targets) {
+        if (name === 'addons') {
+          // Hot-reload addon settings
+          if (addonLoader) {
+            addonLoader.reloadConfig();
+            console.log(chalk.green('[addons] Settings reloaded'));
+          }
+        } else if (name === 'ai') {
+          // Hot-reload AI understanding settings
+          await initializeIntentResolver();
+        } else if (name === 'commands') {
+          // Personal dictionary edited outside the process (GUI removed a command)
+          await commandDictionary.load();
+        } else {
+          throw rpcError(`Unknown reload target: ${name} (addons, ai, commands)`);
+        }
+      }
+      return { reloaded: targets };
+    },
+    commands: ({ phrase }) => {
+      // Active voice commands and the layer each comes from; with a phrase, every
+      // definition of it (highest precedence first)
+      if (phrase) {
+        return { layers: LAYERS, phrase, definitions: commandRegistry.explain(phrase) };
+      }
+      return { layers: LAYERS, commands: commandRegistry.list() };
+    },
+    say: ({ text }) => {
+      // Spoken through the TTS queue, like addon speech
+      return { queued: ttsQueue.enqueue(String(text ?? ''), 'control') };
+    },
+    syncTts: () => {
+      // GUI toggled TTS - just log the current state (file already changed by GUI)
+      const ttsEnabled = existsSync('/tmp/claude-auto-speak');
+      console.log(chalk.magenta(`[TTS] ${ttsEnabled ? 'ENABLED' : 'DISABLED'} (synced from GUI)`));
+      return { tts: ttsEnabled };
+    },
+    setSmartCommands: ({ enabled }) => {
+      smartCommandsOnly = Boolean(enabled);
+      resetFocusCache();
+      console.log(smartCommandsOnly
+        ? chalk.cyan('[smart mode] ON - Commands only when not in text field (from GUI)')
+        : chalk.yellow('[smart mode] OFF - Always allow typing (from GUI)'));
+      return { smartCommandsOnly };
+    },
+    setLiveTyping: ({ enabled }) => {
+      liveTypingEnabled = Boolean(enabled);
+      if (liveTypingEnabled) {
+        console.log(chalk.cyan('[live] Live typing ON (from GUI)'));
+      } else {
+        liveTyper.reset();
+        console.log(chalk.yellow('[live] Live typing OFF (from GUI)'));
+      }
+      return { liveTyping: liveTypingEnabled };
+    }
+  };
+
+  for (const [name, handler] of Object.entries(methods)) {
+    controlServer.register(name, async (params) => {
+      const result = await handler(params);
+      notifyStatus();
+      return result;
+    });
+  }
 }
 
 async function startApplication(config, options = {}) {
@@ -1478,7 +2495,9 @@ async function startApplication(config, options = {}) {
   if (config.isFirstRun) {
     await config.setupWizard();
   }
-  await config.ensureDeepgramApiKey();
+  if (config.speechProvider === 'deepgram') {
+    await config.ensureDeepgramApiKey();
+  }
 
   // Migrate API keys from config.json to Keychain (one-time)
   const migration = await migrateFromConfig();
@@ -1495,6 +2514,8 @@ async function startApplication(config, options = {}) {
     stopSession(config);
     hotkeyService.stop();
     if (addonLoader) addonLoader.deactivate();
+    ttsQueue.shutdown();
+    controlServer.shutdown();
     process.exit(0);
   });
 
@@ -1527,13 +2548,11 @@ async function startApplication(config, options = {}) {
         clearTimeout(pendingTimeout);
         pendingTimeout = null;
       }
-      if (pendingText) {
-        await typerService.typeText(pendingText + ' ');
-        pendingText = '';
-      }
+      await flushPendingText();
 
       // Press Enter to submit
       await typerService.pressEnter();
+      undoStack.barrier('enter');
 
       // Stop listening
       stopSession(config);
@@ -1561,6 +2580,15 @@ async function startApplication(config, options = {}) {
     // First, kill the audio but DON'T remove the lock file yet
     exec('killall afplay 2>/dev/null; killall piper 2>/dev/null; killall say 2>/dev/null', () => {});
     console.log(chalk.magenta('[TTS] Stopped by spacebar'));
+    // Drop queued addon speech too
+    const dropped = ttsQueue.stop();
+    if (dropped > 0) {
+      console.log(chalk.magenta(`[TTS] Dropped ${dropped} queued message(s)`));
+    }
+    // Spacebar also cancels a running workflow
+    if (workflowEngine.cancel()) {
+      console.log(chalk.yellow('[workflow] Cancelled by spacebar'));
+    }
     // Keep the lock file for a moment to prevent transcription pickup
     setTimeout(() => {
       exec('rm -f /tmp/claude-tts-speaking', () => {});
@@ -1590,14 +2618,12 @@ async function startApplication(config, options = {}) {
         clearTimeout(pendingTimeout);
         pendingTimeout = null;
       }
-      if (pendingText) {
-        await typerService.typeText(pendingText + ' ');
-        pendingText = '';
-      }
+      await flushPendingText();
 
       // Auto-submit if enabled for this addon
       if (addonLoader.isPushToTalkAutoSubmit()) {
         await typerService.pressEnter();
+        undoStack.barrier('enter');
         playBeep();
       }
 
@@ -1608,85 +2634,45 @@ async function startApplication(config, options = {}) {
 
   hotkeyService.start();
 
-  // Watch for GUI commands via shared file
+  // Control API: JSON-RPC on a local socket (GUI, hooks, CLI)
+  registerControlMethods(config);
+  controlServer.setCallbacks({ getStatus: buildStatus });
+  try {
+    await controlServer.start();
+  } catch (error) {
+    console.warn(chalk.yellow(`[control] Socket API unavailable: ${error.message}`));
+  }
+
+  // Deprecated: commands written to a shared file, mapped onto the same methods
   const guiCommandFile = '/tmp/s2t-gui-command';
   const checkGuiCommands = async () => {
-    if (existsSync(guiCommandFile)) {
-      try {
-        const command = readFileSync(guiCommandFile, 'utf8').trim();
-        exec(`rm -f ${guiCommandFile}`, () => {});
-
-        if (command === 'toggle') {
-          sessionActive ? stopSession(config) : startSession(config);
-        } else if (command === 'start') {
-          if (!sessionActive) startSession(config);
-        } else if (command === 'stop') {
-          if (sessionActive) stopSession(config);
-        } else if (command === 'reload-addons') {
-          // Hot-reload addon settings
-          if (addonLoader) {
-            addonLoader.reloadConfig();
-            console.log(chalk.green('[addons] Settings reloaded'));
-          }
-        } else if (command === 'reload-ai') {
-          // Hot-reload AI understanding settings
-          await initializeIntentResolver();
-        } else if (command === 'sync-tts') {
-          // GUI toggled TTS - just log the current state (file already changed by GUI)
-          const ttsEnabled = existsSync('/tmp/claude-auto-speak');
-          console.log(chalk.magenta(`[TTS] ${ttsEnabled ? 'ENABLED' : 'DISABLED'} (synced from GUI)`));
-        } else if (command === 'smart-commands-on') {
-          smartCommandsOnly = true;
-          resetFocusCache();
-          console.log(chalk.cyan('[smart mode] ON - Commands only when not in text field (from GUI)'));
-        } else if (command === 'smart-commands-off') {
-          smartCommandsOnly = false;
-          resetFocusCache();
-          console.log(chalk.yellow('[smart mode] OFF - Always allow typing (from GUI)'));
-        } else if (command.startsWith('mode:')) {
-          const newMode = command.split(':')[1];
-          if (newMode === 'general') {
-            currentMode = 'general';
-            stopClaudeModeWatcher();
-            if (addonLoader) addonLoader.deactivate();
-            console.log(chalk.cyan('[mode] Switched to general mode'));
-          } else if (newMode === 'claude') {
-            currentMode = 'claude';
-            if (addonLoader) addonLoader.deactivate();
-            startClaudeModeWatcher(currentConfig);
-            console.log(chalk.cyan('[mode] Switched to claude/power mode'));
-          } else if (newMode === 'music' && addonLoader) {
-            stopClaudeModeWatcher();
-            currentMode = 'addon';
-            addonLoader.activate('ableton');
-            console.log(chalk.cyan('[mode] Switched to music/addon mode'));
-            // Stop listening - music mode uses push-to-talk
-            if (addonLoader.isPushToTalkEnabled() && sessionActive) {
-              console.log(chalk.dim('[music mode] Push-to-talk mode: Cmd+Option to speak'));
-              stopSession(config);
-            }
-          }
-        }
-      } catch (e) {
-        // Ignore read errors
+    if (!existsSync(guiCommandFile)) return;
+    try {
+      const command = readFileSync(guiCommandFile, 'utf8').trim();
+      exec(`rm -f ${guiCommandFile}`, () => {});
+
+      const call = parseLegacyCommand(command);
+      if (!call) {
+        console.log(chalk.dim(`[control] Unknown command in ${guiCommandFile}: "${command}"`));
+        return;
       }
+      await controlServer.call(call.method, call.params);
+    } catch (e) {
+      // Ignore read errors and rejected commands (already logged)
     }
   };
   setInterval(checkGuiCommands, 200);
 
-  // Write status for GUI to read
-  const updateGuiStatus = () => {
-    const status = {
-      listening: sessionActive,
-      mode: currentMode,
-      tts: existsSync('/tmp/claude-auto-speak'),
-      smartCommandsOnly: smartCommandsOnly,
-      aiEnabled: aiUnderstandingEnabled,
-      aiMode: intentResolver?.mode || null
-    };
+  // App profiles that switch modes follow the frontmost app
+  setInterval(applyProfileMode, CODE_APP_CHECK_INTERVAL);
+
+  // Deprecated: status file for hooks that still read it. Socket subscribers
+  // get changes pushed as they happen; this also catches anything not announced.
+  setInterval(() => {
+    const status = buildStatus();
     writeFileSync('/tmp/s2t-status.json', JSON.stringify(status));
-  };
-  setInterval(updateGuiStatus, 500);
+    controlServer.publishStatus(status);
+  }, 500);
 
   // Auto-start listening if --auto flag was passed
   if (options.autoStart) {
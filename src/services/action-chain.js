@@ -0,0 +1,139 @@
+/**
+ * Action Chains
+ *
+ * Compound commands ("computer select all and copy", "switch to chrome and
+ * open a new tab") resolve to an ordered list of steps. This module runs them
+ * in order, knows how long to wait between steps and how to reverse a finished
+ * chain, so a single "retract" can undo all of it.
+ */
+
+/**
+ * Pause between steps so the target app sees the keystrokes in order
+ */
+export const STEP_DELAY_MS = 150;
+
+/**
+ * Longer pauses after steps that change what has focus
+ */
+const SETTLE_DELAYS_MS = {
+  focus_app: 400,
+  new_tab: 300,
+  new_window: 400
+};
+
+/**
+ * Inverse marker for steps undone with the app's own undo (Cmd+Z)
+ */
+export const SYSTEM_UNDO = 'system_undo';
+
+/**
+ * How each step is reversed
+ */
+const INVERSES = {
+  new_tab: 'close_tab',
+  new_window: 'close_tab',      // Cmd+W closes the new window too
+  scroll_up: 'scroll_down',
+  scroll_down: 'scroll_up',
+  page_up: 'page_down',
+  page_down: 'page_up',
+  volume_up: 'volume_down',
+  volume_down: 'volume_up',
+  mute: 'mute',
+  unmute: 'mute',
+  tts_on: 'tts_off',
+  tts_off: 'tts_on',
+  smart_commands_on: 'smart_commands_off',
+  smart_commands_off: 'smart_commands_on',
+  cursor_start: 'cursor_end',
+  cursor_end: 'cursor_start',
+  select_last_word: 'deselect',       // Right arrow puts the cursor back where the selection ended
+  select_last_sentence: 'deselect',
+  select_last_line: 'deselect',
+  delete_last_word: SYSTEM_UNDO,
+  delete_last_sentence: SYSTEM_UNDO,
+  delete_last_line: SYSTEM_UNDO,
+  capitalize_that: SYSTEM_UNDO,
+  paste: SYSTEM_UNDO,
+  cut: SYSTEM_UNDO,
+  delete: SYSTEM_UNDO,
+  clear_all: SYSTEM_UNDO
+};
+
+/**
+ * Steps that change nothing worth reversing
+ */
+const NO_EFFECT = new Set(['copy', 'select_all', 'find']);
+
+/**
+ * Split text into the steps of a compound command
+ * @param {string} text - Cleaned transcript
+ * @returns {string[]} - One entry per step (just [text] when it isn't compound)
+ */
+export function splitCompound(text) {
+  return (text || '')
+    .split(/\s+(?:and\s+then|then|and)\s+/)
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Delay after a step before the next one runs
+ * @param {{action: string}} step
+ * @returns {number}
+ */
+export function stepDelay(step) {
+  return SETTLE_DELAYS_MS[step.action] ?? STEP_DELAY_MS;
+}
+
+/**
+ * Run steps in order with a pause after each, stopping at the first step that fails
+ * @param {object[]} steps
+ * @param {(step: object) => Promise<object|false>} runStep - The finished step (kept for undo), or false if it failed
+ * @param {(ms: number) => Promise<void>} [wait]
+ * @returns {Promise<object[]>} - Finished steps, in the order they ran
+ */
+export async function runSteps(steps, runStep, wait = ms => new Promise(resolve => setTimeout(resolve, ms))) {
+  const done = [];
+  for (const [index, step] of steps.entries()) {
+    const finished = await runStep(step);
+    if (finished === false) break;
+    done.push(finished);
+    if (index < steps.length - 1) await wait(stepDelay(step));
+  }
+  return done;
+}
+
+/**
+ * The step that reverses a finished step
+ * @param {object} step - {action, target, modifiers, previousApp}
+ * @returns {object|null} - Inverse step, {action: 'none'} when there's nothing to undo,
+ *   or null when the step can't be undone (enter, save, ...)
+ */
+export function inverseOf(step) {
+  if (NO_EFFECT.has(step.action)) return { action: 'none' };
+  if (step.action === 'focus_app') {
+    return step.previousApp ? { action: 'focus_app', target: step.previousApp } : null;
+  }
+  const inverse = INVERSES[step.action];
+  if (!inverse) return null;
+  return { action: inverse, target: null, modifiers: step.modifiers || {} };
+}
+
+/**
+ * Plan the undo of a finished chain (last step first)
+ * @param {object[]} steps - Steps in the order they ran
+ * @returns {{undo: object[], skipped: string[]}} - Inverse steps to run, and actions that can't be undone
+ */
+export function planUndo(steps) {
+  const undo = [];
+  const skipped = [];
+  for (const step of [...steps].reverse()) {
+    const inverse = inverseOf(step);
+    if (!inverse) {
+      skipped.push(step.action);
+    } else if (inverse.action !== 'none') {
+      undo.push(inverse);
+    }
+  }
+  return { undo, skipped };
+}
@@ -0,0 +1,133 @@
+/**
+ * Action Matcher Service (Phase 2.6)
+ *
+ * Local keyword matcher that turns a spoken action description
+ * ("delete the selection", "press enter", "switch to chrome") into a
+ * concrete action name from CORE_ACTIONS / AI_ACTION_MAP.
+ *
+ * Used by training mode when the AI intent resolver is unavailable or unsure.
+ * No network, no API calls - just ordered keyword rules.
+ */
+
+/**
+ * Keyword rules, checked in order (first match wins).
+ * More specific rules come before general ones ("new tab" before "open <app>").
+ */
+const ACTION_RULES = [
+  // Tabs and windows
+  { action: 'new_tab', pattern: /\b(?:new|open(?: a)?(?: new)?|another)\s+tab\b/, description: 'open a new tab' },
+  { action: 'close_tab', pattern: /\bclose\s+(?:the\s+|this\s+)?tab\b/, description: 'close the tab' },
+  { action: 'new_window', pattern: /\b(?:new|open(?: a)?(?: new)?)\s+window\b/, description: 'open a new window' },
+
+  // Listening and modes
+  { action: 'stop_listening', pattern: /\bstop\s+listening\b|\b(?:go to sleep|quiet|shut up)\b/, description: 'stop listening' },
+  { action: 'start_listening', pattern: /\bstart\s+listening\b|\bwake up\b/, description: 'start listening' },
+  { action: 'mode_claude', pattern: /\b(?:claude|power|coding)\s+mode\b/, description: 'switch to Claude mode' },
+  { action: 'mode_music', pattern: /\b(?:music|ableton)\s+mode\b/, description: 'switch to music mode' },
+  { action: 'mode_general', pattern: /\b(?:general|normal|default)\s+mode\b/, description: 'switch to general mode' },
+  { action: 'tts_on', pattern: /\b(?:speech|voice|tts|reading)\s+on\b|\bturn on (?:speech|the voice|text to speech)\b/, description: 'turn text-to-speech on' },
+  { action: 'tts_off', pattern: /\b(?:speech|voice|tts|reading)\s+off\b|\bturn off (?:speech|the voice|text to speech)\b/, description: 'turn text-to-speech off' },
+  { action: 'smart_mode_on', pattern: /\b(?:smart|focus)\s+mode\s+on\b/, description: 'turn smart mode on' },
+  { action: 'smart_mode_off', pattern: /\b(?:smart|focus)\s+mode\s+off\b/, description: 'turn smart mode off' },
+
+  // Volume
+  { action: 'unmute', pattern: /\b(?:unmute|sound on|turn the sound (?:back )?on)\b/, description: 'unmute the sound' },
+  { action: 'mute', pattern: /\b(?:mute|silence)\b/, description: 'mute the sound' },
+  { action: 'volume_up', pattern: /\b(?:volume up|louder|turn (?:it )?up|raise the volume)\b/, description: 'turn the volume up' },
+  { action: 'volume_down', pattern: /\b(?:volume down|quieter|softer|turn (?:it )?down|lower the volume)\b/, description: 'turn the volume down' },
+
+  // Navigation
+  { action: 'page_up', pattern: /\b(?:page up|previous page)\b/, description: 'page up' },
+  { action: 'page_down', pattern: /\b(?:page down|next page)\b/, description: 'page down' },
+  { action: 'scroll_up', pattern: /\bscroll\s+up\b|\bgo up\b/, description: 'scroll up' },
+  { action: 'scroll_down', pattern: /\bscroll\s+down\b|\bgo down\b/, description: 'scroll down' },
+
+  // Editing
+  { action: 'select_all', pattern: /\bselect\s+(?:all|everything)\b|\bhighlight\s+(?:all|everything)\b/, description: 'select all' },
+  { action: 'clear_all', pattern: /\b(?:clear|erase|wipe|delete)\s+(?:all|everything|it all)\b|\bstart over\b/, description: 'clear everything' },
+  { action: 'undo', pattern: /\b(?:undo|take (?:that|it) back|retract)\b/, description: 'undo the last chunk' },
+  { action: 'copy', pattern: /\b(?:copy|grab)\b/, description: 'copy' },
+  { action: 'paste', pattern: /\b(?:paste|put it here)\b/, description: 'paste' },
+  { action: 'cut', pattern: /\bcut\b/, description: 'cut' },
+  { action: 'delete', pattern: /\b(?:delete|remove|backspace|erase)\b/, description: 'press delete' },
+  { action: 'save', pattern: /\bsave\b/, description: 'save' },
+  { action: 'find', pattern: /\b(?:find|search)\b/, description: 'open find' },
+  { action: 'newline', pattern: /\b(?:insert|add|type|press)\s+(?:a\s+)?new ?line\b|\bline break\b|\bshift enter\b/, description: 'insert a new line' },
+  { action: 'enter', pattern: /\b(?:enter|return|submit|send)\b/, description: 'press enter' }
+];
+
+/**
+ * App switching - needs a target ("switch to chrome", "open slack")
+ */
+const FOCUS_APP_PATTERN = /\b(?:switch to|go to|focus(?: on)?|open|launch|bring up|activate)\s+(?:the\s+)?(.+?)(?:\s+app)?$/;
+
+/**
+ * Leading filler words that don't change the meaning
+ */
+const FILLER_PATTERN = /^(?:(?:please|just|then|and|it should|it will|that should|should|will|to|do|go ahead and)\s+)+/;
+
+/**
+ * Confidence reported for keyword matches (below AI "execute immediately" level)
+ */
+const MATCH_CONFIDENCE = 0.8;
+
+/**
+ * Every action the matcher can produce
+ */
+export const MATCHABLE_ACTIONS = [...ACTION_RULES.map(r => r.action), 'focus_app'];
+
+/**
+ * Match an action description to a concrete action
+ * @param {string} description - Spoken description, e.g. "delete the selection"
+ * @returns {{action: string, target: string|null, confidence: number}|null}
+ */
+export function matchAction(description) {
+  if (!description) return null;
+
+  const text = description
+    .toLowerCase()
+    .replace(/[.,!?;:'"]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(FILLER_PATTERN, '');
+
+  if (!text) return null;
+
+  for (const rule of ACTION_RULES) {
+    if (rule.pattern.test(text)) {
+      return { action: rule.action, target: null, confidence: MATCH_CONFIDENCE };
+    }
+  }
+
+  const appMatch = text.match(FOCUS_APP_PATTERN);
+  if (appMatch) {
+    return { action: 'focus_app', target: appMatch[1], confidence: MATCH_CONFIDENCE };
+  }
+
+  return null;
+}
+
+/**
+ * Check if an action name is one the matcher (and index.js) can execute
+ * @param {string} action
+ * @returns {boolean}
+ */
+export function isKnownAction(action) {
+  return MATCHABLE_ACTIONS.includes(action);
+}
+
+/**
+ * Human-readable description of an action, for read-back prompts
+ * @param {string} action - Action name
+ * @param {string|null} target - Optional target (app name for focus_app)
+ * @returns {string}
+ */
+export function describeAction(action, target = null) {
+  if (action === 'focus_app') {
+    return target ? `switch to ${target}` : 'switch apps';
+  }
+  const rule = ACTION_RULES.find(r => r.action === action);
+  return rule ? rule.description : action.replace(/_/g, ' ');
+}
+
+export default matchAction;
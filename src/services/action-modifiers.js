@@ -0,0 +1,138 @@
+/**
+ * Action Modifiers (repeat counts and amounts)
+ *
+ * Navigation and volume commands take a trailing modifier:
+ *   "computer scroll down three times"  → scroll_down, count 3
+ *   "computer volume up a lot"           → volume_up, amount large
+ *   "computer page down twice"           → page_down, count 2
+ *   "retract three"                      → undo, count 3
+ *
+ * The modifier is stripped so the rest matches the plain command phrase, and
+ * actionUnits() turns count + amount into lines, pages or volume steps.
+ */
+
+/**
+ * Actions that accept a count/amount
+ */
+export const REPEATABLE_ACTIONS = new Set([
+  'scroll_up', 'scroll_down',
+  'page_up', 'page_down',
+  'volume_up', 'volume_down',
+  'undo', 'redo'
+]);
+
+/**
+ * Units per action: [small, normal, large]
+ * Scrolling is in scroll-wheel lines, paging in pages, volume in 1/16 steps
+ */
+const UNITS = {
+  scroll_up: [2, 5, 15],
+  scroll_down: [2, 5, 15],
+  page_up: [1, 1, 3],
+  page_down: [1, 1, 3],
+  volume_up: [1, 2, 4],
+  volume_down: [1, 2, 4]
+};
+
+/**
+ * More repeats than this are almost certainly misheard
+ */
+const MAX_COUNT = 20;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20,
+  // Common mishearings
+  to: 2, too: 2, for: 4, won: 1
+};
+
+/**
+ * Mishearings only trusted before "times" ("scroll down to" is not a count)
+ */
+const MISHEARD_NUMBERS = new Set(['to', 'too', 'for', 'won']);
+
+const COUNT_SUFFIXES = [
+  { pattern: /\s+(\d+|[a-z]+)\s+times?$/, count: match => parseCount(match[1]) },
+  { pattern: /\s+(\d+|[a-z]+)$/, count: match => (MISHEARD_NUMBERS.has(match[1]) ? null : parseCount(match[1])) },
+  { pattern: /\s+(once)$/, count: () => 1 },
+  { pattern: /\s+(twice)$/, count: () => 2 },
+  { pattern: /\s+(thrice)$/, count: () => 3 }
+];
+
+const AMOUNT_SUFFIXES = [
+  { pattern: /\s+(?:a\s+)?(?:little\s+)?(?:tiny\s+)?bit$/, amount: 'small' },
+  { pattern: /\s+(?:a\s+little|slightly|just\s+a\s+touch)$/, amount: 'small' },
+  { pattern: /\s+(?:a\s+lot|lots|way\s+more|a\s+bunch|a\s+ton)$/, amount: 'large' }
+];
+
+function parseCount(word) {
+  const count = /^\d+$/.test(word) ? parseInt(word, 10) : NUMBER_WORDS[word];
+  return count && count > 0 ? Math.min(count, MAX_COUNT) : null;
+}
+
+/**
+ * Strip a trailing count and/or amount from a cleaned command
+ * Both may appear, in either order ("scroll down a bit twice").
+ *
+ * @param {string} text - Lowercase text without punctuation
+ * @returns {{text: string, count: number, amount: 'small'|'large'|null, modified: boolean}}
+ */
+export function parseActionModifiers(text) {
+  let rest = (text || '').trim();
+  let count = null;
+  let amount = null;
+
+  for (let pass = 0; pass < 2; pass++) {
+    if (count === null) {
+      for (const suffix of COUNT_SUFFIXES) {
+        const match = rest.match(suffix.pattern);
+        const parsed = match && suffix.count(match);
+        if (parsed) {
+          count = parsed;
+          rest = rest.slice(0, match.index);
+          break;
+        }
+      }
+    }
+    if (amount === null) {
+      for (const suffix of AMOUNT_SUFFIXES) {
+        const match = rest.match(suffix.pattern);
+        if (match) {
+          amount = suffix.amount;
+          rest = rest.slice(0, match.index);
+          break;
+        }
+      }
+    }
+  }
+
+  return { text: rest, count: count ?? 1, amount, modified: count !== null || amount !== null };
+}
+
+/**
+ * Match a command that carries a modifier against a command table
+ * @param {string} text - Cleaned transcript
+ * @param {Object<string, string>} commands - phrase → action
+ * @returns {{text: string, count: number, amount: string|null}|null} - Null unless the
+ *   stripped phrase is a command for a repeatable action
+ */
+export function matchModifiedCommand(text, commands) {
+  const parsed = parseActionModifiers(text);
+  if (!parsed.modified || !parsed.text) return null;
+  const action = commands[parsed.text];
+  return action && REPEATABLE_ACTIONS.has(action) ? parsed : null;
+}
+
+/**
+ * Lines, pages or volume steps for an action
+ * @param {string} action - e.g. "scroll_down"
+ * @param {object} modifiers
+ * @param {number} modifiers.count - Repeat count
+ * @param {string|null} modifiers.amount - 'small' | 'large' | null
+ * @returns {number}
+ */
+export function actionUnits(action, { count = 1, amount = null } = {}) {
+  const [small, normal, large] = UNITS[action] || [1, 1, 1];
+  const perRepeat = amount === 'small' ? small : amount === 'large' ? large : normal;
+  return perRepeat * Math.max(1, count);
+}
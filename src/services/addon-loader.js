@@ -24,6 +24,31 @@ class AddonLoader {
     this.modeMap = new Map(); // mode command -> addon name
     this.activeAddon = null;
     this.enabledAddons = this.loadAddonConfig();
+
+    // Callbacks for integration
+    this.onSpeak = null;       // Function to speak text for an addon (queued TTS)
+  }
+
+  /**
+   * Set callbacks for integration
+   */
+  setCallbacks({ onSpeak }) {
+    this.onSpeak = onSpeak;
+  }
+
+  /**
+   * Create the API object passed to an addon's init()
+   * @param {string} name - Addon name (used to tag queued speech)
+   * @returns {{speak: function(string): boolean}}
+   */
+  createAddonApi(name) {
+    return {
+      speak: (text) => {
+        if (!this.onSpeak) return false;
+        this.onSpeak(text, name);
+        return true;
+      }
+    };
   }
 
   /**
@@ -208,7 +233,7 @@ class AddonLoader {
 
     // Initialize new addon
     if (addon.init) {
-      addon.init();
+      addon.init(this.createAddonApi(name));
     }
 
     this.activeAddon = name;
@@ -289,6 +314,19 @@ class AddonLoader {
     }
   }
 
+  /**
+   * Get the transcription profile for the active addon (e.g. 'music')
+   * @returns {string|null}
+   */
+  getTranscriptionProfile() {
+    const settings = this.getActiveSettings();
+    if (settings && settings.transcriptionProfile) {
+      return settings.transcriptionProfile;
+    }
+    const metadata = this.getActiveMetadata();
+    return metadata?.transcriptionProfile || null;
+  }
+
   /**
    * Check if TTS is enabled for active addon
    */
@@ -344,6 +382,20 @@ class AddonLoader {
     return commands;
   }
 
+  /**
+   * Phrases worth boosting in speech recognition: every addon's mode phrases,
+   * plus the active addon's commands
+   * @returns {string[]}
+   */
+  getVocabulary() {
+    const phrases = [...this.modeMap.keys()];
+    const addon = this.getActive();
+    if (addon && addon.commands) {
+      phrases.push(...Object.keys(addon.commands));
+    }
+    return phrases;
+  }
+
   /**
    * Get commands for the active addon (with "computer" prefix added)
    * Includes both addon commands and custom commands from config
@@ -380,6 +432,40 @@ class AddonLoader {
     }));
   }
 
+  /**
+   * Actions of the active addon, what they do and the shape of their values (for the AI tier)
+   * Names come from commands, patterns and custom commands. Pattern actions take a
+   * value. Descriptions and value schemas come from the addon's optional `actions`
+   * export (`{ tempo: { description: 'Set the tempo', params: { type: 'number' } } }`);
+   * pattern actions without a schema take any value.
+   * @returns {{addon: string, displayName: string, description: string|null,
+   *   actions: Array<{name: string, description: string|null, params: object|null, optional: boolean}>}|null}
+   */
+  getActiveActions() {
+    const addon = this.getActive();
+    if (!addon) return null;
+
+    const declared = addon.actions || {};
+    const plain = new Set([...Object.values(addon.commands || {}), ...Object.values(this.getCustomCommands())]);
+    const valued = new Set((addon.patterns || []).map(p => p.action));
+    for (const [name, spec] of Object.entries(declared)) {
+      (spec.params ? valued : plain).add(name);
+    }
+
+    const names = [...new Set([...plain, ...valued])].filter(name => typeof name === 'string');
+    return {
+      addon: this.activeAddon,
+      displayName: addon.metadata?.displayName || this.activeAddon,
+      description: addon.metadata?.description || null,
+      actions: names.map(name => ({
+        name,
+        description: declared[name]?.description || null,
+        params: valued.has(name) ? (declared[name]?.params || {}) : null,
+        optional: valued.has(name) && plain.has(name)
+      }))
+    };
+  }
+
   /**
    * Execute an action on the active addon
    */
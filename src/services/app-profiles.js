@@ -0,0 +1,176 @@
+/**
+ * App Profiles
+ *
+ * Per-app settings stored in the personal dictionary's `context_overrides`,
+ * applied while that app is frontmost (as reported by focus-checker):
+ *
+ *   {
+ *     "app": "Slack",                                  // App name or bundle ID
+ *     "commands": [{ "phrase": "affirmative", "action": "enter" }],
+ *     "commands_only": false,                          // Override smart commands-only mode
+ *     "formatting": { "numbers": false },              // Over the mode's dictation formatting
+ *     "mode": "general"                                // Switch to this mode when the app comes to the front
+ *   }
+ *
+ * Profile commands are the command registry's `app` layer, above phrases
+ * taught in training mode. Rules are written by training mode ("when I'm in
+ * Slack, affirmative means send") or by hand.
+ */
+
+/**
+ * Dictation formatting features a profile can turn on or off
+ */
+export const PROFILE_FORMATTING_KEYS = ['punctuation', 'casing', 'symbols', 'numbers', 'dates', 'code'];
+
+/**
+ * "When I'm in Slack, ..." - the app and the rule for it
+ */
+const CONTEXT_REQUEST = /^(?:when|while|whenever)\s+(?:i'?m|i am)\s+in\s+([^,]+?)\s*,\s*(.+)$/i;
+
+/**
+ * Rules that change a setting instead of a phrase
+ */
+const COMMANDS_ONLY_RULE = /^(?:(?:only|just)\s+)?commands?\s+only$|^only\s+(?:listen\s+for\s+)?commands$|^(?:no|don'?t allow)\s+(?:typing|dictation)$/i;
+const ALLOW_TYPING_RULE = /^(?:always\s+)?allow\s+(?:typing|dictation)$|^(?:typing|dictation)\s+on$/i;
+const MODE_RULE = /^(?:use|switch to|start in|go to)\s+(\w+)\s+mode$/i;
+const FORMATTING_RULE = /^(?:no|turn off|don'?t (?:format|convert|type))\s+(\w+)$|^(\w+)\s+off$/i;
+
+/**
+ * "affirmative means send", "'ship it' should press enter"
+ */
+const PHRASE_RULE = /^['"]?(.+?)['"]?\s+(?:means|should|will|does)\s+(.+)$/i;
+
+/**
+ * Parse a spoken app rule ("when I'm in Slack, affirmative means send")
+ * @param {string} text - Training request
+ * @returns {{app: string, phrase?: string, description?: string, settings?: object}|null} -
+ *   A phrase rule (phrase + action description) or a settings rule, null when it isn't an app rule
+ */
+export function parseContextRule(text) {
+  const match = (text || '').trim().match(CONTEXT_REQUEST);
+  if (!match) return null;
+
+  const app = match[1].trim();
+  const rule = match[2].trim().replace(/[.!]+$/, '');
+
+  if (COMMANDS_ONLY_RULE.test(rule)) return { app, settings: { commands_only: true } };
+  if (ALLOW_TYPING_RULE.test(rule)) return { app, settings: { commands_only: false } };
+
+  const mode = rule.match(MODE_RULE);
+  if (mode) return { app, settings: { mode: mode[1].toLowerCase() } };
+
+  const formatting = rule.match(FORMATTING_RULE);
+  const feature = formatting && (formatting[1] || formatting[2]).toLowerCase();
+  if (PROFILE_FORMATTING_KEYS.includes(feature)) {
+    return { app, settings: { formatting: { [feature]: false } } };
+  }
+
+  const phrase = rule.match(PHRASE_RULE);
+  if (phrase) return { app, phrase: phrase[1].trim(), description: phrase[2].trim() };
+
+  return null;
+}
+
+/**
+ * Describe a settings rule for read-back prompts
+ * @param {object} settings - {commands_only, mode, formatting}
+ * @returns {string}
+ */
+export function describeSettings(settings) {
+  const parts = [];
+  if (settings.commands_only === true) parts.push('only listen for commands');
+  if (settings.commands_only === false) parts.push('always allow typing');
+  if (settings.mode) parts.push(`switch to ${settings.mode} mode`);
+  for (const [feature, enabled] of Object.entries(settings.formatting || {})) {
+    parts.push(`turn ${enabled ? 'on' : 'off'} ${feature} formatting`);
+  }
+  return parts.join(' and ');
+}
+
+/**
+ * Is this profile for the focused app?
+ * @param {object} profile - {app}
+ * @param {object|null} focusInfo - focus-checker output ({appName, appBundleId})
+ * @returns {boolean}
+ */
+export function matchesApp(profile, focusInfo) {
+  if (!profile?.app || !focusInfo) return false;
+  const app = profile.app.toLowerCase();
+  return app === (focusInfo.appName || '').toLowerCase() ||
+    app === (focusInfo.appBundleId || '').toLowerCase();
+}
+
+/**
+ * AppProfiles class
+ * Tracks the profile of the frontmost app
+ */
+export class AppProfiles {
+  constructor() {
+    this.active = null;       // Profile of the frontmost app
+
+    // Callbacks for integration
+    this.getProfiles = () => [];    // context_overrides
+  }
+
+  /**
+   * Set callbacks for integration
+   * @param {object} callbacks
+   * @param {function} callbacks.getProfiles - () => [profile]
+   */
+  setCallbacks(callbacks) {
+    if (callbacks.getProfiles) this.getProfiles = callbacks.getProfiles;
+  }
+
+  /**
+   * Pick the profile for the focused app
+   * @param {object|null} focusInfo - focus-checker output
+   * @returns {{profile: object|null, previous: object|null, changed: boolean}}
+   */
+  update(focusInfo) {
+    const previous = this.active;
+    const profile = (this.getProfiles() || []).find(candidate => matchesApp(candidate, focusInfo)) || null;
+    this.active = profile;
+    return { profile, previous, changed: (profile?.app || null) !== (previous?.app || null) };
+  }
+
+  /**
+   * Phrase overrides of the active profile (the registry's app layer)
+   * @returns {Array<{phrase, action, target}>}
+   */
+  commands() {
+    return (this.active?.commands || []).map(command => ({
+      phrase: command.phrase,
+      action: command.action,
+      target: command.target || null,
+      app: this.active.app
+    }));
+  }
+
+  /**
+   * Commands-only override of the active profile
+   * @returns {boolean|null} - null when the profile doesn't set it
+   */
+  commandsOnly() {
+    return typeof this.active?.commands_only === 'boolean' ? this.active.commands_only : null;
+  }
+
+  /**
+   * Formatting overrides of the active profile
+   * @returns {object}
+   */
+  formatting() {
+    return this.active?.formatting || {};
+  }
+
+  /**
+   * Default mode of the active profile
+   * @returns {string|null}
+   */
+  mode() {
+    return this.active?.mode || null;
+  }
+}
+
+// Singleton instance
+export const appProfiles = new AppProfiles();
+export default appProfiles;
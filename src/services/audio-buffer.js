@@ -0,0 +1,88 @@
+/**
+ * Audio Ring Buffer
+ *
+ * Holds microphone audio captured while the speech-to-text stream is down so it
+ * can be replayed once the stream reconnects. Bounded: when full, the oldest
+ * audio is dropped, so a long outage keeps only the most recent speech.
+ */
+
+import { BYTES_PER_SECOND } from './stt-providers.js';
+
+/**
+ * Default capacity - enough for a sentence or two spoken during a Wi-Fi blip
+ */
+const DEFAULT_MAX_SECONDS = 30;
+
+/**
+ * AudioRingBuffer class
+ * Bounded FIFO of linear16 PCM chunks
+ */
+export class AudioRingBuffer {
+  /**
+   * @param {object} options
+   * @param {number} options.maxSeconds - Capacity in seconds of 16 kHz mono audio
+   */
+  constructor({ maxSeconds = DEFAULT_MAX_SECONDS } = {}) {
+    this.maxBytes = Math.round(maxSeconds * BYTES_PER_SECOND);
+    this.chunks = [];
+    this.bytes = 0;
+    this.droppedBytes = 0;   // Audio lost to overflow since the last drain
+  }
+
+  /**
+   * Add a chunk, dropping the oldest audio if over capacity
+   * @param {Buffer} chunk
+   */
+  push(chunk) {
+    if (!chunk || chunk.length === 0) return;
+
+    // A single chunk larger than the buffer keeps only its tail
+    if (chunk.length > this.maxBytes) {
+      this.droppedBytes += this.bytes + (chunk.length - this.maxBytes);
+      this.chunks = [chunk.subarray(chunk.length - this.maxBytes)];
+      this.bytes = this.maxBytes;
+      return;
+    }
+
+    this.chunks.push(chunk);
+    this.bytes += chunk.length;
+
+    while (this.bytes > this.maxBytes) {
+      const oldest = this.chunks.shift();
+      this.bytes -= oldest.length;
+      this.droppedBytes += oldest.length;
+    }
+  }
+
+  /**
+   * Remove and return everything buffered, oldest first
+   * @returns {Buffer[]}
+   */
+  drain() {
+    const chunks = this.chunks;
+    this.clear();
+    return chunks;
+  }
+
+  clear() {
+    this.chunks = [];
+    this.bytes = 0;
+    this.droppedBytes = 0;
+  }
+
+  /**
+   * Buffered audio in milliseconds
+   * @returns {number}
+   */
+  durationMs() {
+    return Math.round((this.bytes / BYTES_PER_SECOND) * 1000);
+  }
+
+  /**
+   * Audio dropped to overflow in milliseconds
+   * @returns {number}
+   */
+  droppedMs() {
+    return Math.round((this.droppedBytes / BYTES_PER_SECOND) * 1000);
+  }
+}
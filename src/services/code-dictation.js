@@ -0,0 +1,167 @@
+/**
+ * Code Dictation
+ *
+ * When a terminal or code editor has focus, general-mode dictation is formatted
+ * as code (the `code` profile in dictation-formatter.js):
+ *
+ *   "get push dash dash force"            → git push --force
+ *   "dot slash deploy dot sh"             → ./deploy.sh
+ *   "cat app dot log pipe grep error"     → cat app.log | grep error
+ *   "npm run dev and and docker p s"      → npm run dev && docker ps
+ *
+ * The recognizer's prose formatting is undone (sentence capitals, trailing
+ * periods and commas), every number becomes digits, and the tool names and
+ * subcommands of common CLIs are fixed where a command starts: at the beginning,
+ * and after a pipe, "and and", "or or", a semicolon or a new line.
+ */
+
+/**
+ * Apps that switch dictation to code formatting (names as reported by focus-checker)
+ */
+export const CODE_APPS = [
+  'Terminal', 'iTerm2', 'Warp', 'Ghostty', 'kitty', 'Alacritty', 'WezTerm', 'Hyper',
+  'Visual Studio Code', 'Code', 'Cursor', 'Zed', 'Xcode', 'Sublime Text', 'Nova',
+  'IntelliJ IDEA', 'PyCharm', 'WebStorm'
+];
+
+/**
+ * Bundle IDs of the same apps (names differ between versions and locales)
+ */
+const CODE_BUNDLE_IDS = [
+  'com.apple.Terminal', 'com.googlecode.iterm2', 'dev.warp.Warp-Stable', 'com.mitchellh.ghostty',
+  'net.kovidgoyal.kitty', 'org.alacritty', 'com.github.wez.wezterm', 'co.zeit.hyper',
+  'com.microsoft.VSCode', 'com.todesktop.230313mzl4w4u92', 'dev.zed.Zed', 'com.apple.dt.Xcode',
+  'com.sublimetext.4', 'com.panic.Nova'
+];
+
+/**
+ * Is the focused app a terminal or code editor?
+ * @param {object|null} focusInfo - focus-checker output ({appName, appBundleId, ...})
+ * @param {string[]} extraApps - More app names or bundle IDs (speech.formatting.code.apps)
+ * @returns {boolean}
+ */
+export function isCodeApp(focusInfo, extraApps = []) {
+  if (!focusInfo) return false;
+  const name = (focusInfo.appName || '').toLowerCase();
+  const bundleId = focusInfo.appBundleId || '';
+  return [...CODE_APPS, ...extraApps].some(app => app.toLowerCase() === name) ||
+    [...CODE_BUNDLE_IDS, ...extraApps].includes(bundleId);
+}
+
+/**
+ * Shell and code symbols, layered over the dictation symbols in code mode
+ * Flags and relative paths attach to the next word ("dash dash force" → --force).
+ */
+export const CODE_SYMBOLS = {
+  'dash dash': { text: '--', kind: 'open' },
+  'dash': { text: '-', kind: 'open' },
+  'dot slash': { text: './', kind: 'open' },
+  'dot dot slash': { text: '../', kind: 'open' },
+  'dot dot': { text: '..', kind: 'word' },
+  'tilde slash': { text: '~/', kind: 'open' },
+  'tilde': { text: '~', kind: 'open' },
+  'dollar': { text: '$', kind: 'open' },
+  'and and': { text: '&&', kind: 'word' },
+  'or or': { text: '||', kind: 'word' },
+  'redirect': { text: '>', kind: 'word' },
+  'double greater than': { text: '>>', kind: 'word' }
+};
+
+/**
+ * Marks after which a new command starts
+ */
+export const COMMAND_SEPARATORS = new Set(['|', '&&', '||', ';', '\n', '\n\n']);
+
+/**
+ * Common CLIs: spoken forms of the tool, and spoken subcommands → typed subcommand
+ * `prefix` tools are followed by another command (sudo git push).
+ */
+const CLI_VOCABULARY = {
+  git: {
+    spoken: ['git', 'get', 'gets', 'gits'],
+    subcommands: {
+      'add': 'add', 'blame': 'blame', 'branch': 'branch', 'check out': 'checkout', 'checkout': 'checkout',
+      'cherry pick': 'cherry-pick', 'clone': 'clone', 'commit': 'commit', 'diff': 'diff', 'fetch': 'fetch',
+      'init': 'init', 'in it': 'init', 'log': 'log', 'merge': 'merge', 'pull': 'pull', 'push': 'push',
+      'rebase': 'rebase', 're base': 'rebase', 'remote': 'remote', 'reset': 'reset', 'restore': 'restore',
+      'show': 'show', 'stash': 'stash', 'stash pop': 'stash pop', 'status': 'status', 'switch': 'switch', 'tag': 'tag'
+    }
+  },
+  npm: {
+    spoken: ['npm', 'n p m'],
+    subcommands: {
+      'audit': 'audit', 'c i': 'ci', 'ci': 'ci', 'init': 'init', 'in it': 'init', 'install': 'install',
+      'link': 'link', 'outdated': 'outdated', 'publish': 'publish', 'run': 'run', 'start': 'start',
+      'test': 'test', 'uninstall': 'uninstall', 'update': 'update'
+    }
+  },
+  npx: { spoken: ['npx', 'n p x'] },
+  pnpm: {
+    spoken: ['pnpm', 'p n p m'],
+    subcommands: { 'add': 'add', 'install': 'install', 'run': 'run', 'test': 'test', 'dev': 'dev', 'build': 'build' }
+  },
+  yarn: {
+    spoken: ['yarn'],
+    subcommands: { 'add': 'add', 'install': 'install', 'run': 'run', 'test': 'test', 'dev': 'dev', 'build': 'build' }
+  },
+  docker: {
+    spoken: ['docker'],
+    subcommands: {
+      'build': 'build', 'compose': 'compose', 'exec': 'exec', 'images': 'images', 'inspect': 'inspect',
+      'logs': 'logs', 'network': 'network', 'p s': 'ps', 'ps': 'ps', 'pull': 'pull', 'push': 'push',
+      'r m': 'rm', 'rm': 'rm', 'r m i': 'rmi', 'rmi': 'rmi', 'run': 'run', 'start': 'start', 'stop': 'stop',
+      'system prune': 'system prune', 'volume': 'volume'
+    }
+  },
+  kubectl: {
+    spoken: ['kubectl', 'cube control', 'kube control', 'cube cuddle', 'cube c t l', 'kube c t l'],
+    subcommands: {
+      'apply': 'apply', 'delete': 'delete', 'describe': 'describe', 'exec': 'exec', 'get': 'get',
+      'logs': 'logs', 'port forward': 'port-forward', 'rollout': 'rollout'
+    }
+  },
+  sudo: { spoken: ['sudo', 'pseudo', 'sue do'], prefix: true },
+  cd: { spoken: ['cd', 'c d', 'see dee'] },
+  ls: { spoken: ['ls', 'l s', 'el es'] },
+  grep: { spoken: ['grep', 'grip'] }
+};
+
+/**
+ * Spoken tool forms as word lists, longest first
+ */
+const TOOL_PHRASES = Object.entries(CLI_VOCABULARY)
+  .flatMap(([tool, entry]) => entry.spoken.map(spoken => ({ tool, words: spoken.split(' '), entry })))
+  .sort((a, b) => b.words.length - a.words.length);
+
+function wordsAt(words, start, phrase) {
+  return phrase.every((word, offset) => words[start + offset] === word);
+}
+
+/**
+ * Match a CLI tool (and its subcommand) where a command starts
+ * Misheard tool names ("get" for git) only count when a subcommand follows,
+ * so "get the user" stays prose.
+ * @param {string[]} words - Lowercase words of the utterance
+ * @param {number} start - Index of the first word of the command
+ * @returns {{text: string, end: number, prefix: boolean}|null} - Typed command, index after it,
+ *   and whether another command follows (sudo)
+ */
+export function matchCliCommand(words, start) {
+  for (const { tool, words: phrase, entry } of TOOL_PHRASES) {
+    if (!wordsAt(words, start, phrase)) continue;
+
+    const end = start + phrase.length;
+    const subcommands = Object.keys(entry.subcommands || {})
+      .map(spoken => spoken.split(' '))
+      .sort((a, b) => b.length - a.length);
+    const subcommand = subcommands.find(spoken => wordsAt(words, end, spoken));
+
+    if (subcommand) {
+      const text = `${tool} ${entry.subcommands[subcommand.join(' ')]}`;
+      return { text, end: end + subcommand.length, prefix: false };
+    }
+    if (subcommands.length > 0 && phrase.join(' ') !== tool) continue;
+    return { text: tool, end, prefix: entry.prefix === true };
+  }
+  return null;
+}
@@ -0,0 +1,409 @@
+/**
+ * Local Command Recognizer (hybrid recognition)
+ *
+ * "Local for commands, cloud for dictation": a whisper.cpp recognizer constrained
+ * by a GBNF grammar built from the active command phrases (getActiveCommands())
+ * and addon patterns runs next to the cloud stream. Commands fire from the local
+ * result as soon as it is ready; free dictation still comes from the cloud.
+ *
+ * RecognitionArbiter de-duplicates the two paths and records which one won each
+ * utterance.
+ */
+
+import EventEmitter from 'events';
+import { writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { WhisperCppProvider } from './stt-providers.js';
+
+/**
+ * Commands are short - longer utterances are left to the cloud
+ */
+const MAX_COMMAND_MS = 2500;
+
+/**
+ * How long a result from one path can suppress the same utterance from the other
+ */
+const DEDUPE_WINDOW_MS = 2500;
+
+/**
+ * Utterances kept in the metrics history
+ */
+const HISTORY_SIZE = 20;
+
+/**
+ * Normalize recognized text the way the transcript handler does
+ * (lowercase, no punctuation, single spaces)
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[.,!?;:'"]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Quote a literal for GBNF
+ */
+function gbnfLiteral(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Convert a simple command regex to a GBNF expression
+ *
+ * Supports literals, \s, \d, groups with alternation and ?, +, * quantifiers.
+ * Free-text captures (".+", "\w+") and character classes return null - those
+ * commands carry dictation and are left to the cloud stream.
+ *
+ * @param {RegExp} regex - e.g. /^tempo\s+(\d+)$/
+ * @returns {string|null}
+ */
+export function regexToGbnf(regex) {
+  const src = regex.source;
+  let i = 0;
+
+  const fail = () => {
+    throw new Error('unsupported');
+  };
+
+  const parseAlternation = () => {
+    const options = [parseSequence()];
+    while (src[i] === '|') {
+      i++;
+      options.push(parseSequence());
+    }
+    return options.length === 1 ? options[0] : `(${options.join(' | ')})`;
+  };
+
+  const parseSequence = () => {
+    const parts = [];
+    let literal = '';
+    const flush = () => {
+      if (literal) parts.push(gbnfLiteral(literal));
+      literal = '';
+    };
+
+    while (i < src.length && src[i] !== '|' && src[i] !== ')') {
+      const ch = src[i];
+      let atom = null;       // GBNF expression for non-literal atoms
+      let char = null;       // Single literal character
+
+      if (ch === '^' || ch === '$') {
+        i++;
+        continue;
+      } else if (ch === '(') {
+        i++;
+        if (src.startsWith('?:', i)) i += 2;
+        else if (src[i] === '?') fail();
+        atom = `(${parseAlternation()})`;
+        if (src[i] !== ')') fail();
+        i++;
+      } else if (ch === '\\') {
+        const esc = src[i + 1];
+        i += 2;
+        if (esc === 's') atom = 'sep';
+        else if (esc === 'd') atom = '[0-9]';
+        else if (/[a-zA-Z]/.test(esc)) fail();
+        else char = esc;
+      } else if (/[a-z0-9 '-]/i.test(ch)) {
+        char = ch.toLowerCase();
+        i++;
+      } else {
+        fail();
+      }
+
+      const quantifier = /[?+*]/.test(src[i]) ? src[i++] : '';
+      if (src[i] === '?' && quantifier) i++;  // Lazy quantifiers match the same text
+
+      if (char !== null && !quantifier) {
+        literal += char;
+        continue;
+      }
+
+      flush();
+      if (atom === 'sep' && (quantifier === '+' || quantifier === '')) {
+        parts.push('sep');
+      } else if (atom === 'sep') {
+        parts.push('sep?');
+      } else {
+        parts.push(`${atom ?? gbnfLiteral(char)}${quantifier}`);
+      }
+    }
+
+    flush();
+    return parts.join(' ') || '""';
+  };
+
+  try {
+    const expr = parseAlternation();
+    return i === src.length ? expr : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build a GBNF grammar for the given commands
+ * The grammar steers whisper.cpp towards the command phrases, but also has a
+ * free-text alternative: without one, every short utterance ("okay sure") would
+ * be forced into some command. Free text is rejected by matchCommand() and left
+ * to the cloud stream.
+ * @param {string[]} phrases - Command phrases ("computer copy")
+ * @param {Array<{pattern: RegExp}>} patterns - Command patterns
+ * @returns {{grammar: string, patterns: RegExp[]}} - Grammar and the patterns it covers
+ */
+export function buildCommandGrammar(phrases = [], patterns = []) {
+  const alternatives = [];
+
+  for (const phrase of new Set(phrases.map(normalizeText).filter(Boolean))) {
+    alternatives.push(phrase.split(' ').map(gbnfLiteral).join(' sep '));
+  }
+
+  const covered = [];
+  for (const { pattern } of patterns) {
+    const expr = regexToGbnf(pattern);
+    if (expr) {
+      alternatives.push(expr);
+      covered.push(pattern);
+    }
+  }
+
+  const grammar = [
+    'root ::= " "? (command | other) [.!?]?',
+    `command ::= ${alternatives.length > 0 ? alternatives.join(' | ') : '""'}`,
+    'other ::= [a-zA-Z0-9\', -]+',
+    'sep ::= ","? " "'
+  ].join('\n');
+
+  return { grammar, patterns: covered };
+}
+
+/**
+ * LocalCommandRecognizer class
+ * Grammar-constrained whisper.cpp recognizer that emits 'command' for known commands
+ */
+export class LocalCommandRecognizer extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.model - whisper.cpp model (a tiny/base model is enough)
+   * @param {string} options.binary - whisper.cpp CLI
+   * @param {string} options.language
+   * @param {number} options.maxCommandMs - Longer utterances are ignored
+   */
+  constructor(options = {}) {
+    super();
+    this.grammarFile = path.join(os.tmpdir(), `s2t-commands-${process.pid}.gbnf`);
+    this.vocabularySource = null;   // () => ({ phrases, patterns })
+    this.vocabularyKey = null;      // Detects vocabulary changes between utterances
+    this.phrases = new Set();
+    this.patterns = [];
+
+    this.whisper = new WhisperCppProvider({
+      binary: options.binary,
+      model: options.model,
+      language: options.language,
+      maxSpeechMs: options.maxCommandMs ?? MAX_COMMAND_MS,
+      extraArgs: () => {
+        this.refreshGrammar();
+        return ['--grammar', this.grammarFile, '--grammar-rule', 'root'];
+      }
+    });
+
+    this.whisper.on('transcript', (text) => this.handleResult(text));
+    this.whisper.on('error', (error) => {
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+    });
+  }
+
+  /**
+   * Set where the active commands come from (re-read before each utterance)
+   * @param {function(): {phrases: string[], patterns: Array}} source
+   */
+  setVocabularySource(source) {
+    this.vocabularySource = source;
+    this.vocabularyKey = null;
+  }
+
+  validate() {
+    this.whisper.validate();
+  }
+
+  connect() {
+    this.refreshGrammar();
+    this.whisper.connect();
+  }
+
+  send(chunk) {
+    this.whisper.send(chunk);
+  }
+
+  flush() {
+    return this.whisper.flush();
+  }
+
+  disconnect() {
+    this.whisper.disconnect();
+  }
+
+  /**
+   * Rebuild the grammar file if the active commands changed (e.g. mode switch)
+   */
+  refreshGrammar() {
+    const { phrases = [], patterns = [] } = this.vocabularySource ? this.vocabularySource() : {};
+    const key = `${phrases.join('|')}#${patterns.map(p => p.pattern.source).join('|')}`;
+    if (key === this.vocabularyKey) return;
+
+    const built = buildCommandGrammar(phrases, patterns);
+    writeFileSync(this.grammarFile, built.grammar);
+
+    this.vocabularyKey = key;
+    this.phrases = new Set(phrases.map(normalizeText));
+    this.patterns = built.patterns;
+    console.debug(`[hybrid] Command grammar: ${this.phrases.size} phrases, ${this.patterns.length} patterns`);
+  }
+
+  /**
+   * Emit a command if the result is one of the active commands (anything else
+   * matched the grammar's free-text alternative and is dropped)
+   * @param {string} text - Raw whisper.cpp output
+   */
+  handleResult(text) {
+    const command = this.matchCommand(text);
+    if (command) {
+      this.emit('command', command);
+    }
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string|null} - Normalized command text or null
+   */
+  matchCommand(text) {
+    const normalized = normalizeText(text);
+    if (!normalized) return null;
+    if (this.phrases.has(normalized)) return normalized;
+    return this.patterns.some(p => p.test(normalized)) ? normalized : null;
+  }
+}
+
+/**
+ * Are two results the same utterance? ("computer copy" vs "Computer, copy that.")
+ */
+function sameUtterance(a, b) {
+  if (a === b) return true;
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  if (!longer.startsWith(shorter + ' ')) return false;
+  return longer.split(' ').length - shorter.split(' ').length <= 2;
+}
+
+/**
+ * RecognitionArbiter class
+ * Decides which path's result is delivered and keeps per-utterance metrics
+ */
+export class RecognitionArbiter {
+  constructor({ windowMs = DEDUPE_WINDOW_MS, now = Date.now } = {}) {
+    this.windowMs = windowMs;
+    this.now = now;
+    this.recent = [];   // [{ text, source, at, entry }] delivered results awaiting their duplicate
+    this.resetMetrics();
+  }
+
+  resetMetrics() {
+    this.metrics = {
+      utterances: 0,
+      local: 0,          // Command delivered from the local recognizer first
+      cloud: 0,          // Delivered from the cloud with no local match (dictation)
+      cloudFirst: 0,     // Command the cloud delivered before the local recognizer
+      confirmed: 0,      // Local wins the cloud later confirmed
+      totalLeadMs: 0     // Time those local wins saved over the cloud
+    };
+    this.history = [];   // [{ text, winner, leadMs, at }]
+  }
+
+  /**
+   * Local recognizer produced a command
+   * @param {string} text - Normalized command text
+   * @returns {boolean} - True if it should be delivered
+   */
+  local(text) {
+    const duplicate = this.takeRecent(text, 'cloud');
+    if (duplicate) {
+      // Cloud already delivered this utterance - it won
+      this.metrics.cloud--;
+      this.metrics.cloudFirst++;
+      duplicate.entry.winner = 'cloud-first';
+      return false;
+    }
+
+    this.metrics.utterances++;
+    this.metrics.local++;
+    this.deliver(text, 'local');
+    return true;
+  }
+
+  /**
+   * Cloud stream produced a final transcript
+   * @param {string} transcript - Raw transcript
+   * @returns {boolean} - True if it should be delivered
+   */
+  cloud(transcript) {
+    const text = normalizeText(transcript);
+    const duplicate = this.takeRecent(text, 'local');
+    if (duplicate) {
+      // Same utterance the local recognizer already delivered
+      const leadMs = this.now() - duplicate.at;
+      this.metrics.confirmed++;
+      this.metrics.totalLeadMs += leadMs;
+      duplicate.entry.leadMs = leadMs;
+      return false;
+    }
+
+    this.metrics.utterances++;
+    this.metrics.cloud++;
+    this.deliver(text, 'cloud');
+    return true;
+  }
+
+  /**
+   * Remember a delivered result so the other path's duplicate can be dropped
+   */
+  deliver(text, source) {
+    const at = this.now();
+    const entry = { text, winner: source, leadMs: null, at };
+    this.history.push(entry);
+    if (this.history.length > HISTORY_SIZE) this.history.shift();
+    this.recent.push({ text, source, at, entry });
+  }
+
+  /**
+   * Remove and return a recent result from `source` matching text
+   */
+  takeRecent(text, source) {
+    const cutoff = this.now() - this.windowMs;
+    this.recent = this.recent.filter(r => r.at >= cutoff);
+
+    const index = this.recent.findIndex(r => r.source === source && sameUtterance(r.text, text));
+    return index === -1 ? null : this.recent.splice(index, 1)[0];
+  }
+
+  /**
+   * Metrics for logging / the GUI status file
+   */
+  getMetrics() {
+    const { utterances, local, cloud, cloudFirst, confirmed, totalLeadMs } = this.metrics;
+    return {
+      utterances,
+      local,
+      cloud,
+      cloudFirst,
+      localRate: utterances > 0 ? (local / utterances).toFixed(2) : '0.00',
+      avgLeadMs: confirmed > 0 ? Math.round(totalLeadMs / confirmed) : 0,
+      recent: this.history.slice(-5)
+    };
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * Command Registry
+ *
+ * The one place that answers "which action does this phrase run?". It merges
+ * four layers, lowest precedence first:
+ *
+ *   1. default - bundled phrases from src/data/default_commands.json
+ *   2. addon   - addon mode switches ("computer music mode") in every mode, plus
+ *                the active addon's commands and custom commands in addon mode
+ *   3. user    - phrases taught in training mode (personal dictionary)
+ *   4. app     - phrase overrides of the frontmost app's profile (app-profiles.js)
+ *
+ * A phrase defined in several layers runs the highest layer's action.
+ * explain() lists every definition of a phrase so the precedence can be
+ * inspected (control API `commands` method, GUI, tests).
+ *
+ * index.js (exact matching, local recognizer, live typing), the intent
+ * resolver and the GUI all read from here instead of their own tables.
+ */
+
+/**
+ * Layers in precedence order (later layers win)
+ */
+export const LAYERS = ['default', 'addon', 'user', 'app'];
+
+/**
+ * Phrases removed from lower layers when a higher layer defines the key phrase
+ * (in addon mode, "computer stop" belongs to the addon, not stop_listening)
+ */
+const SHADOWED_PHRASES = {
+  'computer stop': ['computer stop listening']
+};
+
+/**
+ * CommandRegistry class
+ * Layered phrase → action table
+ */
+export class CommandRegistry {
+  constructor() {
+    this.defaults = new Map();  // phrase → entry
+    this.getAddonCommands = () => ({});
+    this.getUserCommands = () => [];
+    this.getAppCommands = () => [];
+  }
+
+  /**
+   * Set the sources of the addon, user and app layers (read on every lookup)
+   * @param {object} callbacks
+   * @param {function} callbacks.getAddonCommands - () => {modes, active, addon}; phrase → action maps
+   *   for the mode switches and the active addon's commands, and the active addon's name
+   * @param {function} callbacks.getUserCommands - () => [{phrase, action, target, id}]
+   * @param {function} callbacks.getAppCommands - () => [{phrase, action, target, app}] of the frontmost app
+   */
+  setCallbacks(callbacks) {
+    if (callbacks.getAddonCommands) this.getAddonCommands = callbacks.getAddonCommands;
+    if (callbacks.getUserCommands) this.getUserCommands = callbacks.getUserCommands;
+    if (callbacks.getAppCommands) this.getAppCommands = callbacks.getAppCommands;
+  }
+
+  /**
+   * Seed the default layer
+   * @param {Array} defaultCommands - Array of {action, phrases} (default_commands.json)
+   */
+  seed(defaultCommands) {
+    this.defaults.clear();
+    for (const cmd of defaultCommands) {
+      for (const phrase of cmd.phrases) {
+        const normalized = this.normalize(phrase);
+        this.defaults.set(normalized, { phrase: normalized, action: cmd.action, target: null, layer: 'default', source: 'default' });
+      }
+    }
+  }
+
+  /**
+   * Normalize a phrase for lookup (same punctuation rules as transcript cleaning,
+   * so keys compare equal to the cleaned transcript)
+   * @param {string} phrase
+   * @returns {string}
+   */
+  normalize(phrase) {
+    return phrase.toLowerCase().replace(/[.,!?;:'"()[\]{}]/g, '').trim().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Entries of one layer, in definition order
+   * @param {string} layer - One of LAYERS
+   * @returns {Array<{phrase, action, target, layer, source, id?}>}
+   */
+  layerEntries(layer) {
+    if (layer === 'default') {
+      return [...this.defaults.values()];
+    }
+
+    if (layer === 'addon') {
+      const { modes = {}, active = {}, addon = null } = this.getAddonCommands() || {};
+      return [
+        ...Object.entries(modes).map(([phrase, action]) => ({ phrase, action, source: 'mode' })),
+        ...Object.entries(active).map(([phrase, action]) => ({ phrase, action, source: addon }))
+      ].map(entry => ({ ...entry, phrase: this.normalize(entry.phrase), target: null, layer: 'addon' }));
+    }
+
+    if (layer === 'user') {
+      return (this.getUserCommands() || []).map(entry => ({
+        phrase: this.normalize(entry.phrase),
+        action: entry.action,
+        target: entry.target || null,
+        layer: 'user',
+        source: 'trained',
+        id: entry.id
+      }));
+    }
+
+    if (layer === 'app') {
+      return (this.getAppCommands() || []).map(entry => ({
+        phrase: this.normalize(entry.phrase),
+        action: entry.action,
+        target: entry.target || null,
+        layer: 'app',
+        source: entry.app
+      }));
+    }
+
+    return [];
+  }
+
+  /**
+   * Merge layers into phrase → winning entry
+   * @param {string[]} layers - Layers to include (default: all)
+   * @returns {Map<string, object>}
+   */
+  resolveAll(layers = LAYERS) {
+    const merged = new Map();
+    for (const layer of LAYERS) {
+      if (!layers.includes(layer)) continue;
+      for (const entry of this.layerEntries(layer)) {
+        for (const shadowed of SHADOWED_PHRASES[entry.phrase] || []) {
+          if (merged.get(shadowed)?.layer !== layer) merged.delete(shadowed);
+        }
+        merged.set(entry.phrase, entry);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Active phrase → action map (what used to be GENERAL_COMMANDS + addon commands)
+   * @param {string[]} layers - Layers to include (default: all)
+   * @returns {Object<string, string>}
+   */
+  getCommands(layers = LAYERS) {
+    const commands = {};
+    for (const [phrase, entry] of this.resolveAll(layers)) {
+      commands[phrase] = entry.action;
+    }
+    return commands;
+  }
+
+  /**
+   * Winning entry for a phrase
+   * @param {string} phrase
+   * @returns {{phrase, action, target, layer, source, id?}|null}
+   */
+  resolve(phrase) {
+    return this.resolveAll().get(this.normalize(phrase)) || null;
+  }
+
+  /**
+   * Every definition of a phrase, highest precedence first
+   * The first entry is the one that runs, unless `shadowedBy` is set.
+   * @param {string} phrase
+   * @returns {Array<{phrase, action, target, layer, source, shadowedBy?}>}
+   */
+  explain(phrase) {
+    const normalized = this.normalize(phrase);
+    const winner = this.resolve(normalized);
+    const shadowedBy = Object.keys(SHADOWED_PHRASES)
+      .find(key => SHADOWED_PHRASES[key].includes(normalized) && this.resolve(key));
+
+    const definitions = [];
+    for (const layer of [...LAYERS].reverse()) {
+      for (const entry of this.layerEntries(layer)) {
+        if (entry.phrase === normalized) definitions.push(entry);
+      }
+    }
+
+    if (!winner && shadowedBy) {
+      return definitions.map(entry => ({ ...entry, shadowedBy }));
+    }
+    return definitions;
+  }
+
+  /**
+   * Is this action reachable from any phrase?
+   * @param {string} action
+   * @returns {boolean}
+   */
+  hasAction(action) {
+    for (const entry of this.resolveAll().values()) {
+      if (entry.action === action) return true;
+    }
+    return false;
+  }
+
+  /**
+   * All active commands (for the GUI and the control API)
+   * @returns {Array<{phrase, action, target, layer, source}>}
+   */
+  list() {
+    return [...this.resolveAll().values()];
+  }
+}
+
+// Singleton instance
+export const commandRegistry = new CommandRegistry();
+export default commandRegistry;
@@ -0,0 +1,181 @@
+/**
+ * Command Spotter
+ *
+ * Finds voice commands anywhere in an utterance and splits it into ordered
+ * text and command segments:
+ *
+ *   "Fix the typo computer select all then paste"
+ *     → text "Fix the typo", command select_all, command paste
+ *
+ * Prefix safety rules (the same as whole-utterance matching):
+ *   - "computer ..." phrases match anywhere
+ *   - Phrases without the prefix ("affirmative", "retract", trained phrases)
+ *     only match at the very end, where the old suffix check found them
+ *   - Right after a command, "then" / "and then" may be followed by the next
+ *     command without repeating "computer" ("... select all then paste"). A bare
+ *     "and" is too common in dictation, so the next command keeps its prefix
+ *     ("... copy and computer paste")
+ */
+
+import { matchModifiedCommand } from './action-modifiers.js';
+
+const PREFIX = 'computer';
+
+/**
+ * Words that chain one command to the next, longest first
+ */
+const CONNECTORS = [['and', 'then'], ['then'], ['and']];
+
+/**
+ * Connectors after which the next command may drop "computer"
+ */
+const PREFIX_CONNECTORS = new Set(['and then', 'then']);
+
+/**
+ * Most words a trailing count/amount takes ("a little bit", "three times")
+ */
+const MAX_MODIFIER_WORDS = 3;
+
+/**
+ * Clean one word the way transcripts are cleaned before command matching
+ */
+function cleanWord(word) {
+  const clean = word.toLowerCase().replace(/[.,!?;:'"()[\]{}]/g, '');
+  return clean === 'computers' ? PREFIX : clean;
+}
+
+/**
+ * Phrase word lists grouped by first word, longest first
+ * @param {Object<string, string>} commands - phrase → action
+ * @returns {Map<string, string[][]>}
+ */
+function buildPhraseIndex(commands) {
+  const index = new Map();
+  for (const phrase of Object.keys(commands)) {
+    const words = phrase.split(' ');
+    if (!index.has(words[0])) index.set(words[0], []);
+    index.get(words[0]).push(words);
+  }
+  for (const list of index.values()) {
+    list.sort((a, b) => b.length - a.length);
+  }
+  return index;
+}
+
+function wordsMatch(tokens, start, words) {
+  if (start + words.length > tokens.length) return false;
+  return words.every((word, offset) => tokens[start + offset] === word);
+}
+
+/**
+ * Longest phrase starting at `start`
+ * @param {string[]} tokens - Cleaned words
+ * @param {number} start
+ * @param {Map} index - From buildPhraseIndex
+ * @param {boolean} implicitPrefix - Match "computer X" phrases spoken as "X" (chained commands)
+ * @returns {{phrase: string, end: number}|null}
+ */
+function matchPhraseAt(tokens, start, index, implicitPrefix) {
+  const candidates = implicitPrefix
+    ? (index.get(PREFIX) || []).map(words => ({ words, spoken: words.slice(1) }))
+    : (index.get(tokens[start]) || []).map(words => ({ words, spoken: words }));
+
+  for (const { words, spoken } of candidates) {
+    if (spoken.length === 0 || !wordsMatch(tokens, start, spoken)) continue;
+    const end = start + spoken.length;
+    // Unprefixed phrases are everyday words - only trust them at the end
+    if (words[0] !== PREFIX && end !== tokens.length) continue;
+    return { phrase: words.join(' '), end };
+  }
+  return null;
+}
+
+/**
+ * Command at `start`, or after a connector when it follows another command
+ * @returns {{phrase: string, end: number}|null}
+ */
+function matchCommandAt(tokens, start, index, afterCommand) {
+  if (afterCommand) {
+    for (const connector of CONNECTORS) {
+      if (!wordsMatch(tokens, start, connector)) continue;
+      const next = start + connector.length;
+      const match = matchPhraseAt(tokens, next, index, false) ||
+        (PREFIX_CONNECTORS.has(connector.join(' ')) && matchPhraseAt(tokens, next, index, true));
+      if (match) return match;
+    }
+  }
+  return matchPhraseAt(tokens, start, index, false);
+}
+
+/**
+ * Extend a navigation/volume command with a trailing count or amount
+ * @returns {{modifiers: object|null, end: number}}
+ */
+function matchModifiers(tokens, phrase, end, commands) {
+  for (let count = Math.min(MAX_MODIFIER_WORDS, tokens.length - end); count > 0; count--) {
+    const candidate = [phrase, ...tokens.slice(end, end + count)].join(' ');
+    const modifiers = matchModifiedCommand(candidate, commands);
+    if (modifiers && modifiers.text === phrase) {
+      return { modifiers, end: end + count };
+    }
+  }
+  return { modifiers: null, end };
+}
+
+/**
+ * Text between commands, without the separators spoken around it
+ */
+function textSegment(words) {
+  const text = words.join(' ').replace(/^[\s,;:]+|[\s,;:]+$/g, '');
+  return text ? { type: 'text', text } : null;
+}
+
+/**
+ * Split an utterance into text and command segments
+ * @param {string} text - Transcript as spoken (case and punctuation are kept in text segments)
+ * @param {Object<string, string>} commands - Active phrase → action map
+ * @returns {Array<{type: 'text', text: string}|{type: 'command', phrase: string, action: string, modifiers: object|null}>}
+ */
+export function spotCommands(text, commands) {
+  const words = (text || '').trim().split(/\s+/).filter(Boolean);
+  const tokens = words.map(cleanWord);
+  const index = buildPhraseIndex(commands);
+  const segments = [];
+
+  let textStart = 0;
+  let afterCommand = false;
+  let i = 0;
+
+  while (i < tokens.length) {
+    const match = matchCommandAt(tokens, i, index, afterCommand);
+    if (!match) {
+      // Punctuation-only words don't break a chain
+      if (tokens[i]) afterCommand = false;
+      i++;
+      continue;
+    }
+
+    const text = textSegment(words.slice(textStart, i));
+    if (text) segments.push(text);
+
+    const { modifiers, end } = matchModifiers(tokens, match.phrase, match.end, commands);
+    segments.push({ type: 'command', phrase: match.phrase, action: commands[match.phrase], modifiers });
+
+    i = end;
+    textStart = end;
+    afterCommand = true;
+  }
+
+  const rest = textSegment(words.slice(textStart));
+  if (rest) segments.push(rest);
+  return segments;
+}
+
+/**
+ * Does the utterance contain at least one command?
+ * @param {Array} segments - From spotCommands
+ * @returns {boolean}
+ */
+export function hasCommands(segments) {
+  return segments.some(segment => segment.type === 'command');
+}
@@ -23,6 +23,7 @@ const DEFAULT_COMMANDS = {
   commands: [],
   workflows: [],
   context_overrides: [],
+  removed_defaults: [],   // Default phrases the user forgot - never re-added
   stats: {
     total_commands: 0,
     total_phrases: 0,
@@ -42,6 +43,30 @@ export class CommandDictionary {
     this.data = null;
     this.fuse = null;  // Fuzzy search index
     this.phraseIndex = new Map();  // phrase → command for O(1) lookup
+    this.changeListeners = new Set();
+  }
+
+  /**
+   * Subscribe to phrase changes (load, learn, forget)
+   * @param {function} listener - Called with no arguments after the indexes are rebuilt
+   * @returns {function} - Unsubscribe
+   */
+  onChange(listener) {
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
+  }
+
+  /**
+   * Notify change listeners (errors are logged, not thrown)
+   */
+  notifyChange() {
+    for (const listener of this.changeListeners) {
+      try {
+        listener();
+      } catch (e) {
+        console.error('[Commands] Change listener failed:', e.message);
+      }
+    }
   }
 
   /**
@@ -61,6 +86,7 @@ export class CommandDictionary {
 
       this.buildIndexes();
       console.log(`[Commands] Loaded ${this.data.commands.length} commands, ${this.phraseIndex.size} phrases`);
+      this.notifyChange();
 
     } catch (e) {
       console.error('[Commands] Failed to load:', e);
@@ -85,6 +111,7 @@ export class CommandDictionary {
       cmd.phrases.map(phrase => ({
         phrase: this.normalize(phrase),
         action: cmd.action,
+        target: cmd.target || null,
         commandId: cmd.id
       }))
     );
@@ -124,6 +151,7 @@ export class CommandDictionary {
       this.recordUsage(cmd.id);
       return {
         action: cmd.action,
+        target: cmd.target || null,
         confidence: 1.0,
         tier: 1,
         source: 'exact'
@@ -153,6 +181,7 @@ export class CommandDictionary {
 
       return {
         action: match.action,
+        target: match.target || null,
         confidence,
         tier: 2,
         source: 'fuzzy',
@@ -185,9 +214,10 @@ export class CommandDictionary {
    * @param {string} phrase - The phrase to learn
    * @param {string} action - The action it maps to
    * @param {string} source - Source: 'learned', 'trained', 'default'
+   * @param {string|null} target - Optional action target (e.g. app name for focus_app)
    * @returns {Promise<boolean>} - True if learned successfully
    */
-  async learn(phrase, action, source = 'learned') {
+  async learn(phrase, action, source = 'learned', target = null) {
     const normalized = this.normalize(phrase);
 
     // Check if already exists
@@ -196,8 +226,14 @@ export class CommandDictionary {
       return false;
     }
 
-    // Find or create command entry
-    let cmd = this.data.commands.find(c => c.action === action);
+    // Find or create command entry. Entries are keyed by action + target, and trained
+    // phrases get their own entry so they can be told apart from learned/default ones
+    const trained = source === 'trained';
+    let cmd = this.data.commands.find(c =>
+      c.action === action &&
+      (c.target || null) === target &&
+      (c.source === 'trained') === trained
+    );
 
     if (cmd) {
       // Add phrase to existing command
@@ -208,6 +244,7 @@ export class CommandDictionary {
       cmd = {
         id: `cmd_${Date.now()}`,
         action,
+        ...(target && { target }),
         phrases: [phrase],
         source,
         confidence: source === 'trained' ? 1.0 : 0.8,
@@ -224,8 +261,9 @@ export class CommandDictionary {
 
     await this.save();
     this.buildIndexes();  // Rebuild fuzzy index
+    this.notifyChange();
 
-    console.log(`[Commands] Learned: "${phrase}" → ${action}`);
+    console.log(`[Commands] Learned: "${phrase}" → ${action}${target ? ` (${target})` : ''}`);
     return true;
   }
 
@@ -243,6 +281,12 @@ export class CommandDictionary {
     // Remove phrase from command
     cmd.phrases = cmd.phrases.filter(p => this.normalize(p) !== normalized);
 
+    // Remember forgotten defaults so addMissingDefaults doesn't bring them back
+    if (cmd.source === 'default') {
+      if (!this.data.removed_defaults) this.data.removed_defaults = [];
+      if (!this.data.removed_defaults.includes(normalized)) this.data.removed_defaults.push(normalized);
+    }
+
     // If no phrases left, remove the command entirely
     if (cmd.phrases.length === 0) {
       this.data.commands = this.data.commands.filter(c => c.id !== cmd.id);
@@ -254,6 +298,7 @@ export class CommandDictionary {
 
     await this.save();
     this.buildIndexes();
+    this.notifyChange();
 
     console.log(`[Commands] Forgot: "${phrase}"`);
     return true;
@@ -274,13 +319,14 @@ export class CommandDictionary {
    * @param {string} phrase - The phrase to replace
    * @param {string} newAction - The new action
    * @param {string} source - Source: 'learned', 'trained', 'default'
+   * @param {string|null} target - Optional action target
    * @returns {Promise<boolean>} - True if replaced successfully
    */
-  async replace(phrase, newAction, source = 'trained') {
+  async replace(phrase, newAction, source = 'trained', target = null) {
     // First forget the old mapping
     await this.forget(phrase);
     // Then learn the new mapping
-    return await this.learn(phrase, newAction, source);
+    return await this.learn(phrase, newAction, source, target);
   }
 
   /**
@@ -358,10 +404,130 @@ export class CommandDictionary {
     this.data.stats.total_commands = this.data.commands.length;
     await this.save();
     this.buildIndexes();
+    this.notifyChange();
 
     console.log(`[Commands] Migrated ${this.data.commands.length} default commands`);
   }
 
+  /**
+   * Add bundled defaults for actions the dictionary doesn't know yet
+   * Lets existing dictionaries pick up actions added in later releases.
+   * Phrases the user already maps to something else or forgot are left alone;
+   * a default phrase that a later release moved to the new action moves with it.
+   * @param {Array} defaultCommands - Array of {action, phrases}
+   * @returns {Promise<number>} - Number of commands added
+   */
+  async addMissingDefaults(defaultCommands) {
+    const knownActions = new Set(this.data.commands.map(cmd => cmd.action));
+    const removed = new Set(this.data.removed_defaults || []);
+    const bundledAction = new Map();
+    for (const cmd of defaultCommands) {
+      cmd.phrases.forEach(phrase => bundledAction.set(this.normalize(phrase), cmd.action));
+    }
+    let added = 0;
+
+    for (const cmd of defaultCommands) {
+      if (knownActions.has(cmd.action)) continue;
+      const phrases = cmd.phrases.filter(phrase => {
+        const normalized = this.normalize(phrase);
+        if (removed.has(normalized)) return false;
+        const existing = this.phraseIndex.get(normalized);
+        if (!existing) return true;
+        if (existing.source !== 'default' || bundledAction.get(normalized) === existing.action) return false;
+
+        existing.phrases = existing.phrases.filter(p => this.normalize(p) !== normalized);
+        return true;
+      });
+      if (phrases.length === 0) continue;
+
+      this.data.commands.push({
+        id: `cmd_default_${cmd.action}`,
+        action: cmd.action,
+        phrases,
+        source: 'default',
+        confidence: 1.0,
+        use_count: 0,
+        created_at: new Date().toISOString()
+      });
+      added++;
+    }
+
+    if (added === 0) return 0;
+
+    this.data.commands = this.data.commands.filter(cmd => cmd.phrases.length > 0);
+    this.data.stats.total_commands = this.data.commands.length;
+    await this.save();
+    this.buildIndexes();
+    this.notifyChange();
+
+    console.log(`[Commands] Added ${added} new default commands`);
+    return added;
+  }
+
+  /**
+   * Per-app profiles (see app-profiles.js)
+   * @returns {Array}
+   */
+  getContextOverrides() {
+    return this.data?.context_overrides || [];
+  }
+
+  /**
+   * Create or update the profile for an app
+   * Commands are merged by phrase (a new action for a phrase replaces the old one),
+   * settings (commands_only, mode) replace the old value, formatting is merged.
+   * @param {string} app - App name or bundle ID
+   * @param {object} changes - {commands, commands_only, mode, formatting}
+   * @returns {Promise<object>} - The updated profile
+   */
+  async setContextOverride(app, changes) {
+    if (!this.data.context_overrides) this.data.context_overrides = [];
+
+    let profile = this.data.context_overrides.find(p => p.app.toLowerCase() === app.toLowerCase());
+    if (!profile) {
+      profile = {
+        id: `ctx_${Date.now()}`,
+        app,
+        commands: [],
+        created_at: new Date().toISOString()
+      };
+      this.data.context_overrides.push(profile);
+    }
+
+    const { commands = [], formatting, ...settings } = changes;
+    for (const command of commands) {
+      const normalized = this.normalize(command.phrase);
+      profile.commands = (profile.commands || []).filter(c => this.normalize(c.phrase) !== normalized);
+      profile.commands.push({ phrase: command.phrase, action: command.action, ...(command.target && { target: command.target }) });
+    }
+    if (formatting) profile.formatting = { ...profile.formatting, ...formatting };
+    Object.assign(profile, settings);
+    profile.updated_at = new Date().toISOString();
+
+    this.data.updated_at = profile.updated_at;
+    await this.save();
+    this.notifyChange();
+
+    console.log(`[Commands] Updated ${app} profile`);
+    return profile;
+  }
+
+  /**
+   * Remove the profile for an app
+   * @param {string} app
+   * @returns {Promise<boolean>} - True if a profile was removed
+   */
+  async removeContextOverride(app) {
+    const before = this.getContextOverrides().length;
+    this.data.context_overrides = this.getContextOverrides().filter(p => p.app.toLowerCase() !== app.toLowerCase());
+    if (this.data.context_overrides.length === before) return false;
+
+    await this.save();
+    this.notifyChange();
+    console.log(`[Commands] Removed ${app} profile`);
+    return true;
+  }
+
   /**
    * Get all commands (for debugging/export)
    * @returns {Array}
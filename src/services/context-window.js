@@ -18,12 +18,19 @@
  * @property {string} [action] - Action name (for action entries)
  * @property {number} [confidence] - Confidence level (for action entries)
  * @property {number} [tier] - Resolution tier 1/2/3 (for action entries)
+ * @property {string} [target] - App or other target (for action entries)
+ * @property {any} [value] - Parameter, e.g. an addon pattern's number (for action entries)
  * @property {string} [feedbackType] - 'positive' | 'negative' (for feedback entries)
  * @property {string} [originalPhrase] - Original phrase being corrected
  * @property {string} [intendedAction] - What user actually wanted
  * @property {number} timestamp - When this entry was added
  */
 
+/**
+ * Entries older than this aren't part of the summary for the intent resolver
+ */
+const SUMMARY_MAX_AGE_SECONDS = 120;
+
 /**
  * ContextWindow class
  * Maintains a sliding window of recent activity for context-aware learning
@@ -67,9 +74,15 @@ export class ContextWindow {
    * @param {string} action - Action that was executed
    * @param {number} confidence - Confidence level (0-1)
    * @param {number} [tier] - Which tier resolved this (1, 2, or 3)
+   * @param {{target?: string, value?: any, modifiers?: object}} [details] - What the action ran on,
+   *   and its repeat count or amount (see action-modifiers.js)
    */
-  addAction(action, confidence, tier = null) {
-    this.add({ type: 'action', action, confidence, tier });
+  addAction(action, confidence, tier = null, details = {}) {
+    const entry = { type: 'action', action, confidence, tier };
+    if (details.target) entry.target = details.target;
+    if (details.value !== undefined && details.value !== null) entry.value = details.value;
+    if (details.modifiers && Object.keys(details.modifiers).length > 0) entry.modifiers = details.modifiers;
+    this.add(entry);
   }
 
   /**
@@ -187,6 +200,42 @@ export class ContextWindow {
     return null;
   }
 
+  /**
+   * Compact summary of recent activity for the intent resolver, so follow-ups
+   * resolve relative to it ("do that again" → the last action, "the other one"
+   * → the action before it)
+   * @param {number} seconds - Only entries from the last N seconds
+   * @returns {{lastAction: object|null, previousAction: object|null, lastCorrection: object|null}} -
+   *   Actions are {action, target, value, modifiers, phrase} (phrase: the speech right before it);
+   *   the correction is {phrase, action, intendedAction}
+   */
+  getSummary(seconds = SUMMARY_MAX_AGE_SECONDS) {
+    const recent = this.getRecent(seconds);
+    const actions = [];
+    let lastCorrection = null;
+
+    recent.forEach((entry, i) => {
+      if (entry.type === 'action') {
+        const before = recent[i - 1];
+        actions.push({
+          action: entry.action,
+          target: entry.target ?? null,
+          value: entry.value ?? null,
+          modifiers: entry.modifiers ?? null,
+          phrase: before?.type === 'speech' ? before.text : null
+        });
+      } else if (entry.type === 'correction') {
+        lastCorrection = { phrase: entry.originalPhrase, action: entry.action, intendedAction: entry.intendedAction };
+      }
+    });
+
+    return {
+      lastAction: actions[actions.length - 1] || null,
+      previousAction: actions[actions.length - 2] || null,
+      lastCorrection
+    };
+  }
+
   /**
    * Clear all history
    */
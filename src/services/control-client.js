@@ -0,0 +1,104 @@
+/**
+ * Control Client
+ *
+ * Calls the control API of a running instance (see control-server.js).
+ * Used by the `s2t toggle`, `s2t mode`, `s2t status`, ... subcommands.
+ */
+
+import net from 'net';
+
+import { CONTROL_SOCKET } from './control-server.js';
+
+/**
+ * How long to wait for an answer before giving up
+ */
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Error codes set on rejected calls
+ */
+export const CLIENT_ERRORS = {
+  NOT_RUNNING: 'NOT_RUNNING',   // No instance is listening on the socket
+  TIMEOUT: 'TIMEOUT'            // Connected, but no answer in time
+};
+
+/**
+ * Call one control method and close the connection
+ *
+ * Rejects with error.code set to CLIENT_ERRORS.NOT_RUNNING when no instance is
+ * running, CLIENT_ERRORS.TIMEOUT when it doesn't answer, or the JSON-RPC error
+ * code when the method failed.
+ *
+ * @param {string} method - e.g. "toggle", "setMode"
+ * @param {object} params
+ * @param {object} options
+ * @param {string} options.socketPath - Control socket
+ * @param {number} options.timeoutMs - Give up after this long
+ * @returns {Promise<any>} - The method's result
+ */
+export function callControl(method, params = {}, { socketPath = CONTROL_SOCKET, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath);
+    let buffer = '';
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      error ? reject(error) : resolve(result);
+    };
+
+    const fail = (message, code) => {
+      const error = new Error(message);
+      error.code = code;
+      finish(error);
+    };
+
+    const timer = setTimeout(() => {
+      fail(`No answer to ${method} within ${timeoutMs}ms`, CLIENT_ERRORS.TIMEOUT);
+    }, timeoutMs);
+
+    socket.setEncoding('utf8');
+
+    socket.on('connect', () => {
+      socket.write(JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }) + '\n');
+    });
+
+    socket.on('data', (data) => {
+      buffer += data;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (message.id !== 1) continue;   // Pushed notifications
+
+        if (message.error) {
+          fail(message.error.message, message.error.code);
+        } else {
+          finish(null, message.result);
+        }
+      }
+    });
+
+    socket.on('error', (error) => {
+      if (error.code === 'ENOENT' || error.code === 'ECONNREFUSED') {
+        fail('ONE is not running', CLIENT_ERRORS.NOT_RUNNING);
+      } else {
+        finish(error);
+      }
+    });
+
+    socket.on('close', () => {
+      fail(`Connection closed before ${method} was answered`, CLIENT_ERRORS.NOT_RUNNING);
+    });
+  });
+}
@@ -0,0 +1,325 @@
+/**
+ * Control Server
+ *
+ * Local JSON-RPC 2.0 API for the GUI, hooks and the CLI, served on a
+ * Unix-domain socket. Replaces polling /tmp/s2t-gui-command and
+ * /tmp/s2t-status.json: commands get an answer, and subscribers are pushed
+ * status changes and events as they happen.
+ *
+ * Wire format: one JSON message per line.
+ *   → {"jsonrpc":"2.0","id":1,"method":"setMode","params":{"mode":"claude"}}
+ *   ← {"jsonrpc":"2.0","id":1,"result":{"mode":"claude"}}
+ * After "subscribe", the server sends notifications (no id):
+ *   ← {"jsonrpc":"2.0","method":"status","params":{...}}
+ *   ← {"jsonrpc":"2.0","method":"event","params":{"type":"transcript",...}}
+ */
+
+import fs from 'fs';
+import net from 'net';
+
+/**
+ * Socket path shared with gui/main.cjs and the CLI client
+ */
+export const CONTROL_SOCKET = process.env.S2T_CONTROL_SOCKET || '/tmp/s2t-control.sock';
+
+/**
+ * JSON-RPC 2.0 error codes
+ */
+export const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603
+};
+
+/**
+ * Lines longer than this are rejected (protects against a runaway client)
+ */
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+/**
+ * Build an error a method handler can throw to choose the JSON-RPC error code
+ * @param {string} message
+ * @param {number} code - One of RPC_ERRORS
+ * @returns {Error}
+ */
+export function rpcError(message, code = RPC_ERRORS.INVALID_PARAMS) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Deprecated file protocol (/tmp/s2t-gui-command) → control method
+ * Kept so existing hooks that write the command file keep working.
+ */
+const LEGACY_COMMANDS = {
+  'toggle': { method: 'toggle' },
+  'start': { method: 'start' },
+  'stop': { method: 'stop' },
+  'reload-addons': { method: 'reload', params: { target: 'addons' } },
+  'reload-ai': { method: 'reload', params: { target: 'ai' } },
+  'reload-commands': { method: 'reload', params: { target: 'commands' } },
+  'sync-tts': { method: 'syncTts' },
+  'smart-commands-on': { method: 'setSmartCommands', params: { enabled: true } },
+  'smart-commands-off': { method: 'setSmartCommands', params: { enabled: false } },
+  'live-typing-on': { method: 'setLiveTyping', params: { enabled: true } },
+  'live-typing-off': { method: 'setLiveTyping', params: { enabled: false } }
+};
+
+/**
+ * Translate a command-file line into a control call
+ * @param {string} command - e.g. "toggle", "mode:claude"
+ * @returns {{method: string, params: object}|null} - Null for unknown commands
+ */
+export function parseLegacyCommand(command) {
+  const trimmed = (command || '').trim();
+  if (trimmed.startsWith('mode:')) {
+    return { method: 'setMode', params: { mode: trimmed.slice('mode:'.length) } };
+  }
+  const call = LEGACY_COMMANDS[trimmed];
+  return call ? { method: call.method, params: { ...call.params } } : null;
+}
+
+/**
+ * ControlServer class
+ * Dispatches JSON-RPC requests to registered methods and pushes status/events
+ */
+export class ControlServer {
+  /**
+   * @param {object} options
+   * @param {string} options.socketPath - Unix-domain socket to listen on
+   */
+  constructor({ socketPath = CONTROL_SOCKET } = {}) {
+    this.socketPath = socketPath;
+    this.server = null;
+    this.clients = new Set();
+    this.methods = new Map();   // name → async (params, client) => result
+    this.lastStatus = null;     // Last status pushed (JSON), to skip duplicates
+
+    // Callbacks for integration
+    this.getStatus = null;      // () => status object
+
+    this.register('ping', () => 'pong');
+    this.register('status', () => this.getStatus?.() ?? null);
+    this.register('subscribe', (params, client) => {
+      client.subscribed = true;
+      return this.getStatus?.() ?? null;
+    });
+    this.register('unsubscribe', (params, client) => {
+      client.subscribed = false;
+      return true;
+    });
+  }
+
+  /**
+   * Set callbacks for integration
+   */
+  setCallbacks({ getStatus }) {
+    this.getStatus = getStatus;
+  }
+
+  /**
+   * Register a method
+   * @param {string} name - Method name ("toggle", "setMode", ...)
+   * @param {function(object, object): any} handler - May be async; throw rpcError() for a specific code
+   */
+  register(name, handler) {
+    this.methods.set(name, handler);
+  }
+
+  /**
+   * Run a method in-process (used by the command-file fallback)
+   * @param {string} method
+   * @param {object} params
+   * @returns {Promise<any>}
+   */
+  async call(method, params = {}) {
+    const handler = this.methods.get(method);
+    if (!handler) {
+      throw rpcError(`Unknown method: ${method}`, RPC_ERRORS.METHOD_NOT_FOUND);
+    }
+    return handler(params, { subscribed: false });
+  }
+
+  /**
+   * Start listening
+   * A socket file left by a crashed instance is removed; a live one is an error.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.server) return;
+
+    if (fs.existsSync(this.socketPath)) {
+      if (await isSocketAlive(this.socketPath)) {
+        throw new Error(`[control] Another instance is listening on ${this.socketPath}`);
+      }
+      fs.unlinkSync(this.socketPath);
+    }
+
+    const server = net.createServer(socket => this.accept(socket));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.socketPath, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+
+    server.on('error', (error) => {
+      console.error('[control] Server error:', error.message);
+    });
+    this.server = server;
+    console.log(`[control] Listening on ${this.socketPath}`);
+  }
+
+  /**
+   * Close all connections and remove the socket file
+   */
+  shutdown() {
+    for (const client of this.clients) {
+      client.socket.destroy();
+    }
+    this.clients.clear();
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+      try {
+        fs.unlinkSync(this.socketPath);
+      } catch {
+        // Already gone
+      }
+    }
+  }
+
+  /**
+   * Push the status to subscribers if it changed since the last push
+   * @param {object} status
+   * @returns {boolean} - True if it was pushed
+   */
+  publishStatus(status) {
+    const json = JSON.stringify(status);
+    if (json === this.lastStatus) return false;
+
+    this.lastStatus = json;
+    this.broadcast('status', status);
+    return true;
+  }
+
+  /**
+   * Push an event to subscribers
+   * @param {string} type - e.g. "transcript", "reconnecting"
+   * @param {object} data
+   */
+  publishEvent(type, data = {}) {
+    this.broadcast('event', { type, ...data, at: Date.now() });
+  }
+
+  /**
+   * Number of connected clients
+   * @returns {number}
+   */
+  size() {
+    return this.clients.size;
+  }
+
+  broadcast(method, params) {
+    const line = JSON.stringify({ jsonrpc: '2.0', method, params }) + '\n';
+    for (const client of this.clients) {
+      if (client.subscribed) {
+        client.socket.write(line);
+      }
+    }
+  }
+
+  accept(socket) {
+    const client = { socket, subscribed: false, buffer: '' };
+    this.clients.add(client);
+    socket.setEncoding('utf8');
+
+    socket.on('data', (data) => {
+      client.buffer += data;
+      if (client.buffer.length > MAX_MESSAGE_BYTES && !client.buffer.includes('\n')) {
+        this.reply(client, null, null, { code: RPC_ERRORS.INVALID_REQUEST, message: 'Message too large' });
+        socket.destroy();
+        return;
+      }
+
+      let newline;
+      while ((newline = client.buffer.indexOf('\n')) !== -1) {
+        const line = client.buffer.slice(0, newline).trim();
+        client.buffer = client.buffer.slice(newline + 1);
+        if (line) this.handleLine(client, line);
+      }
+    });
+
+    socket.on('close', () => this.clients.delete(client));
+    socket.on('error', () => this.clients.delete(client));
+  }
+
+  /**
+   * Parse and dispatch one request
+   * @returns {Promise<void>}
+   */
+  async handleLine(client, line) {
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch {
+      this.reply(client, null, null, { code: RPC_ERRORS.PARSE_ERROR, message: 'Parse error' });
+      return;
+    }
+
+    const id = request?.id ?? null;
+    if (!request || typeof request.method !== 'string') {
+      this.reply(client, id, null, { code: RPC_ERRORS.INVALID_REQUEST, message: 'Invalid request' });
+      return;
+    }
+
+    const handler = this.methods.get(request.method);
+    if (!handler) {
+      this.reply(client, id, null, { code: RPC_ERRORS.METHOD_NOT_FOUND, message: `Unknown method: ${request.method}` });
+      return;
+    }
+
+    try {
+      const result = await handler(request.params || {}, client);
+      this.reply(client, id, result ?? null);
+    } catch (error) {
+      console.error(`[control] ${request.method} failed:`, error.message);
+      this.reply(client, id, null, { code: Number.isInteger(error.code) ? error.code : RPC_ERRORS.INTERNAL_ERROR, message: error.message });
+    }
+  }
+
+  reply(client, id, result, error = null) {
+    // Notifications (no id) get no response unless the request was unreadable
+    if (id === null && !error) return;
+    if (client.socket.destroyed) return;
+
+    const message = error ? { jsonrpc: '2.0', id, error } : { jsonrpc: '2.0', id, result };
+    client.socket.write(JSON.stringify(message) + '\n');
+  }
+}
+
+/**
+ * Is something accepting connections on this socket?
+ * @param {string} socketPath
+ * @returns {Promise<boolean>}
+ */
+function isSocketAlive(socketPath) {
+  return new Promise((resolve) => {
+    const probe = net.createConnection(socketPath);
+    probe.once('connect', () => {
+      probe.destroy();
+      resolve(true);
+    });
+    probe.once('error', () => resolve(false));
+  });
+}
+
+// Singleton
+export const controlServer = new ControlServer();
+
+export default controlServer;
@@ -0,0 +1,579 @@
+/**
+ * Dictation Formatter
+ *
+ * Post-processes dictated text before it is typed:
+ *
+ *   punctuation - spoken marks: "comma", "period", "new paragraph", "open paren"
+ *   casing      - "all caps hello" → HELLO, "camel case foo bar" → fooBar,
+ *                 "snake case user id" → user_id
+ *   symbols     - "arrow" → ->, "equals equals" → ==, "src slash index dot js" → src/index.js
+ *   numbers     - "twenty three" → 23, "three point five" → 3.5, "fifty percent" → 50%
+ *   dates       - "march twenty first twenty twenty six" → March 21, 2026
+ *
+ * A casing command applies to the words that follow it, up to the next spoken
+ * mark or symbol, the end of the sentence, or "end case". Say "literal" before
+ * a keyword to type the word itself ("literal comma").
+ *
+ * Every feature can be switched per mode (speech.formatting.<mode>). Spoken
+ * punctuation and casing are opt-in for general dictation, where "period",
+ * "new line" and "no caps" are far more often just words in a sentence. Symbols
+ * are on in Claude mode only: prompts there are full of identifiers and file
+ * paths, while in general dictation "dot" and "slash" are usually just words.
+ *
+ * The `code` profile is used in general mode while a terminal or editor has
+ * focus (see code-dictation.js).
+ */
+
+import { CODE_SYMBOLS, COMMAND_SEPARATORS, matchCliCommand } from './code-dictation.js';
+
+/**
+ * Formatting profiles per mode
+ * Override per mode in config (speech.formatting.<mode>).
+ */
+export const FORMATTING_PROFILES = {
+  general: { enabled: true, punctuation: false, casing: false, symbols: false, numbers: true, dates: true, code: false },
+  claude: { punctuation: true, casing: true, symbols: true },
+  code: { punctuation: true, casing: true, symbols: true, dates: false, code: true },
+  // Addons type into search fields and text inputs of their own
+  addon: { enabled: false }
+};
+
+/**
+ * Resolve the formatting options for a mode: general defaults + built-in profile + config overrides
+ * @param {string} mode - Mode name (unknown names fall back to general)
+ * @param {object} overrides - speech.formatting from config
+ * @returns {object}
+ */
+export function resolveFormatting(mode = 'general', overrides = {}) {
+  const known = (FORMATTING_PROFILES[mode] || overrides[mode]) ? mode : 'general';
+  const general = { ...FORMATTING_PROFILES.general, ...overrides.general };
+  if (known === 'general') return general;
+  return { ...general, ...FORMATTING_PROFILES[known], ...overrides[known] };
+}
+
+/**
+ * Spoken punctuation
+ * kind: close attaches to the previous word, open to the next one,
+ * break starts a new line, join glues both sides
+ */
+const PUNCTUATION = {
+  'comma': { text: ',', kind: 'close' },
+  'period': { text: '.', kind: 'close', sentenceEnd: true },
+  'full stop': { text: '.', kind: 'close', sentenceEnd: true },
+  'question mark': { text: '?', kind: 'close', sentenceEnd: true },
+  'exclamation mark': { text: '!', kind: 'close', sentenceEnd: true },
+  'exclamation point': { text: '!', kind: 'close', sentenceEnd: true },
+  'colon': { text: ':', kind: 'close' },
+  'semicolon': { text: ';', kind: 'close' },
+  'ellipsis': { text: '...', kind: 'close' },
+  'new line': { text: '\n', kind: 'break' },
+  'newline': { text: '\n', kind: 'break' },
+  'new paragraph': { text: '\n\n', kind: 'break' },
+  'open paren': { text: '(', kind: 'open' },
+  'open parenthesis': { text: '(', kind: 'open' },
+  'close paren': { text: ')', kind: 'close' },
+  'close parenthesis': { text: ')', kind: 'close' },
+  'open bracket': { text: '[', kind: 'open' },
+  'close bracket': { text: ']', kind: 'close' },
+  'open brace': { text: '{', kind: 'open' },
+  'close brace': { text: '}', kind: 'close' },
+  'open quote': { text: '"', kind: 'open' },
+  'close quote': { text: '"', kind: 'close' },
+  'end quote': { text: '"', kind: 'close' },
+  'unquote': { text: '"', kind: 'close' },
+  'hyphen': { text: '-', kind: 'join' }
+};
+
+/**
+ * Spoken symbols
+ * kind: word is spaced like a word (operators), join glues both sides (paths,
+ * identifiers), open attaches to the next word, close to the previous one
+ */
+const SYMBOLS = {
+  'fat arrow': { text: '=>', kind: 'word' },
+  'arrow': { text: '->', kind: 'word' },
+  'triple equals': { text: '===', kind: 'word' },
+  'equals equals': { text: '==', kind: 'word' },
+  'double equals': { text: '==', kind: 'word' },
+  'not equals': { text: '!=', kind: 'word' },
+  'plus equals': { text: '+=', kind: 'word' },
+  'equals': { text: '=', kind: 'word' },
+  'greater than': { text: '>', kind: 'word' },
+  'less than': { text: '<', kind: 'word' },
+  'plus': { text: '+', kind: 'word' },
+  'minus': { text: '-', kind: 'word' },
+  'double ampersand': { text: '&&', kind: 'word' },
+  'ampersand': { text: '&', kind: 'word' },
+  'double pipe': { text: '||', kind: 'word' },
+  'pipe': { text: '|', kind: 'word' },
+  'slash': { text: '/', kind: 'join' },
+  'forward slash': { text: '/', kind: 'join' },
+  'backslash': { text: '\\', kind: 'join' },
+  'back slash': { text: '\\', kind: 'join' },
+  'dot': { text: '.', kind: 'join' },
+  'underscore': { text: '_', kind: 'join' },
+  'dash': { text: '-', kind: 'join' },
+  'tilde': { text: '~', kind: 'join' },
+  'at sign': { text: '@', kind: 'join' },
+  'star': { text: '*', kind: 'join' },
+  'asterisk': { text: '*', kind: 'join' },
+  'backtick': { text: '`', kind: 'join' },
+  'caret': { text: '^', kind: 'join' },
+  'hash': { text: '#', kind: 'open' },
+  'hashtag': { text: '#', kind: 'open' },
+  'dollar sign': { text: '$', kind: 'open' },
+  'percent sign': { text: '%', kind: 'close' }
+};
+
+const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Casing commands: words → typed text
+ */
+const CASING = {
+  'all caps': words => words.map(word => word.toUpperCase()).join(' '),
+  'no caps': words => words.join(' '),
+  'title case': words => words.map(capitalize).join(' '),
+  'camel case': words => words.map((word, i) => (i === 0 ? word : capitalize(word))).join(''),
+  'pascal case': words => words.map(capitalize).join(''),
+  'snake case': words => words.join('_'),
+  'constant case': words => words.join('_').toUpperCase(),
+  'kebab case': words => words.join('-')
+};
+
+const END_CASE = 'end case';
+const LITERAL = 'literal';
+
+/**
+ * Punctuation the recognizer adds itself (dropped next to spoken marks)
+ */
+const AUTO_PUNCTUATION = /[.,;:!?]+$/;
+
+const UNITS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+
+const TENS = {
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+const SCALES = { thousand: 1e3, million: 1e6, billion: 1e9 };
+
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+  tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15,
+  sixteenth: 16, seventeenth: 17, eighteenth: 18, nineteenth: 19,
+  twentieth: 20, thirtieth: 30, fortieth: 40, fiftieth: 50,
+  sixtieth: 60, seventieth: 70, eightieth: 80, ninetieth: 90
+};
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+/**
+ * Months that are also everyday words ("you may one day") - only dates with an
+ * ordinal or digit day, or a year
+ */
+const AMBIGUOUS_MONTHS = new Set(['march', 'may']);
+
+/**
+ * Split text into tokens: raw word, lowercase core and the recognizer's trailing punctuation
+ * Hyphenated number words ("twenty-three") become separate tokens.
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const raw of text.split(/\s+/).filter(Boolean)) {
+    const parts = raw.split('-');
+    const core = raw.toLowerCase().replace(/^[^\w]+|[^\w]+$/g, '');
+    if (parts.length > 1 && core.split('-').every(part => isNumberWord(part))) {
+      parts.forEach((part, i) => tokens.push(makeToken(i === parts.length - 1 ? part : part.replace(AUTO_PUNCTUATION, ''))));
+    } else {
+      tokens.push(makeToken(raw));
+    }
+  }
+  return tokens;
+}
+
+function makeToken(raw) {
+  return {
+    raw,
+    core: raw.toLowerCase().replace(/^[^\w]+|[^\w]+$/g, ''),
+    trail: raw.match(AUTO_PUNCTUATION)?.[0] || ''
+  };
+}
+
+function isNumberWord(word) {
+  return word in UNITS || word in TENS || word === 'hundred' || word in SCALES || word in ORDINALS;
+}
+
+/**
+ * Parse spoken number words starting at `start`
+ * Stops at the first word that can't continue the number, and after a word
+ * carrying punctuation.
+ * @returns {{value: number, end: number, ordinal: boolean}|null}
+ */
+function parseNumber(tokens, start) {
+  let total = 0;
+  let group = 0;       // Value below the current thousand/million
+  let last = null;     // Kind of the previous word
+  let lastScale = Infinity;
+  let i = start;
+
+  while (i < tokens.length) {
+    const word = tokens[i].core;
+    let kind = null;
+
+    if (word in ORDINALS && (last === null || last === 'hundred' || last === 'scale' || (last === 'tens' && ORDINALS[word] < 10))) {
+      group += ORDINALS[word];
+      i++;
+      return { value: total + group, end: i, ordinal: true };
+    }
+    if (word in UNITS && (last === null || last === 'hundred' || last === 'scale' || (last === 'tens' && UNITS[word] < 10))) {
+      group += UNITS[word];
+      kind = UNITS[word] < 10 ? 'unit' : 'teen';
+    } else if (word in TENS && (last === null || last === 'hundred' || last === 'scale')) {
+      group += TENS[word];
+      kind = 'tens';
+    } else if (word === 'hundred' && (last === 'unit' || last === 'teen') && group % 100 === group) {
+      group *= 100;
+      kind = 'hundred';
+    } else if (word in SCALES && last !== null && last !== 'scale' && SCALES[word] < lastScale) {
+      total += group * SCALES[word];
+      group = 0;
+      lastScale = SCALES[word];
+      kind = 'scale';
+    } else if (word === 'and' && (last === 'hundred' || last === 'scale') && i + 1 < tokens.length &&
+      (tokens[i + 1].core in UNITS || tokens[i + 1].core in TENS)) {
+      i++;
+      continue;
+    } else {
+      break;
+    }
+
+    last = kind;
+    i++;
+    if (tokens[i - 1].trail) break;
+  }
+
+  if (last === null) return null;
+  return { value: total + group, end: i, ordinal: false };
+}
+
+/**
+ * Digits after "point" ("three point one four")
+ * @returns {{digits: string, end: number}|null}
+ */
+function parseDecimals(tokens, start) {
+  if (tokens[start]?.core !== 'point' || tokens[start].trail) return null;
+  let digits = '';
+  let i = start + 1;
+  while (i < tokens.length && tokens[i].core in UNITS && UNITS[tokens[i].core] < 10) {
+    digits += UNITS[tokens[i].core];
+    i++;
+    if (tokens[i - 1].trail) break;
+  }
+  return digits ? { digits, end: i } : null;
+}
+
+function ordinalSuffix(n) {
+  if (n % 100 >= 11 && n % 100 <= 13) return 'th';
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+}
+
+/**
+ * Day of the month at `start` (cardinal or ordinal words)
+ * @returns {{value: number, end: number, ordinal: boolean}|null}
+ */
+function parseDay(tokens, start) {
+  const day = parseNumber(tokens, start);
+  return day && day.value >= 1 && day.value <= 31 ? day : null;
+}
+
+/**
+ * Year at `start`: "2026", "two thousand twenty six" or "twenty twenty six"
+ * @returns {{value: number, end: number}|null}
+ */
+function parseYear(tokens, start) {
+  if (/^\d{4}$/.test(tokens[start]?.core || '')) {
+    return { value: parseInt(tokens[start].core, 10), end: start + 1 };
+  }
+  const first = parseNumber(tokens, start);
+  if (!first || first.ordinal) return null;
+  if (first.value >= 1000 && first.value < 3000) return first;
+  if (first.value < 10 || first.value > 99 || tokens[first.end - 1].trail) return null;
+  const second = parseNumber(tokens, first.end);
+  if (!second || second.ordinal || second.value > 99) return null;
+  return { value: first.value * 100 + second.value, end: second.end };
+}
+
+/**
+ * Year outside a date, spoken as two pairs ("nineteen ninety nine", "twenty twenty six")
+ * @returns {{value: number, end: number}|null}
+ */
+function parseYearPair(tokens, start) {
+  const year = parseYear(tokens, start);
+  return year && year.value >= 1200 && year.value < 2100 && year.value % 100 >= 10 ? year : null;
+}
+
+/**
+ * End of a run of numbers spoken back to back ("ten fifteen")
+ */
+function numberRunEnd(tokens, start) {
+  let end = start;
+  let number = parseNumber(tokens, end);
+  while (number && !number.ordinal) {
+    end = number.end;
+    if (tokens[end - 1].trail) break;
+    number = parseNumber(tokens, end);
+  }
+  return end;
+}
+
+/**
+ * Replace spoken dates and numbers with digits
+ * Single numbers below ten stay words ("one of them", "the first time"),
+ * except in code. Outside code, numbers spoken back to back stay words unless
+ * they make a year ("ten fifteen", but "nineteen ninety nine" → 1999).
+ */
+function normalizeNumbers(tokens, options) {
+  const result = [];
+  let i = 0;
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+
+    if (options.dates && MONTHS.includes(token.core) && !token.trail) {
+      const day = parseDay(tokens, i + 1);
+      if (day) {
+        const year = tokens[day.end - 1].trail ? null : parseYear(tokens, day.end);
+        if (AMBIGUOUS_MONTHS.has(token.core) && !day.ordinal && !year) {
+          result.push(token);
+          i++;
+          continue;
+        }
+        const end = year ? year.end : day.end;
+        const date = `${capitalize(token.core)} ${day.value}${year ? `, ${year.value}` : ''}`;
+        result.push(makeToken(date + tokens[end - 1].trail));
+        i = end;
+        continue;
+      }
+    }
+
+    if (options.numbers) {
+      const number = parseNumber(tokens, i);
+      const year = number && !number.ordinal ? parseYearPair(tokens, i) : null;
+      if (year) {
+        result.push(makeToken(String(year.value) + tokens[year.end - 1].trail));
+        i = year.end;
+        continue;
+      }
+      if (number && !options.code && !number.ordinal && !tokens[number.end - 1].trail && parseNumber(tokens, number.end)) {
+        const end = numberRunEnd(tokens, i);
+        result.push(...tokens.slice(i, end));
+        i = end;
+        continue;
+      }
+      if (number) {
+        const decimals = number.ordinal || tokens[number.end - 1].trail ? null : parseDecimals(tokens, number.end);
+        if (number.value >= 10 || decimals || options.code) {
+          let end = decimals ? decimals.end : number.end;
+          let text = decimals ? `${number.value}.${decimals.digits}` : String(number.value);
+          if (number.ordinal) {
+            text += ordinalSuffix(number.value);
+          } else if (!tokens[end - 1].trail && tokens[end]?.core === 'percent') {
+            text += '%';
+            end++;
+          }
+          result.push(makeToken(text + tokens[end - 1].trail));
+          i = end;
+          continue;
+        }
+      }
+    }
+
+    result.push(token);
+    i++;
+  }
+
+  return result;
+}
+
+/**
+ * Undo the recognizer's prose formatting in code: sentence capitals and
+ * trailing periods, commas and question marks ("Git status." → git status)
+ */
+function undoProseFormatting(tokens) {
+  return tokens.map((token, i) => {
+    let raw = token.raw.replace(/[.,?!]+$/, '');
+    const sentenceStart = i === 0 || /[.?!]/.test(tokens[i - 1].trail);
+    if (sentenceStart && /^[A-Z][a-z]+$/.test(raw)) raw = raw.toLowerCase();
+    return { ...token, raw, trail: token.trail.replace(/[.,?!]/g, '') };
+  });
+}
+
+/**
+ * Typed output with the spacing rules of the marks
+ * @param {boolean} capitalizeSentences - Capitalize after sentence ends and line breaks (not in code)
+ */
+function createOutput(capitalizeSentences) {
+  const out = {
+    text: '',
+    glue: false,          // Next word attaches without a space
+    capitalizeNext: false,
+
+    word(text, { keepCase = false } = {}) {
+      if (out.text && !out.glue) out.text += ' ';
+      if (out.capitalizeNext && capitalizeSentences && !keepCase) text = capitalize(text);
+      out.text += text;
+      out.glue = false;
+      out.capitalizeNext = false;
+    },
+
+    mark({ text, kind, sentenceEnd }) {
+      if (kind === 'word') {
+        out.word(text, { keepCase: true });
+        return;
+      }
+      if (kind === 'open') {
+        if (out.text && !out.glue) out.text += ' ';
+        out.text += text;
+        out.glue = true;
+        return;
+      }
+      out.text = out.text.replace(/ +$/, '');
+      if (AUTO_PUNCTUATION.test(text)) {
+        out.text = out.text.replace(AUTO_PUNCTUATION, '');
+      }
+      out.text += text;
+      out.glue = kind !== 'close';
+      if (kind === 'break' || sentenceEnd) out.capitalizeNext = true;
+    },
+
+    // Recognizer punctuation carried over from a consumed word
+    attach(trail) {
+      out.text += trail;
+      if (/[.!?]/.test(trail)) out.capitalizeNext = true;
+    }
+  };
+  return out;
+}
+
+/**
+ * Keywords enabled by the options: phrase → {text, kind} | {casing}
+ */
+function buildKeywords(options) {
+  const keywords = new Map();
+  if (options.punctuation) {
+    for (const [phrase, mark] of Object.entries(PUNCTUATION)) keywords.set(phrase, mark);
+  }
+  if (options.symbols) {
+    for (const [phrase, mark] of Object.entries(SYMBOLS)) keywords.set(phrase, mark);
+    if (options.code) {
+      for (const [phrase, mark] of Object.entries(CODE_SYMBOLS)) keywords.set(phrase, mark);
+    }
+  }
+  if (options.casing) {
+    for (const [phrase, casing] of Object.entries(CASING)) keywords.set(phrase, { casing });
+    keywords.set(END_CASE, { endCase: true });
+  }
+  return keywords;
+}
+
+/**
+ * Longest keyword starting at `start`
+ * @returns {{entry: object, end: number}|null}
+ */
+function matchKeyword(tokens, start, keywords, maxWords) {
+  for (let count = Math.min(maxWords, tokens.length - start); count > 0; count--) {
+    const phrase = tokens.slice(start, start + count).map(token => token.core).join(' ');
+    const entry = keywords.get(phrase);
+    if (entry) return { entry, end: start + count };
+  }
+  return null;
+}
+
+/**
+ * Format dictated text
+ * @param {string} text - Transcript as recognized
+ * @param {object} options - From resolveFormatting(); all features off when omitted
+ * @returns {string}
+ */
+export function formatDictation(text, options = {}) {
+  if (!text || !options.enabled) return text;
+
+  let tokens = tokenize(text);
+  if (options.code) {
+    tokens = undoProseFormatting(tokens);
+  }
+  if (options.numbers || options.dates) {
+    tokens = normalizeNumbers(tokens, options);
+  }
+
+  const keywords = buildKeywords(options);
+  if (keywords.size === 0 && !options.code) {
+    return tokens.map(token => token.raw).join(' ');
+  }
+  const maxWords = Math.max(0, ...[...keywords.keys()].map(phrase => phrase.split(' ').length));
+  const out = createOutput(!options.code);
+  let commandStart = options.code;  // Code: where a shell command may begin
+  let i = 0;
+
+  while (i < tokens.length) {
+    // Code: fix the tool and subcommand at the start of each command ("get check out" → git checkout)
+    if (commandStart) {
+      const cli = matchCliCommand(tokens.map(token => token.core), i);
+      commandStart = cli?.prefix === true;
+      if (cli) {
+        out.word(cli.text, { keepCase: true });
+        i = cli.end;
+        continue;
+      }
+    }
+
+    // "literal comma" types the word "comma"
+    if (tokens[i].core === LITERAL) {
+      const escaped = matchKeyword(tokens, i + 1, keywords, maxWords);
+      if (escaped) {
+        for (const token of tokens.slice(i + 1, escaped.end)) out.word(token.raw);
+        i = escaped.end;
+        continue;
+      }
+    }
+
+    const match = matchKeyword(tokens, i, keywords, maxWords);
+    if (!match) {
+      out.word(tokens[i].raw);
+      i++;
+      continue;
+    }
+
+    const { entry, end } = match;
+    i = end;
+    if (entry.endCase) continue;
+    if (!entry.casing) {
+      out.mark(entry);
+      commandStart = options.code && COMMAND_SEPARATORS.has(entry.text);
+      continue;
+    }
+
+    // Casing applies up to the next keyword, "end case" or the end of the sentence
+    const words = [];
+    let trail = '';
+    while (i < tokens.length && !matchKeyword(tokens, i, keywords, maxWords)) {
+      words.push(tokens[i].core);
+      trail = tokens[i].trail;
+      i++;
+      if (trail) break;
+    }
+    if (words.length > 0) {
+      out.word(entry.casing(words), { keepCase: true });
+      if (trail) out.attach(trail);
+    }
+  }
+
+  return out.text;
+}
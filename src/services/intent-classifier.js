@@ -0,0 +1,330 @@
+/**
+ * Intent Classifier
+ *
+ * The local tier of the intent resolver, between the personal dictionary's
+ * fuzzy match and Claude. Runs on the CPU in a few milliseconds with no network:
+ *
+ *   "could you send it off"           → enter (0.93)
+ *   "bump the volume up a little"     → volume_up (0.88)
+ *   "I think the meeting went well"   → none
+ *
+ * It is a nearest-neighbour classifier over TF-IDF vectors of words, word pairs
+ * and character trigrams (trigrams catch misheard words: "past it" ~ "paste it").
+ * Examples are the personal dictionary's phrases plus a few phrases per core
+ * action and some plain dictation (`none`).
+ *
+ * Confidence is calibrated, not a raw similarity: after training, every example
+ * is classified against the others (leave-one-out), and the share classified
+ * correctly is recorded per score band. A confidence of 0.9 means "phrases this
+ * close to an action were right 90% of the time". The resolver only calls
+ * Claude when the confidence is below its threshold.
+ */
+
+/**
+ * Example phrases for the core actions (the intent resolver's prompt, in more words)
+ * focus_app isn't here: it needs an app name, which only trained phrases carry.
+ */
+export const ACTION_EXAMPLES = {
+  enter: ['send it', 'go ahead', 'submit', 'done', 'send the message', 'submit this', 'press enter', 'confirm'],
+  undo: ['take that back', 'oops', 'undo that', 'undo the last thing', 'scratch that'],
+  redo: ['redo that', 'put it back', 'bring it back', 'redo'],
+  delete: ['delete that', 'remove the selection', 'delete the selection', 'get rid of that'],
+  clear_all: ['start over', 'clear it', 'delete all', 'clear everything', 'erase everything'],
+  copy: ['copy that', 'grab this', 'copy this', 'copy the selection'],
+  paste: ['paste it', 'put it here', 'paste that', 'paste the clipboard'],
+  cut: ['cut that', 'move this', 'cut this', 'cut the selection'],
+  select_all: ['select everything', 'highlight all', 'select all', 'select all the text'],
+  save: ['save it', 'save this', 'save the file', 'save my work'],
+  find: ['search for', 'find in page', 'open find', 'search this page'],
+  scroll_up: ['go up', 'scroll up', 'scroll up a bit', 'move up'],
+  scroll_down: ['scroll down a bit', 'scroll down', 'go down', 'move down'],
+  page_up: ['previous page', 'page up', 'go back a page'],
+  page_down: ['next page', 'page down', 'go forward a page'],
+  new_tab: ['new tab', 'open tab', 'open a new tab'],
+  close_tab: ['close this', 'close tab', 'close this tab', 'close the tab'],
+  new_window: ['new window', 'open a window', 'open a new window'],
+  volume_up: ['volume up', 'turn it up', 'louder', 'turn the volume up'],
+  volume_down: ['volume down', 'turn it down', 'quieter', 'turn the volume down'],
+  mute: ['mute', 'mute the sound', 'silence the audio'],
+  unmute: ['unmute', 'unmute the sound', 'turn the sound back on'],
+  stop_listening: ['stop', 'quiet', 'shut up', 'stop listening'],
+  start_listening: ['listen', 'wake up', 'start listening'],
+  mode_general: ['general mode', 'switch to general mode', 'normal mode'],
+  mode_claude: ['claude mode', 'switch to claude mode'],
+  mode_music: ['music mode', 'switch to music mode'],
+  tts_on: ['turn on speech', 'read responses out loud', 'text to speech on'],
+  tts_off: ['turn off speech', 'stop reading out loud', 'text to speech off'],
+  smart_mode_on: ['smart mode on', 'turn on smart mode'],
+  smart_mode_off: ['smart mode off', 'turn off smart mode'],
+  none: [
+    'i need to write an email',
+    'i think the meeting went well',
+    'thanks for getting back to me',
+    'let me know what you think',
+    'we should talk about this tomorrow',
+    'the report is almost finished',
+    'can we move the call to friday',
+    'this looks good to me',
+    'i will send the draft later today',
+    'remember to buy milk on the way home'
+  ]
+};
+
+/**
+ * Defaults
+ */
+const MIN_SIMILARITY = 0.3;     // Below this nothing is close enough to guess
+const CALIBRATION_BINS = 10;    // Score bands for the leave-one-out accuracy
+
+/**
+ * Words of a phrase: lowercase, no punctuation or apostrophes, no "computer" prefix
+ * (the prefix is a safety marker handled by exact matching, not part of the intent)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const words = (text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  return words[0] === 'computer' ? words.slice(1) : words;
+}
+
+/**
+ * Features of a phrase with their counts: words, word pairs and character trigrams
+ * @param {string} text
+ * @returns {Map<string, number>}
+ */
+function features(text) {
+  const counts = new Map();
+  const add = (feature) => counts.set(feature, (counts.get(feature) || 0) + 1);
+
+  const words = tokenize(text);
+  words.forEach((word, i) => {
+    add(`w:${word}`);
+    if (i > 0) add(`b:${words[i - 1]} ${word}`);
+    const padded = `#${word}#`;
+    for (let j = 0; j + 3 <= padded.length; j++) add(`c:${padded.slice(j, j + 3)}`);
+  });
+  return counts;
+}
+
+/**
+ * Cosine similarity of two unit vectors (sparse maps)
+ */
+function dot(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let sum = 0;
+  for (const [feature, weight] of small) {
+    const other = large.get(feature);
+    if (other) sum += weight * other;
+  }
+  return sum;
+}
+
+/**
+ * Uncalibrated score from the best and second-best action similarities
+ * A close match to one action counts more when no other action is as close.
+ */
+function rawScore(best, second) {
+  return Math.max(0, best - second / 2);
+}
+
+/**
+ * Monotone (non-decreasing) fit of per-band accuracies, pooling adjacent bands
+ * that violate the order (pool adjacent violators), weighted by band size
+ * @param {Array<{correct: number, total: number}>} bins
+ * @returns {number[]} - Accuracy per band; bands without examples take the band below (0 at the bottom)
+ */
+function isotonic(bins) {
+  const blocks = [];
+  bins.forEach((bin, index) => {
+    if (bin.total === 0) return;
+    blocks.push({ correct: bin.correct, total: bin.total, start: index, end: index });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const previous = blocks[blocks.length - 2];
+      if (previous.correct / previous.total <= last.correct / last.total) break;
+      blocks.splice(-2, 2, {
+        correct: previous.correct + last.correct,
+        total: previous.total + last.total,
+        start: previous.start,
+        end: last.end
+      });
+    }
+  });
+
+  const table = new Array(bins.length).fill(0);
+  for (const block of blocks) {
+    for (let i = block.start; i <= block.end; i++) table[i] = block.correct / block.total;
+  }
+  for (let i = 1; i < table.length; i++) {
+    if (bins[i].total === 0 && !blocks.some(block => block.start <= i && i <= block.end)) {
+      table[i] = table[i - 1];
+    }
+  }
+  return table;
+}
+
+/**
+ * IntentClassifier class
+ * Trained lazily from the example phrases; retrained after invalidate()
+ */
+export class IntentClassifier {
+  /**
+   * @param {object} options
+   * @param {object} options.examples - Built-in examples (action → phrases)
+   * @param {number} options.minSimilarity - Below this, classify() returns null
+   */
+  constructor({ examples = ACTION_EXAMPLES, minSimilarity = MIN_SIMILARITY } = {}) {
+    this.builtIn = examples;
+    this.minSimilarity = minSimilarity;
+
+    this.examples = [];       // [{ phrase, action, target, key, vector }]
+    this.idf = new Map();     // feature → inverse document frequency
+    this.unseenIdf = 1;       // IDF of features no example has
+    this.calibration = new Array(CALIBRATION_BINS).fill(0);
+    this.trained = false;
+
+    // Callbacks for integration
+    this.getPhrases = () => [];     // Personal dictionary commands [{phrase, action, target}]
+  }
+
+  /**
+   * Set callbacks for integration
+   * @param {object} callbacks
+   * @param {function} callbacks.getPhrases - () => [{phrase, action, target}]
+   */
+  setCallbacks(callbacks) {
+    if (callbacks.getPhrases) this.getPhrases = callbacks.getPhrases;
+    this.invalidate();
+  }
+
+  /**
+   * Retrain before the next classification (the dictionary changed)
+   */
+  invalidate() {
+    this.trained = false;
+  }
+
+  /**
+   * Build the vectors and the calibration table
+   */
+  train() {
+    const examples = [];
+    for (const [action, phrases] of Object.entries(this.builtIn)) {
+      for (const phrase of phrases) examples.push({ phrase, action, target: null });
+    }
+    for (const command of this.getPhrases() || []) {
+      if (!command?.phrase || !command.action) continue;
+      examples.push({ phrase: command.phrase, action: command.action, target: command.target || null });
+    }
+
+    const counted = examples
+      .map(example => ({ ...example, key: tokenize(example.phrase).join(' '), counts: features(example.phrase) }))
+      .filter(example => example.key);
+
+    const df = new Map();
+    for (const example of counted) {
+      for (const feature of example.counts.keys()) df.set(feature, (df.get(feature) || 0) + 1);
+    }
+    const total = counted.length;
+    this.idf = new Map([...df].map(([feature, count]) => [feature, Math.log((total + 1) / (count + 1)) + 1]));
+    this.unseenIdf = Math.log(total + 1) + 1;
+
+    this.examples = counted.map(({ counts, ...example }) => ({ ...example, vector: this.vectorize(counts) }));
+    this.calibration = this.calibrate();
+    this.trained = true;
+  }
+
+  /**
+   * TF-IDF unit vector of feature counts
+   * Features no example has still count towards the length, so unknown words
+   * make a phrase less similar to everything.
+   */
+  vectorize(counts) {
+    const vector = new Map();
+    let norm = 0;
+    for (const [feature, count] of counts) {
+      const idf = this.idf.get(feature);
+      const weight = count * (idf ?? this.unseenIdf);
+      norm += weight * weight;
+      if (idf !== undefined) vector.set(feature, weight);
+    }
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      for (const [feature, weight] of vector) vector.set(feature, weight / norm);
+    }
+    return vector;
+  }
+
+  /**
+   * Best example per action, best action first
+   * @param {Map} vector
+   * @param {string|null} excludeKey - Leave out examples with this phrase (calibration)
+   * @returns {Array<{action, similarity, example}>}
+   */
+  rank(vector, excludeKey = null) {
+    const best = new Map();
+    for (const example of this.examples) {
+      if (example.key === excludeKey) continue;
+      const similarity = dot(vector, example.vector);
+      const current = best.get(example.action);
+      if (!current || similarity > current.similarity) {
+        best.set(example.action, { action: example.action, similarity, example });
+      }
+    }
+    return [...best.values()].sort((a, b) => b.similarity - a.similarity);
+  }
+
+  /**
+   * Leave-one-out accuracy per score band, made monotone
+   * @returns {number[]}
+   */
+  calibrate() {
+    const bins = Array.from({ length: CALIBRATION_BINS }, () => ({ correct: 0, total: 0 }));
+    for (const example of this.examples) {
+      const [first, second] = this.rank(example.vector, example.key);
+      if (!first || first.similarity < this.minSimilarity) continue;
+      const bin = bins[this.binOf(rawScore(first.similarity, second?.similarity || 0))];
+      bin.total++;
+      if (first.action === example.action) bin.correct++;
+    }
+    return isotonic(bins);
+  }
+
+  binOf(score) {
+    return Math.min(CALIBRATION_BINS - 1, Math.floor(score * CALIBRATION_BINS));
+  }
+
+  /**
+   * Classify a phrase
+   * @param {string} speech
+   * @returns {{action: string, target: string|null, confidence: number, similarity: number, phrase: string}|null} -
+   *   The closest action with its calibrated confidence and nearest example, null when nothing is close
+   */
+  classify(speech) {
+    if (!this.trained) this.train();
+
+    const vector = this.vectorize(features(speech));
+    if (vector.size === 0) return null;
+
+    const [first, second] = this.rank(vector);
+    if (!first || first.similarity < this.minSimilarity) return null;
+
+    const score = rawScore(first.similarity, second?.similarity || 0);
+    return {
+      action: first.action,
+      target: first.example.target,
+      confidence: this.calibration[this.binOf(score)],
+      similarity: first.similarity,
+      phrase: first.example.phrase
+    };
+  }
+}
+
+// Singleton instance
+export const intentClassifier = new IntentClassifier();
+export default intentClassifier;
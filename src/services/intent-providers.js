@@ -0,0 +1,336 @@
+/**
+ * Intent Providers
+ *
+ * The language model behind the intent resolver's AI tier. Every provider takes
+ * the system prompt and the user message and returns the model's raw text; the
+ * resolver parses and validates it.
+ *
+ * completeTool() asks for the answer as a call of the resolver's tool
+ * (services/intent-schema.js) and returns the call's input object. The Anthropic
+ * API and OpenAI-compatible servers call it natively; the CLI and the mock get
+ * the tool's schema in the prompt and return text. A server that ignores the
+ * tool returns text too.
+ *
+ *   api     - Anthropic Messages API (ANTHROPIC_API_KEY or Keychain)
+ *   cli     - `claude -p` with your Claude Code login
+ *   openai  - Any OpenAI-compatible chat completions endpoint: LM Studio,
+ *             llama.cpp server, Ollama (`http://localhost:11434/v1`), vLLM
+ *   mock    - Deterministic answers without a model (tests, demos): a table of
+ *             phrase → response, then the local keyword matcher
+ *
+ * Model, temperature and timeout come from the AI settings; each provider has
+ * defaults for them. The Claude CLI has no temperature option and ignores it.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { spawn } from 'child_process';
+import { matchAction } from './action-matcher.js';
+
+/**
+ * Provider names (the `aiUnderstandingMode` setting, besides 'auto')
+ */
+export const INTENT_PROVIDERS = ['api', 'cli', 'openai', 'mock'];
+
+/**
+ * Defaults per provider
+ */
+export const PROVIDER_DEFAULTS = {
+  api: { model: 'claude-3-haiku-20240307', temperature: 0, timeoutMs: 10000 },
+  cli: { model: 'haiku', temperature: null, timeoutMs: 30000 },
+  openai: { model: null, temperature: 0, timeoutMs: 15000, endpoint: 'http://localhost:11434/v1' },
+  mock: { model: 'mock', temperature: null, timeoutMs: 0 }
+};
+
+const MAX_TOKENS = 100;
+
+/**
+ * System prompt for providers without tool calling: answer with JSON matching the tool's schema
+ * @param {string} system
+ * @param {object} tool - {name, description, input_schema}
+ * @returns {string}
+ */
+export function withSchemaHint(system, tool) {
+  return `${system}\n\n${tool.description}\nAnswer with JSON matching this schema:\n${JSON.stringify(tool.input_schema)}`;
+}
+
+/**
+ * Options with the provider's defaults filled in (null/undefined settings fall back)
+ */
+function withDefaults(name, options) {
+  const settings = { ...PROVIDER_DEFAULTS[name] };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== null && value !== undefined && value !== '') settings[key] = value;
+  }
+  return settings;
+}
+
+/**
+ * Anthropic Messages API
+ */
+export class AnthropicProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey - Anthropic API key
+   * @param {string} options.model
+   * @param {number} options.temperature
+   * @param {number} options.timeoutMs
+   */
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new Error('Anthropic API key required for IntentResolver. Use IntentResolverCLI for Claude Code auth.');
+    }
+    this.mode = 'api';
+    const { apiKey, ...settings } = withDefaults(this.mode, options);
+    this.settings = settings;
+    this.client = new Anthropic({ apiKey, timeout: settings.timeoutMs });
+  }
+
+  /**
+   * @param {string} system - System prompt
+   * @param {string} message - User message
+   * @returns {Promise<string>} - Raw model output
+   */
+  async complete(system, message) {
+    const response = await this.client.messages.create({
+      model: this.settings.model,
+      max_tokens: MAX_TOKENS,
+      temperature: this.settings.temperature,
+      messages: [{ role: 'user', content: message }],
+      system
+    });
+    return response.content[0]?.text || '{}';
+  }
+
+  /**
+   * @param {string} system - System prompt
+   * @param {string} message - User message
+   * @param {object} tool - {name, description, input_schema}
+   * @returns {Promise<object|string>} - The tool call's input, or text when the model didn't call it
+   */
+  async completeTool(system, message, tool) {
+    const response = await this.client.messages.create({
+      model: this.settings.model,
+      max_tokens: MAX_TOKENS,
+      temperature: this.settings.temperature,
+      messages: [{ role: 'user', content: message }],
+      system,
+      tools: [tool],
+      tool_choice: { type: 'tool', name: tool.name }
+    });
+    const call = response.content.find(block => block.type === 'tool_use' && block.name === tool.name);
+    if (call) return call.input;
+    return response.content.find(block => block.text)?.text || '{}';
+  }
+}
+
+/**
+ * Claude CLI in print mode (uses the Claude Code login)
+ */
+export class ClaudeCLIProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.model - CLI model alias ('haiku') or full name
+   * @param {number} options.timeoutMs - The CLI is killed after this long
+   */
+  constructor(options = {}) {
+    this.mode = 'cli';
+    this.settings = withDefaults(this.mode, options);
+  }
+
+  complete(system, message) {
+    return new Promise((resolve, reject) => {
+      const args = [
+        '-p', message,
+        '--system-prompt', system,
+        '--model', this.settings.model,
+        '--output-format', 'text'
+      ];
+
+      const claude = spawn('claude', args, {
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      let stdout = '';
+      let stderr = '';
+      const timer = this.settings.timeoutMs > 0
+        ? setTimeout(() => {
+          claude.kill?.();
+          reject(new Error(`Claude CLI timed out after ${this.settings.timeoutMs}ms`));
+        }, this.settings.timeoutMs)
+        : null;
+
+      claude.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+
+      claude.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      claude.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve(stdout.trim());
+        } else {
+          reject(new Error(stderr || `Claude CLI exited with code ${code}`));
+        }
+      });
+
+      claude.on('error', (err) => {
+        clearTimeout(timer);
+        reject(new Error(`Failed to run claude CLI: ${err.message}`));
+      });
+    });
+  }
+
+  completeTool(system, message, tool) {
+    return this.complete(withSchemaHint(system, tool), message);
+  }
+}
+
+/**
+ * OpenAI-compatible chat completions endpoint (self-hosted models)
+ */
+export class OpenAICompatibleProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.endpoint - Base URL including /v1 (default: local Ollama)
+   * @param {string} options.apiKey - Bearer token, if the server wants one
+   * @param {string} options.model - Model name as the server knows it (required)
+   * @param {number} options.temperature
+   * @param {number} options.timeoutMs
+   */
+  constructor(options = {}) {
+    this.mode = 'openai';
+    const { apiKey, ...settings } = withDefaults(this.mode, options);
+    if (!settings.model) {
+      throw new Error('OpenAI-compatible provider requires a model name (aiUnderstandingModel)');
+    }
+    this.apiKey = apiKey || null;
+    this.settings = settings;
+    this.url = `${settings.endpoint.replace(/\/+$/, '')}/chat/completions`;
+  }
+
+  async complete(system, message) {
+    const data = await this.post({
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: message }
+      ]
+    });
+    return data.choices?.[0]?.message?.content || '{}';
+  }
+
+  /**
+   * Answer as a function call (OpenAI `tools` form of the resolver's tool)
+   * @returns {Promise<object|string>} - The call's arguments, or text when the server didn't call it
+   */
+  async completeTool(system, message, tool) {
+    const data = await this.post({
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: message }
+      ],
+      tools: [{
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+      }],
+      tool_choice: { type: 'function', function: { name: tool.name } }
+    });
+    const reply = data.choices?.[0]?.message;
+    const call = reply?.tool_calls?.find(candidate => candidate.function?.name === tool.name);
+    if (call) {
+      const args = call.function.arguments;
+      if (typeof args !== 'string') return args;
+      try {
+        return JSON.parse(args);
+      } catch {
+        return args;
+      }
+    }
+    return reply?.content || '{}';
+  }
+
+  /**
+   * POST a chat completion request
+   * @param {object} request - Messages and tools (model, temperature and max_tokens are added)
+   * @returns {Promise<object>} - Response body
+   */
+  async post(request) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: this.settings.model,
+          max_tokens: MAX_TOKENS,
+          temperature: this.settings.temperature,
+          ...request
+        }),
+        signal: this.settings.timeoutMs > 0 ? AbortSignal.timeout(this.settings.timeoutMs) : undefined
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`No response from ${this.url} within ${this.settings.timeoutMs}ms`);
+      }
+      throw new Error(`Failed to reach ${this.url}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`${this.url} returned ${response.status}`);
+    }
+    return response.json();
+  }
+}
+
+/**
+ * Deterministic provider for tests and demos
+ * Answers from a phrase → response table, then the local keyword matcher
+ * (action-matcher.js); anything else is dictation.
+ */
+export class MockProvider {
+  /**
+   * @param {object} options
+   * @param {object} options.responses - Spoken phrase (lowercase) → response object
+   */
+  constructor(options = {}) {
+    this.mode = 'mock';
+    const { responses = {}, ...settings } = withDefaults(this.mode, options);
+    this.responses = new Map(Object.entries(responses).map(([phrase, response]) => [phrase.toLowerCase().trim(), response]));
+    this.settings = settings;
+  }
+
+  async complete(system, message) {
+    const speech = (message.match(/User said: "([\s\S]*)"$/)?.[1] || message).toLowerCase().trim();
+    if (this.responses.has(speech)) return JSON.stringify(this.responses.get(speech));
+
+    const matched = matchAction(speech);
+    if (matched) return JSON.stringify(matched);
+    return JSON.stringify({ action: 'none', confidence: 0.5 });
+  }
+
+  completeTool(system, message, tool) {
+    return this.complete(withSchemaHint(system, tool), message);
+  }
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name - 'api' | 'cli' | 'openai' | 'mock'
+ * @param {object} options - Provider options (apiKey, model, temperature, timeoutMs, endpoint, responses)
+ * @returns {AnthropicProvider|ClaudeCLIProvider|OpenAICompatibleProvider|MockProvider}
+ */
+export function createProvider(name, options = {}) {
+  switch (name) {
+    case 'api': return new AnthropicProvider(options);
+    case 'cli': return new ClaudeCLIProvider(options);
+    case 'openai': return new OpenAICompatibleProvider(options);
+    case 'mock': return new MockProvider(options);
+    default:
+      throw new Error(`Unknown intent provider: ${name} (${INTENT_PROVIDERS.join(', ')})`);
+  }
+}
@@ -1,24 +1,35 @@
 /**
  * Intent Resolver Service
  *
- * Uses Claude to interpret natural speech into structured actions.
- * Supports two modes:
+ * Uses a language model to interpret natural speech into structured actions.
+ * The model comes from a provider (services/intent-providers.js):
  *   1. Direct API (requires ANTHROPIC_API_KEY) - faster, billed separately
  *   2. Claude CLI (uses your Claude Code login) - uses existing auth
+ *   3. OpenAI-compatible endpoint (LM Studio, llama.cpp server, Ollama) - self-hosted
+ *   4. Mock - deterministic answers for tests
  *
  * Now integrates with CommandDictionary for tiered resolution:
  *   - Tier 1: Exact match from personal dictionary (instant, no API)
  *   - Tier 2: Fuzzy match from personal dictionary (instant, no API)
- *   - Tier 3: Claude AI fallback (API call, learns new phrases)
+ *   - Tier 2.5: Local intent classifier (CPU only, calibrated confidence)
+ *   - Tier 3: Claude AI fallback when the classifier is unsure (API call, learns new phrases)
  *
  * Cost with API: ~$0.00005 per call (Haiku pricing)
  * Cost with CLI: Uses your Claude Code subscription/credits
  */
 
-import Anthropic from '@anthropic-ai/sdk';
-import { spawn } from 'child_process';
 import { getAnthropicKey } from './secrets.js';
 import { commandDictionary } from './commands.js';
+import { commandRegistry } from './command-registry.js';
+import { splitCompound } from './action-chain.js';
+import { intentClassifier } from './intent-classifier.js';
+import { AnthropicProvider, ClaudeCLIProvider, createProvider } from './intent-providers.js';
+import { buildActionTable, buildIntentTool, describeShape, validateIntent } from './intent-schema.js';
+
+/**
+ * Local classifier results at or above this confidence skip Claude
+ */
+const LOCAL_CONFIDENCE = 0.85;
 
 // Core actions the system can perform
 const CORE_ACTIONS = {
@@ -27,6 +38,8 @@ const CORE_ACTIONS = {
 
   // Undo/delete
   UNDO: 'undo',
+  REDO: 'redo',
+  DELETE: 'delete',
   CLEAR_ALL: 'clear_all',
 
   // Clipboard
@@ -35,6 +48,10 @@ const CORE_ACTIONS = {
   CUT: 'cut',
   SELECT_ALL: 'select_all',
 
+  // Editor shortcuts
+  SAVE: 'save',
+  FIND: 'find',
+
   // Navigation
   SCROLL_UP: 'scroll_up',
   SCROLL_DOWN: 'scroll_down',
@@ -45,11 +62,13 @@ const CORE_ACTIONS = {
   FOCUS_APP: 'focus_app',
   NEW_TAB: 'new_tab',
   CLOSE_TAB: 'close_tab',
+  NEW_WINDOW: 'new_window',
 
   // System
   VOLUME_UP: 'volume_up',
   VOLUME_DOWN: 'volume_down',
   MUTE: 'mute',
+  UNMUTE: 'unmute',
 
   // Speech2Type specific
   STOP_LISTENING: 'stop_listening',
@@ -74,17 +93,22 @@ IMPORTANT: Be concise. Return ONLY valid JSON, no explanation.
 Available actions:
 - enter: Submit/send/confirm (e.g., "send it", "go ahead", "submit", "done")
 - undo: Undo last action (e.g., "take that back", "oops", "undo that")
+- redo: Bring back what was just undone (e.g., "redo that", "put it back")
+- delete: Press delete / remove the selection (e.g., "delete that", "remove the selection")
 - clear_all: Clear everything (e.g., "start over", "clear it", "delete all")
 - copy: Copy selection (e.g., "copy that", "grab this")
 - paste: Paste clipboard (e.g., "paste it", "put it here")
 - cut: Cut selection (e.g., "cut that", "move this")
 - select_all: Select all text (e.g., "select everything", "highlight all")
+- save: Save the current file (e.g., "save it", "save this")
+- find: Open find/search (e.g., "search for", "find in page")
 - scroll_up/scroll_down: Scroll (e.g., "go up", "scroll down a bit")
 - page_up/page_down: Page navigation (e.g., "next page", "previous page")
 - focus_app: Switch to app (e.g., "open chrome", "go to terminal") - include app name in "target"
 - new_tab: New browser/app tab (e.g., "new tab", "open tab")
 - close_tab: Close current tab (e.g., "close this", "close tab")
-- volume_up/volume_down/mute: Volume control
+- new_window: New app window (e.g., "new window", "open a window")
+- volume_up/volume_down/mute/unmute: Volume control (mute toggles, unmute only turns the sound back on)
 - stop_listening: Stop voice input (e.g., "stop", "quiet", "shut up")
 - start_listening: Resume voice input (e.g., "listen", "wake up")
 - mode_general/mode_claude/mode_music: Switch modes
@@ -96,51 +120,302 @@ Available actions:
 Response format:
 {"action": "action_name", "confidence": 0.0-1.0, "target": "optional target"}
 
+Several actions in one phrase ("select all and copy", "switch to chrome and open a new tab"): list them in order in "steps", with the first one as "action":
+{"action": "first_action", "confidence": 0.0-1.0, "steps": [{"action": "action_name", "target": "optional target"}, ...]}
+
+The message may start with what happened recently (mode, last actions, last correction). Follow-ups refer to it: "do that again" is the last action, "the other one" is the alternative to the last action. Answer with the action they mean, including its target and value, and set "follow_up": true.
+
 Examples:
 User: "send it" → {"action": "enter", "confidence": 0.95}
 User: "go to safari" → {"action": "focus_app", "confidence": 0.9, "target": "safari"}
+User: "switch to chrome and open a new tab" → {"action": "focus_app", "confidence": 0.9, "steps": [{"action": "focus_app", "target": "chrome"}, {"action": "new_tab"}]}
+Recent: last action focus_app safari ("open my browser"). User: "no, the other one" → {"action": "focus_app", "confidence": 0.8, "target": "chrome", "follow_up": true}
 User: "I need to write an email" → {"action": "none", "confidence": 0.85}
 User: "blargblarg" → {"action": "unknown", "confidence": 0.1}`;
 
 /**
- * IntentResolver using direct Anthropic API
- * Requires: ANTHROPIC_API_KEY environment variable or passed apiKey
+ * System prompt with the active addon's actions, so the model can answer with
+ * them ("make it faster, like 128" → ableton.tempo 128)
+ * @param {object|null} addon - {addon, displayName, description, actions} from the getAddonActions callback
+ * @returns {string}
  */
-class IntentResolver {
-  constructor(apiKey) {
-    if (!apiKey) {
-      throw new Error('Anthropic API key required for IntentResolver. Use IntentResolverCLI for Claude Code auth.');
+function systemPromptFor(addon) {
+  if (!addon?.actions?.length) return SYSTEM_PROMPT;
+
+  const lines = addon.actions.map(action => {
+    const about = action.description ? `: ${action.description}` : '';
+    const value = action.params
+      ? ` - "value": ${describeShape(action.params)}${action.optional ? ' (optional)' : ''}`
+      : '';
+    return `- ${addon.addon}.${action.name}${about}${value}`;
+  });
+  const name = addon.displayName || addon.addon;
+  const mode = addon.description ? `${name} mode (${addon.description})` : `${name} mode`;
+
+  return `${SYSTEM_PROMPT}
+
+The user is in ${mode}. These actions are available too; prefer them for anything about ${name}:
+${lines.join('\n')}
+
+Put an action's parameter in "value":
+{"action": "${addon.addon}.action_name", "confidence": 0.0-1.0, "value": parameter}`;
+}
+
+/**
+ * Follow-ups that refer to the recent context (see contextWindow.getSummary())
+ */
+const REPEAT_PATTERN = /^(?:(?:do|try) (?:that|it|this) again|again|repeat(?: that| it)?|one more time|once more|same again|(?:do )?the same(?: thing)?(?: again)?)$/;
+const OTHER_PATTERN = /^(?:no )?(?:the |that )?other one$/;
+
+/**
+ * Phrase without punctuation for the follow-up patterns ("No, the other one." → "no the other one")
+ */
+function plainPhrase(speech) {
+  return speech.toLowerCase().replace(/[^\p{L}\p{N}\s']/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * One action of the history summary for the model ('focus_app chrome ("open my browser")')
+ */
+function describeHistoryAction(entry) {
+  let text = entry.action;
+  if (entry.target) text += ` ${entry.target}`;
+  if (entry.value !== undefined && entry.value !== null) text += ` ${JSON.stringify(entry.value)}`;
+  if (entry.phrase) text += ` ("${entry.phrase}")`;
+  return text;
+}
+
+/**
+ * Compact summary of the resolver context for the model and the cache key
+ * @param {object} context - {mode, history} (history from contextWindow.getSummary())
+ * @returns {string} - "Recent: mode music; last action ableton.tempo 128 (...). " or ''
+ */
+function describeRecent(context) {
+  const parts = [];
+  if (context.mode) parts.push(`mode ${context.mode}`);
+  const { lastAction, previousAction, lastCorrection } = context.history || {};
+  if (lastAction) parts.push(`last action ${describeHistoryAction(lastAction)}`);
+  if (previousAction) parts.push(`before that ${describeHistoryAction(previousAction)}`);
+  if (lastCorrection) {
+    parts.push(`last correction: "${lastCorrection.phrase}" was ${lastCorrection.action}, meant ${lastCorrection.intendedAction}`);
+  }
+  return parts.length > 0 ? `Recent: ${parts.join('; ')}. ` : '';
+}
+
+/**
+ * Resolve a follow-up locally from the history summary
+ * "do that again" repeats the last action; "the other one" is the action before
+ * it when both were the same action on different targets or values (focus_app
+ * safari, then chrome). Anything vaguer is left to the model.
+ * @param {string} speech
+ * @param {object} history - From contextWindow.getSummary()
+ * @param {string} mode - Resolver mode ('api' | 'cli')
+ * @returns {object|null}
+ */
+function resolveFollowUp(speech, history, mode) {
+  const phrase = plainPhrase(speech);
+  const { lastAction, previousAction } = history || {};
+  let entry = null;
+  if (REPEAT_PATTERN.test(phrase)) {
+    entry = lastAction;
+  } else if (OTHER_PATTERN.test(phrase) && lastAction && previousAction?.action === lastAction.action &&
+      (previousAction.target !== lastAction.target || JSON.stringify(previousAction.value) !== JSON.stringify(lastAction.value))) {
+    entry = previousAction;
+  }
+  if (!entry) return null;
+
+  const step = normalizeStep(entry);
+  return {
+    ...step,
+    steps: [step],
+    confidence: 0.95,
+    tier: 1,
+    source: 'history',
+    followUp: true,
+    latencyMs: 0,
+    mode
+  };
+}
+
+/**
+ * Addon actions are named `<addon>.<action>` and only exist while their addon is active
+ */
+function isAddonAction(action) {
+  return typeof action === 'string' && action.includes('.');
+}
+
+/**
+ * Normalize an action name from Claude
+ */
+function normalizeAction(action) {
+  return CORE_ACTIONS[action?.toUpperCase()] || action || 'unknown';
+}
+
+/**
+ * Step of a parsed response; `value` only for actions that take one (addon parameters)
+ */
+function normalizeStep(step) {
+  const normalized = { action: normalizeAction(step?.action), target: step?.target || null };
+  if (step?.value !== undefined && step.value !== null) normalized.value = step.value;
+  return normalized;
+}
+
+/**
+ * Ordered steps of a parsed response (one step unless Claude returned "steps")
+ * @param {object} result - Parsed JSON response
+ * @returns {Array<{action: string, target: string|null, value?: any}>}
+ */
+function normalizeSteps(result) {
+  if (Array.isArray(result.steps) && result.steps.length > 0) {
+    return result.steps.map(normalizeStep);
+  }
+  return [normalizeStep(result)];
+}
+
+/**
+ * Resolve every part of a compound phrase without the AI tier
+ * ("computer select all and copy" → select_all, copy). Parts are looked up in
+ * the command registry (with or without "computer") and the personal dictionary.
+ * @param {string} speech
+ * @param {string} mode - Resolver mode ('api' | 'cli')
+ * @returns {object|null} - Null unless the phrase is compound and every part resolved
+ */
+function resolveChainLocally(speech, mode) {
+  const parts = splitCompound(speech.toLowerCase().trim());
+  if (parts.length < 2) return null;
+
+  const steps = [];
+  let confidence = 1.0;
+  let tier = 1;
+  for (const part of parts) {
+    const registered = commandRegistry.resolve(part) || commandRegistry.resolve(`computer ${part}`);
+    if (registered) {
+      steps.push({ action: registered.action, target: registered.target });
+      continue;
     }
-    this.client = new Anthropic({ apiKey });
-    this.mode = 'api';
-    this._initCommon();
+    const known = commandDictionary.lookup(part);
+    if (!known || known.confidence <= 0.7) return null;
+    steps.push({ action: known.action, target: known.target || null });
+    confidence = Math.min(confidence, known.confidence);
+    tier = Math.max(tier, known.tier);
   }
 
-  _initCommon() {
+  return { action: steps[0].action, target: steps[0].target, steps, confidence, tier, latencyMs: 0, mode };
+}
+
+/**
+ * Exact registry match as a resolver result (actions are internal action names)
+ * @param {string} speech
+ * @param {string} mode - Resolver mode ('api' | 'cli')
+ * @returns {object|null}
+ */
+function lookupRegistry(speech, mode) {
+  const entry = commandRegistry.resolve(speech);
+  if (!entry) return null;
+  return {
+    action: entry.action,
+    target: entry.target,
+    steps: [{ action: entry.action, target: entry.target }],
+    confidence: 1.0,
+    tier: 1,
+    source: 'registry',
+    layer: entry.layer,
+    latencyMs: 0,
+    mode
+  };
+}
+
+/**
+ * Local classifier result, when it is confident enough to skip Claude
+ * @param {string} speech
+ * @param {string} mode - Resolver mode ('api' | 'cli')
+ * @returns {object|null}
+ */
+function classifyLocally(speech, mode) {
+  const classified = intentClassifier.classify(speech);
+  if (!classified || classified.confidence < LOCAL_CONFIDENCE) return null;
+  return {
+    action: classified.action,
+    target: classified.target,
+    steps: [{ action: classified.action, target: classified.target }],
+    confidence: classified.confidence,
+    tier: 2.5,
+    source: 'classifier',
+    latencyMs: 0,
+    mode
+  };
+}
+
+/**
+ * Intent resolver over a language model provider (services/intent-providers.js)
+ * Caching, response parsing, statistics and the tiered resolveWithDictionary()
+ * are the same for every provider.
+ */
+class BaseIntentResolver {
+  /**
+   * @param {object} provider - An intent provider ({mode, settings, complete(system, message)})
+   */
+  constructor(provider) {
+    this.provider = provider;
+    this.mode = provider.mode;
     this.cache = new Map();
     this.cacheMaxSize = 100;
     this.stats = {
       calls: 0,
       cacheHits: 0,
+      localHits: 0,
       errors: 0,
+      rejected: 0,          // Replies that failed schema validation
       totalLatency: 0
     };
+
+    // Callbacks for integration
+    this.getAddonActions = () => null;    // Active addon's actions for the schema
+  }
+
+  /**
+   * Set callbacks for integration
+   * @param {object} callbacks
+   * @param {function} callbacks.getAddonActions - () => {addon, actions: [{name, params, optional}]} | null
+   */
+  setCallbacks(callbacks) {
+    if (callbacks.getAddonActions) this.getAddonActions = callbacks.getAddonActions;
+  }
+
+  /**
+   * Actions the model may answer with right now (core + active addon)
+   * @param {object|null} addon - Active addon's actions (default: from the callback)
+   * @returns {Map<string, {params: object|null}>}
+   */
+  actionTable(addon = this.getAddonActions()) {
+    return buildActionTable(Object.values(CORE_ACTIONS), addon);
   }
 
   /**
    * Resolve user speech to an action
    * @param {string} speech - The transcribed user speech
-   * @param {object} context - Optional context (app name, mode, etc.)
-   * @returns {Promise<{action: string, confidence: number, target?: string}>}
+   * @param {object} context - Optional context
+   * @param {string} context.appName - Frontmost app or addon display name
+   * @param {string} context.mode - Current mode ('general', 'claude' or an addon)
+   * @param {object} context.history - Recent activity (contextWindow.getSummary())
+   * @returns {Promise<{action: string, confidence: number, target?: string, followUp?: boolean}>}
    */
   async resolve(speech, context = {}) {
     const normalizedSpeech = speech.toLowerCase().trim();
-
-    // Check cache first
-    const cacheKey = this._getCacheKey(normalizedSpeech, context);
-    if (this.cache.has(cacheKey)) {
-      this.stats.cacheHits++;
-      return this.cache.get(cacheKey);
+    const recent = describeRecent(context);
+
+    // Check cache first (the valid actions depend on the active addon). Follow-ups
+    // are cached with the recent context they answered - for other history they're stale.
+    const addon = this.getAddonActions();
+    const actions = this.actionTable(addon);
+    const cacheKey = this._getCacheKey(normalizedSpeech, { ...context, addon: addon?.addon });
+    const followUpKey = this._getCacheKey(normalizedSpeech, { ...context, addon: addon?.addon, recent });
+    for (const key of [followUpKey, cacheKey]) {
+      const cached = this.cache.get(key);
+      if (cached && (key === followUpKey || !cached.followUp)) {
+        this.stats.cacheHits++;
+        return cached;
+      }
     }
 
     const startTime = Date.now();
@@ -148,45 +423,57 @@ class IntentResolver {
 
     try {
       const contextHint = context.appName
-        ? `\nContext: User is in ${context.appName}`
+        ? `Context: User is in ${context.appName}. `
         : '';
 
-      const response = await this.client.messages.create({
-        model: 'claude-3-haiku-20240307',
-        max_tokens: 100,
-        messages: [
-          {
-            role: 'user',
-            content: `${contextHint}\nUser said: "${speech}"`
-          }
-        ],
-        system: SYSTEM_PROMPT
-      });
-
+      // Answer through the tool whose schema lists the valid actions
+      const response = await this.provider.completeTool(
+        systemPromptFor(addon),
+        `${recent}${contextHint}User said: "${speech}"`,
+        buildIntentTool(actions)
+      );
       const latency = Date.now() - startTime;
       this.stats.totalLatency += latency;
 
-      // Parse response
-      const text = response.content[0]?.text || '{}';
-      const result = this._parseResponse(text);
+      // Parse response (providers without tool calling answer with text)
+      const result = typeof response === 'string' ? this._parseResponse(response) : response;
+
+      // Reject replies that don't match the schema instead of trusting them
+      const problems = validateIntent(result, actions, normalizeAction);
+      if (problems.length > 0) {
+        this.stats.rejected++;
+        console.warn(`[intent-resolver] Rejected ${this.mode} reply for "${speech}": ${problems.join('; ')}`);
+        return {
+          action: 'unknown',
+          confidence: 0,
+          error: `Invalid reply: ${problems.join('; ')}`,
+          rejected: true,
+          latencyMs: latency,
+          mode: this.mode
+        };
+      }
 
-      // Validate and normalize result
+      // Normalize result
+      const steps = normalizeSteps(result);
       const normalized = {
-        action: CORE_ACTIONS[result.action?.toUpperCase()] || result.action || 'unknown',
+        action: steps[0].action,
         confidence: Math.min(1, Math.max(0, result.confidence || 0.5)),
-        target: result.target || null,
+        target: steps[0].target,
+        steps,
         latencyMs: latency,
         mode: this.mode
       };
+      if (steps[0].value !== undefined) normalized.value = steps[0].value;
+      if (result.follow_up === true) normalized.followUp = true;
 
       // Cache result
-      this._addToCache(cacheKey, normalized);
+      this._addToCache(normalized.followUp ? followUpKey : cacheKey, normalized);
 
       return normalized;
 
     } catch (error) {
       this.stats.errors++;
-      console.error('[intent-resolver] Error:', error.message);
+      console.error(`[intent-resolver] ${this.mode} error:`, error.message);
 
       return {
         action: 'unknown',
@@ -200,11 +487,15 @@ class IntentResolver {
   _parseResponse(text) {
     try {
       return JSON.parse(text);
-    } catch (e) {
+    } catch {
       // Try to extract JSON from response
-      const jsonMatch = text.match(/\{[^}]+\}/);
+      const jsonMatch = text.match(/\{[\s\S]*\}/);   // Outermost braces (steps are nested)
       if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
+        try {
+          return JSON.parse(jsonMatch[0]);
+        } catch {
+          // ignore
+        }
       }
       return { action: 'unknown', confidence: 0 };
     }
@@ -218,6 +509,16 @@ class IntentResolver {
   looksLikeCommand(speech) {
     const lower = speech.toLowerCase().trim();
 
+    // Follow-ups ("do that again", "the other one") are resolved from the recent context
+    const plain = plainPhrase(lower);
+    if (REPEAT_PATTERN.test(plain) || OTHER_PATTERN.test(plain)) return true;
+
+    // Compound commands ("switch to chrome and open a new tab"): short steps, judged by the first
+    const parts = splitCompound(lower);
+    if (parts.length > 1 && parts.every(part => part.split(' ').length <= 4)) {
+      return this.looksLikeCommand(parts[0]);
+    }
+
     // Short phrases are more likely commands
     if (lower.split(' ').length <= 4) {
       // Check for command-like patterns
@@ -228,7 +529,15 @@ class IntentResolver {
         /^(okay|ok|hey|hi|yo)\s/
       ];
 
-      return commandPatterns.some(p => p.test(lower));
+      if (commandPatterns.some(p => p.test(lower))) return true;
+    }
+
+    // In an addon mode, a longer phrase with a number or a word of an addon action
+    // may be an addon command ("make it faster like 128", "bring track two down")
+    const addon = this.getAddonActions();
+    if (addon?.actions?.length && lower.split(' ').length <= 7) {
+      const actionWords = new Set(addon.actions.flatMap(action => action.name.split('_')).filter(word => word.length > 2));
+      return /\d/.test(lower) || lower.split(' ').some(word => actionWords.has(word));
     }
 
     return false;
@@ -241,6 +550,7 @@ class IntentResolver {
     return {
       ...this.stats,
       mode: this.mode,
+      model: this.provider.settings?.model || null,
       cacheSize: this.cache.size,
       avgLatencyMs: this.stats.calls > 0
         ? Math.round(this.stats.totalLatency / this.stats.calls)
@@ -252,7 +562,10 @@ class IntentResolver {
   }
 
   _getCacheKey(speech, context) {
-    return `${speech}|${context.appName || ''}`;
+    let key = `${speech}|${context.appName || ''}`;
+    if (context.addon) key += `|${context.addon}`;
+    if (context.recent) key += `|${context.recent}`;
+    return key;
   }
 
   _addToCache(key, value) {
@@ -268,26 +581,50 @@ class IntentResolver {
    * Tiered resolution: Dictionary first, then AI fallback
    * This is the preferred method for resolving speech to actions.
    * @param {string} speech - The transcribed user speech
-   * @param {object} context - Optional context (app name, mode, etc.)
-   * @returns {Promise<{action: string, confidence: number, tier: number, target?: string}>}
+   * @param {object} context - Optional context (app name, mode, recent history - see resolve())
+   * @returns {Promise<{action: string, confidence: number, tier: number, target?: string, followUp?: boolean}>}
    */
   async resolveWithDictionary(speech, context = {}) {
+    // TIER 1: Exact phrase from the command registry (defaults, addons, trained)
+    const registered = lookupRegistry(speech, this.mode);
+    if (registered) return registered;
+
+    // Compound phrase whose parts are all known ("select all and copy")
+    const chain = resolveChainLocally(speech, this.mode);
+    if (chain) return chain;
+
+    // Follow-up of the recent context ("do that again" → the last action)
+    const followUp = resolveFollowUp(speech, context.history, this.mode);
+    if (followUp) return followUp;
+
     // TIER 1 + 2: Check personal dictionary first (instant, no API call)
     const localMatch = commandDictionary.lookup(speech);
     if (localMatch && localMatch.confidence > 0.7) {
       return {
         ...localMatch,
+        steps: [{ action: localMatch.action, target: localMatch.target }],
         latencyMs: 0,
         mode: this.mode
       };
     }
 
-    // TIER 3: Fall back to Claude AI
+    // TIER 2.5: Local classifier (no network) - the model only runs when it is unsure
+    const classified = classifyLocally(speech, this.mode);
+    if (classified) {
+      this.stats.localHits++;
+      return classified;
+    }
+
+    // TIER 3: Fall back to the language model
     const aiResult = await this.resolve(speech, context);
 
-    // Learn if AI is confident about an action
-    if (aiResult.confidence > 0.8 && aiResult.action && aiResult.action !== 'none' && aiResult.action !== 'unknown') {
-      await commandDictionary.learn(speech, aiResult.action, 'learned');
+    // Learn if AI is confident about an action (a compound phrase isn't one action, a value
+    // like "128" belongs to this phrase only, addon actions only exist in their mode, and a
+    // follow-up means whatever came before - don't learn those)
+    if (aiResult.confidence > 0.8 && aiResult.action && aiResult.action !== 'none' && aiResult.action !== 'unknown' &&
+        (aiResult.steps?.length ?? 1) === 1 && aiResult.value === undefined && !isAddonAction(aiResult.action) &&
+        !aiResult.followUp) {
+      await commandDictionary.learn(speech, aiResult.action, 'learned', aiResult.target || null);
     }
 
     // Record tier 3 hit for stats
@@ -298,229 +635,73 @@ class IntentResolver {
 }
 
 /**
- * IntentResolver using Claude CLI (claude command)
- * Uses your existing Claude Code authentication - no API key needed
+ * IntentResolver using direct Anthropic API
+ * Requires: ANTHROPIC_API_KEY environment variable or passed apiKey
  */
-class IntentResolverCLI {
-  constructor() {
-    this.mode = 'cli';
-    this.cache = new Map();
-    this.cacheMaxSize = 100;
-    this.stats = {
-      calls: 0,
-      cacheHits: 0,
-      errors: 0,
-      totalLatency: 0
-    };
-  }
-
+class IntentResolver extends BaseIntentResolver {
   /**
-   * Resolve user speech to an action using Claude CLI
-   * @param {string} speech - The transcribed user speech
-   * @param {object} context - Optional context (app name, mode, etc.)
-   * @returns {Promise<{action: string, confidence: number, target?: string}>}
+   * @param {string} apiKey - Anthropic API key
+   * @param {object} options - Provider settings (model, temperature, timeoutMs)
    */
-  async resolve(speech, context = {}) {
-    const normalizedSpeech = speech.toLowerCase().trim();
-
-    // Check cache first
-    const cacheKey = this._getCacheKey(normalizedSpeech, context);
-    if (this.cache.has(cacheKey)) {
-      this.stats.cacheHits++;
-      return this.cache.get(cacheKey);
-    }
-
-    const startTime = Date.now();
-    this.stats.calls++;
-
-    try {
-      const contextHint = context.appName
-        ? `Context: User is in ${context.appName}. `
-        : '';
-
-      const userMessage = `${contextHint}User said: "${speech}"`;
-
-      const response = await this._runClaude(userMessage);
-      const latency = Date.now() - startTime;
-      this.stats.totalLatency += latency;
-
-      // Parse response
-      const result = this._parseResponse(response);
-
-      // Validate and normalize result
-      const normalized = {
-        action: CORE_ACTIONS[result.action?.toUpperCase()] || result.action || 'unknown',
-        confidence: Math.min(1, Math.max(0, result.confidence || 0.5)),
-        target: result.target || null,
-        latencyMs: latency,
-        mode: this.mode
-      };
-
-      // Cache result
-      this._addToCache(cacheKey, normalized);
-
-      return normalized;
-
-    } catch (error) {
-      this.stats.errors++;
-      console.error('[intent-resolver-cli] Error:', error.message);
-
-      return {
-        action: 'unknown',
-        confidence: 0,
-        error: error.message,
-        mode: this.mode
-      };
-    }
+  constructor(apiKey, options = {}) {
+    super(new AnthropicProvider({ ...options, apiKey }));
+    this.client = this.provider.client;
   }
+}
 
+/**
+ * IntentResolver using Claude CLI (claude command)
+ * Uses your existing Claude Code authentication - no API key needed
+ */
+class IntentResolverCLI extends BaseIntentResolver {
   /**
-   * Run claude CLI with a prompt
-   * @param {string} userMessage
-   * @returns {Promise<string>}
+   * @param {object} options - Provider settings (model, timeoutMs)
    */
-  _runClaude(userMessage) {
-    return new Promise((resolve, reject) => {
-      // Use claude CLI in print mode with system prompt
-      const args = [
-        '-p', userMessage,
-        '--system-prompt', SYSTEM_PROMPT,
-        '--model', 'haiku',
-        '--output-format', 'text'
-      ];
-
-      const claude = spawn('claude', args, {
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-
-      let stdout = '';
-      let stderr = '';
-
-      claude.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      claude.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-
-      claude.on('close', (code) => {
-        if (code === 0) {
-          resolve(stdout.trim());
-        } else {
-          reject(new Error(stderr || `Claude CLI exited with code ${code}`));
-        }
-      });
-
-      claude.on('error', (err) => {
-        reject(new Error(`Failed to run claude CLI: ${err.message}`));
-      });
-    });
-  }
-
-  _parseResponse(text) {
-    try {
-      return JSON.parse(text);
-    } catch (e) {
-      // Try to extract JSON from response
-      const jsonMatch = text.match(/\{[^}]+\}/);
-      if (jsonMatch) {
-        try {
-          return JSON.parse(jsonMatch[0]);
-        } catch (e2) {
-          // ignore
-        }
-      }
-      return { action: 'unknown', confidence: 0 };
-    }
+  constructor(options = {}) {
+    super(new ClaudeCLIProvider(options));
   }
+}
 
-  looksLikeCommand(speech) {
-    const lower = speech.toLowerCase().trim();
-    if (lower.split(' ').length <= 4) {
-      const commandPatterns = [
-        /^(go|open|switch|focus|close|new|stop|start|send|submit|undo|clear|copy|paste|cut|select|scroll|mute|volume)/,
-        /^(do|make|set|turn|toggle|enable|disable)/,
-        /(please|now|it|this|that)$/,
-        /^(okay|ok|hey|hi|yo)\s/
-      ];
-      return commandPatterns.some(p => p.test(lower));
-    }
-    return false;
-  }
-
-  getStats() {
-    return {
-      ...this.stats,
-      mode: this.mode,
-      cacheSize: this.cache.size,
-      avgLatencyMs: this.stats.calls > 0
-        ? Math.round(this.stats.totalLatency / this.stats.calls)
-        : 0,
-      cacheHitRate: this.stats.calls > 0
-        ? Math.round((this.stats.cacheHits / (this.stats.calls + this.stats.cacheHits)) * 100)
-        : 0
-    };
-  }
-
-  _getCacheKey(speech, context) {
-    return `${speech}|${context.appName || ''}`;
-  }
-
-  _addToCache(key, value) {
-    if (this.cache.size >= this.cacheMaxSize) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-    }
-    this.cache.set(key, value);
-  }
-
-  /**
-   * Tiered resolution: Dictionary first, then AI fallback
-   * This is the preferred method for resolving speech to actions.
-   * @param {string} speech - The transcribed user speech
-   * @param {object} context - Optional context (app name, mode, etc.)
-   * @returns {Promise<{action: string, confidence: number, tier: number, target?: string}>}
-   */
-  async resolveWithDictionary(speech, context = {}) {
-    // TIER 1 + 2: Check personal dictionary first (instant, no API call)
-    const localMatch = commandDictionary.lookup(speech);
-    if (localMatch && localMatch.confidence > 0.7) {
-      return {
-        ...localMatch,
-        latencyMs: 0,
-        mode: this.mode
-      };
-    }
-
-    // TIER 3: Fall back to Claude AI
-    const aiResult = await this.resolve(speech, context);
-
-    // Learn if AI is confident about an action
-    if (aiResult.confidence > 0.8 && aiResult.action && aiResult.action !== 'none' && aiResult.action !== 'unknown') {
-      await commandDictionary.learn(speech, aiResult.action, 'learned');
-    }
-
-    // Record tier 3 hit for stats
-    commandDictionary.recordTier3Hit();
+/**
+ * Resolver for a provider by name
+ * @param {string} mode - 'api' | 'cli' | 'openai' | 'mock'
+ * @param {object} options - Provider settings
+ * @returns {BaseIntentResolver}
+ */
+function createResolverFor(mode, options) {
+  if (mode === 'api') return new IntentResolver(options.apiKey, options);
+  if (mode === 'cli') return new IntentResolverCLI(options);
+  return new BaseIntentResolver(createProvider(mode, options));
+}
 
-    return { ...aiResult, tier: 3 };
-  }
+/**
+ * Provider settings from factory options
+ * @param {object} options - Factory options
+ * @param {string|null} apiKey - Anthropic key ('api') or the endpoint's bearer token ('openai')
+ */
+function providerSettings(options, apiKey) {
+  const { model, temperature, timeoutMs, endpoint, responses } = options;
+  return { apiKey, model, temperature, timeoutMs, endpoint, responses };
 }
 
 /**
  * Factory function to create the appropriate resolver (sync version)
  * @param {object} options
  * @param {string} options.apiKey - Anthropic API key (optional)
- * @param {string} options.mode - 'api' or 'cli' (default: auto-detect)
- * @returns {IntentResolver|IntentResolverCLI}
+ * @param {string} options.mode - 'api', 'cli', 'openai' or 'mock' (default: auto-detect)
+ * @param {string} options.model - Model name (provider default if not set)
+ * @param {number} options.temperature - Sampling temperature
+ * @param {number} options.timeoutMs - Request timeout
+ * @param {string} options.endpoint - Base URL of an OpenAI-compatible server ('openai')
+ * @param {string} options.endpointKey - Bearer token for that server, if it needs one
+ * @returns {BaseIntentResolver}
  */
 function createIntentResolver(options = {}) {
   const { apiKey, mode } = options;
 
-  // Explicit mode selection
-  if (mode === 'cli') {
-    return new IntentResolverCLI();
+  // Providers without an Anthropic key
+  if (mode === 'cli' || mode === 'openai' || mode === 'mock') {
+    return createResolverFor(mode, providerSettings(options, mode === 'openai' ? options.endpointKey : null));
   }
 
   if (mode === 'api') {
@@ -528,33 +709,33 @@ function createIntentResolver(options = {}) {
     if (!key) {
       throw new Error('API mode requires ANTHROPIC_API_KEY environment variable or apiKey option');
     }
-    return new IntentResolver(key);
+    return createResolverFor('api', providerSettings(options, key));
   }
 
   // Auto-detect: prefer API if key available, otherwise CLI
   const key = apiKey || process.env.ANTHROPIC_API_KEY;
   if (key) {
-    return new IntentResolver(key);
+    return createResolverFor('api', providerSettings(options, key));
   }
 
   // Fall back to CLI
-  return new IntentResolverCLI();
+  return createResolverFor('cli', providerSettings(options, null));
 }
 
 /**
  * Async factory function that checks Keychain for API key
  * Preferred method - uses secure storage
- * @param {object} options
+ * @param {object} options - As for createIntentResolver()
  * @param {string} options.apiKey - Anthropic API key (optional, overrides keychain)
- * @param {string} options.mode - 'api' or 'cli' (default: auto-detect)
- * @returns {Promise<IntentResolver|IntentResolverCLI>}
+ * @param {string} options.mode - 'api', 'cli', 'openai' or 'mock' (default: auto-detect)
+ * @returns {Promise<BaseIntentResolver>}
  */
 async function createIntentResolverAsync(options = {}) {
   const { apiKey, mode } = options;
 
-  // Explicit mode selection
-  if (mode === 'cli') {
-    return new IntentResolverCLI();
+  // Providers without an Anthropic key
+  if (mode === 'cli' || mode === 'openai' || mode === 'mock') {
+    return createResolverFor(mode, providerSettings(options, mode === 'openai' ? options.endpointKey : null));
   }
 
   // Try to get API key: passed option > env var > keychain
@@ -573,20 +754,21 @@ async function createIntentResolverAsync(options = {}) {
     if (!key) {
       throw new Error('API mode requires Anthropic API key (set via keychain, env var, or apiKey option)');
     }
-    return new IntentResolver(key);
+    return createResolverFor('api', providerSettings(options, key));
   }
 
   // Auto-detect: prefer API if key available, otherwise CLI
   if (key) {
-    return new IntentResolver(key);
+    return createResolverFor('api', providerSettings(options, key));
   }
 
   // Fall back to CLI
-  return new IntentResolverCLI();
+  return createResolverFor('cli', providerSettings(options, null));
 }
 
 // Export everything
 export {
+  BaseIntentResolver,
   IntentResolver,
   IntentResolverCLI,
   createIntentResolver,
@@ -0,0 +1,221 @@
+/**
+ * Intent Schema
+ *
+ * The AI tier answers through a tool call ("choose_action") whose JSON schema
+ * lists only the actions that are valid right now: the core actions, plus the
+ * active addon's actions as `<addon>.<action>` with the shape of their value
+ * (ableton `tempo` takes a number). Replies are validated against the same
+ * table; the resolver rejects invalid ones instead of trusting them.
+ *
+ *   { "action": "ableton.tempo", "value": 128, "confidence": 0.9 }
+ *
+ * The validator covers the JSON Schema subset addons use for values: type,
+ * enum, minimum/maximum, properties/required and items.
+ */
+
+/**
+ * Name of the tool the model calls
+ */
+export const INTENT_TOOL_NAME = 'choose_action';
+
+/**
+ * Actions that need a target instead of a value
+ */
+const TARGET_ACTIONS = new Set(['focus_app']);
+
+/**
+ * Table of the currently valid actions
+ * @param {string[]} coreActions - Core action names (take no value)
+ * @param {{addon: string, actions: Array<{name: string, params: object|null, optional?: boolean}>}|null} addon -
+ *   The active addon's actions; `params` is the JSON schema of the value, null when it takes none,
+ *   and `optional` when it also runs without one
+ * @returns {Map<string, {params: object|null, optional?: boolean}>}
+ */
+export function buildActionTable(coreActions, addon = null) {
+  const table = new Map(coreActions.map(action => [action, { params: null }]));
+  for (const action of addon?.actions || []) {
+    table.set(`${addon.addon}.${action.name}`, { params: action.params ?? null, optional: Boolean(action.optional) });
+  }
+  return table;
+}
+
+/**
+ * Short description of a value schema for prompts and the tool description ("number 20-999")
+ * @param {object} schema
+ * @returns {string}
+ */
+export function describeShape(schema) {
+  if (!schema || !schema.type) return 'any value';
+  if (schema.type === 'object' && schema.properties) {
+    const fields = Object.entries(schema.properties).map(([name, field]) => `${name}: ${describeShape(field)}`);
+    return `{${fields.join(', ')}}`;
+  }
+  const type = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+  if (schema.enum) return `${type} (${schema.enum.join(', ')})`;
+  if (schema.minimum !== undefined && schema.maximum !== undefined) return `${type} ${schema.minimum}-${schema.maximum}`;
+  return type;
+}
+
+/**
+ * Tool definition for the currently valid actions (Anthropic `input_schema` form)
+ * @param {Map<string, {params: object|null}>} table - From buildActionTable()
+ * @returns {{name: string, description: string, input_schema: object}}
+ */
+export function buildIntentTool(table) {
+  const names = [...table.keys()];
+  const valued = names.filter(name => table.get(name).params);
+
+  const step = {
+    action: { type: 'string', enum: names },
+    target: { type: 'string', description: 'App name for focus_app' }
+  };
+  if (valued.length > 0) {
+    const shapes = [...new Map(valued.map(name => {
+      const params = table.get(name).params;
+      return [JSON.stringify(params), params];
+    })).values()];
+    step.value = {
+      description: 'Value of an action that takes one (see the tool description)',
+      ...(shapes.length === 1 ? shapes[0] : { anyOf: shapes })
+    };
+  }
+
+  const description = [
+    'Report the action the user wants to perform.',
+    valued.length > 0
+      ? `Actions that take a "value": ${valued.map(name => `${name} (${describeShape(table.get(name).params)})`).join(', ')}.`
+      : ''
+  ].filter(Boolean).join(' ');
+
+  return {
+    name: INTENT_TOOL_NAME,
+    description,
+    input_schema: {
+      type: 'object',
+      properties: {
+        ...step,
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        follow_up: {
+          type: 'boolean',
+          description: 'True when the phrase refers to the recent context ("do that again", "the other one")'
+        },
+        steps: {
+          type: 'array',
+          description: 'Several actions in one phrase, in order (the first one is also "action")',
+          items: { type: 'object', properties: step, required: ['action'] }
+        }
+      },
+      required: ['action', 'confidence']
+    }
+  };
+}
+
+/**
+ * Does a value have a JSON Schema type?
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a JSON schema (subset: type, enum, minimum, maximum,
+ * properties, required, items, anyOf)
+ * @param {any} value
+ * @param {object} schema
+ * @param {string} path - Where the value is, for messages
+ * @returns {string[]} - Problems, empty when valid
+ */
+export function validateValue(value, schema, path = 'value') {
+  if (!schema) return [];
+  if (schema.anyOf) {
+    return schema.anyOf.some(option => validateValue(value, option, path).length === 0)
+      ? []
+      : [`${path} matches none of the allowed shapes`];
+  }
+
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some(type => hasType(value, type))) {
+    return [`${path} should be ${types.join(' or ')}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be at most ${schema.maximum}`);
+  }
+  if (hasType(value, 'object')) {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) errors.push(`${path}.${field} is missing`);
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (value[field] !== undefined) errors.push(...validateValue(value[field], fieldSchema, `${path}.${field}`));
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateValue(item, schema.items, `${path}[${i}]`)));
+  }
+  return errors;
+}
+
+/**
+ * Validate one step ({action, target, value}) against the action table
+ */
+function validateStep(step, table, path) {
+  const entry = table.get(step.action);
+  if (!entry) return [`${path}action "${step.action}" is not a valid action`];
+
+  const errors = [];
+  const hasValue = step.value !== undefined && step.value !== null;
+  if (!entry.params && hasValue) errors.push(`${path}${step.action} takes no value`);
+  if (entry.params && !hasValue && !entry.optional) errors.push(`${path}${step.action} needs a value`);
+  if (entry.params && hasValue) errors.push(...validateValue(step.value, entry.params, `${path}value`));
+  if (step.target !== undefined && step.target !== null && typeof step.target !== 'string') {
+    errors.push(`${path}target should be a string`);
+  }
+  if (TARGET_ACTIONS.has(step.action) && !step.target) errors.push(`${path}${step.action} needs a target`);
+  return errors;
+}
+
+/**
+ * Validate a model reply
+ * @param {object} reply - Parsed reply ({action, confidence, target, value, follow_up, steps})
+ * @param {Map<string, {params: object|null}>} table - From buildActionTable()
+ * @param {function} normalize - Action name normalizer (case, aliases) applied before lookup
+ * @returns {string[]} - Problems, empty when valid
+ */
+export function validateIntent(reply, table, normalize = (action) => action) {
+  if (!reply || typeof reply !== 'object' || Array.isArray(reply)) return ['reply is not an object'];
+  if (typeof reply.action !== 'string') return ['action is missing'];
+
+  const errors = [];
+  if (reply.confidence !== undefined && typeof reply.confidence !== 'number') {
+    errors.push('confidence should be a number');
+  }
+  if (reply.follow_up !== undefined && typeof reply.follow_up !== 'boolean') {
+    errors.push('follow_up should be a boolean');
+  }
+
+  const normalizeStep = (step) => ({ ...step, action: normalize(step?.action) });
+  if (reply.steps !== undefined) {
+    if (!Array.isArray(reply.steps)) return [...errors, 'steps should be an array'];
+    reply.steps.forEach((step, i) => {
+      if (!step || typeof step !== 'object') {
+        errors.push(`steps[${i}] is not an object`);
+      } else {
+        errors.push(...validateStep(normalizeStep(step), table, `steps[${i}].`));
+      }
+    });
+  }
+  if (!Array.isArray(reply.steps) || reply.steps.length === 0) {
+    errors.push(...validateStep(normalizeStep(reply), table, ''));
+  }
+  return errors;
+}
@@ -131,11 +131,12 @@ export class LearningLoop {
    * @param {string} action - Action that was executed
    * @param {number} confidence - Confidence level
    * @param {number} tier - Resolution tier (1, 2, or 3)
+   * @param {object} [details] - Target, value and modifiers (see contextWindow.addAction())
    */
-  async observeAction(phrase, action, confidence, tier) {
+  async observeAction(phrase, action, confidence, tier, details = {}) {
     // Add to context
     contextWindow.addSpeech(phrase);
-    contextWindow.addAction(action, confidence, tier);
+    contextWindow.addAction(action, confidence, tier, details);
 
     // Clear any existing observation timer
     if (this.observationTimer) {
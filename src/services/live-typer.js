@@ -0,0 +1,133 @@
+/**
+ * Live Typer Service
+ *
+ * Types interim (partial) transcripts as they arrive and keeps the text on
+ * screen in step with them. Each update only touches what changed: characters
+ * after the first difference are deleted (backspace) and the new tail is typed.
+ * When the final transcript arrives, commit() rewrites the partial into it the
+ * same way; discard() erases the partial when the final turns out to be a command.
+ *
+ * Updates are serialized - a keystroke batch always finishes before the next
+ * diff is computed, so the on-screen text and `shown` never drift apart.
+ */
+
+/**
+ * Compute the edit that turns `shown` into `next`
+ * @param {string} shown - Text currently on screen
+ * @param {string} next - Text that should be on screen
+ * @returns {{deleteCount: number, insert: string}}
+ */
+export function diffText(shown, next) {
+  let common = 0;
+  const max = Math.min(shown.length, next.length);
+  while (common < max && shown[common] === next[common]) {
+    common++;
+  }
+  return {
+    deleteCount: shown.length - common,
+    insert: next.slice(common)
+  };
+}
+
+/**
+ * LiveTyper class
+ * Mirrors the current partial transcript into the focused text field
+ */
+export class LiveTyper {
+  constructor() {
+    this.shown = '';            // Partial text currently typed on screen
+    this.queue = Promise.resolve();
+
+    // Callbacks for integration
+    this.onType = null;         // async (text) => types text
+    this.onDelete = null;       // async (count) => deletes characters
+  }
+
+  /**
+   * Set callbacks for integration
+   */
+  setCallbacks({ onType, onDelete }) {
+    this.onType = onType;
+    this.onDelete = onDelete;
+  }
+
+  /**
+   * Is partial text on screen right now?
+   * @returns {boolean}
+   */
+  hasText() {
+    return this.shown.length > 0;
+  }
+
+  /**
+   * Show a new partial transcript
+   * @param {string} partial
+   * @returns {Promise<void>}
+   */
+  update(partial) {
+    return this.enqueue(() => this.rewrite(partial));
+  }
+
+  /**
+   * Replace the partial with the final text and hand it over to the caller
+   * @param {string} text - Final text (including any trailing space)
+   * @returns {Promise<boolean>} - True if the partial was on screen and has been rewritten
+   */
+  commit(text) {
+    return this.enqueue(async () => {
+      if (!this.shown) return false;
+      await this.rewrite(text);
+      this.shown = '';
+      return true;
+    });
+  }
+
+  /**
+   * Erase the partial (the final was a command, or the session stopped)
+   * @returns {Promise<void>}
+   */
+  discard() {
+    return this.enqueue(async () => {
+      await this.rewrite('');
+    });
+  }
+
+  /**
+   * Forget the partial without touching the screen (e.g. focus moved elsewhere)
+   */
+  reset() {
+    this.shown = '';
+  }
+
+  /**
+   * Run keystroke batches one at a time
+   */
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch((error) => {
+      console.error('[live] Live typing failed:', error.message);
+    });
+    return run;
+  }
+
+  /**
+   * Apply the diff between what's shown and `next`
+   */
+  async rewrite(next) {
+    const { deleteCount, insert } = diffText(this.shown, next);
+
+    if (deleteCount > 0 && this.onDelete) {
+      await this.onDelete(deleteCount);
+    }
+    if (insert && this.onType) {
+      await this.onType(insert);
+    }
+
+    this.shown = next;
+  }
+}
+
+// Singleton
+export const liveTyper = new LiveTyper();
+
+export default liveTyper;
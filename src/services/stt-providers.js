@@ -0,0 +1,609 @@
+/**
+ * Speech-to-Text Providers
+ *
+ * TranscriberService streams 16 kHz mono linear16 PCM (from bin/mic-recorder or a
+ * replayed file) into a provider. Every provider is an EventEmitter with:
+ *
+ *   connect()        - start recognizing; emit 'open' when ready
+ *   send(chunk)      - feed a PCM chunk
+ *   keepAlive()      - called instead of send() while TTS is speaking
+ *   flush()          - audio ended; finish any pending utterance
+ *   disconnect()     - stop and release resources
+ *
+ * and emits 'open', 'close', 'error', 'transcript' (final text) and, where the
+ * engine supports it, 'partial' (interim text that a later result replaces).
+ *
+ * Providers:
+ *   deepgram - Deepgram live streaming (network, API key)
+ *   whisper  - whisper.cpp subprocess per utterance (offline)
+ *   replay   - scripted transcripts paced by the audio it receives (tests, demos)
+ */
+
+import { execFile } from 'child_process';
+import EventEmitter from 'events';
+import { existsSync, readFileSync, writeFileSync, unlinkSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { createClient, LiveTranscriptionEvents } from '@deepgram/sdk';
+
+/**
+ * PCM format produced by bin/mic-recorder
+ */
+export const SAMPLE_RATE = 16000;
+export const BYTES_PER_SECOND = SAMPLE_RATE * 2;  // 16-bit mono
+
+/**
+ * Provider names accepted in config (speech.provider)
+ */
+export const STT_PROVIDERS = ['deepgram', 'whisper', 'replay'];
+
+/**
+ * Transcription profiles - per-mode Deepgram endpointing settings
+ *
+ *   endpointing    - ms of silence before Deepgram finalizes a segment
+ *   utteranceEndMs - ms gap that ends an utterance (UtteranceEnd, min 1000)
+ *   vadEvents      - send SpeechStarted events
+ *   keywords       - boosted keywords ("word" or "word:boost")
+ *
+ * Claude mode waits longer so long prompts aren't cut mid-thought; music mode
+ * finalizes quickly so short commands feel snappy. Override per profile in
+ * config (speech.profiles.<name>).
+ */
+export const TRANSCRIPTION_PROFILES = {
+  general: { endpointing: 300, utteranceEndMs: 1000, vadEvents: false, keywords: [] },
+  claude: { endpointing: 1000, utteranceEndMs: 2000 },
+  music: { endpointing: 100, utteranceEndMs: 1000 }
+};
+
+/**
+ * Resolve a profile by name: general defaults + built-in profile + config overrides
+ * @param {string} name - Profile name (unknown names fall back to general)
+ * @param {object} overrides - speech.profiles from config
+ * @returns {object}
+ */
+export function resolveProfile(name = 'general', overrides = {}) {
+  const known = (TRANSCRIPTION_PROFILES[name] || overrides[name]) ? name : 'general';
+  const general = { ...TRANSCRIPTION_PROFILES.general, ...overrides.general };
+  if (known === 'general') {
+    return { ...general, name: known };
+  }
+  return { ...general, ...TRANSCRIPTION_PROFILES[known], ...overrides[known], name: known };
+}
+
+/**
+ * Did the service reject the API key? Retrying with the same key won't help.
+ * The ws transport reports a rejected handshake as "Unexpected server response: 401".
+ * @param {*} error - Error or error event from a provider
+ * @returns {boolean}
+ */
+export function isAuthError(error) {
+  if (!error) return false;
+  const status = error.statusCode ?? error.status ?? error.error?.statusCode;
+  if (status === 401 || status === 403) return true;
+  const message = String(error.message ?? error.error?.message ?? error);
+  return /\b40[13]\b|unauthori[sz]ed|forbidden/i.test(message);
+}
+
+/**
+ * Base provider with no-op defaults
+ */
+export class STTProvider extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.connected = false;
+    this.usesProfile = false;   // True if transcription profiles change the connection
+  }
+
+  /**
+   * Throw if the provider can't run with its current options
+   */
+  validate() {}
+
+  connect() {
+    this.connected = true;
+    setImmediate(() => this.emit('open'));
+  }
+
+  send() {}
+
+  keepAlive() {}
+
+  flush() {}
+
+  disconnect() {
+    this.connected = false;
+  }
+
+  /**
+   * Short state string for DEBUG_TRANSCRIBER_STATE logging
+   */
+  state() {
+    return this.connected ? 'open' : 'closed';
+  }
+
+  /**
+   * Emit 'error' only while someone listens (late errors after stop are dropped)
+   * @param {Error} error
+   */
+  emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+}
+
+/**
+ * Deepgram live streaming (nova-2)
+ */
+export class DeepgramProvider extends STTProvider {
+  constructor(options = {}) {
+    super(options);
+    this.apiKey = options.apiKey;
+    this.language = options.language;
+    this.model = options.model || 'nova-2';
+    this.profile = options.profile || resolveProfile('general');
+    this.usesProfile = true;
+    this.dgConn = null;
+  }
+
+  validate() {
+    if (!this.apiKey) {
+      throw new Error('[transcriber] Missing Deepgram API key');
+    }
+  }
+
+  connect() {
+    const dgClient = createClient(this.apiKey);
+
+    this.dgConn = dgClient.listen.live({
+      language: this.language,
+      model: this.model,
+      encoding: 'linear16',
+      sample_rate: SAMPLE_RATE,
+      channels: 1,
+      punctuate: true,
+      smart_format: true,
+      interim_results: true,
+      ...this.profileOptions(),
+    });
+
+    this.dgConn.on(LiveTranscriptionEvents.Error, (error) => {
+      console.error('[transcriber] Deepgram connection error:', error);
+      this.emitError(error);
+    });
+
+    this.dgConn.on(LiveTranscriptionEvents.Open, () => {
+      console.debug('[transcriber] Deepgram connection opened');
+      this.connected = true;
+      this.emit('open');
+    });
+
+    this.dgConn.on(LiveTranscriptionEvents.Close, () => {
+      console.debug('[transcriber] Deepgram connection closed');
+      this.connected = false;
+      this.emit('close');
+    });
+
+    this.dgConn.on(LiveTranscriptionEvents.Transcript, (data) => {
+      this.handleTranscript(data);
+    });
+  }
+
+  /**
+   * Live connection options for the transcription profile
+   */
+  profileOptions() {
+    const { endpointing, utteranceEndMs, vadEvents, keywords } = this.profile;
+    return {
+      ...(endpointing !== undefined && endpointing !== null && { endpointing }),
+      ...(utteranceEndMs && { utterance_end_ms: Math.max(1000, utteranceEndMs) }),
+      ...(vadEvents && { vad_events: true }),
+      ...(keywords?.length > 0 && { keywords })
+    };
+  }
+
+  handleTranscript(data) {
+    const transcript = data?.channel?.alternatives?.[0]?.transcript?.trim() || '';
+    const isFinal = data?.is_final;
+
+    if (!transcript) return;
+
+    // Interim results are refined until Deepgram finalizes the segment
+    this.emit(isFinal ? 'transcript' : 'partial', transcript);
+  }
+
+  send(chunk) {
+    if (!this.dgConn) return;
+    try {
+      this.dgConn.send(chunk);
+    } catch (error) {
+      console.error('[transcriber] Error sending audio chunk:', error);
+    }
+  }
+
+  keepAlive() {
+    // Prevents the connection from timing out while no audio is sent
+    try {
+      this.dgConn?.keepAlive();
+    } catch {
+      // Ignore keepalive errors
+    }
+  }
+
+  disconnect() {
+    this.connected = false;
+    const conn = this.dgConn;
+    this.dgConn = null;
+    conn?.disconnect();
+  }
+
+  state() {
+    return this.dgConn?.connectionState?.() ?? 'null';
+  }
+}
+
+/**
+ * Offline recognition with whisper.cpp
+ *
+ * Audio is split into utterances with a simple energy-based voice activity
+ * detector; each utterance is written to a temp WAV and transcribed by the
+ * whisper.cpp CLI. Transcripts are emitted in utterance order.
+ */
+export class WhisperCppProvider extends STTProvider {
+  constructor(options = {}) {
+    super(options);
+    this.binary = options.binary || 'whisper-cli';
+    this.model = options.model;
+    this.language = options.language || 'en';
+    this.energyThreshold = options.energyThreshold ?? 500;  // RMS of 16-bit samples
+    this.silenceMs = options.silenceMs ?? 700;              // Silence that ends an utterance
+    this.minSpeechMs = options.minSpeechMs ?? 250;          // Shorter bursts are noise
+    this.maxUtteranceMs = options.maxUtteranceMs ?? 15000;  // Force a cut for long speech
+    this.maxSpeechMs = options.maxSpeechMs ?? null;         // Longer utterances are skipped
+    this.extraArgs = options.extraArgs || [];               // Extra CLI args (array or function)
+
+    this.chunks = [];
+    this.speechBytes = 0;
+    this.silenceBytes = 0;
+    this.inSpeech = false;
+    this.oddByte = null;               // Half a sample left over from the last chunk
+    this.pending = Promise.resolve();  // Keeps transcription order
+    this.utteranceCount = 0;
+  }
+
+  validate() {
+    if (!this.model) {
+      throw new Error('[transcriber] Missing whisper.cpp model path (speech.whisper.model)');
+    }
+    if (!existsSync(this.model)) {
+      throw new Error(`[transcriber] whisper.cpp model not found: ${this.model}`);
+    }
+  }
+
+  send(chunk) {
+    if (!this.connected) return;
+
+    // Pipes don't respect sample boundaries - keep every chunk 16-bit aligned
+    if (this.oddByte) {
+      chunk = Buffer.concat([this.oddByte, chunk]);
+      this.oddByte = null;
+    }
+    if (chunk.length % 2 === 1) {
+      this.oddByte = chunk.subarray(chunk.length - 1);
+      chunk = chunk.subarray(0, chunk.length - 1);
+    }
+    if (chunk.length === 0) return;
+
+    const loud = rms(chunk) >= this.energyThreshold;
+
+    if (!this.inSpeech) {
+      if (!loud) return;
+      this.inSpeech = true;
+    }
+
+    this.chunks.push(chunk);
+    if (loud) {
+      this.speechBytes += chunk.length;
+      this.silenceBytes = 0;
+    } else {
+      this.silenceBytes += chunk.length;
+    }
+
+    const totalMs = bytesToMs(this.speechBytes + this.silenceBytes);
+    if (bytesToMs(this.silenceBytes) >= this.silenceMs || totalMs >= this.maxUtteranceMs) {
+      this.endUtterance();
+    }
+  }
+
+  flush() {
+    if (this.inSpeech) {
+      this.endUtterance();
+    }
+    return this.pending;
+  }
+
+  disconnect() {
+    super.disconnect();
+    this.resetUtterance();
+    this.oddByte = null;
+  }
+
+  /**
+   * Close the current utterance and queue it for transcription
+   */
+  endUtterance() {
+    const pcm = Buffer.concat(this.chunks);
+    const speechMs = bytesToMs(this.speechBytes);
+    this.resetUtterance();
+
+    if (speechMs < this.minSpeechMs) return;
+    if (this.maxSpeechMs && speechMs > this.maxSpeechMs) return;
+
+    this.pending = this.pending.then(() => this.transcribe(pcm));
+  }
+
+  resetUtterance() {
+    this.chunks = [];
+    this.speechBytes = 0;
+    this.silenceBytes = 0;
+    this.inSpeech = false;
+  }
+
+  /**
+   * Run whisper.cpp on one utterance and emit the transcript
+   * @param {Buffer} pcm - 16 kHz mono linear16 audio
+   */
+  async transcribe(pcm) {
+    const wavPath = path.join(os.tmpdir(), `s2t-whisper-${process.pid}-${++this.utteranceCount}.wav`);
+
+    try {
+      writeFileSync(wavPath, toWav(pcm));
+      const extraArgs = typeof this.extraArgs === 'function' ? this.extraArgs() : this.extraArgs;
+      const stdout = await new Promise((resolve, reject) => {
+        execFile(
+          this.binary,
+          ['-m', this.model, '-f', wavPath, '-l', this.language, '-nt', '-np', ...extraArgs],
+          { maxBuffer: 1024 * 1024 },
+          (error, out) => (error ? reject(error) : resolve(out))
+        );
+      });
+
+      const transcript = cleanWhisperOutput(stdout);
+      if (transcript && this.connected) {
+        this.emit('transcript', transcript);
+      }
+    } catch (error) {
+      console.error('[transcriber] whisper.cpp failed:', error.message);
+      this.emitError(error);
+    } finally {
+      try {
+        unlinkSync(wavPath);
+      } catch {
+        // Ignore if already removed
+      }
+    }
+  }
+}
+
+/**
+ * Fake provider that replays a transcript script
+ *
+ * Script lines are "<seconds> <text>" (or plain text, spaced two seconds apart).
+ * Each line is emitted once that much audio has been received, so pairing it with
+ * a replayed audio file (speech.audioFile) runs the whole pipeline offline.
+ */
+export class ReplayProvider extends STTProvider {
+  constructor(options = {}) {
+    super(options);
+    this.transcriptFile = options.transcript;
+    this.script = [];
+    this.receivedBytes = 0;
+  }
+
+  validate() {
+    if (!this.transcriptFile) {
+      throw new Error('[transcriber] Missing replay transcript (speech.replay.transcript)');
+    }
+    if (!existsSync(this.transcriptFile)) {
+      throw new Error(`[transcriber] Replay transcript not found: ${this.transcriptFile}`);
+    }
+  }
+
+  connect() {
+    this.script = parseTranscriptScript(readFileSync(this.transcriptFile, 'utf8'));
+    this.receivedBytes = 0;
+    super.connect();
+  }
+
+  send(chunk) {
+    if (!this.connected) return;
+    this.receivedBytes += chunk.length;
+    this.emitDue(bytesToMs(this.receivedBytes) / 1000);
+  }
+
+  keepAlive(chunk) {
+    // Audio muted by TTS still advances the clock
+    if (chunk) this.send(chunk);
+  }
+
+  flush() {
+    this.emitDue(Infinity);
+  }
+
+  emitDue(seconds) {
+    while (this.script.length > 0 && this.script[0].at <= seconds) {
+      this.emit('transcript', this.script.shift().text);
+    }
+  }
+}
+
+/**
+ * Streams a PCM or WAV file at real-time pace, like bin/mic-recorder
+ * Emits 'data' (Buffer) and 'end'.
+ */
+export class PcmFileSource extends EventEmitter {
+  /**
+   * @param {string} file - .wav (16 kHz mono 16-bit) or raw .pcm file
+   * @param {object} options
+   * @param {number} options.chunkMs - Chunk size
+   * @param {number} options.speed - Playback speed (2 = twice real time)
+   */
+  constructor(file, { chunkMs = 100, speed = 1 } = {}) {
+    super();
+    this.file = file;
+    this.chunkMs = chunkMs;
+    this.speed = speed;
+    this.timer = null;
+  }
+
+  start() {
+    const pcm = readPcmFile(this.file);
+    const chunkBytes = Math.round((BYTES_PER_SECOND * this.chunkMs) / 1000) & ~1;
+    let offset = 0;
+
+    this.timer = setInterval(() => {
+      if (offset >= pcm.length) {
+        this.stop();
+        this.emit('end');
+        return;
+      }
+      this.emit('data', pcm.subarray(offset, offset + chunkBytes));
+      offset += chunkBytes;
+    }, this.chunkMs / this.speed);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/**
+ * Create the provider selected in config (speech.provider)
+ * @param {object} speech - config.data.speech
+ * @param {object} profile - Transcription profile (see resolveProfile)
+ * @returns {STTProvider}
+ */
+export function createSTTProvider(speech = {}, profile = null) {
+  const name = speech.provider || 'deepgram';
+
+  switch (name) {
+    case 'deepgram':
+      return new DeepgramProvider({
+        apiKey: speech.deepgramApiKey || process.env.DEEPGRAM_API_KEY,
+        language: speech.language,
+        profile: profile || resolveProfile('general', speech.profiles)
+      });
+    case 'whisper':
+      return new WhisperCppProvider({
+        ...speech.whisper,
+        language: speech.whisper?.language || speech.language
+      });
+    case 'replay':
+      return new ReplayProvider({ ...speech.replay });
+    default:
+      throw new Error(`[transcriber] Unknown speech provider: ${name} (expected ${STT_PROVIDERS.join(', ')})`);
+  }
+}
+
+/**
+ * Read a WAV or raw PCM file as linear16 PCM
+ * @param {string} file
+ * @returns {Buffer}
+ */
+export function readPcmFile(file) {
+  const data = readFileSync(file);
+  if (data.length < 12 || data.toString('ascii', 0, 4) !== 'RIFF' || data.toString('ascii', 8, 12) !== 'WAVE') {
+    return data;
+  }
+
+  // Walk RIFF chunks to find "data" (headers aren't always 44 bytes)
+  let offset = 12;
+  while (offset + 8 <= data.length) {
+    const id = data.toString('ascii', offset, offset + 4);
+    const size = data.readUInt32LE(offset + 4);
+    if (id === 'data') {
+      return data.subarray(offset + 8, Math.min(offset + 8 + size, data.length));
+    }
+    offset += 8 + size + (size % 2);
+  }
+  throw new Error(`No audio data in WAV file: ${file}`);
+}
+
+/**
+ * Wrap linear16 PCM in a WAV header
+ * @param {Buffer} pcm
+ * @returns {Buffer}
+ */
+export function toWav(pcm) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);               // fmt chunk size
+  header.writeUInt16LE(1, 20);                // PCM
+  header.writeUInt16LE(1, 22);                // mono
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(BYTES_PER_SECOND, 28);
+  header.writeUInt16LE(2, 32);                // block align
+  header.writeUInt16LE(16, 34);               // bits per sample
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Parse a replay script into [{ at, text }] sorted by time
+ * @param {string} content
+ * @returns {Array<{at: number, text: string}>}
+ */
+export function parseTranscriptScript(content) {
+  const lines = content.split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+
+  return lines
+    .map((line, i) => {
+      const match = line.match(/^(\d+(?:\.\d+)?)\s+(.+)$/);
+      return match
+        ? { at: parseFloat(match[1]), text: match[2].trim() }
+        : { at: (i + 1) * 2, text: line };
+    })
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Strip whisper.cpp annotations ("[BLANK_AUDIO]", "(music)") and join lines
+ * @param {string} stdout
+ * @returns {string}
+ */
+export function cleanWhisperOutput(stdout) {
+  return (stdout || '')
+    .replace(/\[[^\]]*\]|\([^)]*\)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Root-mean-square level of a linear16 chunk
+ * @param {Buffer} chunk
+ * @returns {number}
+ */
+function rms(chunk) {
+  const samples = Math.floor(chunk.length / 2);
+  if (samples === 0) return 0;
+
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const s = chunk.readInt16LE(i * 2);
+    sum += s * s;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+function bytesToMs(bytes) {
+  return (bytes / BYTES_PER_SECOND) * 1000;
+}
@@ -0,0 +1,107 @@
+/**
+ * Text Editing
+ *
+ * Voice editing of the text dictation just typed:
+ *
+ *   "computer select last sentence"          → selects it (Shift+Left over its characters)
+ *   "computer delete last word"              → deletes it
+ *   "computer replace teh with the"          → fixes the last dictated chunk
+ *   "computer capitalize that"               → Title Cases the last dictated chunk
+ *
+ * The undo stack knows what dictation typed before the cursor (UndoStack.tailText),
+ * so word, sentence and line boundaries come from that text instead of guessing
+ * what the app's own shortcuts will select. These helpers are the text side;
+ * index.js does the typing and records each edit for "retract".
+ */
+
+/**
+ * Units "select/delete last ..." works on
+ */
+export const EDIT_UNITS = ['word', 'sentence', 'line'];
+
+/**
+ * Where a sentence ends: terminal punctuation (with closing quotes/brackets) and
+ * the whitespace after it, or a new line
+ */
+const SENTENCE_BOUNDARY = /[.!?]["'”’)\]]*\s+|\n/g;
+
+/**
+ * The last word, sentence or line of some text, with the whitespace after it
+ * @param {string} text - Text before the cursor
+ * @param {string} unit - 'word' | 'sentence' | 'line'
+ * @returns {string} - A suffix of the text (the whole text when it has one unit)
+ */
+export function lastUnit(text, unit) {
+  const body = text.replace(/\s+$/, '');
+  if (!body) return text;
+
+  let start = 0;
+  if (unit === 'word') {
+    start = body.search(/\S+$/);
+  } else if (unit === 'line') {
+    start = body.lastIndexOf('\n') + 1;
+  } else {
+    for (const match of body.matchAll(SENTENCE_BOUNDARY)) {
+      start = match.index + match[0].length;
+    }
+  }
+  return text.slice(start);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pattern for a spoken phrase in typed text
+ * Commands arrive without punctuation, so apostrophes may be missing ("dont" finds
+ * "don't") and words may be separated by punctuation ("hello world" finds "hello, world").
+ */
+function phrasePattern(phrase) {
+  const words = phrase.trim().split(/\s+/).map(word =>
+    word.split('').map(escapeRegExp).join("['’]?")
+  );
+  return new RegExp(`(?<![\\w'’])${words.join('\\W+')}(?![\\w'’])`, 'gi');
+}
+
+/**
+ * Match the case of the text being replaced (Capitalized or ALL CAPS)
+ */
+function matchCase(replacement, original) {
+  if (original.length > 1 && original === original.toUpperCase() && original !== original.toLowerCase()) {
+    return replacement.toUpperCase();
+  }
+  if (/^[A-Z]/.test(original)) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+}
+
+/**
+ * Replace the last occurrence of a spoken phrase ("replace teh with the")
+ * @param {string} text - The dictated chunk
+ * @param {string} phrase - What to find (whole words, case-insensitive)
+ * @param {string} replacement - What to put there
+ * @returns {string|null} - The new text, or null when the phrase isn't in it
+ */
+export function replaceLast(text, phrase, replacement) {
+  if (!text || !phrase?.trim()) return null;
+
+  let last = null;
+  for (const match of text.matchAll(phrasePattern(phrase))) {
+    last = match;
+  }
+  if (!last) return null;
+
+  const end = last.index + last[0].length;
+  return text.slice(0, last.index) + matchCase(replacement.trim(), last[0]) + text.slice(end);
+}
+
+/**
+ * Capitalize every word ("capitalize that")
+ * @param {string} text
+ * @returns {string}
+ */
+export function capitalizeWords(text) {
+  return text.replace(/(^|[\s"“([{-])(\p{Ll})/gu, (_, before, letter) => before + letter.toUpperCase());
+}
@@ -5,10 +5,14 @@
  * State machine: IDLE → LISTENING → COLLECTING → CONFIRMING → SAVING → IDLE
  *
  * Phase 2.4: Integrated training-voice for sound effects and natural voice prompts
+ * Phase 2.6: Action descriptions are resolved to concrete actions before saving
+ * App rules ("when I'm in Slack, affirmative means send") go to the app's profile (app-profiles.js)
  */
 
 import { commandDictionary } from './commands.js';
 import { trainingVoice } from './training-voice.js';
+import { matchAction, isKnownAction, describeAction } from './action-matcher.js';
+import { parseContextRule, describeSettings } from './app-profiles.js';
 
 /**
  * Training mode states
@@ -16,6 +20,7 @@ import { trainingVoice } from './training-voice.js';
 export const TrainingState = {
   IDLE: 'idle',
   LISTENING: 'listening',                  // Waiting for training request
+  COLLECTING_ACTION: 'collecting_action',  // Asking what the phrase should do
   COLLECTING_VARIATIONS: 'collecting_variations',  // Adding more trigger phrases
   COLLECTING_STEPS: 'collecting_steps',    // Adding workflow steps
   RESOLVING_CONFLICT: 'resolving_conflict', // Handling phrase conflicts (Phase 2.7)
@@ -32,6 +37,16 @@ export const TrainingType = {
   CONTEXT_RULE: 'context_rule'             // app-specific override
 };
 
+/**
+ * Detects a workflow training request ("..., run a workflow", "..., do these steps")
+ */
+const WORKFLOW_REQUEST = /\b(?:workflow|steps|sequence)\b/i;
+
+/**
+ * Minimum intent resolver confidence to accept its action (otherwise use the keyword matcher)
+ */
+const MIN_RESOLVE_CONFIDENCE = 0.6;
+
 /**
  * Timeout durations
  */
@@ -58,15 +73,19 @@ export class TrainingMode {
     this.onSpeak = null;       // Function to speak text
     this.onExecute = null;     // Function to execute action
     this.onStateChange = null; // Function called on state change
+    this.onResolve = null;     // Function to resolve an action description via the intent resolver
+    this.onMatchApp = null;    // Function to turn a spoken app name into the app's real name
   }
 
   /**
    * Set callbacks for integration
    */
-  setCallbacks({ onSpeak, onExecute, onStateChange }) {
+  setCallbacks({ onSpeak, onExecute, onStateChange, onResolve, onMatchApp }) {
     this.onSpeak = onSpeak;
     this.onExecute = onExecute;
     this.onStateChange = onStateChange;
+    this.onResolve = onResolve;
+    this.onMatchApp = onMatchApp;
   }
 
   /**
@@ -113,6 +132,7 @@ export class TrainingMode {
       data: {
         trigger_phrases: [],
         action: null,
+        target: null,
         steps: [],
         context: null
       },
@@ -184,6 +204,10 @@ export class TrainingMode {
         await this.handleTrainingRequest(text);
         break;
 
+      case TrainingState.COLLECTING_ACTION:
+        await this.handleActionDescription(text);
+        break;
+
       case TrainingState.COLLECTING_VARIATIONS:
         await this.handleVariation(text);
         break;
@@ -222,7 +246,7 @@ export class TrainingMode {
       await this.exit(false);  // Discard
     } else {
       // Ask to confirm
-      if (this.session && (this.session.data.trigger_phrases.length > 0 || this.session.data.steps.length > 0)) {
+      if (this.session && this.hasContent()) {
         this.setState(TrainingState.CONFIRMING);
         await this.confirm();
       } else {
@@ -235,6 +259,13 @@ export class TrainingMode {
    * Handle training request (first input after "computer learn")
    */
   async handleTrainingRequest(text) {
+    // App rule: "When I'm in Slack, affirmative means send"
+    const contextRule = parseContextRule(text);
+    if (contextRule) {
+      await this.startContextRule(contextRule);
+      return;
+    }
+
     // Simple parsing for now - just extract quoted phrases
     // Example: "When I say 'yeet', delete the selection"
     const quoteMatch = text.match(/['"]([^'"]+)['"]/);
@@ -242,23 +273,26 @@ export class TrainingMode {
     if (quoteMatch) {
       const phrase = quoteMatch[1];
       this.session.data.trigger_phrases.push(phrase);
+
+      // Workflow request: "When I say 'ship it', run a workflow"
+      if (WORKFLOW_REQUEST.test(text)) {
+        await this.startWorkflow(phrase);
+        return;
+      }
+
       this.session.type = TrainingType.SIMPLE_COMMAND;
 
       // Try to extract action description
       const actionMatch = text.match(/,\s*(.+)$/);
       if (actionMatch) {
         this.session.data.action_description = actionMatch[1];
+        if (await this.applyAction(actionMatch[1])) {
+          await this.startVariations();
+          return;
+        }
       }
 
-      this.setState(TrainingState.COLLECTING_VARIATIONS);
-
-      const response = `Got it. "${phrase}" will ${this.session.data.action_description || 'perform that action'}. Want to add other ways to say this?`;
-      this.addToHistory('one', response);
-
-      await trainingVoice.understood();
-      await trainingVoice.speak(response);
-
-      this.startTimeout(TIMEOUTS.COLLECTING);
+      await this.askForAction();
     } else {
       // Couldn't parse - ask for clarification
       const response = "I need you to say: 'When I say [phrase], do [action]'. For example: 'When I say ship it, run the deploy workflow'.";
@@ -270,6 +304,165 @@ export class TrainingMode {
     }
   }
 
+  /**
+   * Start an app rule: a phrase override, or a setting (commands only, mode, formatting)
+   * @param {{app: string, phrase?: string, description?: string, settings?: object}} rule - From parseContextRule()
+   */
+  async startContextRule(rule) {
+    this.session.type = TrainingType.CONTEXT_RULE;
+    this.session.data.context = {
+      app: this.onMatchApp ? this.onMatchApp(rule.app) : rule.app,
+      settings: rule.settings || null
+    };
+
+    if (rule.settings) {
+      await this.confirm();
+      return;
+    }
+
+    this.session.data.trigger_phrases.push(rule.phrase);
+    this.session.data.action_description = rule.description;
+    if (await this.applyAction(rule.description)) {
+      await this.startVariations();
+    } else {
+      await this.askForAction();
+    }
+  }
+
+  /**
+   * Does the session have anything to save?
+   * @returns {boolean}
+   */
+  hasContent() {
+    const { trigger_phrases, steps, context } = this.session.data;
+    return trigger_phrases.length > 0 || steps.length > 0 || Boolean(context?.settings);
+  }
+
+  /**
+   * Resolve a spoken action description to a concrete action (Phase 2.6)
+   * Uses the intent resolver when available, then the local keyword matcher.
+   * @param {string} description - e.g. "delete the selection", "switch to chrome"
+   * @returns {Promise<{action: string, target: string|null}|null>}
+   */
+  async resolveAction(description) {
+    if (this.onResolve) {
+      try {
+        const result = await this.onResolve(description);
+        if (result && isKnownAction(result.action) && result.confidence >= MIN_RESOLVE_CONFIDENCE &&
+            (result.action !== 'focus_app' || result.target)) {
+          return { action: result.action, target: result.target || null };
+        }
+      } catch (e) {
+        console.error('[Training] Failed to resolve action:', e.message);
+      }
+    }
+
+    const match = matchAction(description);
+    return match ? { action: match.action, target: match.target } : null;
+  }
+
+  /**
+   * Resolve a description and store it on the session
+   * @param {string} description
+   * @returns {Promise<boolean>} - True if an action was resolved
+   */
+  async applyAction(description) {
+    const resolved = await this.resolveAction(description);
+    if (!resolved) {
+      console.log(`[Training] Could not resolve action: "${description}"`);
+      return false;
+    }
+
+    this.session.data.action = resolved.action;
+    this.session.data.target = resolved.target;
+    console.log(`[Training] Resolved "${description}" → ${resolved.action}${resolved.target ? ` (${resolved.target})` : ''}`);
+    return true;
+  }
+
+  /**
+   * Read back the resolved action for the current session
+   * @returns {string}
+   */
+  describeSessionAction() {
+    return describeAction(this.session.data.action, this.session.data.target);
+  }
+
+  /**
+   * Read back an app rule ('In Slack, "affirmative" will press enter')
+   * @returns {string}
+   */
+  describeContextRule() {
+    const { app, settings } = this.session.data.context;
+    if (settings) return `In ${app}, I'll ${describeSettings(settings)}`;
+    const phrases = this.session.data.trigger_phrases.map(p => `"${p}"`).join(' or ');
+    return `In ${app}, ${phrases} will ${this.describeSessionAction()}`;
+  }
+
+  /**
+   * Ask what the trigger phrase should do (no description, or it couldn't be resolved)
+   */
+  async askForAction() {
+    this.setState(TrainingState.COLLECTING_ACTION);
+
+    const phrase = this.session.data.trigger_phrases[0];
+    const response = this.session.data.action_description
+      ? `I don't know how to ${this.session.data.action_description}. What should "${phrase}" do? For example "press enter", "copy", or "switch to chrome".`
+      : `What should "${phrase}" do? For example "press enter", "copy", or "switch to chrome".`;
+    this.addToHistory('one', response);
+
+    await trainingVoice.needClarification(response);
+
+    this.startTimeout(TIMEOUTS.COLLECTING);
+  }
+
+  /**
+   * Handle the answer to askForAction()
+   */
+  async handleActionDescription(text) {
+    this.session.data.action_description = text.trim();
+
+    if (await this.applyAction(text)) {
+      await this.startVariations();
+    } else {
+      await this.askForAction();
+    }
+  }
+
+  /**
+   * Read back the resolved action and start collecting variations
+   */
+  async startVariations() {
+    this.setState(TrainingState.COLLECTING_VARIATIONS);
+
+    const phrase = this.session.data.trigger_phrases[0];
+    const response = `Got it. "${phrase}" will ${this.describeSessionAction()}. Want to add other ways to say this?`;
+    this.addToHistory('one', response);
+
+    await trainingVoice.understood();
+    await trainingVoice.speak(response);
+
+    this.startTimeout(TIMEOUTS.COLLECTING);
+  }
+
+  /**
+   * Start collecting steps for a workflow (Phase 2.5)
+   * @param {string} phrase - Trigger phrase for the workflow
+   */
+  async startWorkflow(phrase) {
+    this.session.type = TrainingType.WORKFLOW;
+    this.session.data.name = phrase;
+
+    this.setState(TrainingState.COLLECTING_STEPS);
+
+    const response = `Got it. Workflow "${phrase}". What's the first step? Say "done" when finished.`;
+    this.addToHistory('one', response);
+
+    await trainingVoice.understood();
+    await trainingVoice.speak(response);
+
+    this.startTimeout(TIMEOUTS.COLLECTING);
+  }
+
   /**
    * Handle adding variation
    */
@@ -328,6 +521,14 @@ export class TrainingMode {
    * Phase 2.7: Check for conflicts first
    */
   async confirm() {
+    // Nothing executable to save (e.g. timed out while asking for the action)
+    const needsAction = this.session.type === TrainingType.SIMPLE_COMMAND ||
+      (this.session.type === TrainingType.CONTEXT_RULE && !this.session.data.context.settings);
+    if (needsAction && !this.session.data.action) {
+      await this.exit(false);
+      return;
+    }
+
     // Phase 2.7: Check for conflicts before confirming
     if (this.session.type === TrainingType.SIMPLE_COMMAND) {
       const conflicts = [];
@@ -353,10 +554,12 @@ export class TrainingMode {
     let summary;
     if (this.session.type === TrainingType.SIMPLE_COMMAND) {
       const phrases = this.session.data.trigger_phrases.map(p => `"${p}"`).join(' or ');
-      summary = `${phrases} will ${this.session.data.action_description}. Say "confirm" to save or "cancel" to discard.`;
+      summary = `${phrases} will ${this.describeSessionAction()}. Say "confirm" to save or "cancel" to discard.`;
     } else if (this.session.type === TrainingType.WORKFLOW) {
       const stepsList = this.session.data.steps.map((s, i) => `${i + 1}. ${s.description}`).join(', ');
       summary = `Workflow with ${this.session.data.steps.length} steps: ${stepsList}. Confirm to save?`;
+    } else if (this.session.type === TrainingType.CONTEXT_RULE) {
+      summary = `${this.describeContextRule()}. Say "confirm" to save or "cancel" to discard.`;
     }
 
     this.addToHistory('one', summary);
@@ -374,7 +577,7 @@ export class TrainingMode {
 
     const conflict = this.session.conflicts[this.session.conflictIndex];
     const phrase = conflict.phrase;
-    const existingAction = conflict.existing.action;
+    const existingAction = describeAction(conflict.existing.action, conflict.existing.target || null);
 
     const message = `"${phrase}" is already mapped to ${existingAction}. Options: Say "replace" to override, "skip" to keep the old mapping, or "cancel" to stop training.`;
 
@@ -433,7 +636,7 @@ export class TrainingMode {
         this.setState(TrainingState.CONFIRMING);
 
         const phrases = this.session.data.trigger_phrases.map(p => `"${p}"`).join(' or ');
-        const summary = `${phrases} will ${this.session.data.action_description}. Say "confirm" to save or "cancel" to discard.`;
+        const summary = `${phrases} will ${this.describeSessionAction()}. Say "confirm" to save or "cancel" to discard.`;
 
         this.addToHistory('one', summary);
         await trainingVoice.confirming(summary);
@@ -474,10 +677,12 @@ export class TrainingMode {
     this.setState(TrainingState.SAVING);
 
     if (this.session.type === TrainingType.SIMPLE_COMMAND) {
+      const { action, target } = this.session.data;
+
       // Phase 2.7: Handle replacements first
       if (this.session.replacements && this.session.replacements.length > 0) {
         for (const phrase of this.session.replacements) {
-          await commandDictionary.replace(phrase, 'CUSTOM_ACTION', 'trained');
+          await commandDictionary.replace(phrase, action, 'trained', target);
           console.log(`[Training] Replaced: "${phrase}"`);
         }
       }
@@ -488,9 +693,9 @@ export class TrainingMode {
         if (this.session.replacements && this.session.replacements.includes(phrase)) {
           continue;
         }
-        await commandDictionary.learn(phrase, 'CUSTOM_ACTION', 'trained');
+        await commandDictionary.learn(phrase, action, 'trained', target);
       }
-      console.log(`[Training] Saved ${this.session.data.trigger_phrases.length} phrase(s)`);
+      console.log(`[Training] Saved ${this.session.data.trigger_phrases.length} phrase(s) → ${action}`);
     } else if (this.session.type === TrainingType.WORKFLOW) {
       // Add to workflows array
       commandDictionary.data.workflows.push({
@@ -502,6 +707,11 @@ export class TrainingMode {
       });
       await commandDictionary.save();
       console.log(`[Training] Saved workflow: ${this.session.data.name}`);
+    } else if (this.session.type === TrainingType.CONTEXT_RULE) {
+      const { context, action, target } = this.session.data;
+      const commands = this.session.data.trigger_phrases.map(phrase => ({ phrase, action, target }));
+      await commandDictionary.setContextOverride(context.app, { ...context.settings, commands });
+      console.log(`[Training] Saved ${context.app} rule: ${this.describeContextRule()}`);
     }
   }
 
@@ -534,7 +744,7 @@ export class TrainingMode {
     // Actual timeout
     this.timeoutTimer = setTimeout(() => {
       console.log('[Training] Timeout - prompting to save');
-      if (this.session && (this.session.data.trigger_phrases.length > 0 || this.session.data.steps.length > 0)) {
+      if (this.session && this.hasContent()) {
         this.confirm();
       } else {
         this.exit(false);
@@ -3,28 +3,60 @@ import EventEmitter from 'events';
 import path from 'path';
 import { existsSync } from 'fs';
 
-import { createClient, LiveTranscriptionEvents } from '@deepgram/sdk';
+import { createSTTProvider, resolveProfile, isAuthError, PcmFileSource } from './stt-providers.js';
+import { LocalCommandRecognizer, RecognitionArbiter } from './command-recognizer.js';
+import { AudioRingBuffer } from './audio-buffer.js';
 
 // Lock file that indicates TTS is speaking (don't send audio to API)
 const TTS_LOCK_FILE = '/tmp/claude-tts-speaking';
 
+// New keywords wait until nothing has been heard for this long (well past
+// every profile's endpointing), so the reconnect never cuts off an utterance
+const KEYWORD_IDLE_MS = 5000;
+
+// Reconnect backoff when the stream drops: 0.5s, 1s, 2s, 4s, 8s (capped at 10s)
+const RECONNECT_BASE_DELAY_MS = 500;
+const RECONNECT_MAX_DELAY_MS = 10_000;
+// After this many failed attempts we report "offline" and retry at a slower pace
+const MAX_RECONNECT_ATTEMPTS = 5;
+const OFFLINE_RETRY_MS = 15_000;
+
 class TranscriberService extends EventEmitter {
   constructor(config) {
     super();
     this.micBin = path.join(config.projectRoot, 'bin', 'mic-recorder');
-    this.deepgramApiKey = config.data.speech.deepgramApiKey;
-    this.language = config.data.speech.language;
-    this.dgConn = null;
+    this.speechConfig = config.data.speech;
+    this.providerName = this.speechConfig.provider || 'deepgram';
+    // Replay audio from a file instead of the microphone (speech.audioFile)
+    this.audioFile = this.speechConfig.audioFile || process.env.S2T_AUDIO_FILE || null;
+    this.provider = null;
+    this.profileName = 'general';   // Transcription profile for the current mode
+    this.keywordSource = null;      // () => boosted keywords (see vocabulary.js)
+    this.keywords = [];
+    this.keywordTimer = null;
+    this.lastSpeechAt = 0;          // Last partial or transcript from the provider
+    // Hybrid recognition: local grammar-constrained commands next to the cloud stream
+    this.localCommands = this.speechConfig.localCommands?.enabled ? this.speechConfig.localCommands : null;
+    this.localRecognizer = null;
+    this.commandSource = null;
+    this.arbiter = new RecognitionArbiter();
     this.micProc = null;
+    this.fileSource = null;
     this.isRunning = false;
     this.isConnecting = false;
     this.silenceTimeout = null;
+    // Stream drops: 'connecting' | 'connected' | 'reconnecting' | 'offline' | 'stopped'
+    this.connectionState = 'stopped';
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    // Mic audio captured while the stream is down, replayed after reconnect
+    this.audioBuffer = new AudioRingBuffer({ maxSeconds: this.speechConfig.reconnectBufferSeconds });
 
     if (process.env.DEBUG_TRANSCRIBER_STATE) {
       setInterval(() => {
-        const dgState = this.dgConn?.connectionState?.() ?? 'null';
+        const providerState = this.provider?.state() ?? 'null';
         const micState = this.micProc ? (this.micProc.killed ? 'killed' : 'alive') : 'null';
-        console.debug('[transcriber] Deepgram connection state:', dgState);
+        console.debug(`[transcriber] ${this.providerName} provider state:`, providerState);
         console.debug('[transcriber] Microphone process state:', micState);
       }, 5000);
     }
@@ -32,60 +64,404 @@ class TranscriberService extends EventEmitter {
 
   start() {
     if (this.isRunning) return;
-    if (!this.deepgramApiKey) {
-      throw new Error('[transcriber] Missing Deepgram API key');
-    }
+
+    this.refreshKeywords();
+
+    // Throws on bad config (missing API key, missing model, ...)
+    const provider = createSTTProvider(this.speechConfig, this.getProfile());
+    provider.validate();
+
+    this.provider = provider;
+    this.localRecognizer = this.createLocalRecognizer();
     this.isRunning = true;
+    this.connectionState = 'connecting';
     this.startConnection();
   }
 
+  /**
+   * Current transcription profile (built-in defaults + speech.profiles)
+   * @returns {object}
+   */
+  getProfile() {
+    const profile = resolveProfile(this.profileName, this.speechConfig.profiles);
+    if (this.keywords.length === 0) return profile;
+
+    // Profile keywords first, then the generated vocabulary
+    const keywords = [...(profile.keywords || [])];
+    const seen = new Set(keywords.map(k => k.split(':')[0].toLowerCase()));
+    for (const keyword of this.keywords) {
+      const word = keyword.split(':')[0].toLowerCase();
+      if (!seen.has(word)) {
+        seen.add(word);
+        keywords.push(keyword);
+      }
+    }
+    return { ...profile, keywords };
+  }
+
+  /**
+   * Set where boosted keywords come from (re-read by refreshKeywords)
+   * @param {function(): string[]} source
+   */
+  setKeywordSource(source) {
+    this.keywordSource = source;
+  }
+
+  /**
+   * Rebuild the keyword list; a running stream picks it up once speech is idle
+   * @returns {boolean} - True if the keywords changed
+   */
+  refreshKeywords() {
+    if (!this.keywordSource) return false;
+
+    let keywords;
+    try {
+      keywords = this.keywordSource() || [];
+    } catch (error) {
+      console.error('[transcriber] Failed to build keyword vocabulary:', error.message);
+      return false;
+    }
+    if (keywords.join('|') === this.keywords.join('|')) return false;
+
+    this.keywords = keywords;
+    console.debug(`[transcriber] Keyword vocabulary: ${keywords.length} keywords`);
+
+    if (this.isRunning && this.provider?.usesProfile && !this.keywordTimer) {
+      this.scheduleKeywordReconnect(KEYWORD_IDLE_MS);
+    }
+    return true;
+  }
+
+  /**
+   * Reconnect with the new keywords once nothing has been heard for a while
+   * Checked again later while the user is still talking.
+   */
+  scheduleKeywordReconnect(delayMs) {
+    this.keywordTimer = setTimeout(() => {
+      this.keywordTimer = null;
+      if (!this.isRunning || !this.provider) return;
+
+      const quietMs = Date.now() - this.lastSpeechAt;
+      if (quietMs < KEYWORD_IDLE_MS) {
+        this.scheduleKeywordReconnect(KEYWORD_IDLE_MS - quietMs);
+        return;
+      }
+      this.reconnect();
+    }, delayMs);
+  }
+
+  clearKeywordTimer() {
+    if (this.keywordTimer) {
+      clearTimeout(this.keywordTimer);
+      this.keywordTimer = null;
+    }
+  }
+
+  /**
+   * Switch the transcription profile (on mode change)
+   * A running stream is reconnected with the new settings; the mic keeps running.
+   * @param {string} name - Profile name (general, claude, music, or one from config)
+   * @returns {boolean} - True if the profile changed
+   */
+  setProfile(name) {
+    const profile = resolveProfile(name, this.speechConfig.profiles);
+    if (profile.name === this.profileName) return false;
+
+    this.profileName = profile.name;
+    console.debug(`[transcriber] Transcription profile: ${profile.name}`);
+
+    if (this.isRunning && this.provider?.usesProfile) {
+      this.reconnect();
+    }
+    return true;
+  }
+
+  /**
+   * Replace the provider connection, keeping the audio source and local recognizer
+   */
+  reconnect() {
+    this.clearKeywordTimer();
+    if (!this.isRunning || !this.provider) return;
+
+    const next = createSTTProvider(this.speechConfig, this.getProfile());
+    try {
+      next.validate();
+    } catch (error) {
+      this.stop(error);
+      return;
+    }
+
+    const previous = this.provider;
+    previous.removeAllListeners();
+    previous.disconnect();
+
+    console.debug(`[transcriber] Reconnecting ${this.providerName} provider (${this.profileName} profile)`);
+    this.provider = next;
+    this.isConnecting = true;
+    this.attachProvider(next);
+
+    try {
+      next.connect();
+    } catch (error) {
+      this.handleDisconnect(error);
+    }
+  }
+
+  /**
+   * Connection state for the GUI/status file
+   * @returns {string} - 'connecting' | 'connected' | 'reconnecting' | 'offline' | 'stopped'
+   */
+  getConnectionState() {
+    return this.connectionState;
+  }
+
+  /**
+   * The stream dropped (error or close) while we still want to listen
+   * The microphone and local recognizer keep running; their audio is buffered
+   * until a new connection opens. A rejected API key stops instead.
+   */
+  handleDisconnect(error = null) {
+    if (!this.isRunning) return;
+
+    // Replayed files can't wait - the file ending closes the stream anyway
+    if (this.audioFile) {
+      this.stop(error);
+      return;
+    }
+
+    // Credentials problem, not a network one - retrying won't help
+    if (isAuthError(error)) {
+      this.stop(new Error(`[transcriber] ${this.providerName} rejected the API key - update it with "s2t config"`));
+      return;
+    }
+
+    // Error and Close usually arrive together - schedule one attempt
+    if (this.reconnectTimer) return;
+
+    if (error) {
+      console.warn(`[transcriber] ${this.providerName} stream error: ${error?.message || error}`);
+    }
+
+    if (this.provider) {
+      this.provider.removeAllListeners();
+      this.provider.disconnect();
+      this.provider = null;
+    }
+    this.isConnecting = false;
+    this.clearKeywordTimer();
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Wait with exponential backoff, then open a new connection
+   */
+  scheduleReconnect() {
+    this.reconnectAttempts++;
+
+    let delayMs;
+    if (this.reconnectAttempts > MAX_RECONNECT_ATTEMPTS) {
+      delayMs = OFFLINE_RETRY_MS;
+      if (this.connectionState !== 'offline') {
+        this.connectionState = 'offline';
+        console.warn(`[transcriber] ${this.providerName} unreachable, retrying every ${OFFLINE_RETRY_MS / 1000}s`);
+        this.emit('offline', { attempts: this.reconnectAttempts - 1 });
+      }
+    } else {
+      delayMs = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (this.reconnectAttempts - 1), RECONNECT_MAX_DELAY_MS);
+      this.connectionState = 'reconnecting';
+      console.debug(`[transcriber] Reconnecting in ${delayMs}ms (attempt ${this.reconnectAttempts})`);
+      this.emit('reconnecting', { attempt: this.reconnectAttempts, delayMs });
+    }
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.openReplacement();
+    }, delayMs);
+  }
+
+  /**
+   * Open a fresh provider connection after a drop
+   */
+  openReplacement() {
+    if (!this.isRunning) return;
+
+    const provider = createSTTProvider(this.speechConfig, this.getProfile());
+    try {
+      provider.validate();
+    } catch (error) {
+      // Config problem, not a network one - retrying won't help
+      this.stop(error);
+      return;
+    }
+
+    this.provider = provider;
+    this.isConnecting = true;
+    this.attachProvider(provider);
+
+    try {
+      provider.connect();
+    } catch (error) {
+      this.handleDisconnect(error);
+    }
+  }
+
+  clearReconnectTimer() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  /**
+   * Send audio buffered during the gap to the new connection
+   */
+  replayBufferedAudio() {
+    const bufferedMs = this.audioBuffer.durationMs();
+    const droppedMs = this.audioBuffer.droppedMs();
+    const chunks = this.audioBuffer.drain();
+
+    chunks.forEach(chunk => this.provider.send(chunk));
+    return { bufferedMs, droppedMs };
+  }
+
+  /**
+   * Set where the local recognizer reads the active commands from
+   * @param {function(): {phrases: string[], patterns: Array}} source
+   */
+  setCommandSource(source) {
+    this.commandSource = source;
+    this.localRecognizer?.setVocabularySource(source);
+  }
+
+  /**
+   * Which path won recent utterances (local vs cloud) and by how much
+   * @returns {object|null} - Null when hybrid recognition is off
+   */
+  getRecognitionMetrics() {
+    return this.localCommands ? this.arbiter.getMetrics() : null;
+  }
+
+  /**
+   * Create the local command recognizer (speech.localCommands)
+   * Falls back to cloud-only recognition if whisper.cpp isn't usable.
+   */
+  createLocalRecognizer() {
+    if (!this.localCommands) return null;
+
+    const recognizer = new LocalCommandRecognizer({
+      model: this.localCommands.model,
+      binary: this.localCommands.binary,
+      language: this.speechConfig.language
+    });
+
+    try {
+      recognizer.validate();
+    } catch (error) {
+      console.warn(`[hybrid] Local commands disabled: ${error.message}`);
+      return null;
+    }
+
+    if (this.commandSource) {
+      recognizer.setVocabularySource(this.commandSource);
+    }
+    return recognizer;
+  }
+
   startConnection() {
     if (!this.isRunning || this.isConnecting) return;
 
     this.isConnecting = true;
+    const provider = this.provider;
+    this.attachProvider(provider);
+
+    if (this.localRecognizer) {
+      this.localRecognizer.on('command', (command) => {
+        if (!this.arbiter.local(command)) {
+          console.debug(`[hybrid] Cloud already handled: "${command}"`);
+          return;
+        }
+        console.debug(`[hybrid] Local command: "${command}"`);
+        this.handleTranscript(command);
+      });
+
+      // A local failure shouldn't stop dictation - drop back to cloud-only
+      this.localRecognizer.on('error', (error) => {
+        console.warn(`[hybrid] Local recognizer error, continuing cloud-only: ${error.message}`);
+        this.stopLocalRecognizer();
+      });
+    }
 
-    this.startMicrophone();
-    const dgClient = createClient(this.deepgramApiKey);
-
-    this.dgConn = dgClient.listen.live({
-      language: this.language,
-      model: 'nova-2',
-      encoding: 'linear16',
-      sample_rate: 16000,
-      channels: 1,
-      punctuate: true,
-      smart_format: true,
-    });
+    if (this.audioFile) {
+      this.startFileAudio();
+    } else {
+      this.startMicrophone();
+    }
 
-    this.dgConn.on(LiveTranscriptionEvents.Error, (error) => {
-      console.error('[transcriber] Deepgram connection error:', error);
+    try {
+      provider.connect();
+      this.localRecognizer?.connect();
+    } catch (error) {
       this.stop(error);
+    }
+  }
+
+  /**
+   * Forward provider events to the transcriber
+   */
+  attachProvider(provider) {
+    provider.on('error', (error) => {
+      this.handleDisconnect(error);
     });
 
-    this.dgConn.on(LiveTranscriptionEvents.Open, () => {
-      console.debug('[transcriber] Deepgram connection opened');
+    provider.on('open', () => {
+      console.debug(`[transcriber] ${this.providerName} provider opened`);
+      const recovering = this.reconnectAttempts > 0;
       this.isConnecting = false;
       this.isRunning = true;
+      this.connectionState = 'connected';
       // Disable silence timeout - keep listening indefinitely
       // this.resetSilenceTimeout(30_000);
+
+      if (recovering) {
+        const attempts = this.reconnectAttempts;
+        this.reconnectAttempts = 0;
+        const { bufferedMs, droppedMs } = this.replayBufferedAudio();
+        console.debug(`[transcriber] Reconnected after ${attempts} attempt(s), replayed ${bufferedMs}ms of audio`);
+        this.emit('reconnected', { attempts, bufferedMs, droppedMs });
+        return;
+      }
       this.emit('open');
     });
 
-    this.dgConn.on(LiveTranscriptionEvents.Close, () => {
-      console.debug('[transcriber] Deepgram connection closed');
-      this.stop();
+    provider.on('close', () => {
+      console.debug(`[transcriber] ${this.providerName} provider closed`);
+      this.handleDisconnect();
     });
 
-    this.dgConn.on(LiveTranscriptionEvents.Transcript, (data) => {
-      this.handleTranscript(data);
+    provider.on('transcript', (transcript) => {
+      this.lastSpeechAt = Date.now();
+      if (this.localRecognizer && !this.arbiter.cloud(transcript)) {
+        console.debug(`[hybrid] Local already handled: "${transcript}"`);
+        return;
+      }
+      this.handleTranscript(transcript);
+    });
+
+    provider.on('partial', (partial) => {
+      this.lastSpeechAt = Date.now();
+      this.handlePartial(partial);
     });
   }
 
-  handleTranscript(data) {
-    const transcript = data?.channel?.alternatives?.[0]?.transcript?.trim() || '';
-    const isFinal = data?.is_final;
+  stopLocalRecognizer() {
+    if (!this.localRecognizer) return;
+    this.localRecognizer.removeAllListeners();
+    this.localRecognizer.disconnect();
+    this.localRecognizer = null;
+  }
 
-    if (!isFinal || !transcript) return;
+  handleTranscript(transcript) {
+    if (!transcript) return;
 
     console.debug('[transcriber] transcript:', transcript);
     this.emit('transcript', transcript);
@@ -94,6 +470,43 @@ class TranscriberService extends EventEmitter {
     // this.resetSilenceTimeout();
   }
 
+  /**
+   * Interim result - replaced by later partials and finally by a transcript
+   */
+  handlePartial(partial) {
+    if (!partial) return;
+
+    console.debug('[transcriber] partial:', partial);
+    this.emit('partial', partial);
+  }
+
+  /**
+   * Send an audio chunk to the provider and local recognizer
+   * (keepalive only while TTS is speaking)
+   */
+  sendAudio(chunk) {
+    if (!this.isRunning) return;
+
+    const streamDown = this.connectionState === 'reconnecting' || this.connectionState === 'offline';
+    if (!this.provider && !streamDown) return;
+
+    // Don't send audio to API while TTS is speaking (saves API costs)
+    if (existsSync(TTS_LOCK_FILE)) {
+      this.provider?.keepAlive(chunk);
+      return;
+    }
+
+    // Stream is down - hold the audio for the next connection
+    if (streamDown) {
+      this.audioBuffer.push(chunk);
+      this.localRecognizer?.send(chunk);
+      return;
+    }
+
+    this.provider.send(chunk);
+    this.localRecognizer?.send(chunk);
+  }
+
   startMicrophone() {
     if (this.micProc) return;
 
@@ -103,24 +516,7 @@ class TranscriberService extends EventEmitter {
     });
 
     this.micProc.stdout.on('data', (chunk) => {
-      if (!this.dgConn || !this.isRunning) return;
-
-      // Don't send audio to API while TTS is speaking (saves API costs)
-      if (existsSync(TTS_LOCK_FILE)) {
-        // Send keepalive to prevent connection timeout
-        try {
-          this.dgConn.keepAlive();
-        } catch (e) {
-          // Ignore keepalive errors
-        }
-        return;
-      }
-
-      try {
-        this.dgConn.send(chunk);
-      } catch (error) {
-        console.error('[transcriber] Error sending audio chunk:', error);
-      }
+      this.sendAudio(chunk);
     });
 
     this.micProc.on('error', (error) => {
@@ -134,6 +530,33 @@ class TranscriberService extends EventEmitter {
     });
   }
 
+  /**
+   * Replay a WAV/PCM file in place of the microphone
+   */
+  startFileAudio() {
+    if (this.fileSource) return;
+
+    console.debug('[transcriber] Replaying audio file:', this.audioFile);
+    this.fileSource = new PcmFileSource(this.audioFile);
+
+    this.fileSource.on('data', (chunk) => {
+      this.sendAudio(chunk);
+    });
+
+    this.fileSource.on('end', async () => {
+      console.debug('[transcriber] Audio file finished');
+      await Promise.all([this.provider?.flush(), this.localRecognizer?.flush()]);
+      this.stop();
+    });
+
+    try {
+      this.fileSource.start();
+    } catch (error) {
+      console.error('[transcriber] Audio file error:', error);
+      this.stop(error);
+    }
+  }
+
   resetSilenceTimeout(timeoutMs = 20_000) {
     if (this.silenceTimeout) {
       clearTimeout(this.silenceTimeout);
@@ -163,16 +586,28 @@ class TranscriberService extends EventEmitter {
 
     this.isRunning = false;
     this.isConnecting = false;
+    this.connectionState = 'stopped';
+    this.reconnectAttempts = 0;
     this.clearSilenceTimeout();
-
-    this.dgConn?.disconnect();
-    this.dgConn = null;
+    this.clearKeywordTimer();
+    this.clearReconnectTimer();
+    this.audioBuffer.clear();
+
+    if (this.provider) {
+      this.provider.removeAllListeners();
+      this.provider.disconnect();
+      this.provider = null;
+    }
+    this.stopLocalRecognizer();
 
     if (this.micProc && !this.micProc.killed) {
       process.kill(this.micProc.pid, 'SIGTERM');
     }
     this.micProc = null;
 
+    this.fileSource?.stop();
+    this.fileSource = null;
+
     if (error) {
       this.emit('error', error);
     } else {
@@ -0,0 +1,236 @@
+/**
+ * TTS Queue Service
+ *
+ * Speaks text queued by addons, in order, from the main process.
+ * Addons either call api.speak() (see AddonLoader) or append lines to the
+ * shared queue file /tmp/s2t-tts-queue.txt, which is tailed here.
+ *
+ * While an entry is spoken the /tmp/claude-tts-speaking lock is held so the
+ * transcriber ignores our own voice. Entries that waited too long are dropped,
+ * and stop() (spacebar stop_tts) clears everything that is pending.
+ */
+
+import fs from 'fs';
+
+/**
+ * Shared queue file written by addons (one entry per line)
+ */
+export const TTS_QUEUE_FILE = '/tmp/s2t-tts-queue.txt';
+
+/**
+ * Lock file checked by the transcript handler and hotkey helper
+ */
+const TTS_LOCK_FILE = '/tmp/claude-tts-speaking';
+
+/**
+ * Defaults
+ */
+const POLL_INTERVAL_MS = 250;      // How often the queue file is checked
+const MAX_ENTRY_AGE_MS = 30000;    // Entries older than this are stale
+const MAX_PENDING = 20;            // Oldest entries are dropped beyond this
+const LOCK_WAIT_MS = 200;          // Re-check interval while someone else holds the lock
+
+/**
+ * TTSQueue class
+ * Tails the queue file and speaks entries one at a time
+ */
+export class TTSQueue {
+  /**
+   * @param {object} options
+   * @param {string} options.queueFile - Queue file to tail
+   * @param {string} options.lockFile - TTS lock file to hold while speaking
+   * @param {number} options.maxAgeMs - Drop entries older than this
+   */
+  constructor({ queueFile = TTS_QUEUE_FILE, lockFile = TTS_LOCK_FILE, maxAgeMs = MAX_ENTRY_AGE_MS } = {}) {
+    this.queueFile = queueFile;
+    this.lockFile = lockFile;
+    this.maxAgeMs = maxAgeMs;
+
+    this.pending = [];          // [{ text, source, queuedAt }]
+    this.speaking = false;
+    this.stopped = false;       // Set by stop() while an entry is being spoken
+    this.pollTimer = null;
+
+    // Callbacks for integration
+    this.onSpeak = null;        // async (text) => resolves when speech has finished
+  }
+
+  /**
+   * Set callbacks for integration
+   */
+  setCallbacks({ onSpeak }) {
+    this.onSpeak = onSpeak;
+  }
+
+  /**
+   * Start tailing the queue file
+   * Anything already in the file was written before we started and is discarded.
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.discardFile();
+    this.pollTimer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    console.log(`[TTSQueue] Watching ${this.queueFile}`);
+  }
+
+  /**
+   * Stop tailing the queue file
+   */
+  shutdown() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.pending = [];
+  }
+
+  /**
+   * Is an entry being spoken right now?
+   * @returns {boolean}
+   */
+  isSpeaking() {
+    return this.speaking;
+  }
+
+  /**
+   * Number of entries waiting to be spoken
+   * @returns {number}
+   */
+  size() {
+    return this.pending.length;
+  }
+
+  /**
+   * Add text to the queue
+   * @param {string} text - Text to speak
+   * @param {string} source - Who queued it (addon name, 'file')
+   * @returns {boolean} - True if queued
+   */
+  enqueue(text, source = 'api') {
+    const trimmed = (text || '').trim();
+    if (!trimmed) return false;
+
+    this.pending.push({ text: trimmed, source, queuedAt: Date.now() });
+
+    if (this.pending.length > MAX_PENDING) {
+      const dropped = this.pending.shift();
+      console.log(`[TTSQueue] Queue full, dropped: "${dropped.text}"`);
+    }
+
+    this.processQueue();
+    return true;
+  }
+
+  /**
+   * Read new entries from the queue file
+   * The file is renamed before reading so appends made meanwhile land in a fresh file.
+   */
+  poll() {
+    if (!fs.existsSync(this.queueFile)) return;
+
+    const readingFile = `${this.queueFile}.reading`;
+    let content;
+    try {
+      fs.renameSync(this.queueFile, readingFile);
+      content = fs.readFileSync(readingFile, 'utf8');
+      fs.unlinkSync(readingFile);
+    } catch (e) {
+      console.error('[TTSQueue] Failed to read queue file:', e.message);
+      return;
+    }
+
+    for (const line of content.split('\n')) {
+      this.enqueue(line, 'file');
+    }
+  }
+
+  /**
+   * Speak pending entries in order (no-op if already speaking)
+   */
+  async processQueue() {
+    if (this.speaking) return;
+    this.speaking = true;
+
+    try {
+      while (this.pending.length > 0) {
+        const entry = this.pending.shift();
+
+        const age = Date.now() - entry.queuedAt;
+        if (age > this.maxAgeMs) {
+          console.log(`[TTSQueue] Dropped stale entry (${Math.round(age / 1000)}s old): "${entry.text}"`);
+          continue;
+        }
+
+        await this.speakEntry(entry);
+      }
+    } finally {
+      this.speaking = false;
+    }
+  }
+
+  /**
+   * Speak one entry while holding the TTS lock
+   * @param {{text: string, source: string}} entry
+   */
+  async speakEntry(entry) {
+    if (!this.onSpeak) return;
+
+    // Wait for other speech (e.g. Claude's TTS hook) to finish first
+    while (fs.existsSync(this.lockFile) && !this.stopped) {
+      await new Promise(resolve => setTimeout(resolve, LOCK_WAIT_MS));
+    }
+    if (this.stopped) {
+      this.stopped = false;
+      return;
+    }
+
+    console.log(`[TTSQueue] Speaking (${entry.source}): "${entry.text}"`);
+    try {
+      fs.writeFileSync(this.lockFile, '');
+      await this.onSpeak(entry.text);
+    } catch (e) {
+      console.error('[TTSQueue] Failed to speak:', e.message);
+    } finally {
+      // After stop() the spacebar handler releases the lock itself (with a short delay)
+      if (!this.stopped) {
+        try {
+          fs.unlinkSync(this.lockFile);
+        } catch {
+          // Ignore if already removed
+        }
+      }
+      this.stopped = false;
+    }
+  }
+
+  /**
+   * Stop speaking and drop everything pending (spacebar stop_tts)
+   * @returns {number} - Number of entries dropped
+   */
+  stop() {
+    const dropped = this.pending.length;
+    this.pending = [];
+    if (this.speaking) {
+      this.stopped = true;
+    }
+    this.discardFile();
+    return dropped;
+  }
+
+  /**
+   * Remove the queue file (discard unread entries)
+   */
+  discardFile() {
+    try {
+      fs.unlinkSync(this.queueFile);
+    } catch {
+      // Ignore if it doesn't exist
+    }
+  }
+}
+
+// Singleton
+export const ttsQueue = new TTSQueue();
+
+export default ttsQueue;
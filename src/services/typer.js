@@ -10,7 +10,8 @@ class TyperService extends EventEmitter {
   }
 
   async typeText(text) {
-    if (!text?.trim()) return;
+    // Whitespace-only text is typed too (live typing appends the trailing space on its own)
+    if (!text) return;
 
     const usePaste = !this.isAsciiSafe;
     if (!usePaste) {
@@ -460,6 +461,93 @@ class TyperService extends EventEmitter {
     }
   }
 
+  /**
+   * Select back to the start of the previous word (Option+Shift+Left) or line (Cmd+Shift+Left)
+   */
+  SELECT_PREVIOUS_SCRIPT = `
+  on run argv
+    if (count of argv) is 0 then error number -50
+    tell application "System Events"
+      if item 1 of argv is "line" then
+        key code 123 using {command down, shift down}
+      else
+        key code 123 using {option down, shift down}
+      end if
+    end tell
+  end run`;
+
+  async selectPrevious(unit) {
+    try {
+      await new Promise((resolve, reject) => {
+        execFile(
+          '/usr/bin/osascript',
+          ['-e', this.SELECT_PREVIOUS_SCRIPT, unit],
+          { maxBuffer: 1024 * 1024 },
+          (err, stdout, _stderr) => {
+            if (err) return reject(err);
+            resolve(stdout);
+          }
+        );
+      });
+      console.debug(`[typer] Selected previous ${unit}`);
+      return true;
+    } catch (error) {
+      console.error(`[typer] Error selecting previous ${unit}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete back to the start of the previous word (Option+Delete) or line (Cmd+Delete)
+   */
+  DELETE_PREVIOUS_SCRIPT = `
+  on run argv
+    if (count of argv) is 0 then error number -50
+    tell application "System Events"
+      if item 1 of argv is "line" then
+        key code 51 using {command down}
+      else
+        key code 51 using {option down}
+      end if
+    end tell
+  end run`;
+
+  async deletePrevious(unit) {
+    try {
+      await new Promise((resolve, reject) => {
+        execFile(
+          '/usr/bin/osascript',
+          ['-e', this.DELETE_PREVIOUS_SCRIPT, unit],
+          { maxBuffer: 1024 * 1024 },
+          (err, stdout, _stderr) => {
+            if (err) return reject(err);
+            resolve(stdout);
+          }
+        );
+      });
+      console.debug(`[typer] Deleted previous ${unit}`);
+      return true;
+    } catch (error) {
+      console.error(`[typer] Error deleting previous ${unit}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Select a number of characters before the cursor (Shift+Left)
+   */
+  async selectCharacters(count) {
+    if (count <= 0) return true;
+    try {
+      await this.execRepeatedKeyCode(123, count, { shift: true });
+      console.debug(`[typer] Selected ${count} characters`);
+      return true;
+    } catch (error) {
+      console.error('[typer] Error selecting characters:', error);
+      return false;
+    }
+  }
+
   /**
    * Press arrow keys
    */
@@ -478,6 +566,207 @@ class TyperService extends EventEmitter {
     }
   }
 
+  /**
+   * Press a key code several times in one osascript call
+   */
+  REPEAT_KEYCODE_SCRIPT = `
+  on run argv
+    if (count of argv) < 2 then error number -50
+    set keyCode to (item 1 of argv as number)
+    set repeatCount to (item 2 of argv as number)
+    tell application "System Events"
+      repeat repeatCount times
+        key code keyCode
+        delay 0.02
+      end repeat
+    end tell
+  end run`;
+
+  REPEAT_KEYCODE_SHIFT_SCRIPT = `
+  on run argv
+    if (count of argv) < 2 then error number -50
+    set keyCode to (item 1 of argv as number)
+    set repeatCount to (item 2 of argv as number)
+    tell application "System Events"
+      repeat repeatCount times
+        key code keyCode using {shift down}
+        delay 0.02
+      end repeat
+    end tell
+  end run`;
+
+  execRepeatedKeyCode(keyCode, count, options = {}) {
+    const script = options.shift ? this.REPEAT_KEYCODE_SHIFT_SCRIPT : this.REPEAT_KEYCODE_SCRIPT;
+    return new Promise((resolve, reject) => {
+      execFile(
+        '/usr/bin/osascript',
+        ['-e', script, String(keyCode), String(count)],
+        { maxBuffer: 1024 * 1024 },
+        (err, stdout, _stderr) => {
+          if (err) return reject(err);
+          resolve(stdout);
+        }
+      );
+    });
+  }
+
+  /**
+   * Post a scroll-wheel event (JXA - AppleScript can't). It goes to the window
+   * under the pointer like a real wheel, and never moves a text cursor.
+   * Positive lines scroll up.
+   */
+  SCROLL_SCRIPT = `
+  ObjC.import('CoreGraphics');
+  function run(argv) {
+    const lines = Number(argv[0]);
+    // kCGScrollEventUnitLine = 1, kCGHIDEventTap = 0
+    const event = $.CGEventCreateScrollWheelEvent2(null, 1, 1, lines, 0, 0);
+    $.CGEventPost(0, event);
+  }`;
+
+  /**
+   * Scroll by lines with the scroll wheel
+   * @param {string} direction - 'up' or 'down'
+   * @param {number} lines - Number of lines
+   */
+  async scroll(direction, lines = 5) {
+    const delta = Math.max(1, lines) * (direction === 'up' ? 1 : -1);
+    try {
+      await new Promise((resolve, reject) => {
+        execFile(
+          '/usr/bin/osascript',
+          ['-l', 'JavaScript', '-e', this.SCROLL_SCRIPT, String(delta)],
+          { maxBuffer: 1024 * 1024 },
+          (err, _stdout, _stderr) => {
+            if (err) return reject(err);
+            resolve();
+          }
+        );
+      });
+      console.debug(`[typer] Scrolled ${direction} ${lines} lines`);
+      return true;
+    } catch (error) {
+      console.error(`[typer] Error scrolling ${direction}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Page Up / Page Down
+   * @param {string} direction - 'up' or 'down'
+   * @param {number} pages - Number of pages
+   */
+  async page(direction, pages = 1) {
+    const keyCode = direction === 'up' ? 116 : 121;
+    try {
+      await this.execRepeatedKeyCode(keyCode, Math.max(1, pages));
+      console.debug(`[typer] Page ${direction} x${pages}`);
+      return true;
+    } catch (error) {
+      console.error(`[typer] Error paging ${direction}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Change the output volume by steps of 1/16 (one press of the volume keys)
+   * Raising the volume also unmutes, like the volume keys do.
+   */
+  VOLUME_SCRIPT = `
+  on run argv
+    if (count of argv) is 0 then error number -50
+    set delta to (item 1 of argv as number)
+    set current to output volume of (get volume settings)
+    set target to current + delta
+    if target > 100 then set target to 100
+    if target < 0 then set target to 0
+    if delta > 0 then set volume output muted false
+    set volume output volume target
+    return target
+  end run`;
+
+  async changeVolume(steps) {
+    const delta = Math.round(steps * 6.25);
+    try {
+      const volume = await new Promise((resolve, reject) => {
+        execFile(
+          '/usr/bin/osascript',
+          ['-e', this.VOLUME_SCRIPT, String(delta)],
+          { maxBuffer: 1024 * 1024 },
+          (err, stdout, _stderr) => {
+            if (err) return reject(err);
+            resolve(stdout.trim());
+          }
+        );
+      });
+      console.debug(`[typer] Volume ${delta > 0 ? '+' : ''}${delta} → ${volume}`);
+      return true;
+    } catch (error) {
+      console.error('[typer] Error changing volume:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Toggle output mute
+   */
+  MUTE_SCRIPT = `
+  on run
+    set muted to output muted of (get volume settings)
+    set volume output muted (not muted)
+    return (not muted)
+  end run`;
+
+  async toggleMute() {
+    try {
+      const muted = await new Promise((resolve, reject) => {
+        execFile(
+          '/usr/bin/osascript',
+          ['-e', this.MUTE_SCRIPT],
+          { maxBuffer: 1024 * 1024 },
+          (err, stdout, _stderr) => {
+            if (err) return reject(err);
+            resolve(stdout.trim() === 'true');
+          }
+        );
+      });
+      console.debug(`[typer] ${muted ? 'Muted' : 'Unmuted'}`);
+      return true;
+    } catch (error) {
+      console.error('[typer] Error toggling mute:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Unmute the output (does nothing if it isn't muted)
+   */
+  UNMUTE_SCRIPT = `
+  on run
+    set volume output muted false
+  end run`;
+
+  async unmute() {
+    try {
+      await new Promise((resolve, reject) => {
+        execFile(
+          '/usr/bin/osascript',
+          ['-e', this.UNMUTE_SCRIPT],
+          { maxBuffer: 1024 * 1024 },
+          (err, _stdout, _stderr) => {
+            if (err) return reject(err);
+            resolve();
+          }
+        );
+      });
+      console.debug('[typer] Unmuted');
+      return true;
+    } catch (error) {
+      console.error('[typer] Error unmuting:', error);
+      return false;
+    }
+  }
+
   /**
    * Press Home (Cmd+Left)
    */
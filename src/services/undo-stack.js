@@ -0,0 +1,304 @@
+/**
+ * Undo Stack
+ *
+ * Remembers what dictation typed, which voice edits rewrote it and which action
+ * chains ran, so "retract" can take them back later - after other commands, and
+ * after switching apps.
+ *
+ * Each entry records the text (or chain steps), the app and window it went
+ * into, and when. Undo only touches the screen when that target is in front:
+ * it refocuses the entry's app first, and refuses when a different window of
+ * the app is in front or the app can't be focused.
+ *
+ * Enter and "clear all" are barriers: the text before them was submitted or
+ * erased, so undo stops there instead of deleting characters that are no
+ * longer on screen. Undone entries can be redone until something new is typed.
+ *
+ * Text and edit entries in a row also tell what dictation put before the cursor
+ * (tailText), which voice editing (services/text-editing.js) works on.
+ */
+
+/**
+ * Defaults
+ */
+const MAX_ENTRIES = 50;           // Oldest entries are dropped beyond this
+const FOCUS_SETTLE_MS = 300;      // Wait after refocusing before checking the window again
+
+/**
+ * Window title without unsaved-changes markers ("● index.js", "Notes — Edited")
+ * @param {string} title
+ * @returns {string}
+ */
+function normalizeTitle(title) {
+  return title.replace(/^[●•*]\s*/, '').replace(/\s+[—-]\s+Edited$/, '').trim();
+}
+
+/**
+ * Do two entries (or an entry and the current target) point at the same app and window?
+ */
+function sameTarget(a, b) {
+  return (a.app || null) === (b.app || null) &&
+    normalizeTitle(a.window || '') === normalizeTitle(b.window || '');
+}
+
+/**
+ * UndoStack class
+ * Typed text and action chains with their target, newest last
+ */
+export class UndoStack {
+  /**
+   * @param {object} options
+   * @param {number} options.maxEntries - Oldest entries are dropped beyond this
+   * @param {number} options.focusSettleMs - Wait after refocusing the target app
+   */
+  constructor({ maxEntries = MAX_ENTRIES, focusSettleMs = FOCUS_SETTLE_MS } = {}) {
+    this.maxEntries = maxEntries;
+    this.focusSettleMs = focusSettleMs;
+
+    this.entries = [];    // [{ type, text|steps|reason, replaced, app, window, timestamp }]
+    this.undone = [];     // Redo stack, most recently undone last
+
+    // Callbacks for integration
+    this.getTarget = () => ({ app: null, window: null });   // Frontmost app and window
+    this.onFocusApp = null;     // async (app) => boolean
+    this.onDelete = null;       // async (count) => void
+    this.onType = null;         // async (text) => void
+    this.onUndoChain = null;    // async (steps) => void
+    this.onRedoChain = null;    // async (steps) => void
+  }
+
+  /**
+   * Set callbacks for integration
+   * @param {object} callbacks
+   * @param {function} callbacks.getTarget - () => {app, window}
+   * @param {function} callbacks.onFocusApp - async (app) => boolean
+   * @param {function} callbacks.onDelete - async (count) => void
+   * @param {function} callbacks.onType - async (text) => void
+   * @param {function} callbacks.onUndoChain - async (steps) => void
+   * @param {function} callbacks.onRedoChain - async (steps) => void
+   */
+  setCallbacks(callbacks) {
+    if (callbacks.getTarget) this.getTarget = callbacks.getTarget;
+    if (callbacks.onFocusApp) this.onFocusApp = callbacks.onFocusApp;
+    if (callbacks.onDelete) this.onDelete = callbacks.onDelete;
+    if (callbacks.onType) this.onType = callbacks.onType;
+    if (callbacks.onUndoChain) this.onUndoChain = callbacks.onUndoChain;
+    if (callbacks.onRedoChain) this.onRedoChain = callbacks.onRedoChain;
+  }
+
+  /**
+   * Record typed text
+   * @param {string} text - Exactly what was typed (including the trailing space)
+   * @returns {object|null} - The entry
+   */
+  pushText(text) {
+    if (!text) return null;
+    return this.push({ type: 'text', text });
+  }
+
+  /**
+   * Record a voice edit at the end of the typed text: `replaced` was deleted, `text` typed
+   * @param {string} text - What was typed instead ('' when text was only deleted)
+   * @param {string} replaced - What was deleted
+   * @returns {object|null} - The entry
+   */
+  pushEdit(text, replaced) {
+    if (!text && !replaced) return null;
+    return this.push({ type: 'edit', text, replaced });
+  }
+
+  /**
+   * Record a finished action chain (undone as one entry)
+   * @param {object[]} steps - Steps in the order they ran
+   * @returns {object}
+   */
+  pushChain(steps) {
+    return this.push({ type: 'chain', steps });
+  }
+
+  /**
+   * Record a point undo can't go past (Enter submitted the text, "clear all" erased it)
+   * @param {string} reason - 'enter' | 'clear_all'
+   */
+  barrier(reason) {
+    const top = this.entries[this.entries.length - 1];
+    if (!top || top.type === 'barrier') return;
+    this.push({ type: 'barrier', reason });
+  }
+
+  /**
+   * Add an entry with the current target; new entries end the redo history
+   */
+  push(entry) {
+    const target = this.getTarget() || {};
+    const recorded = { ...entry, app: target.app || null, window: target.window || null, timestamp: Date.now() };
+    this.entries.push(recorded);
+    if (this.entries.length > this.maxEntries) this.entries.shift();
+    this.undone = [];
+    return recorded;
+  }
+
+  /**
+   * Bring the entry's target to the front, or explain why not
+   * Entries without a known app are undone wherever the cursor is.
+   * @param {object} entry
+   * @returns {Promise<{ok: boolean, refocused: boolean, reason?: string}>}
+   */
+  async ensureTarget(entry) {
+    if (!entry.app) return { ok: true, refocused: false };
+
+    let current = this.getTarget() || {};
+    let refocused = false;
+    if (current.app !== entry.app) {
+      const focused = this.onFocusApp ? await this.onFocusApp(entry.app) : false;
+      if (!focused) {
+        return { ok: false, refocused, reason: `can't switch back to ${entry.app}` };
+      }
+      refocused = true;
+      await new Promise(resolve => setTimeout(resolve, this.focusSettleMs));
+      current = this.getTarget() || {};
+      if (current.app && current.app !== entry.app) {
+        return { ok: false, refocused, reason: `${entry.app} didn't come to the front` };
+      }
+    }
+
+    if (entry.window && current.window && normalizeTitle(entry.window) !== normalizeTitle(current.window)) {
+      return { ok: false, refocused, reason: `the text went into "${entry.window}", not "${current.window}"` };
+    }
+    return { ok: true, refocused };
+  }
+
+  /**
+   * Undo the newest entries
+   * Stops at a barrier or at an entry whose target isn't available.
+   * @param {number} count - How many entries to undo
+   * @returns {Promise<{undone: object[], refused: string|null, refocused: boolean}>}
+   */
+  async undo(count = 1) {
+    const undone = [];
+    let refocused = false;
+
+    while (undone.length < count) {
+      const entry = this.entries[this.entries.length - 1];
+      if (!entry) break;
+      if (entry.type === 'barrier') {
+        return { undone, refused: entry.reason === 'enter' ? 'the text was already submitted' : 'the text was cleared', refocused };
+      }
+
+      const target = await this.ensureTarget(entry);
+      refocused = refocused || target.refocused;
+      if (!target.ok) return { undone, refused: target.reason, refocused };
+
+      if (entry.type === 'text' || entry.type === 'edit') {
+        await this.rewrite(entry.text, entry.replaced || '');
+      } else if (this.onUndoChain) {
+        await this.onUndoChain(entry.steps);
+      }
+      this.entries.pop();
+      this.undone.push(entry);
+      undone.push(entry);
+    }
+
+    return { undone, refused: null, refocused };
+  }
+
+  /**
+   * Redo the most recently undone entries
+   * @param {number} count - How many entries to redo
+   * @returns {Promise<{redone: object[], refused: string|null, refocused: boolean}>}
+   */
+  async redo(count = 1) {
+    const redone = [];
+    let refocused = false;
+
+    while (redone.length < count) {
+      const entry = this.undone[this.undone.length - 1];
+      if (!entry) break;
+
+      const target = await this.ensureTarget(entry);
+      refocused = refocused || target.refocused;
+      if (!target.ok) return { redone, refused: target.reason, refocused };
+
+      if (entry.type === 'text' || entry.type === 'edit') {
+        await this.rewrite(entry.replaced || '', entry.text);
+      } else if (this.onRedoChain) {
+        await this.onRedoChain(entry.steps);
+      }
+      this.undone.pop();
+      this.entries.push({ ...entry, timestamp: Date.now() });
+      redone.push(entry);
+    }
+
+    return { redone, refused: null, refocused };
+  }
+
+  /**
+   * Delete text before the cursor and type other text in its place
+   * @param {string} remove - Text to delete
+   * @param {string} insert - Text to type
+   */
+  async rewrite(remove, insert) {
+    if (remove && this.onDelete) await this.onDelete(remove.length);
+    if (insert && this.onType) await this.onType(insert);
+  }
+
+  /**
+   * What dictation typed before the cursor, as far as the stack knows
+   * Replays the newest run of text and edit entries; chains, barriers and target
+   * changes end the run (the cursor or the text may have moved). Empty unless the
+   * run's app and window are in front.
+   * @returns {string}
+   */
+  tailText() {
+    let tail = '';
+    let previous = null;
+    for (const entry of this.entries) {
+      if (entry.type !== 'text' && entry.type !== 'edit') {
+        tail = '';
+        previous = null;
+        continue;
+      }
+      if (previous && !sameTarget(entry, previous)) tail = '';
+      if (entry.type === 'edit') {
+        tail = tail.endsWith(entry.replaced) ? tail.slice(0, tail.length - entry.replaced.length) : '';
+      }
+      tail += entry.text;
+      previous = entry;
+    }
+    if (!previous || !sameTarget(previous, this.getTarget() || {})) return '';
+    return tail;
+  }
+
+  /**
+   * The newest dictated chunk, if it is still right before the cursor ("replace X with Y")
+   * @returns {string|null}
+   */
+  lastChunk() {
+    const top = this.entries[this.entries.length - 1];
+    if (!top?.text || !this.tailText()) return null;
+    return top.text;
+  }
+
+  /**
+   * Newest typed text (for "what did I just type"), also from before a barrier
+   * @returns {object|null}
+   */
+  lastText() {
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      if (this.entries[i].type === 'text') return this.entries[i];
+    }
+    return null;
+  }
+
+  /**
+   * Forget everything
+   */
+  clear() {
+    this.entries = [];
+    this.undone = [];
+  }
+}
+
+// Singleton instance
+export const undoStack = new UndoStack();
+export default undoStack;
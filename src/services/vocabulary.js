@@ -0,0 +1,112 @@
+/**
+ * Keyword Vocabulary (Deepgram keyword boosting)
+ *
+ * Builds the boosted keyword list sent with the live connection from what the
+ * user actually says to ONE: personal dictionary phrases, app aliases, addon
+ * mode phrases/commands and user jargon (speech.vocabulary - project names,
+ * CLI tools). Boosting these is what lets "computer stop listening" be heard
+ * right instead of needing misheard variants like "computer stock listening".
+ *
+ * Keywords use Deepgram's "word:intensifier" format.
+ */
+
+/**
+ * Deepgram accepts up to 100 keywords per connection
+ */
+export const MAX_KEYWORDS = 100;
+
+/**
+ * Intensifier per source - jargon is rarest in general speech, so it gets most
+ */
+const BOOST = {
+  jargon: 3,
+  commands: 2,
+  addons: 2,
+  apps: 1.5
+};
+
+/**
+ * Always boosted - every voice command starts with it
+ */
+const WAKE_WORD = 'computer';
+
+/**
+ * Function words that gain nothing from boosting
+ */
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'to', 'of', 'in', 'on', 'at', 'for', 'by', 'with',
+  'it', 'is', 'this', 'that', 'my', 'me', 'i', 'you', 'be', 'do', 'so', 'or',
+  'up', 'off', 'mode'
+]);
+
+/**
+ * Split a phrase into boostable words
+ * @param {string} phrase - e.g. "Google Chrome", "switch to vs code"
+ * @returns {string[]}
+ */
+export function tokenize(phrase) {
+  return (phrase || '')
+    .split(/\s+/)
+    .map(word => word.replace(/^[^\w]+|[^\w]+$/g, ''))
+    .filter(word => word.length >= 2 && !/^\d+$/.test(word) && !STOP_WORDS.has(word.toLowerCase()));
+}
+
+/**
+ * Parse a jargon entry, which may carry its own intensifier ("kubectl:5")
+ * @param {string} entry
+ * @returns {{phrase: string, boost: number|null}}
+ */
+function parseJargon(entry) {
+  const match = /^(.*?):(\d+(?:\.\d+)?)$/.exec(entry.trim());
+  return match ? { phrase: match[1], boost: Number(match[2]) } : { phrase: entry, boost: null };
+}
+
+/**
+ * Build the boosted keyword list
+ *
+ * Words are ranked by source (jargon first), then by how many phrases use them,
+ * and capped at `limit`. Capitalization from jargon and app names is kept since
+ * Deepgram matches proper nouns better that way.
+ *
+ * @param {object} sources
+ * @param {string[]} sources.commands - Personal dictionary / command phrases
+ * @param {string[]} sources.apps - App aliases and names
+ * @param {string[]} sources.addons - Addon mode phrases and commands
+ * @param {string[]} sources.jargon - User vocabulary (speech.vocabulary)
+ * @param {object} options
+ * @param {number} options.limit - Maximum keywords
+ * @returns {string[]} - Keywords like "computer:2"
+ */
+export function buildKeywordVocabulary({ commands = [], apps = [], addons = [], jargon = [] } = {}, { limit = MAX_KEYWORDS } = {}) {
+  const words = new Map();   // lowercase → { word, boost, rank, count }
+
+  const add = (word, boost, rank) => {
+    const key = word.toLowerCase();
+    const existing = words.get(key);
+    if (!existing) {
+      words.set(key, { word, boost, rank, count: 1 });
+      return;
+    }
+    existing.count++;
+    if (rank < existing.rank) {
+      // A higher-priority source decides spelling and boost
+      Object.assign(existing, { word, boost, rank });
+    } else if (rank === existing.rank && existing.word === key) {
+      existing.word = word;   // Prefer the capitalized spelling ("Chrome")
+    }
+  };
+
+  jargon.forEach((entry) => {
+    const { phrase, boost } = parseJargon(entry);
+    tokenize(phrase).forEach(word => add(word, boost ?? BOOST.jargon, 0));
+  });
+  add(WAKE_WORD, BOOST.commands, 1);
+  commands.forEach(phrase => tokenize(phrase).forEach(word => add(word.toLowerCase(), BOOST.commands, 1)));
+  addons.forEach(phrase => tokenize(phrase).forEach(word => add(word.toLowerCase(), BOOST.addons, 1)));
+  apps.forEach(phrase => tokenize(phrase).forEach(word => add(word, BOOST.apps, 2)));
+
+  return [...words.values()]
+    .sort((a, b) => a.rank - b.rank || b.count - a.count || a.word.localeCompare(b.word))
+    .slice(0, limit)
+    .map(({ word, boost }) => `${word}:${boost}`);
+}
@@ -0,0 +1,309 @@
+/**
+ * Workflow Engine Service (Phase 2.5)
+ *
+ * Runs multi-step workflows taught through training mode.
+ * Workflows are stored in commandDictionary.data.workflows as:
+ *   { id, name, phrases: [...], steps: [{ description, conditional }] }
+ *
+ * Each step description is interpreted at run time:
+ *   - Delays:       "wait 2 seconds", "pause 500 milliseconds"
+ *   - Typing:       "type hello world"
+ *   - Conditionals: "if I'm in chrome, open a new tab" (flagged by `conditional`)
+ *   - Actions:      anything else, resolved to an action via the onResolve callback
+ *
+ * A running workflow stops on the first failing step or when cancelled
+ * ("computer cancel").
+ */
+
+import { commandDictionary } from './commands.js';
+
+/**
+ * Step types produced by parseStep()
+ */
+export const StepType = {
+  ACTION: 'action',
+  DELAY: 'delay',
+  TYPE: 'type'
+};
+
+/**
+ * Phrases that cancel a running workflow
+ */
+const CANCEL_PATTERN = /^computer\s+(?:cancel|stop)(?:\s+(?:workflow|that|it))?$/i;
+
+/**
+ * Step parsing patterns
+ */
+const DELAY_PATTERN = /^(?:wait|pause|sleep|delay)(?:\s+for)?\s+(\d+(?:\.\d+)?)\s*(ms|milliseconds?|s|secs?|seconds?)?$/i;
+const TYPE_PATTERN = /^(?:type|write|enter text)\s+(.+)$/i;
+const CONDITIONAL_PATTERN = /^if\s+(.+?)(?:,\s*|\s+then\s+)(?:then\s+)?(.+)$/i;
+
+/**
+ * Longest delay a single step may request (prevents runaway workflows)
+ */
+const MAX_STEP_DELAY_MS = 30000;
+
+/**
+ * Pause between steps so the target app can keep up
+ */
+const INTER_STEP_DELAY_MS = 150;
+
+/**
+ * WorkflowEngine class
+ * Matches workflow trigger phrases and executes their steps in order
+ */
+export class WorkflowEngine {
+  constructor() {
+    this.current = null;        // { workflow, stepIndex } while running
+    this.cancelled = false;
+    this.wakeDelay = null;      // Resolves an in-progress delay early on cancel
+
+    // Callbacks for integration
+    this.onSpeak = null;        // Function to speak progress
+    this.onResolve = null;      // Function to resolve a step description to { action, target }
+    this.onExecute = null;      // Function to execute a resolved action
+    this.onType = null;         // Function to type text
+    this.onCondition = null;    // Function to evaluate a condition (returns boolean or null)
+    this.onProgress = null;     // Function called before each step
+  }
+
+  /**
+   * Set callbacks for integration
+   */
+  setCallbacks({ onSpeak, onResolve, onExecute, onType, onCondition, onProgress }) {
+    this.onSpeak = onSpeak;
+    this.onResolve = onResolve;
+    this.onExecute = onExecute;
+    this.onType = onType;
+    this.onCondition = onCondition;
+    this.onProgress = onProgress;
+  }
+
+  /**
+   * Is a workflow currently running?
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.current !== null;
+  }
+
+  /**
+   * Get all stored workflows
+   * @returns {Array}
+   */
+  getWorkflows() {
+    return commandDictionary.data?.workflows || [];
+  }
+
+  /**
+   * Find a workflow whose trigger phrase matches the spoken text
+   * @param {string} text - Spoken text
+   * @returns {object|null} - Workflow or null
+   */
+  findWorkflow(text) {
+    const normalized = commandDictionary.normalize(text);
+    if (!normalized) return null;
+
+    for (const workflow of this.getWorkflows()) {
+      const phrases = workflow.phrases || [];
+      if (phrases.some(p => commandDictionary.normalize(p) === normalized)) {
+        return workflow;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check if text should cancel the running workflow
+   * @param {string} text
+   * @returns {boolean}
+   */
+  isCancelPhrase(text) {
+    return CANCEL_PATTERN.test(text.trim());
+  }
+
+  /**
+   * Parse a stored step into an executable description
+   * @param {{description: string, conditional?: boolean}} step
+   * @returns {{type: string, description: string, condition: string|null, ms?: number, text?: string}}
+   */
+  parseStep(step) {
+    let description = (step.description || '').trim().replace(/[.!?]+$/, '');
+    let condition = null;
+
+    if (step.conditional) {
+      const match = description.match(CONDITIONAL_PATTERN);
+      if (match) {
+        condition = match[1].trim();
+        description = match[2].trim();
+      }
+    }
+
+    const delayMatch = description.match(DELAY_PATTERN);
+    if (delayMatch) {
+      const amount = parseFloat(delayMatch[1]);
+      const unit = (delayMatch[2] || 's').toLowerCase();
+      const ms = unit.startsWith('m') ? amount : amount * 1000;
+      return { type: StepType.DELAY, description, condition, ms: Math.min(ms, MAX_STEP_DELAY_MS) };
+    }
+
+    const typeMatch = description.match(TYPE_PATTERN);
+    if (typeMatch) {
+      return { type: StepType.TYPE, description, condition, text: typeMatch[1] };
+    }
+
+    return { type: StepType.ACTION, description, condition };
+  }
+
+  /**
+   * Run a workflow's steps in order
+   * @param {object} workflow - Workflow from the dictionary
+   * @returns {Promise<{completed: boolean, stepsRun: number, cancelled?: boolean, error?: string}>}
+   */
+  async run(workflow) {
+    if (this.isRunning()) {
+      console.log('[Workflow] Already running a workflow');
+      return { completed: false, stepsRun: 0, error: 'already_running' };
+    }
+
+    const steps = workflow.steps || [];
+    const name = workflow.name || workflow.phrases?.[0] || 'workflow';
+
+    this.current = { workflow, stepIndex: 0 };
+    this.cancelled = false;
+
+    console.log(`[Workflow] Running "${name}" (${steps.length} steps)`);
+    await this.speak(`Running ${name}.`);
+
+    let stepsRun = 0;
+
+    try {
+      for (let i = 0; i < steps.length; i++) {
+        if (this.cancelled) break;
+
+        this.current.stepIndex = i;
+        const step = this.parseStep(steps[i]);
+
+        if (this.onProgress) {
+          this.onProgress(i + 1, steps.length, step);
+        }
+
+        // Conditional steps are skipped unless the condition holds
+        if (step.condition) {
+          const holds = this.onCondition ? await this.onCondition(step.condition) : null;
+          if (holds !== true) {
+            console.log(`[Workflow] Step ${i + 1} skipped (condition "${step.condition}" ${holds === false ? 'not met' : 'unknown'})`);
+            continue;
+          }
+        }
+
+        console.log(`[Workflow] Step ${i + 1}/${steps.length}: ${step.description}`);
+        await this.runStep(step);
+        stepsRun++;
+
+        if (i < steps.length - 1 && step.type !== StepType.DELAY) {
+          await this.delay(INTER_STEP_DELAY_MS);
+        }
+      }
+    } catch (error) {
+      const stepNum = this.current.stepIndex + 1;
+      console.error(`[Workflow] Step ${stepNum} failed: ${error.message}`);
+      this.current = null;
+      await this.speak(`Step ${stepNum} failed. ${error.message} Stopping ${name}.`);
+      return { completed: false, stepsRun, error: error.message };
+    }
+
+    this.current = null;
+
+    if (this.cancelled) {
+      console.log(`[Workflow] "${name}" cancelled after ${stepsRun} step(s)`);
+      await this.speak(`Cancelled ${name}.`);
+      return { completed: false, stepsRun, cancelled: true };
+    }
+
+    console.log(`[Workflow] "${name}" complete`);
+    await this.speak(`${name} done.`);
+    return { completed: true, stepsRun };
+  }
+
+  /**
+   * Execute a single parsed step
+   * Throws on failure so run() can stop the workflow
+   * @param {object} step - Result of parseStep()
+   */
+  async runStep(step) {
+    switch (step.type) {
+      case StepType.DELAY:
+        await this.delay(step.ms);
+        return;
+
+      case StepType.TYPE:
+        if (!this.onType) throw new Error('Typing is not available.');
+        if (await this.onType(step.text) === false) {
+          throw new Error('Could not type the text.');
+        }
+        return;
+
+      default: {
+        const resolved = this.onResolve ? await this.onResolve(step.description) : null;
+        if (!resolved || !resolved.action) {
+          throw new Error(`I don't know how to ${step.description}.`);
+        }
+        if (!this.onExecute || await this.onExecute(resolved.action, resolved.target || null) === false) {
+          throw new Error(`Could not ${step.description}.`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Cancel the running workflow
+   * @returns {boolean} - True if a workflow was running
+   */
+  cancel() {
+    if (!this.isRunning()) return false;
+
+    this.cancelled = true;
+    if (this.wakeDelay) {
+      this.wakeDelay();
+    }
+    return true;
+  }
+
+  /**
+   * Speak via callback (errors are ignored)
+   * @param {string} text
+   */
+  async speak(text) {
+    if (!this.onSpeak) return;
+    try {
+      await this.onSpeak(text);
+    } catch (e) {
+      console.error('[Workflow] Failed to speak:', e.message);
+    }
+  }
+
+  /**
+   * Cancellable delay
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  delay(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.wakeDelay = null;
+        resolve();
+      }, ms);
+      this.wakeDelay = () => {
+        clearTimeout(timer);
+        this.wakeDelay = null;
+        resolve();
+      };
+    });
+  }
+}
+
+// Singleton
+export const workflowEngine = new WorkflowEngine();
+
+export default workflowEngine;
@@ -39,6 +39,7 @@ struct FocusInfo {
     var subrole: String = ""
     var appName: String = ""
     var appBundleId: String = ""
+    var windowTitle: String = ""
     var isEditable: Bool = false
     var hasSelectedTextRange: Bool = false
     var debug: String = ""
@@ -104,6 +105,13 @@ func checkFocusedElement() -> FocusInfo {
         AXUIElementSetAttributeValue(appElement, "AXEnhancedUserInterface" as CFString, true as CFTypeRef)
         AXUIElementSetAttributeValue(appElement, "AXManualAccessibility" as CFString, true as CFTypeRef)
 
+        // Title of the focused window (speech2type records it as the undo target)
+        var focusedWindow: AnyObject?
+        if AXUIElementCopyAttributeValue(appElement, kAXFocusedWindowAttribute as CFString, &focusedWindow) == .success,
+           let window = focusedWindow {
+            info.windowTitle = (getAttributeValue(window as! AXUIElement, kAXTitleAttribute) as? String) ?? ""
+        }
+
         // Try to get focused element from the app
         var focusedUIElement: AnyObject?
         let focusResult = AXUIElementCopyAttributeValue(appElement, kAXFocusedUIElementAttribute as CFString, &focusedUIElement)
@@ -231,6 +239,7 @@ func main() {
         "subrole": info.subrole,
         "appName": info.appName,
         "appBundleId": info.appBundleId,
+        "windowTitle": info.windowTitle,
         "hasSelectedTextRange": info.hasSelectedTextRange,
         "debug": info.debug
     ]
@@ -0,0 +1,89 @@
+/**
+ * Tests for compound command steps: splitting, timing and undo planning
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { splitCompound, stepDelay, runSteps, inverseOf, planUndo, STEP_DELAY_MS, SYSTEM_UNDO } from '../src/services/action-chain.js';
+
+describe('action-chain', () => {
+  describe('splitCompound', () => {
+    it('splits on "and", "then" and "and then"', () => {
+      expect(splitCompound('computer select all and copy')).toEqual(['computer select all', 'copy']);
+      expect(splitCompound('switch to chrome and then open a new tab')).toEqual(['switch to chrome', 'open a new tab']);
+      expect(splitCompound('copy this then paste then save')).toEqual(['copy this', 'paste', 'save']);
+    });
+
+    it('leaves single commands alone', () => {
+      expect(splitCompound('computer new tab')).toEqual(['computer new tab']);
+      expect(splitCompound('')).toEqual([]);
+    });
+  });
+
+  describe('stepDelay', () => {
+    it('waits longer after focus changes', () => {
+      expect(stepDelay({ action: 'copy' })).toBe(STEP_DELAY_MS);
+      expect(stepDelay({ action: 'focus_app' })).toBeGreaterThan(STEP_DELAY_MS);
+    });
+  });
+
+  describe('runSteps', () => {
+    const wait = vi.fn().mockResolvedValue(undefined);
+
+    it('runs every step with a pause between them', async () => {
+      wait.mockClear();
+      const steps = [{ action: 'focus_app', target: 'chrome' }, { action: 'new_tab' }];
+      const done = await runSteps(steps, async step => ({ ...step, previousApp: 'Terminal' }), wait);
+
+      expect(done.map(step => step.action)).toEqual(['focus_app', 'new_tab']);
+      expect(done[0].previousApp).toBe('Terminal');
+      expect(wait).toHaveBeenCalledOnce();
+      expect(wait).toHaveBeenCalledWith(stepDelay({ action: 'focus_app' }));
+    });
+
+    it('stops at a failing step and leaves it out of the finished steps', async () => {
+      const ran = [];
+      const steps = [{ action: 'select_all' }, { action: 'bogus' }, { action: 'paste' }];
+      const done = await runSteps(steps, async (step) => {
+        ran.push(step.action);
+        return step.action === 'bogus' ? false : step;
+      }, wait);
+
+      expect(ran).toEqual(['select_all', 'bogus']);
+      expect(done).toEqual([{ action: 'select_all' }]);
+    });
+  });
+
+  describe('inverseOf', () => {
+    it('reverses steps with an opposite action', () => {
+      expect(inverseOf({ action: 'new_tab' })).toMatchObject({ action: 'close_tab' });
+      expect(inverseOf({ action: 'scroll_down', modifiers: { count: 3 } })).toMatchObject({ action: 'scroll_up', modifiers: { count: 3 } });
+      expect(inverseOf({ action: 'paste' })).toMatchObject({ action: SYSTEM_UNDO });
+      expect(inverseOf({ action: 'select_last_sentence' })).toMatchObject({ action: 'deselect' });
+    });
+
+    it('returns to the previous app after focus_app', () => {
+      expect(inverseOf({ action: 'focus_app', target: 'chrome', previousApp: 'Terminal' })).toEqual({ action: 'focus_app', target: 'Terminal' });
+      expect(inverseOf({ action: 'focus_app', target: 'chrome' })).toBeNull();
+    });
+
+    it('marks steps without effect and steps that cannot be undone', () => {
+      expect(inverseOf({ action: 'copy' })).toEqual({ action: 'none' });
+      expect(inverseOf({ action: 'enter' })).toBeNull();
+    });
+  });
+
+  describe('planUndo', () => {
+    it('undoes the last step first and reports what it cannot undo', () => {
+      const plan = planUndo([
+        { action: 'focus_app', target: 'chrome', previousApp: 'Terminal' },
+        { action: 'new_tab' },
+        { action: 'select_all' },
+        { action: 'paste' },
+        { action: 'enter' }
+      ]);
+
+      expect(plan.undo.map(step => step.action)).toEqual([SYSTEM_UNDO, 'close_tab', 'focus_app']);
+      expect(plan.skipped).toEqual(['enter']);
+    });
+  });
+});
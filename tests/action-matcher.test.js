@@ -0,0 +1,87 @@
+/**
+ * Tests for action matcher (Phase 2.6)
+ *
+ * Tests the local keyword matcher that turns spoken action
+ * descriptions into concrete actions for training mode.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { matchAction, isKnownAction, describeAction, MATCHABLE_ACTIONS } from '../src/services/action-matcher.js';
+
+describe('action-matcher', () => {
+  describe('matchAction()', () => {
+    it('matches simple key presses', () => {
+      expect(matchAction('press enter')?.action).toBe('enter');
+      expect(matchAction('send it')?.action).toBe('enter');
+      expect(matchAction('delete the selection')?.action).toBe('delete');
+    });
+
+    it('matches clipboard and editing actions', () => {
+      expect(matchAction('copy this')?.action).toBe('copy');
+      expect(matchAction('paste it')?.action).toBe('paste');
+      expect(matchAction('select everything')?.action).toBe('select_all');
+      expect(matchAction('undo that')?.action).toBe('undo');
+    });
+
+    it('prefers specific rules over general ones', () => {
+      expect(matchAction('delete everything')?.action).toBe('clear_all');
+      expect(matchAction('open a new tab')?.action).toBe('new_tab');
+      expect(matchAction('switch to music mode')?.action).toBe('mode_music');
+      expect(matchAction('insert a new line')?.action).toBe('newline');
+      expect(matchAction('send without newline')?.action).toBe('enter');
+      expect(matchAction('unmute the sound')?.action).toBe('unmute');
+      expect(matchAction('mute the sound')?.action).toBe('mute');
+    });
+
+    it('extracts app targets for focus_app', () => {
+      expect(matchAction('switch to chrome')).toEqual({ action: 'focus_app', target: 'chrome', confidence: 0.8 });
+      expect(matchAction('open the slack app')?.target).toBe('slack');
+    });
+
+    it('ignores filler words and punctuation', () => {
+      expect(matchAction('Please, just press Enter.')?.action).toBe('enter');
+      expect(matchAction('it should copy')?.action).toBe('copy');
+    });
+
+    it('returns null when nothing matches', () => {
+      expect(matchAction('do the thing')).toBeNull();
+      expect(matchAction('')).toBeNull();
+      expect(matchAction(null)).toBeNull();
+    });
+
+    it('reports a confidence below the auto-execute level', () => {
+      expect(matchAction('copy').confidence).toBeLessThan(1);
+      expect(matchAction('copy').target).toBeNull();
+    });
+  });
+
+  describe('isKnownAction()', () => {
+    it('accepts every matchable action', () => {
+      for (const action of MATCHABLE_ACTIONS) {
+        expect(isKnownAction(action)).toBe(true);
+      }
+    });
+
+    it('rejects unknown actions', () => {
+      expect(isKnownAction('CUSTOM_ACTION')).toBe(false);
+      expect(isKnownAction('none')).toBe(false);
+      expect(isKnownAction(undefined)).toBe(false);
+    });
+  });
+
+  describe('describeAction()', () => {
+    it('describes actions for read-back', () => {
+      expect(describeAction('delete')).toBe('press delete');
+      expect(describeAction('new_tab')).toBe('open a new tab');
+    });
+
+    it('includes the target for focus_app', () => {
+      expect(describeAction('focus_app', 'chrome')).toBe('switch to chrome');
+      expect(describeAction('focus_app')).toBe('switch apps');
+    });
+
+    it('falls back to the action name', () => {
+      expect(describeAction('mode_addon_ableton')).toBe('mode addon ableton');
+    });
+  });
+});
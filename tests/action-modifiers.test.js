@@ -0,0 +1,69 @@
+/**
+ * Tests for repeat counts and amounts on navigation/volume commands
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseActionModifiers, matchModifiedCommand, actionUnits } from '../src/services/action-modifiers.js';
+
+const COMMANDS = {
+  'computer scroll down': 'scroll_down',
+  'computer volume up': 'volume_up',
+  'computer page down': 'page_down',
+  'computer copy': 'copy'
+};
+
+describe('action-modifiers', () => {
+  describe('parseActionModifiers', () => {
+    it('parses counts as digits, words and mishearings', () => {
+      expect(parseActionModifiers('computer scroll down 3 times')).toMatchObject({ text: 'computer scroll down', count: 3 });
+      expect(parseActionModifiers('computer scroll down three times')).toMatchObject({ count: 3 });
+      expect(parseActionModifiers('computer page down twice')).toMatchObject({ text: 'computer page down', count: 2 });
+      expect(parseActionModifiers('computer page down to times')).toMatchObject({ count: 2 });
+    });
+
+    it('parses amounts', () => {
+      expect(parseActionModifiers('computer volume up a bit')).toMatchObject({ text: 'computer volume up', amount: 'small' });
+      expect(parseActionModifiers('computer volume up slightly')).toMatchObject({ amount: 'small' });
+      expect(parseActionModifiers('computer volume up a lot')).toMatchObject({ amount: 'large' });
+    });
+
+    it('accepts count and amount in either order', () => {
+      expect(parseActionModifiers('computer scroll down a bit twice')).toEqual({ text: 'computer scroll down', count: 2, amount: 'small', modified: true });
+      expect(parseActionModifiers('computer scroll down twice a bit')).toEqual({ text: 'computer scroll down', count: 2, amount: 'small', modified: true });
+    });
+
+    it('caps the count and leaves unmodified text alone', () => {
+      expect(parseActionModifiers('computer scroll down 500 times').count).toBe(20);
+      expect(parseActionModifiers('computer scroll down')).toEqual({ text: 'computer scroll down', count: 1, amount: null, modified: false });
+      expect(parseActionModifiers('computer scroll down banana times').modified).toBe(false);
+    });
+
+    it('parses a bare count, but not a misheard one', () => {
+      expect(parseActionModifiers('retract three')).toMatchObject({ text: 'retract', count: 3 });
+      expect(parseActionModifiers('computer scroll down 4')).toMatchObject({ text: 'computer scroll down', count: 4 });
+      expect(parseActionModifiers('computer scroll down to').modified).toBe(false);
+    });
+  });
+
+  describe('matchModifiedCommand', () => {
+    it('matches repeatable commands with a modifier', () => {
+      expect(matchModifiedCommand('computer scroll down five times', COMMANDS)).toMatchObject({ text: 'computer scroll down', count: 5 });
+    });
+
+    it('ignores plain commands, non-repeatable actions and unknown phrases', () => {
+      expect(matchModifiedCommand('computer scroll down', COMMANDS)).toBeNull();
+      expect(matchModifiedCommand('computer copy twice', COMMANDS)).toBeNull();
+      expect(matchModifiedCommand('i read it twice', COMMANDS)).toBeNull();
+    });
+  });
+
+  describe('actionUnits', () => {
+    it('scales units by amount and count', () => {
+      expect(actionUnits('scroll_down')).toBe(5);
+      expect(actionUnits('scroll_down', { count: 3 })).toBe(15);
+      expect(actionUnits('scroll_down', { amount: 'small' })).toBe(2);
+      expect(actionUnits('volume_up', { amount: 'large', count: 2 })).toBe(8);
+      expect(actionUnits('page_down', { count: 2 })).toBe(2);
+    });
+  });
+});
@@ -281,6 +281,28 @@ describe('AddonLoader', () => {
       expect(loader.activeAddon).toBe('music');
     });
 
+    it('should pass an API with speak() to init', () => {
+      const onSpeak = vi.fn();
+      loader.setCallbacks({ onSpeak });
+      const mockInit = vi.fn();
+      loader.addons.set('planning', { metadata: { displayName: 'Planning' }, init: mockInit });
+
+      loader.activate('planning');
+      const api = mockInit.mock.calls[0][0];
+
+      expect(api.speak('Plan opened')).toBe(true);
+      expect(onSpeak).toHaveBeenCalledWith('Plan opened', 'planning');
+    });
+
+    it('should report speak() as unavailable without an onSpeak callback', () => {
+      const mockInit = vi.fn();
+      loader.addons.set('planning', { metadata: { displayName: 'Planning' }, init: mockInit });
+
+      loader.activate('planning');
+
+      expect(mockInit.mock.calls[0][0].speak('Plan opened')).toBe(false);
+    });
+
     it('should deactivate current addon before activating new one', () => {
       const mockCleanup = vi.fn();
       const currentAddon = {
@@ -493,6 +515,27 @@ describe('AddonLoader', () => {
     });
   });
 
+  describe('getTranscriptionProfile()', () => {
+    it('should return setting value when available', () => {
+      loader.addons.set('music', { metadata: { transcriptionProfile: 'music' } });
+      loader.activeAddon = 'music';
+      loader.enabledAddons.settings = { music: { transcriptionProfile: 'claude' } };
+
+      expect(loader.getTranscriptionProfile()).toBe('claude');
+    });
+
+    it('should return metadata value when no setting', () => {
+      loader.addons.set('music', { metadata: { transcriptionProfile: 'music' } });
+      loader.activeAddon = 'music';
+
+      expect(loader.getTranscriptionProfile()).toBe('music');
+    });
+
+    it('should return null without an active addon', () => {
+      expect(loader.getTranscriptionProfile()).toBeNull();
+    });
+  });
+
   describe('getActiveSettings()', () => {
     it('should return settings for active addon', () => {
       const settings = { commandsOnly: true, ttsEnabled: false };
@@ -572,6 +615,23 @@ describe('AddonLoader', () => {
     });
   });
 
+  describe('getVocabulary()', () => {
+    it('should return mode phrases for all addons', () => {
+      loader.modeMap.set('music mode', 'music');
+      loader.modeMap.set('ableton mode', 'music');
+
+      expect(loader.getVocabulary()).toEqual(['music mode', 'ableton mode']);
+    });
+
+    it('should add the active addon commands', () => {
+      loader.modeMap.set('music mode', 'music');
+      loader.addons.set('music', { metadata: {}, commands: { 'play': 'play', 'tempo up': 'tempo_up' } });
+      loader.activeAddon = 'music';
+
+      expect(loader.getVocabulary()).toEqual(['music mode', 'play', 'tempo up']);
+    });
+  });
+
   describe('getActiveCommands()', () => {
     it('should return addon commands with computer prefix', () => {
       const mockAddon = {
@@ -645,6 +705,45 @@ describe('AddonLoader', () => {
     });
   });
 
+  describe('getActiveActions()', () => {
+    it('should list commands, patterns and declared value schemas', () => {
+      loader.addons.set('ableton', {
+        metadata: { displayName: 'Ableton', description: 'Voice control for Ableton Live' },
+        commands: { 'play': 'play', 'mute': 'mute' },
+        patterns: [
+          { pattern: /^tempo (\d+)$/, action: 'tempo', extract: (m) => parseInt(m[1]) },
+          { pattern: /^mute (\d+)$/, action: 'mute', extract: (m) => parseInt(m[1]) },
+          { pattern: /^go to (.+)$/, action: 'goto', extract: (m) => m[1] }
+        ],
+        actions: {
+          tempo: { description: 'Set the tempo in BPM', params: { type: 'number', minimum: 20, maximum: 999 } },
+          mute: { params: { type: 'integer', minimum: 1 } }
+        }
+      });
+      loader.activeAddon = 'ableton';
+
+      const { addon, displayName, description, actions } = loader.getActiveActions();
+      const byName = Object.fromEntries(actions.map(action => [action.name, action]));
+
+      expect(addon).toBe('ableton');
+      expect(displayName).toBe('Ableton');
+      expect(description).toBe('Voice control for Ableton Live');
+      expect(byName.play).toEqual({ name: 'play', description: null, params: null, optional: false });
+      expect(byName.tempo).toEqual({
+        name: 'tempo',
+        description: 'Set the tempo in BPM',
+        params: { type: 'number', minimum: 20, maximum: 999 },
+        optional: false
+      });
+      expect(byName.mute.optional).toBe(true);
+      expect(byName.goto.params).toEqual({});
+    });
+
+    it('should return null when no active addon', () => {
+      expect(loader.getActiveActions()).toBeNull();
+    });
+  });
+
   describe('executeAction()', () => {
     it('should execute action on active addon', () => {
       const mockExecute = vi.fn().mockReturnValue(true);
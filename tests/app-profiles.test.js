@@ -0,0 +1,80 @@
+/**
+ * Tests for per-app profiles: spoken rules, app matching and the active profile
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AppProfiles, parseContextRule, describeSettings, matchesApp } from '../src/services/app-profiles.js';
+
+describe('app-profiles', () => {
+  describe('parseContextRule', () => {
+    it('parses phrase rules', () => {
+      expect(parseContextRule("When I'm in Slack, affirmative means send without newline")).toEqual({
+        app: 'Slack', phrase: 'affirmative', description: 'send without newline'
+      });
+      expect(parseContextRule("while I am in chrome, 'ship it' should press enter.")).toMatchObject({
+        app: 'chrome', phrase: 'ship it', description: 'press enter'
+      });
+    });
+
+    it('parses settings rules', () => {
+      expect(parseContextRule("When I'm in Finder, commands only")).toEqual({ app: 'Finder', settings: { commands_only: true } });
+      expect(parseContextRule("When I'm in Notes, allow typing")).toEqual({ app: 'Notes', settings: { commands_only: false } });
+      expect(parseContextRule("When I'm in iTerm, use claude mode")).toEqual({ app: 'iTerm', settings: { mode: 'claude' } });
+      expect(parseContextRule("When I'm in Excel, no numbers")).toEqual({ app: 'Excel', settings: { formatting: { numbers: false } } });
+    });
+
+    it('ignores other requests', () => {
+      expect(parseContextRule("When I say 'yeet', delete the selection")).toBeNull();
+      expect(parseContextRule("When I'm in Slack, whatever")).toBeNull();
+      expect(parseContextRule(null)).toBeNull();
+    });
+  });
+
+  it('describes settings for read-back', () => {
+    expect(describeSettings({ commands_only: true, mode: 'claude' })).toBe('only listen for commands and switch to claude mode');
+    expect(describeSettings({ formatting: { numbers: false } })).toBe('turn off numbers formatting');
+  });
+
+  it('matches apps by name or bundle ID, ignoring case', () => {
+    expect(matchesApp({ app: 'slack' }, { appName: 'Slack' })).toBe(true);
+    expect(matchesApp({ app: 'com.tinyspeck.slackmacgap' }, { appName: 'Slack', appBundleId: 'com.tinyspeck.slackmacgap' })).toBe(true);
+    expect(matchesApp({ app: 'Slack' }, { appName: 'Notes' })).toBe(false);
+    expect(matchesApp({ app: 'Slack' }, null)).toBe(false);
+  });
+
+  describe('AppProfiles', () => {
+    let profiles;
+    let overrides;
+
+    beforeEach(() => {
+      overrides = [
+        { app: 'Slack', commands: [{ phrase: 'affirmative', action: 'enter' }], commands_only: false, formatting: { numbers: false } },
+        { app: 'Terminal', mode: 'claude' }
+      ];
+      profiles = new AppProfiles();
+      profiles.setCallbacks({ getProfiles: () => overrides });
+    });
+
+    it('follows the frontmost app', () => {
+      expect(profiles.update({ appName: 'Slack' })).toMatchObject({ changed: true, previous: null });
+      expect(profiles.update({ appName: 'Slack' }).changed).toBe(false);
+
+      const left = profiles.update({ appName: 'Notes' });
+      expect(left).toMatchObject({ profile: null, changed: true });
+      expect(left.previous.app).toBe('Slack');
+    });
+
+    it('exposes the active profile settings', () => {
+      profiles.update({ appName: 'Slack' });
+      expect(profiles.commands()).toEqual([{ phrase: 'affirmative', action: 'enter', target: null, app: 'Slack' }]);
+      expect(profiles.commandsOnly()).toBe(false);
+      expect(profiles.formatting()).toEqual({ numbers: false });
+      expect(profiles.mode()).toBeNull();
+
+      profiles.update({ appName: 'Terminal' });
+      expect(profiles.commands()).toEqual([]);
+      expect(profiles.commandsOnly()).toBeNull();
+      expect(profiles.mode()).toBe('claude');
+    });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Tests for the audio ring buffer used while the speech stream reconnects
+ */
+
+import { describe, it, expect } from 'vitest';
+import { AudioRingBuffer } from '../src/services/audio-buffer.js';
+import { BYTES_PER_SECOND } from '../src/services/stt-providers.js';
+
+// `ms` milliseconds of 16 kHz linear16 audio
+const chunk = (ms, fill = 0) => Buffer.alloc((BYTES_PER_SECOND * ms) / 1000, fill);
+
+describe('AudioRingBuffer', () => {
+  it('returns buffered chunks in order and empties on drain', () => {
+    const buffer = new AudioRingBuffer({ maxSeconds: 1 });
+    const a = chunk(100, 1);
+    const b = chunk(200, 2);
+    buffer.push(a);
+    buffer.push(b);
+
+    expect(buffer.durationMs()).toBe(300);
+    expect(buffer.drain()).toEqual([a, b]);
+    expect(buffer.durationMs()).toBe(0);
+    expect(buffer.drain()).toEqual([]);
+  });
+
+  it('drops the oldest audio when full', () => {
+    const buffer = new AudioRingBuffer({ maxSeconds: 1 });
+    const chunks = [chunk(400, 1), chunk(400, 2), chunk(400, 3)];
+    chunks.forEach(c => buffer.push(c));
+
+    expect(buffer.durationMs()).toBe(800);
+    expect(buffer.droppedMs()).toBe(400);
+    expect(buffer.drain()).toEqual(chunks.slice(1));
+    expect(buffer.droppedMs()).toBe(0);
+  });
+
+  it('keeps only the tail of an oversized chunk', () => {
+    const buffer = new AudioRingBuffer({ maxSeconds: 0.5 });
+    buffer.push(chunk(100));
+    buffer.push(Buffer.concat([chunk(300, 1), chunk(500, 2)]));
+
+    expect(buffer.durationMs()).toBe(500);
+    expect(buffer.droppedMs()).toBe(400);
+    expect(buffer.drain()).toEqual([chunk(500, 2)]);
+  });
+
+  it('ignores empty chunks', () => {
+    const buffer = new AudioRingBuffer();
+    buffer.push(Buffer.alloc(0));
+    buffer.push(null);
+
+    expect(buffer.drain()).toEqual([]);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for the control subcommands (s2t toggle / mode / status / ...)
+ *
+ * The client is exercised against a real ControlServer on a temp socket;
+ * argument handling and exit codes use an injected call function.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ControlServer, rpcError, RPC_ERRORS } from '../src/services/control-server.js';
+import { callControl, CLIENT_ERRORS } from '../src/services/control-client.js';
+import { runClientCommand, EXIT_CODES } from '../src/cli.js';
+
+describe('cli', () => {
+  let dir;
+  let socketPath;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 's2t-cli-'));
+    socketPath = path.join(dir, 'control.sock');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  describe('callControl', () => {
+    let server;
+
+    beforeEach(async () => {
+      server = new ControlServer({ socketPath });
+      server.register('setMode', ({ mode }) => {
+        if (mode !== 'claude') throw rpcError(`Unknown mode: ${mode}`);
+        return { mode };
+      });
+      server.register('hang', () => new Promise(() => {}));
+      await server.start();
+    });
+
+    afterEach(() => server.shutdown());
+
+    it('returns the method result', async () => {
+      await expect(callControl('setMode', { mode: 'claude' }, { socketPath })).resolves.toEqual({ mode: 'claude' });
+    });
+
+    it('rejects with the JSON-RPC error code', async () => {
+      await expect(callControl('setMode', { mode: 'disco' }, { socketPath }))
+        .rejects.toMatchObject({ code: RPC_ERRORS.INVALID_PARAMS, message: 'Unknown mode: disco' });
+    });
+
+    it('times out when the instance does not answer', async () => {
+      await expect(callControl('hang', {}, { socketPath, timeoutMs: 50 }))
+        .rejects.toMatchObject({ code: CLIENT_ERRORS.TIMEOUT });
+    });
+
+    it('reports NOT_RUNNING without an instance', async () => {
+      server.shutdown();
+      await expect(callControl('status', {}, { socketPath }))
+        .rejects.toMatchObject({ code: CLIENT_ERRORS.NOT_RUNNING });
+    });
+  });
+
+  describe('runClientCommand', () => {
+    let call;
+    let output;
+    const run = (command, args) => runClientCommand(command, args, {
+      call,
+      log: line => output.push(line),
+      error: line => output.push(line)
+    });
+
+    beforeEach(() => {
+      call = vi.fn();
+      output = [];
+    });
+
+    it('maps subcommands to control methods', async () => {
+      call.mockResolvedValue({ listening: true });
+      expect(await run('toggle', [])).toBe(EXIT_CODES.OK);
+      expect(await run('start-listening', [])).toBe(EXIT_CODES.OK);
+      expect(await run('stop-listening', [])).toBe(EXIT_CODES.OK);
+
+      call.mockResolvedValue({ mode: 'addon', addon: 'ableton' });
+      expect(await run('mode', ['ableton'])).toBe(EXIT_CODES.OK);
+
+      call.mockResolvedValue({ queued: true });
+      expect(await run('say', ['build', 'finished'])).toBe(EXIT_CODES.OK);
+
+      call.mockResolvedValue({ reloaded: ['addons', 'ai', 'commands'] });
+      expect(await run('reload', [])).toBe(EXIT_CODES.OK);
+
+      expect(call.mock.calls).toEqual([
+        ['toggle', {}],
+        ['start', {}],
+        ['stop', {}],
+        ['setMode', { mode: 'ableton' }],
+        ['say', { text: 'build finished' }],
+        ['reload', { target: 'all' }]
+      ]);
+      expect(output).toEqual(['Listening', 'Listening', 'Listening', 'Mode: ableton', 'Queued for speech', 'Reloaded addons, ai, commands']);
+    });
+
+    it('prints status as JSON', async () => {
+      call.mockResolvedValue({ listening: false, mode: 'general', connection: 'stopped' });
+
+      expect(await run('status', ['--json'])).toBe(EXIT_CODES.OK);
+      expect(JSON.parse(output[0])).toEqual({ running: true, listening: false, mode: 'general', connection: 'stopped' });
+    });
+
+    it('exits NOT_RUNNING when no instance is running', async () => {
+      call.mockRejectedValue(Object.assign(new Error('ONE is not running'), { code: CLIENT_ERRORS.NOT_RUNNING }));
+
+      expect(await run('toggle', [])).toBe(EXIT_CODES.NOT_RUNNING);
+      expect(await run('status', ['--json'])).toBe(EXIT_CODES.NOT_RUNNING);
+      expect(output[1]).toBe('{"running":false}');
+    });
+
+    it('exits ERROR when the request is rejected', async () => {
+      call.mockRejectedValue(Object.assign(new Error('Unknown mode: disco'), { code: RPC_ERRORS.INVALID_PARAMS }));
+
+      expect(await run('mode', ['disco'])).toBe(EXIT_CODES.ERROR);
+      expect(output[0]).toContain('Unknown mode: disco');
+    });
+
+    it('exits USAGE on missing or bad arguments without calling', async () => {
+      expect(await run('mode', [])).toBe(EXIT_CODES.USAGE);
+      expect(await run('say', [])).toBe(EXIT_CODES.USAGE);
+      expect(await run('reload', ['everything'])).toBe(EXIT_CODES.USAGE);
+      expect(call).not.toHaveBeenCalled();
+    });
+  });
+});
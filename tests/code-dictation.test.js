@@ -0,0 +1,67 @@
+/**
+ * Tests for code dictation: app detection, CLI vocabulary and the code formatting profile
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isCodeApp, matchCliCommand } from '../src/services/code-dictation.js';
+import { formatDictation, resolveFormatting } from '../src/services/dictation-formatter.js';
+
+const code = resolveFormatting('code');
+
+describe('code-dictation', () => {
+  describe('isCodeApp', () => {
+    it('recognizes terminals and editors by name or bundle ID', () => {
+      expect(isCodeApp({ appName: 'Terminal' })).toBe(true);
+      expect(isCodeApp({ appName: 'Code - Insiders', appBundleId: 'com.microsoft.VSCode' })).toBe(true);
+      expect(isCodeApp({ appName: 'Cursor' })).toBe(true);
+      expect(isCodeApp({ appName: 'Slack', appBundleId: 'com.tinyspeck.slackmacgap' })).toBe(false);
+      expect(isCodeApp(null)).toBe(false);
+    });
+
+    it('accepts extra apps from config', () => {
+      expect(isCodeApp({ appName: 'Tabby' }, ['Tabby'])).toBe(true);
+    });
+  });
+
+  describe('matchCliCommand', () => {
+    it('fixes tool names and subcommands', () => {
+      expect(matchCliCommand(['get', 'check', 'out', 'main'], 0)).toEqual({ text: 'git checkout', end: 3, prefix: false });
+      expect(matchCliCommand(['docker', 'p', 's'], 0)).toMatchObject({ text: 'docker ps', end: 3 });
+      expect(matchCliCommand(['cube', 'control', 'get', 'pods'], 0)).toMatchObject({ text: 'kubectl get', end: 3 });
+    });
+
+    it('only trusts misheard tool names before a subcommand', () => {
+      expect(matchCliCommand(['get', 'the', 'user'], 0)).toBeNull();
+      expect(matchCliCommand(['git', 'the'], 0)).toMatchObject({ text: 'git', end: 1 });
+    });
+
+    it('marks prefix tools', () => {
+      expect(matchCliCommand(['pseudo', 'apt'], 0)).toEqual({ text: 'sudo', end: 1, prefix: true });
+    });
+  });
+
+  describe('code formatting', () => {
+    it('is on in the code profile only', () => {
+      expect(code).toMatchObject({ enabled: true, code: true, symbols: true, dates: false });
+      expect(resolveFormatting('general').code).toBe(false);
+    });
+
+    it('types flags, paths and pipes', () => {
+      expect(formatDictation('Get push dash dash force.', code)).toBe('git push --force');
+      expect(formatDictation('dot slash deploy dot sh', code)).toBe('./deploy.sh');
+      expect(formatDictation('cat app dot log pipe grep error', code)).toBe('cat app.log | grep error');
+      expect(formatDictation('cd tilde slash projects', code)).toBe('cd ~/projects');
+    });
+
+    it('fixes CLI words at the start of every command', () => {
+      expect(formatDictation('npm run dev and and docker p s', code)).toBe('npm run dev && docker ps');
+      expect(formatDictation('pseudo get check out main', code)).toBe('sudo git checkout main');
+    });
+
+    it('types every number as digits and handles identifier casing', () => {
+      expect(formatDictation('head dash n five readme dot md', code)).toBe('head -n 5 readme.md');
+      expect(formatDictation('echo dollar all caps home', code)).toBe('echo $HOME');
+      expect(formatDictation('Get the user by camel case user id.', code)).toBe('get the user by userId');
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Tests for hybrid command recognition
+ *
+ * Covers regex → GBNF conversion, the command grammar, the local recognizer's
+ * command matching, the local/cloud arbiter and its wiring into TranscriberService.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import EventEmitter from 'events';
+
+vi.mock('child_process', () => ({
+  execFile: vi.fn(),
+  spawn: vi.fn()
+}));
+
+import { spawn } from 'child_process';
+import {
+  normalizeText,
+  regexToGbnf,
+  buildCommandGrammar,
+  LocalCommandRecognizer,
+  RecognitionArbiter
+} from '../src/services/command-recognizer.js';
+import { TranscriberService } from '../src/services/transcriber.js';
+
+describe('command-recognizer', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 's2t-hybrid-'));
+    vi.clearAllMocks();
+    vi.spyOn(console, 'debug').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('normalizeText', () => {
+    it('lowercases and strips punctuation', () => {
+      expect(normalizeText(' Computer, Copy. ')).toBe('computer copy');
+      expect(normalizeText(null)).toBe('');
+    });
+  });
+
+  describe('regexToGbnf', () => {
+    it('converts literals and whitespace', () => {
+      expect(regexToGbnf(/^computer\s+play$/i)).toBe('"computer" sep "play"');
+    });
+
+    it('converts groups, alternation and digits', () => {
+      expect(regexToGbnf(/^tempo\s+(\d+)$/)).toBe('"tempo" sep ([0-9]+)');
+      expect(regexToGbnf(/^(?:go|jump)\s+back$/)).toBe('(("go" | "jump")) sep "back"');
+    });
+
+    it('makes optional whitespace optional', () => {
+      expect(regexToGbnf(/^scroll\s*up$/)).toBe('"scroll" sep? "up"');
+    });
+
+    it('rejects free-text patterns', () => {
+      expect(regexToGbnf(/^computer\s+what\s+does\s+(.+?)\s+do\??$/i)).toBeNull();
+      expect(regexToGbnf(/^name\s+(\w+)$/)).toBeNull();
+      expect(regexToGbnf(/^track\s+[a-z]$/)).toBeNull();
+    });
+  });
+
+  describe('buildCommandGrammar', () => {
+    it('builds one alternative per phrase and supported pattern', () => {
+      const tempo = /^tempo\s+(\d+)$/;
+      const query = /^what\s+is\s+(.+)$/;
+      const { grammar, patterns } = buildCommandGrammar(
+        ['computer copy', 'Computer Copy', 'computer enter'],
+        [{ pattern: tempo }, { pattern: query }]
+      );
+
+      expect(grammar).toContain('root ::= " "? (command | other) [.!?]?');
+      expect(grammar).toContain('command ::= "computer" sep "copy" | "computer" sep "enter" | "tempo" sep ([0-9]+)');
+      expect(grammar).toContain('sep ::= ","? " "');
+      expect(patterns).toEqual([tempo]);
+    });
+
+    it('lets whisper.cpp answer with free text instead of forcing a command', () => {
+      expect(buildCommandGrammar(['computer copy']).grammar).toContain("other ::= [a-zA-Z0-9', -]+");
+    });
+
+    it('accepts nothing when there are no commands', () => {
+      expect(buildCommandGrammar().grammar).toContain('command ::= ""');
+    });
+  });
+
+  describe('LocalCommandRecognizer', () => {
+    let recognizer;
+
+    beforeEach(() => {
+      recognizer = new LocalCommandRecognizer({ model: '/m.bin' });
+      recognizer.grammarFile = path.join(dir, 'commands.gbnf');
+      recognizer.setVocabularySource(() => ({
+        phrases: ['computer copy'],
+        patterns: [{ pattern: /^tempo\s+(\d+)$/ }]
+      }));
+      recognizer.refreshGrammar();
+    });
+
+    it('writes the grammar file and passes it to whisper.cpp', () => {
+      expect(fs.readFileSync(recognizer.grammarFile, 'utf8')).toContain('"computer" sep "copy"');
+
+      const args = recognizer.whisper.extraArgs();
+      expect(args).toEqual(['--grammar', recognizer.grammarFile, '--grammar-rule', 'root']);
+      expect(recognizer.whisper.maxSpeechMs).toBe(2500);
+    });
+
+    it('rebuilds the grammar when the active commands change', () => {
+      recognizer.setVocabularySource(() => ({ phrases: ['computer paste'], patterns: [] }));
+      recognizer.refreshGrammar();
+
+      expect(fs.readFileSync(recognizer.grammarFile, 'utf8')).toContain('"computer" sep "paste"');
+      expect(recognizer.matchCommand('computer copy')).toBeNull();
+    });
+
+    it('emits only results that are active commands', () => {
+      const onCommand = vi.fn();
+      recognizer.on('command', onCommand);
+
+      recognizer.whisper.emit('transcript', 'Computer, copy.');
+      recognizer.whisper.emit('transcript', 'Tempo 120');
+      recognizer.whisper.emit('transcript', 'computer');
+
+      expect(onCommand.mock.calls).toEqual([['computer copy'], ['tempo 120']]);
+    });
+
+    it('drops free text that is not a command', () => {
+      const onCommand = vi.fn();
+      recognizer.on('command', onCommand);
+
+      recognizer.whisper.emit('transcript', 'Okay, sure.');
+      recognizer.whisper.emit('transcript', 'tempo fast');
+
+      expect(onCommand).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('RecognitionArbiter', () => {
+    let time;
+    let arbiter;
+
+    beforeEach(() => {
+      time = 1000;
+      arbiter = new RecognitionArbiter({ now: () => time });
+    });
+
+    it('delivers the local command and drops the later cloud duplicate', () => {
+      expect(arbiter.local('computer copy')).toBe(true);
+      time += 400;
+      expect(arbiter.cloud('Computer copy.')).toBe(false);
+
+      const metrics = arbiter.getMetrics();
+      expect(metrics).toMatchObject({ utterances: 1, local: 1, cloud: 0, avgLeadMs: 400, localRate: '1.00' });
+      expect(metrics.recent[0]).toMatchObject({ text: 'computer copy', winner: 'local', leadMs: 400 });
+    });
+
+    it('drops the local result when the cloud was first', () => {
+      expect(arbiter.cloud('computer copy')).toBe(true);
+      expect(arbiter.local('computer copy')).toBe(false);
+
+      expect(arbiter.getMetrics()).toMatchObject({ utterances: 1, local: 0, cloud: 0, cloudFirst: 1 });
+      expect(arbiter.getMetrics().recent[0].winner).toBe('cloud-first');
+    });
+
+    it('treats a cloud transcript with a couple of extra words as the same utterance', () => {
+      arbiter.local('computer copy');
+      expect(arbiter.cloud('computer copy that')).toBe(false);
+    });
+
+    it('delivers dictation and repeats outside the window', () => {
+      expect(arbiter.cloud('hello there')).toBe(true);
+      arbiter.local('computer copy');
+      time += 3000;
+      expect(arbiter.cloud('computer copy')).toBe(true);
+      expect(arbiter.getMetrics()).toMatchObject({ utterances: 3, local: 1, cloud: 2 });
+    });
+  });
+
+  describe('TranscriberService hybrid wiring', () => {
+    let model;
+    let transcript;
+
+    const makeConfig = (speech) => ({ projectRoot: dir, data: { speech } });
+
+    beforeEach(() => {
+      model = path.join(dir, 'ggml-tiny.bin');
+      transcript = path.join(dir, 'script.txt');
+      fs.writeFileSync(model, '');
+      fs.writeFileSync(transcript, 'hello\n');
+
+      const mic = new EventEmitter();
+      mic.stdout = new EventEmitter();
+      spawn.mockReturnValue(mic);
+    });
+
+    const startHybrid = (localCommands) => {
+      const transcriber = new TranscriberService(makeConfig({
+        provider: 'replay',
+        replay: { transcript },
+        localCommands
+      }));
+      transcriber.setCommandSource(() => ({ phrases: ['computer copy'], patterns: [] }));
+      transcriber.start();
+      transcriber.micProc = null;
+      return transcriber;
+    };
+
+    it('emits a command once, from whichever path is first', () => {
+      const transcriber = startHybrid({ enabled: true, model });
+      transcriber.localRecognizer.grammarFile = path.join(dir, 'commands.gbnf');
+      const onTranscript = vi.fn();
+      transcriber.on('transcript', onTranscript);
+
+      transcriber.localRecognizer.emit('command', 'computer copy');
+      transcriber.provider.emit('transcript', 'Computer copy.');
+      transcriber.provider.emit('transcript', 'Hello world');
+
+      expect(onTranscript.mock.calls).toEqual([['computer copy'], ['Hello world']]);
+      expect(transcriber.getRecognitionMetrics()).toMatchObject({ utterances: 2, local: 1, cloud: 1 });
+
+      transcriber.stop();
+      expect(transcriber.localRecognizer).toBeNull();
+    });
+
+    it('falls back to cloud-only when the local model is missing', () => {
+      const transcriber = startHybrid({ enabled: true, model: path.join(dir, 'missing.bin') });
+
+      expect(transcriber.isRunning).toBe(true);
+      expect(transcriber.localRecognizer).toBeNull();
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Local commands disabled'));
+      transcriber.stop();
+    });
+
+    it('reports no metrics when hybrid recognition is off', () => {
+      const transcriber = startHybrid(undefined);
+
+      expect(transcriber.localRecognizer).toBeNull();
+      expect(transcriber.getRecognitionMetrics()).toBeNull();
+      transcriber.stop();
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for the layered command registry (default < addon < user < app)
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import defaultCommands from '../src/data/default_commands.json';
+import { CommandRegistry, LAYERS } from '../src/services/command-registry.js';
+
+describe('CommandRegistry', () => {
+  let registry;
+  let addon;
+  let user;
+
+  beforeEach(() => {
+    registry = new CommandRegistry();
+    registry.seed(defaultCommands.commands);
+    addon = {};
+    user = [];
+    registry.setCallbacks({
+      getAddonCommands: () => addon,
+      getUserCommands: () => user
+    });
+  });
+
+  it('orders layers from lowest to highest precedence', () => {
+    expect(LAYERS).toEqual(['default', 'addon', 'user', 'app']);
+  });
+
+  it('seeds every bundled phrase', () => {
+    const commands = registry.getCommands();
+    expect(commands['affirmative']).toBe('enter');
+    expect(commands['computer scroll down']).toBe('scroll_down');
+    expect(commands['computer teach']).toBe('training_learn');
+    expect(registry.resolve('Computer  Copy.')).toMatchObject({ action: 'copy', layer: 'default' });
+  });
+
+  it('lets addon commands override defaults and trained phrases override both', () => {
+    addon = { modes: { 'computer music mode': 'mode_addon_ableton' }, active: { 'computer find': 'ableton_search' }, addon: 'ableton' };
+    expect(registry.resolve('computer find')).toMatchObject({ action: 'ableton_search', layer: 'addon', source: 'ableton' });
+    expect(registry.resolve('computer music mode')).toMatchObject({ layer: 'addon', source: 'mode' });
+
+    user = [{ phrase: 'computer find', action: 'focus_app', target: 'chrome', id: 'cmd_1' }];
+    expect(registry.resolve('computer find')).toMatchObject({ action: 'focus_app', target: 'chrome', layer: 'user', id: 'cmd_1' });
+  });
+
+  it('lets the frontmost app profile override every other layer', () => {
+    let app = [];
+    registry.setCallbacks({ getAppCommands: () => app });
+    user = [{ phrase: 'affirmative', action: 'save' }];
+
+    app = [{ phrase: 'affirmative', action: 'newline', app: 'Slack' }];
+    expect(registry.resolve('affirmative')).toMatchObject({ action: 'newline', layer: 'app', source: 'Slack' });
+
+    app = [];
+    expect(registry.resolve('affirmative')).toMatchObject({ action: 'save', layer: 'user' });
+  });
+
+  it('explains every definition of a phrase, winner first', () => {
+    addon = { active: { 'computer find': 'ableton_search' }, addon: 'ableton' };
+    user = [{ phrase: 'computer find', action: 'save' }];
+
+    expect(registry.explain('computer find').map(entry => [entry.layer, entry.action])).toEqual([
+      ['user', 'save'],
+      ['addon', 'ableton_search'],
+      ['default', 'find']
+    ]);
+    expect(registry.explain('something else')).toEqual([]);
+  });
+
+  it("drops stop listening when the addon defines 'computer stop'", () => {
+    expect(registry.resolve('computer stop listening')).toMatchObject({ action: 'stop_listening' });
+
+    addon = { active: { 'computer stop': 'ableton_stop' }, addon: 'ableton' };
+    expect(registry.resolve('computer stop listening')).toBeNull();
+    expect(registry.explain('computer stop listening')).toEqual([
+      expect.objectContaining({ layer: 'default', shadowedBy: 'computer stop' })
+    ]);
+  });
+
+  it('limits lookups to selected layers', () => {
+    addon = { active: { 'computer find': 'ableton_search' }, addon: 'ableton' };
+    expect(registry.getCommands(['default'])['computer find']).toBe('find');
+    expect(registry.hasAction('ableton_search')).toBe(true);
+    expect(registry.hasAction('launch_rockets')).toBe(false);
+  });
+
+  it('lists the active commands with their layer', () => {
+    user = [{ phrase: 'yeet', action: 'delete' }];
+    const listed = registry.list();
+    expect(listed).toContainEqual(expect.objectContaining({ phrase: 'yeet', action: 'delete', layer: 'user' }));
+    expect(listed.filter(entry => entry.phrase === 'yeet')).toHaveLength(1);
+  });
+});
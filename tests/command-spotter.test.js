@@ -0,0 +1,71 @@
+/**
+ * Tests for mid-utterance command detection
+ */
+
+import { describe, it, expect } from 'vitest';
+import { spotCommands, hasCommands } from '../src/services/command-spotter.js';
+
+const COMMANDS = {
+  'affirmative': 'enter',
+  'retract': 'undo',
+  'computer select all': 'select_all',
+  'computer select': 'select_word',
+  'computer paste': 'paste',
+  'computer copy': 'copy',
+  'computer scroll down': 'scroll_down',
+  'computer stop': 'ableton_stop',
+  'yeet': 'delete'
+};
+
+const summary = segments => segments.map(segment => (segment.type === 'text' ? segment.text : `<${segment.action}>`));
+
+describe('command-spotter', () => {
+  it('splits text and commands in spoken order', () => {
+    expect(summary(spotCommands('Fix the typo, computer select all then paste', COMMANDS)))
+      .toEqual(['Fix the typo', '<select_all>', '<paste>']);
+  });
+
+  it('finds commands at the start, middle and end', () => {
+    expect(summary(spotCommands('computer copy and then some text here computer paste', COMMANDS)))
+      .toEqual(['<copy>', 'and then some text here', '<paste>']);
+    expect(summary(spotCommands('Hello world affirmative', COMMANDS))).toEqual(['Hello world', '<enter>']);
+  });
+
+  it('prefers the longest phrase', () => {
+    expect(summary(spotCommands('computer select all', COMMANDS))).toEqual(['<select_all>']);
+  });
+
+  it('only trusts unprefixed phrases at the end', () => {
+    expect(hasCommands(spotCommands('We retract the statement', COMMANDS))).toBe(false);
+    expect(hasCommands(spotCommands('just yeet it', COMMANDS))).toBe(false);
+    expect(summary(spotCommands('that was wrong retract', COMMANDS))).toEqual(['that was wrong', '<undo>']);
+  });
+
+  it('only drops the prefix right after a connector that follows a command', () => {
+    expect(summary(spotCommands('copy and paste the file', COMMANDS))).toEqual(['copy and paste the file']);
+    expect(summary(spotCommands('computer copy and computer paste', COMMANDS))).toEqual(['<copy>', '<paste>']);
+    expect(summary(spotCommands('computer copy then the rest', COMMANDS))).toEqual(['<copy>', 'then the rest']);
+  });
+
+  it('keeps a bare "and" after a command as text unless "computer" follows', () => {
+    expect(summary(spotCommands('computer copy and paste it into the doc', COMMANDS)))
+      .toEqual(['<copy>', 'and paste it into the doc']);
+    expect(summary(spotCommands('computer select all and copy', COMMANDS))).toEqual(['<select_all>', 'and copy']);
+    expect(summary(spotCommands('computer copy and then paste', COMMANDS))).toEqual(['<copy>', '<paste>']);
+  });
+
+  it('handles "computers" and punctuation in the transcript', () => {
+    expect(summary(spotCommands('Done. Computers, select all.', COMMANDS))).toEqual(['Done.', '<select_all>']);
+  });
+
+  it('keeps counts and amounts with navigation commands', () => {
+    const segments = spotCommands('read this computer scroll down three times then copy', COMMANDS);
+    expect(summary(segments)).toEqual(['read this', '<scroll_down>', '<copy>']);
+    expect(segments[1].modifiers).toMatchObject({ count: 3 });
+  });
+
+  it('returns plain text when there is no command', () => {
+    expect(spotCommands('my computer is slow today', COMMANDS)).toEqual([{ type: 'text', text: 'my computer is slow today' }]);
+    expect(spotCommands('', COMMANDS)).toEqual([]);
+  });
+});
@@ -439,6 +439,62 @@ describe('CommandDictionary', () => {
     });
   });
 
+  describe('onChange()', () => {
+    beforeEach(() => {
+      mockFs.writeFileSync.mockImplementation(() => {});
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      dict.data.commands = [
+        { id: 'cmd_1', action: 'enter', phrases: ['send it'] }
+      ];
+      dict.buildIndexes();
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('notifies listeners when phrases are learned or forgotten', async () => {
+      const listener = vi.fn();
+      dict.onChange(listener);
+
+      await dict.learn('ship it', 'enter');
+      await dict.forget('send it');
+
+      expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not notify for unchanged phrases', async () => {
+      const listener = vi.fn();
+      dict.onChange(listener);
+
+      await dict.learn('send it', 'enter');
+      await dict.forget('never learned');
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('stops notifying after unsubscribe', async () => {
+      const listener = vi.fn();
+      const unsubscribe = dict.onChange(listener);
+      unsubscribe();
+
+      await dict.learn('ship it', 'enter');
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('keeps going when a listener throws', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const after = vi.fn();
+      dict.onChange(() => { throw new Error('boom'); });
+      dict.onChange(after);
+
+      await dict.learn('ship it', 'enter');
+
+      expect(after).toHaveBeenCalled();
+    });
+  });
+
   describe('recordUsage()', () => {
     it('increments use_count', () => {
       dict.data.commands = [
@@ -561,6 +617,103 @@ describe('CommandDictionary', () => {
     });
   });
 
+  describe('addMissingDefaults()', () => {
+    beforeEach(() => {
+      mockFs.existsSync.mockReturnValue(true);
+      mockFs.writeFileSync.mockImplementation(() => {});
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    it('adds defaults for new actions only', async () => {
+      dict.data.commands = [{ id: 'cmd_default_enter', action: 'enter', phrases: ['send it'] }];
+      dict.buildIndexes();
+
+      const added = await dict.addMissingDefaults([
+        { action: 'enter', phrases: ['submit'] },
+        { action: 'scroll_down', phrases: ['computer scroll down'] }
+      ]);
+
+      expect(added).toBe(1);
+      expect(dict.data.commands.map(cmd => cmd.action)).toEqual(['enter', 'scroll_down']);
+      expect(dict.lookup('computer scroll down')).toMatchObject({ action: 'scroll_down' });
+    });
+
+    it('keeps phrases the user already mapped elsewhere', async () => {
+      dict.data.commands = [{ id: 'cmd_learned_1', action: 'mute', phrases: ['computer louder'] }];
+      dict.buildIndexes();
+
+      await dict.addMissingDefaults([
+        { action: 'volume_up', phrases: ['computer louder', 'computer volume up'] }
+      ]);
+
+      expect(dict.data.commands[1].phrases).toEqual(['computer volume up']);
+      expect(dict.lookup('computer louder')).toMatchObject({ action: 'mute' });
+    });
+
+    it('does not bring back defaults the user forgot', async () => {
+      dict.data.commands = [
+        { id: 'cmd_default_enter', action: 'enter', phrases: ['send it'], source: 'default' },
+        { id: 'cmd_default_scroll_down', action: 'scroll_down', phrases: ['computer scroll down'], source: 'default' }
+      ];
+      dict.buildIndexes();
+      await dict.forget('computer scroll down');
+
+      const added = await dict.addMissingDefaults([
+        { action: 'enter', phrases: ['send it'] },
+        { action: 'scroll_down', phrases: ['computer scroll down'] }
+      ]);
+
+      expect(added).toBe(0);
+      expect(dict.data.removed_defaults).toEqual(['computer scroll down']);
+      expect(dict.lookup('computer scroll down')).toBeNull();
+    });
+
+    it('moves a default phrase that a new default action took over', async () => {
+      dict.data.commands = [
+        { id: 'cmd_default_mute', action: 'mute', phrases: ['computer mute', 'computer unmute'], source: 'default' }
+      ];
+      dict.buildIndexes();
+
+      await dict.addMissingDefaults([
+        { action: 'mute', phrases: ['computer mute'] },
+        { action: 'unmute', phrases: ['computer unmute'] }
+      ]);
+
+      expect(dict.lookup('computer unmute')).toMatchObject({ action: 'unmute' });
+      expect(dict.data.commands[0].phrases).toEqual(['computer mute']);
+    });
+  });
+
+  describe('setContextOverride()', () => {
+    it('creates a profile and merges later rules into it', async () => {
+      await dict.setContextOverride('Slack', { commands: [{ phrase: 'affirmative', action: 'enter', target: null }] });
+      await dict.setContextOverride('slack', {
+        commands: [{ phrase: 'Affirmative.', action: 'newline' }],
+        commands_only: false,
+        formatting: { numbers: false }
+      });
+      await dict.setContextOverride('Slack', { formatting: { dates: false } });
+
+      const [profile] = dict.getContextOverrides();
+      expect(dict.getContextOverrides()).toHaveLength(1);
+      expect(profile).toMatchObject({
+        app: 'Slack',
+        commands: [{ phrase: 'Affirmative.', action: 'newline' }],
+        commands_only: false,
+        formatting: { numbers: false, dates: false }
+      });
+      expect(mockFs.writeFileSync).toHaveBeenCalled();
+    });
+
+    it('removes a profile', async () => {
+      await dict.setContextOverride('Slack', { mode: 'claude' });
+
+      expect(await dict.removeContextOverride('SLACK')).toBe(true);
+      expect(await dict.removeContextOverride('Slack')).toBe(false);
+      expect(dict.getContextOverrides()).toEqual([]);
+    });
+  });
+
   describe('getAllCommands()', () => {
     it('returns all commands', () => {
       dict.data.commands = [
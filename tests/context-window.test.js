@@ -82,6 +82,17 @@ describe('ContextWindow', () => {
 
       expect(ctx.history[0].tier).toBeNull();
     });
+
+    it('keeps the target and value', () => {
+      ctx.addAction('focus_app', 0.9, 3, { target: 'chrome' });
+      ctx.addAction('ableton.tempo', 1, 1, { value: 128 });
+      ctx.addAction('enter', 1, 1, { target: null, value: null });
+
+      expect(ctx.history[0].target).toBe('chrome');
+      expect(ctx.history[1].value).toBe(128);
+      expect(ctx.history[2]).not.toHaveProperty('target');
+      expect(ctx.history[2]).not.toHaveProperty('value');
+    });
   });
 
   describe('addFeedback()', () => {
@@ -309,6 +320,42 @@ describe('ContextWindow', () => {
     });
   });
 
+  describe('getSummary()', () => {
+    it('summarizes the last actions with their phrases and the last correction', () => {
+      vi.setSystemTime(new Date('2025-01-01T12:00:00Z'));
+      ctx.addSpeech('open my browser');
+      ctx.addAction('focus_app', 0.9, 3, { target: 'safari' });
+      ctx.addCorrection('open my browser', 'focus_app', 'chrome');
+      ctx.addSpeech('tempo 128');
+      ctx.addAction('ableton.tempo', 1, 1, { value: 128 });
+
+      expect(ctx.getSummary()).toEqual({
+        lastAction: { action: 'ableton.tempo', target: null, value: 128, modifiers: null, phrase: 'tempo 128' },
+        previousAction: { action: 'focus_app', target: 'safari', value: null, modifiers: null, phrase: 'open my browser' },
+        lastCorrection: { phrase: 'open my browser', action: 'focus_app', intendedAction: 'chrome' }
+      });
+    });
+
+    it('keeps the repeat count an action ran with', () => {
+      ctx.addSpeech('computer scroll down three times');
+      ctx.addAction('scroll_down', 1, 1, { modifiers: { text: 'computer scroll down', count: 3 } });
+      ctx.addAction('copy', 1, 1, { modifiers: {} });
+
+      const { lastAction, previousAction } = ctx.getSummary();
+      expect(previousAction.modifiers).toEqual({ text: 'computer scroll down', count: 3 });
+      expect(lastAction.modifiers).toBeNull();
+    });
+
+    it('leaves out old activity', () => {
+      vi.setSystemTime(new Date('2025-01-01T12:00:00Z'));
+      ctx.addAction('copy', 1, 1);
+
+      vi.setSystemTime(new Date('2025-01-01T12:05:00Z')); // 5 minutes later
+      expect(ctx.getSummary()).toEqual({ lastAction: null, previousAction: null, lastCorrection: null });
+      expect(ctx.getSummary(600).lastAction).toMatchObject({ action: 'copy', phrase: null });
+    });
+  });
+
   describe('getStats()', () => {
     it('calculates correct statistics', () => {
       ctx.addAction('enter', 0.95);
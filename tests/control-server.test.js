@@ -0,0 +1,183 @@
+/**
+ * Tests for the JSON-RPC control server
+ *
+ * Runs a real server on a socket in a temp directory and talks to it the way
+ * the GUI does: newline-delimited JSON over a Unix-domain socket.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { ControlServer, RPC_ERRORS, rpcError, parseLegacyCommand } from '../src/services/control-server.js';
+
+/**
+ * Minimal client: collects every message and can wait for the next one
+ */
+function connect(socketPath) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath);
+    const messages = [];
+    const waiters = [];
+    let buffer = '';
+
+    socket.setEncoding('utf8');
+    socket.on('data', (data) => {
+      buffer += data;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const message = JSON.parse(buffer.slice(0, newline));
+        buffer = buffer.slice(newline + 1);
+        const waiter = waiters.shift();
+        waiter ? waiter(message) : messages.push(message);
+      }
+    });
+    socket.once('error', reject);
+    socket.once('connect', () => resolve({
+      socket,
+      send: (message) => socket.write((typeof message === 'string' ? message : JSON.stringify(message)) + '\n'),
+      next: () => (messages.length > 0
+        ? Promise.resolve(messages.shift())
+        : new Promise(r => waiters.push(r))),
+      close: () => socket.destroy()
+    }));
+  });
+}
+
+describe('control-server', () => {
+  let dir;
+  let socketPath;
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 's2t-control-'));
+    socketPath = path.join(dir, 'control.sock');
+    server = new ControlServer({ socketPath });
+    server.setCallbacks({ getStatus: () => ({ listening: false, mode: 'general' }) });
+    await server.start();
+    client = await connect(socketPath);
+  });
+
+  afterEach(() => {
+    client?.close();
+    server.shutdown();
+    fs.rmSync(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('dispatches requests to registered methods', async () => {
+    server.register('setMode', async ({ mode }) => ({ mode }));
+
+    client.send({ jsonrpc: '2.0', id: 1, method: 'setMode', params: { mode: 'claude' } });
+
+    expect(await client.next()).toEqual({ jsonrpc: '2.0', id: 1, result: { mode: 'claude' } });
+  });
+
+  it('answers built-in status and ping', async () => {
+    client.send({ jsonrpc: '2.0', id: 'a', method: 'status' });
+    client.send({ jsonrpc: '2.0', id: 'b', method: 'ping' });
+
+    expect((await client.next()).result).toEqual({ listening: false, mode: 'general' });
+    expect((await client.next()).result).toBe('pong');
+  });
+
+  it('reports JSON-RPC errors', async () => {
+    server.register('setMode', ({ mode }) => {
+      throw rpcError(`Unknown mode: ${mode}`);
+    });
+    server.register('boom', () => {
+      throw new Error('kaput');
+    });
+    server.register('missing', () => {
+      throw Object.assign(new Error('no such file'), { code: 'ENOENT' });
+    });
+
+    client.send('{not json');
+    client.send({ jsonrpc: '2.0', id: 1, method: 'nope' });
+    client.send({ jsonrpc: '2.0', id: 2, method: 'setMode', params: { mode: 'disco' } });
+    client.send({ jsonrpc: '2.0', id: 3, method: 'boom' });
+    client.send({ jsonrpc: '2.0', id: 4 });
+    client.send({ jsonrpc: '2.0', id: 5, method: 'missing' });
+
+    expect((await client.next()).error.code).toBe(RPC_ERRORS.PARSE_ERROR);
+    expect((await client.next()).error.code).toBe(RPC_ERRORS.METHOD_NOT_FOUND);
+    expect((await client.next()).error).toEqual({ code: RPC_ERRORS.INVALID_PARAMS, message: 'Unknown mode: disco' });
+    expect((await client.next()).error).toEqual({ code: RPC_ERRORS.INTERNAL_ERROR, message: 'kaput' });
+    expect((await client.next()).error.code).toBe(RPC_ERRORS.INVALID_REQUEST);
+    expect((await client.next()).error).toEqual({ code: RPC_ERRORS.INTERNAL_ERROR, message: 'no such file' });
+  });
+
+  it('runs notifications without replying', async () => {
+    const toggle = vi.fn(() => ({ listening: true }));
+    server.register('toggle', toggle);
+
+    client.send({ jsonrpc: '2.0', method: 'toggle' });
+    client.send({ jsonrpc: '2.0', id: 1, method: 'ping' });
+
+    expect(await client.next()).toMatchObject({ id: 1, result: 'pong' });
+    expect(toggle).toHaveBeenCalledTimes(1);
+  });
+
+  it('pushes status changes and events to subscribers only', async () => {
+    const other = await connect(socketPath);
+    other.send({ jsonrpc: '2.0', id: 1, method: 'ping' });
+    await other.next();
+
+    client.send({ jsonrpc: '2.0', id: 1, method: 'subscribe' });
+    expect((await client.next()).result).toEqual({ listening: false, mode: 'general' });
+
+    expect(server.publishStatus({ listening: true })).toBe(true);
+    expect(server.publishStatus({ listening: true })).toBe(false);
+    server.publishEvent('transcript', { text: 'hello' });
+
+    expect(await client.next()).toEqual({ jsonrpc: '2.0', method: 'status', params: { listening: true } });
+    const event = await client.next();
+    expect(event.method).toBe('event');
+    expect(event.params).toMatchObject({ type: 'transcript', text: 'hello' });
+
+    // The unsubscribed client got nothing
+    other.send({ jsonrpc: '2.0', id: 2, method: 'ping' });
+    expect(await other.next()).toMatchObject({ id: 2 });
+    other.close();
+  });
+
+  it('replaces a stale socket file but refuses a live one', async () => {
+    const second = new ControlServer({ socketPath });
+    await expect(second.start()).rejects.toThrow('Another instance');
+
+    client.close();
+    client = null;
+    server.shutdown();
+    fs.writeFileSync(socketPath, '');   // Left behind by a crash
+
+    const third = new ControlServer({ socketPath });
+    await third.start();
+    const fresh = await connect(socketPath);
+    fresh.send({ jsonrpc: '2.0', id: 1, method: 'ping' });
+    expect((await fresh.next()).result).toBe('pong');
+    fresh.close();
+    third.shutdown();
+  });
+
+  it('calls methods in-process for the command-file fallback', async () => {
+    server.register('setLiveTyping', ({ enabled }) => ({ liveTyping: enabled }));
+
+    await expect(server.call('setLiveTyping', { enabled: true })).resolves.toEqual({ liveTyping: true });
+    await expect(server.call('nope')).rejects.toMatchObject({ code: RPC_ERRORS.METHOD_NOT_FOUND });
+  });
+
+  describe('parseLegacyCommand', () => {
+    it('maps command-file lines to control calls', () => {
+      expect(parseLegacyCommand('toggle\n')).toEqual({ method: 'toggle', params: {} });
+      expect(parseLegacyCommand('mode:claude')).toEqual({ method: 'setMode', params: { mode: 'claude' } });
+      expect(parseLegacyCommand('reload-ai')).toEqual({ method: 'reload', params: { target: 'ai' } });
+      expect(parseLegacyCommand('live-typing-off')).toEqual({ method: 'setLiveTyping', params: { enabled: false } });
+      expect(parseLegacyCommand('sync-tts')).toEqual({ method: 'syncTts', params: {} });
+      expect(parseLegacyCommand('dance')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for dictation formatting: spoken punctuation, casing, symbols, numbers and dates
+ */
+
+import { describe, it, expect } from 'vitest';
+import { formatDictation, resolveFormatting } from '../src/services/dictation-formatter.js';
+
+const general = resolveFormatting('general');
+const claude = resolveFormatting('claude');
+// General dictation with spoken punctuation and casing switched on
+const spoken = resolveFormatting('general', { general: { punctuation: true, casing: true } });
+
+describe('dictation-formatter', () => {
+  describe('resolveFormatting', () => {
+    it('layers the mode profile and config overrides over the general defaults', () => {
+      expect(general).toMatchObject({ symbols: false, punctuation: false, casing: false });
+      expect(claude).toMatchObject({ enabled: true, symbols: true, punctuation: true });
+      expect(resolveFormatting('addon').enabled).toBe(false);
+      expect(resolveFormatting('claude', { general: { numbers: false }, claude: { dates: false } }))
+        .toMatchObject({ numbers: false, dates: false, symbols: true });
+      expect(resolveFormatting('unknown')).toEqual(general);
+    });
+  });
+
+  describe('general dictation', () => {
+    it('leaves punctuation and casing words in prose alone by default', () => {
+      expect(formatDictation('The period of time was long.', general)).toBe('The period of time was long.');
+      expect(formatDictation('I want a new line of products', general)).toBe('I want a new line of products');
+      expect(formatDictation('He said no caps were allowed', general)).toBe('He said no caps were allowed');
+      expect(formatDictation('We met at the colon cancer clinic', general)).toBe('We met at the colon cancer clinic');
+    });
+
+    it('still writes numbers and dates', () => {
+      expect(formatDictation('We met at the colon cancer clinic on june fifth', general))
+        .toBe('We met at the colon cancer clinic on June 5');
+    });
+  });
+
+  describe('punctuation', () => {
+    it('replaces spoken marks and capitalizes after a sentence end', () => {
+      expect(formatDictation('Hello comma world period how are you question mark', spoken))
+        .toBe('Hello, world. How are you?');
+      expect(formatDictation('call foo open paren bar close paren', spoken)).toBe('call foo (bar)');
+    });
+
+    it('starts new lines and paragraphs', () => {
+      expect(formatDictation('first line new line second new paragraph third', spoken))
+        .toBe('first line\nSecond\n\nThird');
+    });
+
+    it('drops punctuation the recognizer already added around a spoken mark', () => {
+      expect(formatDictation('Hello, comma, world.', spoken)).toBe('Hello, world.');
+    });
+
+    it('types the word itself after "literal"', () => {
+      expect(formatDictation('the literal comma key', spoken)).toBe('the comma key');
+    });
+  });
+
+  describe('casing', () => {
+    it('formats the following words as an identifier', () => {
+      expect(formatDictation('camel case foo bar', spoken)).toBe('fooBar');
+      expect(formatDictation('snake case user id', spoken)).toBe('user_id');
+      expect(formatDictation('pascal case user service', spoken)).toBe('UserService');
+      expect(formatDictation('kebab case main menu', spoken)).toBe('main-menu');
+    });
+
+    it('stops at "end case" or the end of the sentence', () => {
+      expect(formatDictation('rename camel case user name end case please', spoken)).toBe('rename userName please');
+      expect(formatDictation('all caps hello world. and more', spoken)).toBe('HELLO WORLD. And more');
+    });
+  });
+
+  describe('symbols', () => {
+    it('types operators and file paths in Claude mode', () => {
+      expect(formatDictation('open src slash index dot js', claude)).toBe('open src/index.js');
+      expect(formatDictation('if x equals equals y arrow z', claude)).toBe('if x == y -> z');
+      expect(formatDictation('constant case max retries equals ten', claude)).toBe('MAX_RETRIES = 10');
+    });
+
+    it('leaves symbol words alone in general mode', () => {
+      expect(formatDictation('connect the dot slash line', general)).toBe('connect the dot slash line');
+    });
+  });
+
+  describe('numbers and dates', () => {
+    it('writes numbers of ten and above as digits', () => {
+      expect(formatDictation('I have twenty three apples and one banana', general)).toBe('I have 23 apples and one banana');
+      expect(formatDictation('one hundred and five', general)).toBe('105');
+      expect(formatDictation('the twenty-first century', general)).toBe('the 21st century');
+      expect(formatDictation('three point five, fifty percent', general)).toBe('3.5, 50%');
+    });
+
+    it('normalizes spoken dates', () => {
+      expect(formatDictation('on march twenty first twenty twenty six we ship', general)).toBe('on March 21, 2026 we ship');
+      expect(formatDictation('due june fifth', general)).toBe('due June 5');
+      expect(formatDictation('you may one day', general)).toBe('you may one day');
+    });
+
+    it('reads years spoken in pairs as one number', () => {
+      expect(formatDictation('Back in nineteen ninety nine we', general)).toBe('Back in 1999 we');
+      expect(formatDictation('since twenty ten', general)).toBe('since 2010');
+      expect(formatDictation('see you at ten fifteen', general)).toBe('see you at ten fifteen');
+    });
+  });
+
+  it('returns the text unchanged when formatting is off', () => {
+    expect(formatDictation('a comma b', resolveFormatting('addon'))).toBe('a comma b');
+    expect(formatDictation('a comma b')).toBe('a comma b');
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Tests for the local intent classifier: TF-IDF nearest neighbour with calibrated confidence
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { IntentClassifier, ACTION_EXAMPLES, tokenize } from '../src/services/intent-classifier.js';
+
+describe('IntentClassifier', () => {
+  let classifier;
+  let phrases;
+
+  beforeEach(() => {
+    phrases = [
+      { phrase: 'computer copy', action: 'copy' },
+      { phrase: 'computer paste', action: 'paste' },
+      { phrase: 'ship it', action: 'enter' },
+      { phrase: 'open my browser', action: 'focus_app', target: 'chrome' }
+    ];
+    classifier = new IntentClassifier();
+    classifier.setCallbacks({ getPhrases: () => phrases });
+  });
+
+  it('tokenizes without punctuation, apostrophes or the "computer" prefix', () => {
+    expect(tokenize("Computer, don't stop!")).toEqual(['dont', 'stop']);
+    expect(tokenize('')).toEqual([]);
+  });
+
+  it('classifies paraphrases of the example phrases', () => {
+    expect(classifier.classify('please paste that')).toMatchObject({ action: 'paste' });
+    expect(classifier.classify('go to the next page')).toMatchObject({ action: 'page_down' });
+  });
+
+  it('is confident about phrases it knows and unsure about loose paraphrases', () => {
+    expect(classifier.classify('open a new tab').confidence).toBeGreaterThanOrEqual(0.85);
+    expect(classifier.classify('could you send it off').confidence).toBeLessThan(0.85);
+  });
+
+  it('tolerates misheard words', () => {
+    expect(classifier.classify('past it')).toMatchObject({ action: 'paste' });
+  });
+
+  it('recognizes plain dictation', () => {
+    expect(classifier.classify('I think the meeting went well')).toMatchObject({ action: 'none' });
+  });
+
+  it('returns null when nothing is close', () => {
+    expect(classifier.classify('write a function that adds two numbers')).toBeNull();
+    expect(classifier.classify('')).toBeNull();
+  });
+
+  it('carries the target of a trained phrase', () => {
+    expect(classifier.classify('open my browser please')).toMatchObject({ action: 'focus_app', target: 'chrome' });
+  });
+
+  it('retrains after invalidate()', () => {
+    expect(classifier.classify('engage warp drive')).toBeNull();
+
+    phrases.push({ phrase: 'engage warp drive', action: 'enter' });
+    classifier.invalidate();
+
+    expect(classifier.classify('engage warp drive')).toMatchObject({ action: 'enter', confidence: 1 });
+  });
+
+  it('keeps calibrated confidence monotone in the score', () => {
+    classifier.train();
+
+    for (let i = 1; i < classifier.calibration.length; i++) {
+      expect(classifier.calibration[i]).toBeGreaterThanOrEqual(classifier.calibration[i - 1]);
+    }
+    expect(classifier.calibration[0]).toBe(0);
+  });
+
+  it('has examples for the core actions but not focus_app', () => {
+    expect(ACTION_EXAMPLES.enter.length).toBeGreaterThan(0);
+    expect(ACTION_EXAMPLES.none.length).toBeGreaterThan(0);
+    expect(ACTION_EXAMPLES.focus_app).toBeUndefined();
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Tests for the intent resolver's model providers: Anthropic, Claude CLI,
+ * OpenAI-compatible endpoints and the mock provider
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// Mock Anthropic SDK
+const mockCreate = vi.fn();
+const mockAnthropic = vi.fn();
+
+class MockAnthropic {
+  constructor(options) {
+    mockAnthropic(options);
+    this.messages = { create: mockCreate };
+  }
+}
+
+vi.mock('@anthropic-ai/sdk', () => ({
+  default: MockAnthropic
+}));
+
+// Mock child_process for the CLI provider
+const mockSpawn = vi.fn();
+vi.mock('child_process', () => ({
+  spawn: mockSpawn
+}));
+
+// Import after mocks
+const {
+  createProvider,
+  PROVIDER_DEFAULTS,
+  INTENT_PROVIDERS
+} = await import('../src/services/intent-providers.js');
+
+const tool = {
+  name: 'choose_action',
+  description: 'Report the action the user wants to perform.',
+  input_schema: { type: 'object', properties: { action: { type: 'string', enum: ['enter', 'copy'] } }, required: ['action'] }
+};
+
+describe('Intent Providers', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('creates every provider by name', () => {
+    expect(INTENT_PROVIDERS).toEqual(['api', 'cli', 'openai', 'mock']);
+    expect(createProvider('api', { apiKey: 'key' }).mode).toBe('api');
+    expect(createProvider('cli').mode).toBe('cli');
+    expect(createProvider('openai', { model: 'llama3.2' }).mode).toBe('openai');
+    expect(createProvider('mock').mode).toBe('mock');
+    expect(() => createProvider('bard')).toThrow('Unknown intent provider');
+  });
+
+  describe('api', () => {
+    it('uses the default model and temperature', async () => {
+      mockCreate.mockResolvedValue({ content: [{ text: '{"action": "enter"}' }] });
+      const provider = createProvider('api', { apiKey: 'key' });
+
+      expect(await provider.complete('system', 'User said: "send it"')).toBe('{"action": "enter"}');
+      expect(mockCreate).toHaveBeenCalledWith(expect.objectContaining({
+        model: PROVIDER_DEFAULTS.api.model,
+        temperature: 0,
+        system: 'system'
+      }));
+      expect(mockAnthropic).toHaveBeenCalledWith({ apiKey: 'key', timeout: PROVIDER_DEFAULTS.api.timeoutMs });
+    });
+
+    it('uses the configured model, temperature and timeout', async () => {
+      mockCreate.mockResolvedValue({ content: [{ text: '{}' }] });
+      const provider = createProvider('api', { apiKey: 'key', model: 'claude-3-5-haiku-latest', temperature: 0.3, timeoutMs: 5000 });
+
+      await provider.complete('system', 'message');
+
+      expect(mockCreate).toHaveBeenCalledWith(expect.objectContaining({ model: 'claude-3-5-haiku-latest', temperature: 0.3 }));
+      expect(mockAnthropic).toHaveBeenCalledWith({ apiKey: 'key', timeout: 5000 });
+    });
+
+    it('requires an API key', () => {
+      expect(() => createProvider('api')).toThrow('API key required');
+    });
+
+    it('forces the tool and returns its input', async () => {
+      mockCreate.mockResolvedValue({
+        content: [{ type: 'tool_use', name: 'choose_action', input: { action: 'copy', confidence: 0.9 } }]
+      });
+      const provider = createProvider('api', { apiKey: 'key' });
+
+      expect(await provider.completeTool('system', 'message', tool)).toEqual({ action: 'copy', confidence: 0.9 });
+      expect(mockCreate).toHaveBeenCalledWith(expect.objectContaining({
+        tools: [tool],
+        tool_choice: { type: 'tool', name: 'choose_action' }
+      }));
+    });
+
+    it('returns text when the model answers without the tool', async () => {
+      mockCreate.mockResolvedValue({ content: [{ type: 'text', text: '{"action": "enter"}' }] });
+
+      expect(await createProvider('api', { apiKey: 'key' }).completeTool('system', 'message', tool)).toBe('{"action": "enter"}');
+    });
+  });
+
+  describe('cli', () => {
+    let mockProcess;
+
+    beforeEach(() => {
+      mockProcess = {
+        stdout: { on: vi.fn() },
+        stderr: { on: vi.fn() },
+        on: vi.fn(),
+        kill: vi.fn()
+      };
+      mockSpawn.mockReturnValue(mockProcess);
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('passes the configured model to claude', async () => {
+      const promise = createProvider('cli', { model: 'sonnet' }).complete('system', 'message');
+      mockProcess.stdout.on.mock.calls.find(c => c[0] === 'data')[1](Buffer.from('{"action": "copy"}\n'));
+      mockProcess.on.mock.calls.find(c => c[0] === 'close')[1](0);
+
+      expect(await promise).toBe('{"action": "copy"}');
+      expect(mockSpawn).toHaveBeenCalledWith('claude', expect.arrayContaining(['--model', 'sonnet']), expect.any(Object));
+    });
+
+    it('kills claude after the timeout', async () => {
+      vi.useFakeTimers();
+      const promise = createProvider('cli', { timeoutMs: 2000 }).complete('system', 'message');
+      const failed = expect(promise).rejects.toThrow('timed out after 2000ms');
+
+      vi.advanceTimersByTime(2000);
+
+      await failed;
+      expect(mockProcess.kill).toHaveBeenCalled();
+    });
+
+    it('puts the tool schema in the system prompt', async () => {
+      const promise = createProvider('cli').completeTool('system', 'message', tool);
+      mockProcess.on.mock.calls.find(c => c[0] === 'close')[1](0);
+      await promise;
+
+      const args = mockSpawn.mock.calls[0][1];
+      const system = args[args.indexOf('--system-prompt') + 1];
+      expect(system).toContain('Answer with JSON matching this schema');
+      expect(system).toContain('"enum":["enter","copy"]');
+    });
+  });
+
+  describe('openai', () => {
+    const fetchMock = vi.fn();
+
+    beforeEach(() => {
+      vi.stubGlobal('fetch', fetchMock);
+      fetchMock.mockReset();
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    const reply = (content, status = 200) => ({
+      ok: status < 400,
+      status,
+      json: async () => ({ choices: [{ message: { content } }] })
+    });
+
+    it('posts a chat completion to the endpoint', async () => {
+      fetchMock.mockResolvedValue(reply('{"action": "save", "confidence": 0.9}'));
+      const provider = createProvider('openai', {
+        endpoint: 'http://localhost:1234/v1/',
+        apiKey: 'lm-studio',
+        model: 'qwen2.5-7b-instruct',
+        temperature: 0.2
+      });
+
+      expect(await provider.complete('system', 'User said: "save it"')).toBe('{"action": "save", "confidence": 0.9}');
+
+      const [url, request] = fetchMock.mock.calls[0];
+      expect(url).toBe('http://localhost:1234/v1/chat/completions');
+      expect(request.headers.Authorization).toBe('Bearer lm-studio');
+      expect(JSON.parse(request.body)).toMatchObject({
+        model: 'qwen2.5-7b-instruct',
+        temperature: 0.2,
+        messages: [{ role: 'system', content: 'system' }, { role: 'user', content: 'User said: "save it"' }]
+      });
+    });
+
+    it('defaults to a local Ollama server without a key', async () => {
+      fetchMock.mockResolvedValue(reply('{}'));
+
+      await createProvider('openai', { model: 'llama3.2' }).complete('system', 'message');
+
+      const [url, request] = fetchMock.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(request.headers.Authorization).toBeUndefined();
+    });
+
+    it('reports HTTP errors and timeouts', async () => {
+      const provider = createProvider('openai', { model: 'llama3.2', timeoutMs: 3000 });
+
+      fetchMock.mockResolvedValue(reply('', 503));
+      await expect(provider.complete('system', 'message')).rejects.toThrow('returned 503');
+
+      fetchMock.mockRejectedValue(Object.assign(new Error('aborted'), { name: 'TimeoutError' }));
+      await expect(provider.complete('system', 'message')).rejects.toThrow('within 3000ms');
+    });
+
+    it('requires a model name', () => {
+      expect(() => createProvider('openai')).toThrow('requires a model name');
+    });
+
+    it('sends the tool as a function and parses the call', async () => {
+      fetchMock.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({
+          choices: [{ message: { tool_calls: [{ function: { name: 'choose_action', arguments: '{"action": "copy", "confidence": 0.8}' } }] } }]
+        })
+      });
+
+      const result = await createProvider('openai', { model: 'llama3.2' }).completeTool('system', 'message', tool);
+
+      expect(result).toEqual({ action: 'copy', confidence: 0.8 });
+      const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+      expect(body.tools).toEqual([{
+        type: 'function',
+        function: { name: 'choose_action', description: tool.description, parameters: tool.input_schema }
+      }]);
+      expect(body.tool_choice).toEqual({ type: 'function', function: { name: 'choose_action' } });
+    });
+
+    it('falls back to the content when the server ignores tools', async () => {
+      fetchMock.mockResolvedValue(reply('{"action": "enter"}'));
+
+      expect(await createProvider('openai', { model: 'llama3.2' }).completeTool('system', 'message', tool)).toBe('{"action": "enter"}');
+    });
+  });
+
+  describe('mock', () => {
+    it('answers from its table, then the keyword matcher', async () => {
+      const provider = createProvider('mock', {
+        responses: { 'ship it': { action: 'enter', confidence: 0.95 } }
+      });
+
+      expect(JSON.parse(await provider.complete('system', 'User said: "Ship it"'))).toEqual({ action: 'enter', confidence: 0.95 });
+      expect(JSON.parse(await provider.complete('system', 'Context: User is in Chrome. User said: "open a new tab"')))
+        .toMatchObject({ action: 'new_tab' });
+      expect(JSON.parse(await provider.complete('system', 'User said: "the weather is nice"')))
+        .toMatchObject({ action: 'none' });
+    });
+  });
+});
@@ -39,8 +39,10 @@ const {
   IntentResolverCLI,
   createIntentResolver,
   createIntentResolverAsync,
-  CORE_ACTIONS
+  CORE_ACTIONS,
+  commandDictionary
 } = await import('../src/services/intent-resolver.js');
+const { commandRegistry } = await import('../src/services/command-registry.js');
 
 describe('Intent Resolver', () => {
   beforeEach(() => {
@@ -216,6 +218,344 @@ describe('Intent Resolver', () => {
     });
   });
 
+  describe('tool-use schema', () => {
+    let resolver;
+    const ableton = {
+      addon: 'ableton',
+      actions: [
+        { name: 'play', params: null },
+        { name: 'tempo', params: { type: 'number', minimum: 20, maximum: 999 } }
+      ]
+    };
+
+    beforeEach(() => {
+      resolver = new IntentResolver('test-key');
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('asks for a tool call listing the valid actions', async () => {
+      mockCreate.mockResolvedValue({
+        content: [{ type: 'tool_use', name: 'choose_action', input: { action: 'copy', confidence: 0.9 } }]
+      });
+
+      const result = await resolver.resolve('copy that');
+
+      expect(result).toMatchObject({ action: 'copy', confidence: 0.9 });
+      const request = mockCreate.mock.calls[0][0];
+      expect(request.tool_choice).toEqual({ type: 'tool', name: 'choose_action' });
+      expect(request.tools[0].input_schema.properties.action.enum).toContain('copy');
+      expect(request.tools[0].input_schema.properties.action.enum).not.toContain('ableton.play');
+    });
+
+    it('rejects actions outside the schema without caching them', async () => {
+      mockCreate.mockResolvedValue({
+        content: [{ type: 'tool_use', name: 'choose_action', input: { action: 'launch_rockets', confidence: 0.99 } }]
+      });
+
+      const result = await resolver.resolve('launch the rockets');
+      await resolver.resolve('launch the rockets');
+
+      expect(result).toMatchObject({ action: 'unknown', confidence: 0, rejected: true });
+      expect(result.error).toContain('"launch_rockets" is not a valid action');
+      expect(resolver.getStats().rejected).toBe(2);
+      expect(mockCreate).toHaveBeenCalledTimes(2);
+    });
+
+    it('validates text replies too', async () => {
+      mockCreate.mockResolvedValue({ content: [{ text: '{"action": "copy", "confidence": "very"}' }] });
+
+      const result = await resolver.resolve('copy that');
+
+      expect(result).toMatchObject({ action: 'unknown', rejected: true });
+    });
+
+    it('offers the active addon actions with their values', async () => {
+      resolver.setCallbacks({ getAddonActions: () => ableton });
+      mockCreate.mockResolvedValue({
+        content: [{ type: 'tool_use', name: 'choose_action', input: { action: 'ableton.tempo', value: 128, confidence: 0.9 } }]
+      });
+
+      const result = await resolver.resolve('set the tempo to 128');
+
+      expect(result).toMatchObject({ action: 'ableton.tempo', value: 128 });
+      expect(result.steps).toEqual([{ action: 'ableton.tempo', target: null, value: 128 }]);
+      expect(mockCreate.mock.calls[0][0].tools[0].input_schema.properties.action.enum).toContain('ableton.tempo');
+    });
+
+    it('rejects values that do not fit the action', async () => {
+      resolver.setCallbacks({ getAddonActions: () => ableton });
+      mockCreate.mockResolvedValue({
+        content: [{ type: 'tool_use', name: 'choose_action', input: { action: 'ableton.tempo', value: 5000, confidence: 0.9 } }]
+      });
+
+      const result = await resolver.resolve('tempo five thousand');
+
+      expect(result).toMatchObject({ action: 'unknown', rejected: true });
+      expect(result.error).toContain('at most 999');
+    });
+
+    it('describes the addon actions in the prompt', async () => {
+      resolver.setCallbacks({
+        getAddonActions: () => ({
+          addon: 'ableton',
+          displayName: 'Ableton Live',
+          description: 'Voice control for Ableton Live via OSC',
+          actions: [
+            { name: 'play', description: 'Start playback', params: null },
+            { name: 'tempo', description: 'Set the tempo in BPM', params: { type: 'number', minimum: 20, maximum: 999 } }
+          ]
+        })
+      });
+      mockCreate.mockResolvedValue({
+        content: [{ type: 'tool_use', name: 'choose_action', input: { action: 'ableton.play', confidence: 0.9 } }]
+      });
+
+      await resolver.resolve('start the song');
+
+      const system = mockCreate.mock.calls[0][0].system;
+      expect(system).toContain('The user is in Ableton Live mode (Voice control for Ableton Live via OSC)');
+      expect(system).toContain('- ableton.play: Start playback');
+      expect(system).toContain('- ableton.tempo: Set the tempo in BPM - "value": number 20-999');
+    });
+
+    it('uses the general prompt outside addon modes', async () => {
+      mockCreate.mockResolvedValue({
+        content: [{ type: 'tool_use', name: 'choose_action', input: { action: 'copy', confidence: 0.9 } }]
+      });
+
+      await resolver.resolve('copy that');
+
+      expect(mockCreate.mock.calls[0][0].system).not.toContain('The user is in');
+    });
+
+    it('does not learn addon actions', async () => {
+      resolver.setCallbacks({ getAddonActions: () => ableton });
+      mockCreate.mockResolvedValue({
+        content: [{ type: 'tool_use', name: 'choose_action', input: { action: 'ableton.play', confidence: 0.95 } }]
+      });
+      const learn = vi.spyOn(commandDictionary, 'learn').mockResolvedValue();
+      vi.spyOn(commandDictionary, 'recordTier3Hit').mockImplementation(() => {});
+
+      const result = await resolver.resolveWithDictionary('get the band going');
+
+      expect(result).toMatchObject({ action: 'ableton.play', tier: 3 });
+      expect(learn).not.toHaveBeenCalled();
+    });
+
+    it('treats longer phrases about addon actions as commands in addon modes', () => {
+      expect(resolver.looksLikeCommand('make it faster like 128')).toBe(false);
+
+      resolver.setCallbacks({ getAddonActions: () => ableton });
+
+      expect(resolver.looksLikeCommand('make it faster like 128')).toBe(true);
+      expect(resolver.looksLikeCommand('what a lovely tempo for dancing')).toBe(true);
+      expect(resolver.looksLikeCommand('I really like this song a lot')).toBe(false);
+    });
+
+    it('caches per active addon', async () => {
+      mockCreate.mockResolvedValue({
+        content: [{ type: 'tool_use', name: 'choose_action', input: { action: 'none', confidence: 0.7 } }]
+      });
+      let addon = null;
+      resolver.setCallbacks({ getAddonActions: () => addon });
+
+      await resolver.resolve('play');
+      addon = ableton;
+      await resolver.resolve('play');
+
+      expect(mockCreate).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('conversation context', () => {
+    let resolver;
+    const history = {
+      lastAction: { action: 'focus_app', target: 'chrome', value: null, phrase: 'open chrome' },
+      previousAction: { action: 'focus_app', target: 'safari', value: null, phrase: 'open my browser' },
+      lastCorrection: null
+    };
+
+    beforeEach(() => {
+      resolver = new IntentResolver('test-key');
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('repeats the last action locally', async () => {
+      const tempo = { lastAction: { action: 'ableton.tempo', target: null, value: 128, phrase: 'tempo 128' } };
+
+      const result = await resolver.resolveWithDictionary('Do that again.', { history: tempo });
+
+      expect(result).toMatchObject({ action: 'ableton.tempo', value: 128, tier: 1, source: 'history', followUp: true });
+      expect(result.steps).toEqual([{ action: 'ableton.tempo', target: null, value: 128 }]);
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    it('picks the other target of the same action locally', async () => {
+      const result = await resolver.resolveWithDictionary('no, the other one', { history });
+
+      expect(result).toMatchObject({ action: 'focus_app', target: 'safari', followUp: true });
+    });
+
+    it('leaves follow-ups without history to the model', async () => {
+      mockCreate.mockResolvedValue({
+        content: [{ type: 'tool_use', name: 'choose_action', input: { action: 'unknown', confidence: 0.2 } }]
+      });
+      vi.spyOn(commandDictionary, 'recordTier3Hit').mockImplementation(() => {});
+
+      const result = await resolver.resolveWithDictionary('the other one');
+
+      expect(result.tier).toBe(3);
+      expect(mockCreate).toHaveBeenCalled();
+    });
+
+    it('sends a summary of the recent context to the model', async () => {
+      mockCreate.mockResolvedValue({
+        content: [{ type: 'tool_use', name: 'choose_action', input: { action: 'focus_app', target: 'safari', confidence: 0.8, follow_up: true } }]
+      });
+
+      const result = await resolver.resolve('not that browser', {
+        mode: 'general',
+        history: { ...history, lastCorrection: { phrase: 'open my browser', action: 'focus_app', intendedAction: 'chrome' } }
+      });
+
+      expect(result).toMatchObject({ action: 'focus_app', target: 'safari', followUp: true });
+      expect(mockCreate.mock.calls[0][0].messages[0].content).toBe(
+        'Recent: mode general; last action focus_app chrome ("open chrome"); before that focus_app safari ("open my browser"); ' +
+        'last correction: "open my browser" was focus_app, meant chrome. User said: "not that browser"'
+      );
+    });
+
+    it('does not reuse answers given for other context', async () => {
+      mockCreate.mockResolvedValue({
+        content: [{ type: 'tool_use', name: 'choose_action', input: { action: 'focus_app', target: 'safari', confidence: 0.8, follow_up: true } }]
+      });
+
+      await resolver.resolve('not that browser', { history });
+      await resolver.resolve('not that browser', { history });
+      await resolver.resolve('not that browser', { history: { lastAction: history.previousAction } });
+      await resolver.resolve('not that browser', { history, mode: 'claude' });
+
+      expect(mockCreate).toHaveBeenCalledTimes(3);
+    });
+
+    it('reuses answers that are not follow-ups whatever the context', async () => {
+      mockCreate.mockResolvedValue({
+        content: [{ type: 'tool_use', name: 'choose_action', input: { action: 'copy', confidence: 0.9 } }]
+      });
+
+      await resolver.resolve('grab this', { history });
+      const cached = await resolver.resolve('grab this', { history: { lastAction: history.previousAction }, mode: 'claude' });
+
+      expect(cached.action).toBe('copy');
+      expect(mockCreate).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not learn follow-ups', async () => {
+      mockCreate.mockResolvedValue({
+        content: [{ type: 'tool_use', name: 'choose_action', input: { action: 'copy', confidence: 0.95, follow_up: true } }]
+      });
+      const learn = vi.spyOn(commandDictionary, 'learn').mockResolvedValue();
+      vi.spyOn(commandDictionary, 'recordTier3Hit').mockImplementation(() => {});
+
+      const result = await resolver.resolveWithDictionary('same as before please', { history });
+
+      expect(result).toMatchObject({ action: 'copy', followUp: true, tier: 3 });
+      expect(learn).not.toHaveBeenCalled();
+    });
+
+    it('treats follow-ups as commands', () => {
+      expect(resolver.looksLikeCommand('again')).toBe(true);
+      expect(resolver.looksLikeCommand('the other one')).toBe(true);
+      expect(resolver.looksLikeCommand('one more time')).toBe(true);
+    });
+  });
+
+  describe('compound commands', () => {
+    let resolver;
+
+    beforeEach(() => {
+      resolver = new IntentResolver('test-key');
+      commandRegistry.seed([
+        { action: 'select_all', phrases: ['computer select all'] },
+        { action: 'copy', phrases: ['computer copy'] }
+      ]);
+    });
+
+    afterEach(() => {
+      commandRegistry.seed([]);
+    });
+
+    it('returns ordered steps from Claude', async () => {
+      mockCreate.mockResolvedValue({
+        content: [{ text: 'Sure: {"action": "focus_app", "confidence": 0.9, "steps": [{"action": "focus_app", "target": "chrome"}, {"action": "new_tab"}]}' }]
+      });
+
+      const result = await resolver.resolve('switch to chrome and open a new tab');
+
+      expect(result.action).toBe('focus_app');
+      expect(result.target).toBe('chrome');
+      expect(result.steps).toEqual([
+        { action: 'focus_app', target: 'chrome' },
+        { action: 'new_tab', target: null }
+      ]);
+    });
+
+    it('gives single results one step', async () => {
+      mockCreate.mockResolvedValue({
+        content: [{ text: '{"action": "enter", "confidence": 0.95}' }]
+      });
+
+      const result = await resolver.resolve('send it');
+
+      expect(result.steps).toEqual([{ action: 'enter', target: null }]);
+    });
+
+    it('resolves every part locally without calling Claude', async () => {
+      const result = await resolver.resolveWithDictionary('computer select all and copy');
+
+      expect(result.steps).toEqual([
+        { action: 'select_all', target: null },
+        { action: 'copy', target: null }
+      ]);
+      expect(result.tier).toBe(1);
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    it('answers confident phrases with the local classifier', async () => {
+      const result = await resolver.resolveWithDictionary('open a new tab');
+
+      expect(result).toMatchObject({ action: 'new_tab', tier: 2.5, source: 'classifier' });
+      expect(result.confidence).toBeGreaterThanOrEqual(0.85);
+      expect(resolver.getStats().localHits).toBe(1);
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    it('asks Claude when the local classifier is unsure', async () => {
+      mockCreate.mockResolvedValue({
+        content: [{ text: '{"action": "enter", "confidence": 0.6}' }]
+      });
+      const recordHit = vi.spyOn(commandDictionary, 'recordTier3Hit').mockImplementation(() => {});
+
+      const result = await resolver.resolveWithDictionary('could you send it off');
+
+      expect(result.tier).toBe(3);
+      expect(mockCreate).toHaveBeenCalled();
+      recordHit.mockRestore();
+    });
+
+    it('judges compound phrases by their first step', () => {
+      expect(resolver.looksLikeCommand('switch to chrome and open a new tab')).toBe(true);
+      expect(resolver.looksLikeCommand('my name and my address')).toBe(false);
+    });
+  });
+
   describe('IntentResolver.looksLikeCommand()', () => {
     let resolver;
 
@@ -418,6 +758,33 @@ describe('Intent Resolver', () => {
       expect(resolver.mode).toBe('api');
     });
 
+    it('creates a self-hosted resolver with its endpoint settings', () => {
+      const resolver = createIntentResolver({
+        mode: 'openai',
+        endpoint: 'http://localhost:8080/v1',
+        endpointKey: 'secret',
+        model: 'llama3.2',
+        timeoutMs: 5000
+      });
+      expect(resolver.mode).toBe('openai');
+      expect(resolver.provider.apiKey).toBe('secret');
+      expect(resolver.provider.settings).toMatchObject({ endpoint: 'http://localhost:8080/v1', model: 'llama3.2', timeoutMs: 5000 });
+      expect(resolver.getStats().model).toBe('llama3.2');
+    });
+
+    it('resolves deterministically with the mock provider', async () => {
+      const resolver = createIntentResolver({ mode: 'mock', responses: { 'ship it': { action: 'enter', confidence: 0.95 } } });
+
+      expect(await resolver.resolve('ship it')).toMatchObject({ action: 'enter', confidence: 0.95, mode: 'mock' });
+      expect(await resolver.resolve('open a new tab')).toMatchObject({ action: 'new_tab' });
+    });
+
+    it('passes the model to API and CLI resolvers', () => {
+      expect(createIntentResolver({ mode: 'api', apiKey: 'key', model: 'claude-3-5-haiku-latest' }).provider.settings.model)
+        .toBe('claude-3-5-haiku-latest');
+      expect(createIntentResolver({ mode: 'cli', model: 'sonnet' }).provider.settings.model).toBe('sonnet');
+    });
+
     it('auto-detects CLI mode when no key', () => {
       const resolver = createIntentResolver();
       expect(resolver.mode).toBe('cli');
@@ -0,0 +1,140 @@
+/**
+ * Tests for the AI tier's tool schema and reply validation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  INTENT_TOOL_NAME,
+  buildActionTable,
+  buildIntentTool,
+  validateValue,
+  validateIntent
+} from '../src/services/intent-schema.js';
+
+const ableton = {
+  addon: 'ableton',
+  actions: [
+    { name: 'play', params: null },
+    { name: 'tempo', params: { type: 'number', minimum: 20, maximum: 999 } },
+    { name: 'mute', params: { type: 'integer', minimum: 1 }, optional: true },
+    {
+      name: 'volume',
+      params: {
+        type: 'object',
+        properties: { track: { type: 'integer', minimum: 1 }, volume: { type: 'number', minimum: 0, maximum: 100 } },
+        required: ['track', 'volume']
+      }
+    }
+  ]
+};
+
+describe('Intent Schema', () => {
+  describe('buildActionTable()', () => {
+    it('lists core actions without a value', () => {
+      const table = buildActionTable(['enter', 'copy']);
+      expect([...table.keys()]).toEqual(['enter', 'copy']);
+      expect(table.get('enter')).toEqual({ params: null });
+    });
+
+    it('adds the addon actions under the addon name', () => {
+      const table = buildActionTable(['enter'], ableton);
+      expect(table.has('ableton.play')).toBe(true);
+      expect(table.get('ableton.tempo').params).toMatchObject({ type: 'number' });
+      expect(table.get('ableton.mute').optional).toBe(true);
+      expect(table.has('tempo')).toBe(false);
+    });
+  });
+
+  describe('buildIntentTool()', () => {
+    it('enumerates the valid actions', () => {
+      const tool = buildIntentTool(buildActionTable(['enter', 'copy']));
+
+      expect(tool.name).toBe(INTENT_TOOL_NAME);
+      expect(tool.input_schema.properties.action.enum).toEqual(['enter', 'copy']);
+      expect(tool.input_schema.properties.value).toBeUndefined();
+      expect(tool.input_schema.required).toEqual(['action', 'confidence']);
+    });
+
+    it('describes the value shapes of addon actions', () => {
+      const tool = buildIntentTool(buildActionTable(['enter'], ableton));
+
+      expect(tool.input_schema.properties.action.enum).toContain('ableton.tempo');
+      expect(tool.input_schema.properties.value.anyOf).toHaveLength(3);
+      expect(tool.description).toContain('ableton.tempo (number 20-999)');
+      expect(tool.description).toContain('ableton.volume ({track: integer, volume: number 0-100})');
+      expect(tool.input_schema.properties.steps.items.properties.action.enum).toContain('ableton.play');
+    });
+  });
+
+  describe('validateValue()', () => {
+    it('checks types, ranges and enums', () => {
+      expect(validateValue(128, { type: 'number', minimum: 20, maximum: 999 })).toEqual([]);
+      expect(validateValue('fast', { type: 'number' })).toEqual(['value should be number']);
+      expect(validateValue(1.5, { type: 'integer' })).toEqual(['value should be integer']);
+      expect(validateValue(5000, { type: 'number', maximum: 999 })).toEqual(['value should be at most 999']);
+      expect(validateValue('up', { type: 'string', enum: ['left', 'right'] })).toEqual(['value should be one of left, right']);
+    });
+
+    it('checks object fields and array items', () => {
+      const volume = ableton.actions[3].params;
+      expect(validateValue({ track: 2, volume: 80 }, volume)).toEqual([]);
+      expect(validateValue({ track: 2 }, volume)).toEqual(['value.volume is missing']);
+      expect(validateValue({ track: 0, volume: 80 }, volume)).toEqual(['value.track should be at least 1']);
+      expect(validateValue([1, 'x'], { type: 'array', items: { type: 'integer' } })).toEqual(['value[1] should be integer']);
+    });
+
+    it('accepts any of several shapes', () => {
+      const schema = { anyOf: [{ type: 'integer' }, { type: 'string' }] };
+      expect(validateValue(3, schema)).toEqual([]);
+      expect(validateValue(true, schema)).toEqual(['value matches none of the allowed shapes']);
+    });
+  });
+
+  describe('validateIntent()', () => {
+    const table = buildActionTable(['enter', 'copy', 'focus_app', 'none'], ableton);
+
+    it('accepts valid replies', () => {
+      expect(validateIntent({ action: 'enter', confidence: 0.9 }, table)).toEqual([]);
+      expect(validateIntent({ action: 'enter', confidence: 0.9, follow_up: true }, table)).toEqual([]);
+      expect(validateIntent({ action: 'ableton.tempo', value: 128, confidence: 0.9 }, table)).toEqual([]);
+      expect(validateIntent({ action: 'ableton.mute', confidence: 0.9 }, table)).toEqual([]);
+      expect(validateIntent({ action: 'focus_app', target: 'Safari', confidence: 0.9 }, table)).toEqual([]);
+    });
+
+    it('rejects actions that are not in the table', () => {
+      expect(validateIntent({ action: 'launch_rockets', confidence: 0.9 }, table))
+        .toEqual(['action "launch_rockets" is not a valid action']);
+      expect(validateIntent({ action: 'tempo', value: 128, confidence: 0.9 }, table)).toHaveLength(1);
+    });
+
+    it('rejects missing, unexpected and out-of-range values', () => {
+      expect(validateIntent({ action: 'ableton.tempo', confidence: 0.9 }, table)).toEqual(['ableton.tempo needs a value']);
+      expect(validateIntent({ action: 'copy', value: 3, confidence: 0.9 }, table)).toEqual(['copy takes no value']);
+      expect(validateIntent({ action: 'ableton.tempo', value: 5000, confidence: 0.9 }, table))
+        .toEqual(['value should be at most 999']);
+    });
+
+    it('rejects malformed replies', () => {
+      expect(validateIntent(null, table)).toEqual(['reply is not an object']);
+      expect(validateIntent({ confidence: 0.9 }, table)).toEqual(['action is missing']);
+      expect(validateIntent({ action: 'enter', confidence: 'high' }, table)).toEqual(['confidence should be a number']);
+      expect(validateIntent({ action: 'enter', confidence: 0.9, follow_up: 'yes' }, table)).toEqual(['follow_up should be a boolean']);
+      expect(validateIntent({ action: 'focus_app', confidence: 0.9 }, table)).toEqual(['focus_app needs a target']);
+      expect(validateIntent({ action: 'focus_app', target: 7, confidence: 0.9 }, table)).toContain('target should be a string');
+    });
+
+    it('validates every step of a multi-step reply', () => {
+      const reply = {
+        action: 'copy',
+        confidence: 0.9,
+        steps: [{ action: 'copy' }, { action: 'ableton.tempo', value: 'fast' }]
+      };
+      expect(validateIntent(reply, table)).toEqual(['steps[1].value should be number']);
+      expect(validateIntent({ action: 'copy', confidence: 0.9, steps: 'copy' }, table)).toEqual(['steps should be an array']);
+    });
+
+    it('normalizes action names before the lookup', () => {
+      expect(validateIntent({ action: 'ENTER', confidence: 0.9 }, table, (action) => action.toLowerCase())).toEqual([]);
+    });
+  });
+});
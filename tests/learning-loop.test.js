@@ -110,10 +110,16 @@ describe('LearningLoop', () => {
       await loop.observeAction('save file', 'SAVE_FILE', 0.95, 1);
 
       expect(contextWindow.addSpeech).toHaveBeenCalledWith('save file');
-      expect(contextWindow.addAction).toHaveBeenCalledWith('SAVE_FILE', 0.95, 1);
+      expect(contextWindow.addAction).toHaveBeenCalledWith('SAVE_FILE', 0.95, 1, {});
       expect(loop.getState()).toBe(LearningState.OBSERVING);
     });
 
+    it('should record what the action ran with', async () => {
+      await loop.observeAction('scroll down a lot', 'scroll_down', 0.9, 3, { modifiers: { amount: 'large' } });
+
+      expect(contextWindow.addAction).toHaveBeenCalledWith('scroll_down', 0.9, 3, { modifiers: { amount: 'large' } });
+    });
+
     it('should store correction context', async () => {
       await loop.observeAction('save file', 'SAVE_FILE', 0.95, 1);
 
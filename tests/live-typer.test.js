@@ -0,0 +1,105 @@
+/**
+ * Tests for live typing of interim transcripts
+ *
+ * A fake text field records the keystrokes so every test can check that what
+ * LiveTyper believes is on screen matches what was actually typed.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { LiveTyper, diffText } from '../src/services/live-typer.js';
+
+describe('live-typer', () => {
+  describe('diffText', () => {
+    it('deletes after the first difference and types the new tail', () => {
+      expect(diffText('hello wor', 'hello world')).toEqual({ deleteCount: 0, insert: 'ld' });
+      expect(diffText('hello word', 'hello world')).toEqual({ deleteCount: 1, insert: 'ld' });
+      expect(diffText('their', 'there')).toEqual({ deleteCount: 2, insert: 're' });
+      expect(diffText('hello', '')).toEqual({ deleteCount: 5, insert: '' });
+      expect(diffText('same', 'same')).toEqual({ deleteCount: 0, insert: '' });
+    });
+  });
+
+  describe('LiveTyper', () => {
+    let field;
+    let typer;
+
+    beforeEach(() => {
+      field = '';
+      typer = new LiveTyper();
+      typer.setCallbacks({
+        onType: vi.fn(async (text) => { field += text; }),
+        onDelete: vi.fn(async (count) => { field = field.slice(0, -count); })
+      });
+    });
+
+    it('types partials incrementally', async () => {
+      await typer.update('hello');
+      await typer.update('hello wor');
+      await typer.update('hello world');
+
+      expect(field).toBe('hello world');
+      expect(typer.onType.mock.calls.map(c => c[0])).toEqual(['hello', ' wor', 'ld']);
+      expect(typer.onDelete).not.toHaveBeenCalled();
+    });
+
+    it('rewrites the partial into the final text', async () => {
+      field = 'Earlier text. ';
+      await typer.update('I scream');
+
+      const committed = await typer.commit('Ice cream. ');
+
+      expect(committed).toBe(true);
+      expect(field).toBe('Earlier text. Ice cream. ');
+      expect(typer.onDelete).toHaveBeenCalledWith(7);
+      expect(typer.hasText()).toBe(false);
+    });
+
+    it('does nothing on commit when no partial was typed', async () => {
+      expect(await typer.commit('hello ')).toBe(false);
+      expect(field).toBe('');
+    });
+
+    it('erases the partial on discard', async () => {
+      field = 'Keep this ';
+      await typer.update('computer cop');
+      await typer.discard();
+
+      expect(field).toBe('Keep this ');
+      expect(typer.hasText()).toBe(false);
+    });
+
+    it('serializes updates so the diff is always against the screen', async () => {
+      let release;
+      typer.onType.mockImplementationOnce((text) => new Promise((resolve) => {
+        release = () => { field += text; resolve(); };
+      }));
+
+      const first = typer.update('hel');
+      const second = typer.update('help');
+      await Promise.resolve();
+      release();
+      await Promise.all([first, second]);
+
+      expect(field).toBe('help');
+      expect(typer.onType.mock.calls.map(c => c[0])).toEqual(['hel', 'p']);
+    });
+
+    it('keeps going after a failed keystroke batch', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      typer.onType.mockRejectedValueOnce(new Error('osascript failed'));
+
+      await expect(typer.update('oops')).rejects.toThrow('osascript failed');
+      await typer.update('fine');
+
+      expect(field).toBe('fine');
+    });
+
+    it('forgets the partial on reset without touching the screen', async () => {
+      await typer.update('left as typed');
+      typer.reset();
+
+      expect(typer.hasText()).toBe(false);
+      expect(field).toBe('left as typed');
+    });
+  });
+});
@@ -0,0 +1,755 @@
+/**
+ * Tests for speech-to-text providers and TranscriberService provider wiring
+ *
+ * Covers the Deepgram, whisper.cpp and replay providers, WAV/PCM helpers and
+ * running the transcriber from a replayed audio file (no mic, no network).
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import EventEmitter from 'events';
+
+const liveConn = vi.hoisted(() => ({ current: null }));
+
+vi.mock('@deepgram/sdk', async () => {
+  const { default: Emitter } = await import('events');
+  return {
+    LiveTranscriptionEvents: { Open: 'open', Close: 'close', Error: 'error', Transcript: 'transcript' },
+    createClient: vi.fn(() => ({
+      listen: {
+        live: vi.fn((options) => {
+          const conn = new Emitter();
+          conn.options = options;
+          conn.send = vi.fn();
+          conn.keepAlive = vi.fn();
+          conn.disconnect = vi.fn();
+          liveConn.current = conn;
+          return conn;
+        })
+      }
+    }))
+  };
+});
+
+vi.mock('child_process', () => ({
+  execFile: vi.fn(),
+  spawn: vi.fn()
+}));
+
+import { execFile, spawn } from 'child_process';
+import {
+  createSTTProvider,
+  DeepgramProvider,
+  WhisperCppProvider,
+  ReplayProvider,
+  PcmFileSource,
+  readPcmFile,
+  toWav,
+  parseTranscriptScript,
+  cleanWhisperOutput,
+  resolveProfile,
+  isAuthError,
+  BYTES_PER_SECOND
+} from '../src/services/stt-providers.js';
+import { TranscriberService } from '../src/services/transcriber.js';
+
+/**
+ * Build linear16 PCM: `ms` milliseconds at constant amplitude
+ */
+function pcm(ms, amplitude = 0) {
+  const samples = Math.round((ms / 1000) * (BYTES_PER_SECOND / 2));
+  const buf = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    buf.writeInt16LE(i % 2 === 0 ? amplitude : -amplitude, i * 2);
+  }
+  return buf;
+}
+
+describe('stt-providers', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 's2t-stt-'));
+    vi.clearAllMocks();
+    vi.spyOn(console, 'debug').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('createSTTProvider()', () => {
+    it('defaults to Deepgram', () => {
+      expect(createSTTProvider({ deepgramApiKey: 'key' })).toBeInstanceOf(DeepgramProvider);
+    });
+
+    it('creates offline providers from config', () => {
+      expect(createSTTProvider({ provider: 'whisper', whisper: { model: '/m.bin' } })).toBeInstanceOf(WhisperCppProvider);
+      expect(createSTTProvider({ provider: 'replay', replay: { transcript: '/t.txt' } })).toBeInstanceOf(ReplayProvider);
+    });
+
+    it('passes the speech language to whisper unless overridden', () => {
+      expect(createSTTProvider({ provider: 'whisper', language: 'de' }).language).toBe('de');
+      expect(createSTTProvider({ provider: 'whisper', language: 'de', whisper: { language: 'fr' } }).language).toBe('fr');
+    });
+
+    it('rejects unknown providers', () => {
+      expect(() => createSTTProvider({ provider: 'carrier-pigeon' })).toThrow('Unknown speech provider');
+    });
+  });
+
+  describe('resolveProfile()', () => {
+    it('layers built-in profiles over the general defaults', () => {
+      expect(resolveProfile('claude')).toMatchObject({ name: 'claude', endpointing: 1000, utteranceEndMs: 2000, vadEvents: false });
+      expect(resolveProfile('music')).toMatchObject({ name: 'music', endpointing: 100 });
+    });
+
+    it('falls back to general for unknown profiles', () => {
+      expect(resolveProfile('ableton').name).toBe('general');
+      expect(resolveProfile().name).toBe('general');
+    });
+
+    it('applies config overrides, including new profiles', () => {
+      const overrides = {
+        general: { vadEvents: true },
+        claude: { endpointing: 1500 },
+        podcast: { endpointing: 2000, keywords: ['Deepgram:2'] }
+      };
+
+      expect(resolveProfile('claude', overrides)).toMatchObject({ endpointing: 1500, utteranceEndMs: 2000, vadEvents: true });
+      expect(resolveProfile('podcast', overrides)).toMatchObject({ name: 'podcast', endpointing: 2000, keywords: ['Deepgram:2'] });
+    });
+  });
+
+  describe('DeepgramProvider', () => {
+    it('requires an API key', () => {
+      expect(() => new DeepgramProvider({}).validate()).toThrow('Missing Deepgram API key');
+    });
+
+    it('opens a nova-2 linear16 stream and forwards final transcripts', () => {
+      const provider = new DeepgramProvider({ apiKey: 'key', language: 'en' });
+      const transcripts = [];
+      provider.on('transcript', t => transcripts.push(t));
+      provider.connect();
+
+      expect(liveConn.current.options).toMatchObject({ model: 'nova-2', encoding: 'linear16', sample_rate: 16000 });
+
+      liveConn.current.emit('transcript', { is_final: false, channel: { alternatives: [{ transcript: 'hel' }] } });
+      liveConn.current.emit('transcript', { is_final: true, channel: { alternatives: [{ transcript: ' hello ' }] } });
+
+      expect(transcripts).toEqual(['hello']);
+    });
+
+    it('requests interim results and emits them as partials', () => {
+      const provider = new DeepgramProvider({ apiKey: 'key' });
+      const partials = [];
+      provider.on('partial', p => partials.push(p));
+      provider.connect();
+
+      expect(liveConn.current.options.interim_results).toBe(true);
+
+      liveConn.current.emit('transcript', { is_final: false, channel: { alternatives: [{ transcript: 'hel' }] } });
+      liveConn.current.emit('transcript', { is_final: false, channel: { alternatives: [{ transcript: '' }] } });
+      liveConn.current.emit('transcript', { is_final: true, channel: { alternatives: [{ transcript: 'hello' }] } });
+
+      expect(partials).toEqual(['hel']);
+    });
+
+    it('sends the transcription profile as live options', () => {
+      const provider = new DeepgramProvider({
+        apiKey: 'key',
+        profile: resolveProfile('music', { music: { vadEvents: true, keywords: ['tempo:2'], utteranceEndMs: 500 } })
+      });
+      provider.connect();
+
+      expect(liveConn.current.options).toMatchObject({
+        endpointing: 100,
+        utterance_end_ms: 1000,
+        vad_events: true,
+        keywords: ['tempo:2']
+      });
+    });
+
+    it('omits unset profile options', () => {
+      const provider = new DeepgramProvider({ apiKey: 'key', profile: { endpointing: false } });
+      provider.connect();
+
+      expect(liveConn.current.options.endpointing).toBe(false);
+      expect(liveConn.current.options).not.toHaveProperty('utterance_end_ms');
+      expect(liveConn.current.options).not.toHaveProperty('vad_events');
+      expect(liveConn.current.options).not.toHaveProperty('keywords');
+    });
+
+    it('emits open and close from the connection', () => {
+      const provider = new DeepgramProvider({ apiKey: 'key' });
+      const events = [];
+      provider.on('open', () => events.push('open'));
+      provider.on('close', () => events.push('close'));
+      provider.connect();
+
+      liveConn.current.emit('open');
+      liveConn.current.emit('close');
+      expect(events).toEqual(['open', 'close']);
+    });
+
+    it('sends audio and keepalives to the connection', () => {
+      const provider = new DeepgramProvider({ apiKey: 'key' });
+      provider.connect();
+      const chunk = Buffer.alloc(4);
+
+      provider.send(chunk);
+      provider.keepAlive();
+
+      expect(liveConn.current.send).toHaveBeenCalledWith(chunk);
+      expect(liveConn.current.keepAlive).toHaveBeenCalled();
+    });
+
+    it('drops errors that arrive after listeners are removed', () => {
+      const provider = new DeepgramProvider({ apiKey: 'key' });
+      provider.connect();
+      expect(() => liveConn.current.emit('error', new Error('late'))).not.toThrow();
+    });
+  });
+
+  describe('WhisperCppProvider', () => {
+    let provider;
+    let model;
+
+    beforeEach(() => {
+      model = path.join(dir, 'ggml-base.en.bin');
+      fs.writeFileSync(model, '');
+      provider = new WhisperCppProvider({ model, binary: 'whisper-cli', silenceMs: 300 });
+      execFile.mockImplementation((bin, args, opts, cb) => cb(null, ' Hello world.\n [BLANK_AUDIO]\n'));
+    });
+
+    it('validates the model path', () => {
+      expect(() => provider.validate()).not.toThrow();
+      expect(() => new WhisperCppProvider({}).validate()).toThrow('Missing whisper.cpp model');
+      expect(() => new WhisperCppProvider({ model: '/nope.bin' }).validate()).toThrow('model not found');
+    });
+
+    it('transcribes an utterance after trailing silence', async () => {
+      const transcripts = [];
+      provider.on('transcript', t => transcripts.push(t));
+      provider.connect();
+
+      provider.send(pcm(500, 3000));
+      provider.send(pcm(400, 0));
+      await provider.pending;
+
+      expect(execFile).toHaveBeenCalledTimes(1);
+      const [bin, args] = execFile.mock.calls[0];
+      expect(bin).toBe('whisper-cli');
+      expect(args).toEqual(expect.arrayContaining(['-m', model, '-l', 'en']));
+      expect(transcripts).toEqual(['Hello world.']);
+    });
+
+    it('ignores silence and short noise', async () => {
+      provider.connect();
+
+      provider.send(pcm(1000, 0));
+      provider.send(pcm(100, 3000));
+      provider.send(pcm(400, 0));
+      await provider.pending;
+
+      expect(execFile).not.toHaveBeenCalled();
+    });
+
+    it('flushes speech that is still in progress', async () => {
+      const transcripts = [];
+      provider.on('transcript', t => transcripts.push(t));
+      provider.connect();
+
+      provider.send(pcm(500, 3000));
+      await provider.flush();
+
+      expect(transcripts).toEqual(['Hello world.']);
+    });
+
+    it('writes a valid WAV file for whisper.cpp and removes it', async () => {
+      let wav;
+      execFile.mockImplementation((bin, args, opts, cb) => {
+        wav = fs.readFileSync(args[args.indexOf('-f') + 1]);
+        cb(null, 'ok');
+      });
+      provider.connect();
+
+      provider.send(pcm(500, 3000));
+      await provider.flush();
+
+      expect(wav.toString('ascii', 0, 4)).toBe('RIFF');
+      expect(wav.length).toBe(44 + pcm(500).length);
+    });
+
+    it('keeps samples aligned across odd-length chunks', async () => {
+      let wav;
+      execFile.mockImplementation((bin, args, opts, cb) => {
+        wav = fs.readFileSync(args[args.indexOf('-f') + 1]);
+        cb(null, 'ok');
+      });
+      provider.connect();
+
+      // Quiet audio only looks loud when its bytes are read one off
+      const quiet = pcm(1000, 200);
+      provider.send(quiet.subarray(0, 1));
+      provider.send(quiet.subarray(1));
+      await provider.flush();
+      expect(execFile).not.toHaveBeenCalled();
+
+      const speech = pcm(500, 3000);
+      provider.send(speech.subarray(0, 333));
+      provider.send(speech.subarray(333));
+      await provider.flush();
+
+      expect(wav.length).toBe(44 + speech.length);
+      expect(wav.subarray(44).equals(speech)).toBe(true);
+    });
+
+    it('emits an error when whisper.cpp fails', async () => {
+      execFile.mockImplementation((bin, args, opts, cb) => cb(new Error('spawn whisper-cli ENOENT')));
+      const onError = vi.fn();
+      provider.on('error', onError);
+      provider.connect();
+
+      provider.send(pcm(500, 3000));
+      await provider.flush();
+
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'spawn whisper-cli ENOENT' }));
+    });
+  });
+
+  describe('ReplayProvider', () => {
+    let transcript;
+
+    beforeEach(() => {
+      transcript = path.join(dir, 'session.txt');
+      fs.writeFileSync(transcript, '# test script\n0.5 hello world\n1.5 computer copy\n');
+    });
+
+    it('validates the transcript file', () => {
+      expect(() => new ReplayProvider({ transcript }).validate()).not.toThrow();
+      expect(() => new ReplayProvider({}).validate()).toThrow('Missing replay transcript');
+    });
+
+    it('emits lines as audio time passes', () => {
+      const provider = new ReplayProvider({ transcript });
+      const transcripts = [];
+      provider.on('transcript', t => transcripts.push(t));
+      provider.connect();
+
+      provider.send(pcm(400));
+      expect(transcripts).toEqual([]);
+      provider.send(pcm(200));
+      expect(transcripts).toEqual(['hello world']);
+      provider.keepAlive(pcm(1000));
+      expect(transcripts).toEqual(['hello world', 'computer copy']);
+    });
+
+    it('emits remaining lines on flush', () => {
+      const provider = new ReplayProvider({ transcript });
+      const transcripts = [];
+      provider.on('transcript', t => transcripts.push(t));
+      provider.connect();
+
+      provider.flush();
+      expect(transcripts).toEqual(['hello world', 'computer copy']);
+    });
+  });
+
+  describe('helpers', () => {
+    it('recognizes rejected API keys', () => {
+      expect(isAuthError(new Error('Unexpected server response: 401'))).toBe(true);
+      expect(isAuthError({ statusCode: 403 })).toBe(true);
+      expect(isAuthError(new Error('socket hang up'))).toBe(false);
+      expect(isAuthError(null)).toBe(false);
+    });
+
+    it('parses timed and untimed script lines', () => {
+      expect(parseTranscriptScript('3 later\n1 sooner')).toEqual([
+        { at: 1, text: 'sooner' },
+        { at: 3, text: 'later' }
+      ]);
+      expect(parseTranscriptScript('first\nsecond')).toEqual([
+        { at: 2, text: 'first' },
+        { at: 4, text: 'second' }
+      ]);
+    });
+
+    it('strips whisper.cpp annotations', () => {
+      expect(cleanWhisperOutput(' [BLANK_AUDIO]\n')).toBe('');
+      expect(cleanWhisperOutput(' (music) Send it.\n')).toBe('Send it.');
+    });
+
+    it('reads PCM from WAV files and raw files', () => {
+      const audio = pcm(100, 1000);
+      const wavFile = path.join(dir, 'a.wav');
+      const rawFile = path.join(dir, 'a.pcm');
+      fs.writeFileSync(wavFile, toWav(audio));
+      fs.writeFileSync(rawFile, audio);
+
+      expect(readPcmFile(wavFile).equals(audio)).toBe(true);
+      expect(readPcmFile(rawFile).equals(audio)).toBe(true);
+    });
+
+    it('skips extra WAV chunks before the data chunk', () => {
+      const audio = pcm(50, 1000);
+      const wav = toWav(audio);
+      const list = Buffer.alloc(12);
+      list.write('LIST', 0, 'ascii');
+      list.writeUInt32LE(4, 4);
+      list.write('INFO', 8, 'ascii');
+      const file = path.join(dir, 'b.wav');
+      fs.writeFileSync(file, Buffer.concat([wav.subarray(0, 36), list, wav.subarray(36)]));
+
+      expect(readPcmFile(file).equals(audio)).toBe(true);
+    });
+
+    it('streams a file in real-time sized chunks', async () => {
+      vi.useFakeTimers();
+      const file = path.join(dir, 'c.pcm');
+      fs.writeFileSync(file, pcm(250));
+      const source = new PcmFileSource(file, { chunkMs: 100 });
+      const chunks = [];
+      const onEnd = vi.fn();
+      source.on('data', c => chunks.push(c.length));
+      source.on('end', onEnd);
+
+      source.start();
+      await vi.advanceTimersByTimeAsync(400);
+
+      expect(chunks).toEqual([3200, 3200, 1600]);
+      expect(onEnd).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('TranscriberService', () => {
+    const makeConfig = (speech) => ({ projectRoot: dir, data: { speech } });
+
+    it('throws on a misconfigured provider', () => {
+      const transcriber = new TranscriberService(makeConfig({ provider: 'deepgram' }));
+      delete process.env.DEEPGRAM_API_KEY;
+      expect(() => transcriber.start()).toThrow('Missing Deepgram API key');
+      expect(transcriber.isRunning).toBe(false);
+    });
+
+    it('runs the pipeline from a replayed audio file', async () => {
+      vi.useFakeTimers();
+      const transcript = path.join(dir, 'script.txt');
+      const audioFile = path.join(dir, 'audio.wav');
+      fs.writeFileSync(transcript, '0.2 hello\n0.4 computer enter\n');
+      fs.writeFileSync(audioFile, toWav(pcm(500)));
+
+      const transcriber = new TranscriberService(makeConfig({
+        provider: 'replay',
+        audioFile,
+        replay: { transcript }
+      }));
+      const events = [];
+      transcriber.on('open', () => events.push('open'));
+      transcriber.on('transcript', t => events.push(t));
+      transcriber.on('close', () => events.push('close'));
+
+      transcriber.start();
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect(spawn).not.toHaveBeenCalled();
+      expect(events).toEqual(['open', 'hello', 'computer enter', 'close']);
+      expect(transcriber.isRunning).toBe(false);
+    });
+
+    it('forwards partial results', () => {
+      const mic = new EventEmitter();
+      mic.stdout = new EventEmitter();
+      spawn.mockReturnValue(mic);
+      const transcript = path.join(dir, 'script.txt');
+      fs.writeFileSync(transcript, 'hello\n');
+
+      const transcriber = new TranscriberService(makeConfig({ provider: 'replay', replay: { transcript } }));
+      const partials = [];
+      transcriber.on('partial', p => partials.push(p));
+      transcriber.start();
+
+      transcriber.provider.emit('partial', 'hel');
+      transcriber.provider.emit('partial', '');
+
+      expect(partials).toEqual(['hel']);
+      transcriber.micProc = null;
+      transcriber.stop();
+    });
+
+    it('reconnects the stream with the new profile on mode change', () => {
+      const mic = new EventEmitter();
+      mic.stdout = new EventEmitter();
+      spawn.mockReturnValue(mic);
+
+      const transcriber = new TranscriberService(makeConfig({ provider: 'deepgram', deepgramApiKey: 'key' }));
+      const transcripts = [];
+      transcriber.on('transcript', t => transcripts.push(t));
+      transcriber.start();
+      const first = liveConn.current;
+      expect(first.options.endpointing).toBe(300);
+
+      expect(transcriber.setProfile('claude')).toBe(true);
+      const second = liveConn.current;
+
+      expect(second).not.toBe(first);
+      expect(first.disconnect).toHaveBeenCalled();
+      expect(second.options.endpointing).toBe(1000);
+      expect(spawn).toHaveBeenCalledTimes(1);
+      expect(transcriber.isRunning).toBe(true);
+
+      // Late events from the old connection are ignored
+      first.emit('close');
+      first.emit('transcript', { is_final: true, channel: { alternatives: [{ transcript: 'stale' }] } });
+      second.emit('transcript', { is_final: true, channel: { alternatives: [{ transcript: 'fresh' }] } });
+      expect(transcripts).toEqual(['fresh']);
+      expect(transcriber.isRunning).toBe(true);
+
+      // Same profile again - no reconnect
+      expect(transcriber.setProfile('claude')).toBe(false);
+      expect(liveConn.current).toBe(second);
+
+      transcriber.micProc = null;
+      transcriber.stop();
+    });
+
+    it('sends the keyword vocabulary after the profile keywords', () => {
+      const mic = new EventEmitter();
+      mic.stdout = new EventEmitter();
+      spawn.mockReturnValue(mic);
+
+      const transcriber = new TranscriberService(makeConfig({
+        provider: 'deepgram',
+        deepgramApiKey: 'key',
+        profiles: { general: { keywords: ['tempo:4'] } }
+      }));
+      transcriber.setKeywordSource(() => ['computer:2', 'Tempo:2', 'Chrome:1.5']);
+      transcriber.start();
+
+      expect(liveConn.current.options.keywords).toEqual(['tempo:4', 'computer:2', 'Chrome:1.5']);
+
+      transcriber.micProc = null;
+      transcriber.stop();
+    });
+
+    it('reconnects once after the vocabulary changes', async () => {
+      vi.useFakeTimers();
+      const mic = new EventEmitter();
+      mic.stdout = new EventEmitter();
+      spawn.mockReturnValue(mic);
+
+      let keywords = ['computer:2'];
+      const transcriber = new TranscriberService(makeConfig({ provider: 'deepgram', deepgramApiKey: 'key' }));
+      transcriber.setKeywordSource(() => keywords);
+      transcriber.start();
+      const first = liveConn.current;
+
+      expect(transcriber.refreshKeywords()).toBe(false);
+
+      keywords = ['computer:2', 'ship:2'];
+      expect(transcriber.refreshKeywords()).toBe(true);
+      keywords = ['computer:2', 'ship:2', 'yeet:2'];
+      expect(transcriber.refreshKeywords()).toBe(true);
+      expect(liveConn.current).toBe(first);
+
+      await vi.advanceTimersByTimeAsync(5000);
+
+      expect(liveConn.current).not.toBe(first);
+      expect(first.disconnect).toHaveBeenCalledTimes(1);
+      expect(liveConn.current.options.keywords).toEqual(['computer:2', 'ship:2', 'yeet:2']);
+
+      transcriber.micProc = null;
+      transcriber.stop();
+    });
+
+    it('waits for speech to go quiet before applying new keywords', async () => {
+      vi.useFakeTimers();
+      const mic = new EventEmitter();
+      mic.stdout = new EventEmitter();
+      spawn.mockReturnValue(mic);
+
+      let keywords = ['computer:2'];
+      const transcriber = new TranscriberService(makeConfig({ provider: 'deepgram', deepgramApiKey: 'key' }));
+      const transcripts = [];
+      transcriber.on('transcript', t => transcripts.push(t));
+      transcriber.setKeywordSource(() => keywords);
+      transcriber.start();
+      const first = liveConn.current;
+
+      keywords = ['computer:2', 'ship:2'];
+      transcriber.refreshKeywords();
+
+      // The user keeps dictating - the stream stays up until it is finalized
+      await vi.advanceTimersByTimeAsync(4000);
+      first.emit('transcript', { is_final: false, channel: { alternatives: [{ transcript: 'ship the' }] } });
+      await vi.advanceTimersByTimeAsync(2000);
+      first.emit('transcript', { is_final: true, channel: { alternatives: [{ transcript: 'ship the release' }] } });
+      await vi.advanceTimersByTimeAsync(4999);
+      expect(liveConn.current).toBe(first);
+      expect(first.disconnect).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(1);
+      expect(liveConn.current).not.toBe(first);
+      expect(liveConn.current.options.keywords).toEqual(['computer:2', 'ship:2']);
+      expect(transcripts).toEqual(['ship the release']);
+
+      transcriber.micProc = null;
+      transcriber.stop();
+    });
+
+    it('reconnects with backoff after the stream drops and replays the gap', async () => {
+      vi.useFakeTimers();
+      const mic = new EventEmitter();
+      mic.stdout = new EventEmitter();
+      spawn.mockReturnValue(mic);
+
+      const transcriber = new TranscriberService(makeConfig({ provider: 'deepgram', deepgramApiKey: 'key' }));
+      const events = [];
+      transcriber.on('reconnecting', e => events.push(['reconnecting', e.attempt, e.delayMs]));
+      transcriber.on('reconnected', e => events.push(['reconnected', e.attempts, e.bufferedMs]));
+      transcriber.on('close', () => events.push(['close']));
+      transcriber.start();
+      const first = liveConn.current;
+      first.emit('open');
+      expect(transcriber.getConnectionState()).toBe('connected');
+
+      // Error and Close arrive together - one attempt is scheduled
+      first.emit('error', new Error('socket hang up'));
+      first.emit('close');
+      expect(transcriber.getConnectionState()).toBe('reconnecting');
+      expect(transcriber.isRunning).toBe(true);
+
+      const gap = [pcm(100), pcm(100)];
+      gap.forEach(chunk => mic.stdout.emit('data', chunk));
+      expect(first.send).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(500);
+      const second = liveConn.current;
+      expect(second).not.toBe(first);
+
+      // The second attempt fails too - backoff doubles
+      second.emit('close');
+      await vi.advanceTimersByTimeAsync(999);
+      expect(liveConn.current).toBe(second);
+      await vi.advanceTimersByTimeAsync(1);
+      const third = liveConn.current;
+      third.emit('open');
+
+      expect(third.send.mock.calls.map(c => c[0])).toEqual(gap);
+      expect(events).toEqual([
+        ['reconnecting', 1, 500],
+        ['reconnecting', 2, 1000],
+        ['reconnected', 2, 200]
+      ]);
+      expect(transcriber.getConnectionState()).toBe('connected');
+      expect(spawn).toHaveBeenCalledTimes(1);
+
+      transcriber.micProc = null;
+      transcriber.stop();
+      expect(transcriber.getConnectionState()).toBe('stopped');
+    });
+
+    it('reports offline after repeated failures and keeps retrying', async () => {
+      vi.useFakeTimers();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const mic = new EventEmitter();
+      mic.stdout = new EventEmitter();
+      spawn.mockReturnValue(mic);
+
+      const transcriber = new TranscriberService(makeConfig({ provider: 'deepgram', deepgramApiKey: 'key' }));
+      const offline = vi.fn();
+      transcriber.on('offline', offline);
+      transcriber.start();
+
+      for (let attempt = 0; attempt <= 5; attempt++) {
+        liveConn.current.emit('close');
+        await vi.advanceTimersByTimeAsync(10_000);
+      }
+      expect(offline).toHaveBeenCalledTimes(1);
+      expect(transcriber.getConnectionState()).toBe('offline');
+
+      const stale = liveConn.current;
+      await vi.advanceTimersByTimeAsync(5_000);
+      expect(liveConn.current).not.toBe(stale);
+
+      liveConn.current.emit('open');
+      expect(transcriber.getConnectionState()).toBe('connected');
+
+      transcriber.micProc = null;
+      transcriber.stop();
+    });
+
+    it('stops with an error instead of retrying when the API key is rejected', async () => {
+      vi.useFakeTimers();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const mic = new EventEmitter();
+      mic.stdout = new EventEmitter();
+      spawn.mockReturnValue(mic);
+
+      const transcriber = new TranscriberService(makeConfig({ provider: 'deepgram', deepgramApiKey: 'bad' }));
+      const errors = [];
+      const reconnecting = vi.fn();
+      transcriber.on('error', error => errors.push(error.message));
+      transcriber.on('reconnecting', reconnecting);
+      transcriber.start();
+      transcriber.micProc = null;
+      const first = liveConn.current;
+
+      first.emit('error', new Error('Unexpected server response: 401'));
+      first.emit('close');
+      await vi.advanceTimersByTimeAsync(20_000);
+
+      expect(errors).toEqual(['[transcriber] deepgram rejected the API key - update it with "s2t config"']);
+      expect(reconnecting).not.toHaveBeenCalled();
+      expect(liveConn.current).toBe(first);
+      expect(transcriber.getConnectionState()).toBe('stopped');
+    });
+
+    it('stops instead of reconnecting when replaying a file', () => {
+      const transcript = path.join(dir, 'script.txt');
+      const audioFile = path.join(dir, 'audio.wav');
+      fs.writeFileSync(transcript, 'hello\n');
+      fs.writeFileSync(audioFile, toWav(pcm(500)));
+
+      const transcriber = new TranscriberService(makeConfig({ provider: 'replay', audioFile, replay: { transcript } }));
+      const closed = vi.fn();
+      transcriber.on('close', closed);
+      transcriber.start();
+
+      transcriber.provider.emit('close');
+
+      expect(closed).toHaveBeenCalled();
+      expect(transcriber.isRunning).toBe(false);
+    });
+
+    it('keeps the profile for the next session when not running', () => {
+      liveConn.current = null;
+      const transcriber = new TranscriberService(makeConfig({ provider: 'deepgram', deepgramApiKey: 'key' }));
+
+      expect(transcriber.setProfile('music')).toBe(true);
+      expect(transcriber.getProfile().name).toBe('music');
+      expect(liveConn.current).toBeNull();
+    });
+
+    it('spawns the mic recorder when no audio file is set', () => {
+      const mic = new EventEmitter();
+      mic.stdout = new EventEmitter();
+      spawn.mockReturnValue(mic);
+      const transcript = path.join(dir, 'script.txt');
+      fs.writeFileSync(transcript, 'hello\n');
+
+      const transcriber = new TranscriberService(makeConfig({ provider: 'replay', replay: { transcript } }));
+      transcriber.start();
+
+      expect(spawn).toHaveBeenCalledWith(path.join(dir, 'bin', 'mic-recorder'), [], expect.any(Object));
+      transcriber.micProc = null;
+      transcriber.stop();
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for voice text editing: last word/sentence/line, replace and capitalize
+ */
+
+import { describe, it, expect } from 'vitest';
+import { lastUnit, replaceLast, capitalizeWords } from '../src/services/text-editing.js';
+
+describe('text-editing', () => {
+  describe('lastUnit', () => {
+    const text = 'Buy milk. Call the bank about the card? ';
+
+    it('finds the last word with the space after it', () => {
+      expect(lastUnit(text, 'word')).toBe('card? ');
+      expect(lastUnit('hello', 'word')).toBe('hello');
+    });
+
+    it('finds the last sentence', () => {
+      expect(lastUnit(text, 'sentence')).toBe('Call the bank about the card? ');
+      expect(lastUnit('He said "stop." Then left ', 'sentence')).toBe('Then left ');
+      expect(lastUnit('one sentence only', 'sentence')).toBe('one sentence only');
+    });
+
+    it('finds the last line', () => {
+      expect(lastUnit('first line\nsecond line ', 'line')).toBe('second line ');
+      expect(lastUnit('first line\nsecond line\n', 'line')).toBe('second line\n');
+    });
+
+    it('returns whitespace-only text as it is', () => {
+      expect(lastUnit('  ', 'sentence')).toBe('  ');
+    });
+  });
+
+  describe('replaceLast', () => {
+    it('replaces the last whole-word occurrence', () => {
+      expect(replaceLast('the cat sat on the mat ', 'the', 'a')).toBe('the cat sat on a mat ');
+      expect(replaceLast('catalog cat ', 'cat', 'dog')).toBe('catalog dog ');
+    });
+
+    it('keeps the capitalization of the replaced text', () => {
+      expect(replaceLast('Teh report is done. ', 'teh', 'the')).toBe('The report is done. ');
+      expect(replaceLast('ship to NYC ', 'nyc', 'boston')).toBe('ship to BOSTON ');
+    });
+
+    it('finds spoken phrases across punctuation and apostrophes', () => {
+      expect(replaceLast('Hello, world. ', 'hello world', 'hi there')).toBe('Hi there. ');
+      expect(replaceLast("I don't know ", 'dont', 'do not')).toBe('I do not know ');
+    });
+
+    it('returns null when the phrase is missing', () => {
+      expect(replaceLast('hello world ', 'goodbye', 'hi')).toBeNull();
+      expect(replaceLast('', 'hello', 'hi')).toBeNull();
+    });
+  });
+
+  describe('capitalizeWords', () => {
+    it('capitalizes every word', () => {
+      expect(capitalizeWords('the lord of the rings ')).toBe('The Lord Of The Rings ');
+      expect(capitalizeWords("don't stop (now)")).toBe("Don't Stop (Now)");
+    });
+  });
+});
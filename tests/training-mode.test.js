@@ -7,11 +7,15 @@
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { TrainingMode, TrainingState, TrainingType } from '../src/services/training-mode.js';
+import { commandDictionary } from '../src/services/commands.js';
 
 // Mock commandDictionary
 vi.mock('../src/services/commands.js', () => ({
   commandDictionary: {
     learn: vi.fn().mockResolvedValue(undefined),
+    replace: vi.fn().mockResolvedValue(undefined),
+    setContextOverride: vi.fn().mockResolvedValue(undefined),
+    getExistingCommand: vi.fn().mockReturnValue(null),
     save: vi.fn().mockResolvedValue(undefined),
     data: {
       workflows: []
@@ -269,6 +273,15 @@ describe('TrainingMode', () => {
       expect(session.data.trigger_phrases).toContain('ship it');
     });
 
+    it('should start collecting steps for a workflow request', async () => {
+      await trainingMode.handleTrainingRequest("When I say 'ship it', run the deploy workflow");
+
+      const session = trainingMode.getSession();
+      expect(session.type).toBe(TrainingType.WORKFLOW);
+      expect(session.data.name).toBe('ship it');
+      expect(trainingMode.getState()).toBe(TrainingState.COLLECTING_STEPS);
+    });
+
     it('should ask for clarification on invalid format', async () => {
       await trainingMode.handleTrainingRequest('I want to add a new command');
 
@@ -279,6 +292,138 @@ describe('TrainingMode', () => {
     });
   });
 
+  describe('Action Resolution (Phase 2.6)', () => {
+    beforeEach(async () => {
+      await trainingMode.enter();
+      commandDictionary.learn.mockClear();
+      commandDictionary.replace.mockClear();
+    });
+
+    it('should resolve the description with the keyword matcher', async () => {
+      await trainingMode.handleTrainingRequest('When I say "yeet", delete the selection');
+
+      const session = trainingMode.getSession();
+      expect(session.data.action).toBe('delete');
+      expect(session.data.target).toBeNull();
+    });
+
+    it('should resolve app switching with a target', async () => {
+      await trainingMode.handleTrainingRequest('When I say "browse", switch to chrome');
+
+      const session = trainingMode.getSession();
+      expect(session.data.action).toBe('focus_app');
+      expect(session.data.target).toBe('chrome');
+    });
+
+    it('should prefer a confident intent resolver result', async () => {
+      trainingMode.onResolve = vi.fn().mockResolvedValue({ action: 'enter', confidence: 0.9 });
+      await trainingMode.handleTrainingRequest('When I say "ship", fire it off');
+
+      expect(trainingMode.onResolve).toHaveBeenCalledWith('fire it off');
+      expect(trainingMode.getSession().data.action).toBe('enter');
+    });
+
+    it('should fall back to the keyword matcher on low confidence', async () => {
+      trainingMode.onResolve = vi.fn().mockResolvedValue({ action: 'paste', confidence: 0.3 });
+      await trainingMode.handleTrainingRequest('When I say "grab", copy this');
+
+      expect(trainingMode.getSession().data.action).toBe('copy');
+    });
+
+    it('should ignore resolver actions that are not executable', async () => {
+      trainingMode.onResolve = vi.fn().mockResolvedValue({ action: 'unknown', confidence: 0.9 });
+      await trainingMode.handleTrainingRequest('When I say "ship", press enter');
+
+      expect(trainingMode.getSession().data.action).toBe('enter');
+    });
+
+    it('should ask for the action when the description is not understood', async () => {
+      await trainingMode.handleTrainingRequest('When I say "yeet", do the thing');
+
+      expect(trainingMode.getState()).toBe(TrainingState.COLLECTING_ACTION);
+      expect(trainingMode.getSession().data.action).toBeNull();
+    });
+
+    it('should ask for the action when no description is given', async () => {
+      await trainingMode.handleTrainingRequest('When I say "yeet"');
+
+      expect(trainingMode.getState()).toBe(TrainingState.COLLECTING_ACTION);
+    });
+
+    it('should continue once the action is described', async () => {
+      await trainingMode.handleTrainingRequest('When I say "yeet", do the thing');
+      await trainingMode.handleSpeech('press enter');
+
+      expect(trainingMode.getState()).toBe(TrainingState.COLLECTING_VARIATIONS);
+      expect(trainingMode.getSession().data.action).toBe('enter');
+    });
+
+    it('should save trained phrases with the resolved action and target', async () => {
+      await trainingMode.handleTrainingRequest('When I say "browse", switch to chrome');
+      await trainingMode.handleSpeech('done');
+      await trainingMode.handleSpeech('yes');
+
+      expect(commandDictionary.learn).toHaveBeenCalledWith('browse', 'focus_app', 'trained', 'chrome');
+      expect(commandDictionary.learn).not.toHaveBeenCalledWith(expect.anything(), 'CUSTOM_ACTION', expect.anything());
+    });
+
+    it('should replace conflicting phrases with the resolved action', async () => {
+      commandDictionary.getExistingCommand.mockReturnValueOnce({ action: 'copy', phrases: ['yeet'] });
+      await trainingMode.handleTrainingRequest('When I say "yeet", delete the selection');
+      await trainingMode.handleSpeech('done');
+      await trainingMode.handleSpeech('replace');
+      await trainingMode.handleSpeech('yes');
+
+      expect(commandDictionary.replace).toHaveBeenCalledWith('yeet', 'delete', 'trained', null);
+    });
+
+    it('should not save when the action was never resolved', async () => {
+      await trainingMode.handleTrainingRequest('When I say "yeet", do the thing');
+      await trainingMode.confirm();
+
+      expect(trainingMode.getState()).toBe(TrainingState.IDLE);
+      expect(commandDictionary.learn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('App Rules', () => {
+    beforeEach(async () => {
+      await trainingMode.enter();
+      commandDictionary.learn.mockClear();
+      commandDictionary.setContextOverride.mockClear();
+      commandDictionary.getExistingCommand.mockClear();
+    });
+
+    it('should save a phrase override to the app profile', async () => {
+      trainingMode.onMatchApp = vi.fn().mockReturnValue('Slack');
+      await trainingMode.handleTrainingRequest("When I'm in slack, affirmative means send without newline");
+
+      const session = trainingMode.getSession();
+      expect(session.type).toBe(TrainingType.CONTEXT_RULE);
+      expect(session.data.context.app).toBe('Slack');
+      expect(session.data.action).toBe('enter');
+
+      await trainingMode.handleSpeech('done');
+      expect(commandDictionary.getExistingCommand).not.toHaveBeenCalled();
+      await trainingMode.handleSpeech('yes');
+
+      expect(commandDictionary.setContextOverride).toHaveBeenCalledWith('Slack', {
+        commands: [{ phrase: 'affirmative', action: 'enter', target: null }]
+      });
+      expect(commandDictionary.learn).not.toHaveBeenCalled();
+    });
+
+    it('should confirm settings rules right away', async () => {
+      await trainingMode.handleTrainingRequest("When I'm in Finder, commands only");
+
+      expect(trainingMode.getState()).toBe(TrainingState.CONFIRMING);
+      expect(trainingMode.describeContextRule()).toBe("In Finder, I'll only listen for commands");
+
+      await trainingMode.handleSpeech('confirm');
+      expect(commandDictionary.setContextOverride).toHaveBeenCalledWith('Finder', { commands_only: true, commands: [] });
+    });
+  });
+
   describe('handleVariation() - COLLECTING_VARIATIONS State', () => {
     beforeEach(async () => {
       await trainingMode.enter();
@@ -464,7 +609,7 @@ describe('TrainingMode', () => {
 
       // LISTENING state
       expect(trainingMode.getState()).toBe(TrainingState.LISTENING);
-      await trainingMode.handleSpeech('When I say "test", do something');
+      await trainingMode.handleSpeech('When I say "test", press enter');
 
       // COLLECTING_VARIATIONS state
       expect(trainingMode.getState()).toBe(TrainingState.COLLECTING_VARIATIONS);
@@ -535,7 +680,7 @@ describe('TrainingMode', () => {
 
     it('should handle cancellation at any stage', async () => {
       await trainingMode.enter();
-      await trainingMode.handleSpeech('When I say "test", do something');
+      await trainingMode.handleSpeech('When I say "test", press enter');
 
       expect(trainingMode.getState()).toBe(TrainingState.COLLECTING_VARIATIONS);
 
@@ -546,7 +691,7 @@ describe('TrainingMode', () => {
 
     it('should handle rejection at confirmation', async () => {
       await trainingMode.enter();
-      await trainingMode.handleSpeech('When I say "test", do something');
+      await trainingMode.handleSpeech('When I say "test", press enter');
       await trainingMode.handleSpeech('done');
 
       expect(trainingMode.getState()).toBe(TrainingState.CONFIRMING);
@@ -578,7 +723,7 @@ describe('TrainingMode', () => {
 
     it('should be case insensitive for confirmation', async () => {
       await trainingMode.enter();
-      await trainingMode.handleSpeech('When I say "test", do something');
+      await trainingMode.handleSpeech('When I say "test", press enter');
       await trainingMode.handleSpeech('done');
       await trainingMode.handleSpeech('YES');
       expect(trainingMode.getState()).toBe(TrainingState.IDLE);
@@ -0,0 +1,170 @@
+/**
+ * Tests for TTSQueue service
+ *
+ * Tests tailing the shared addon TTS queue file, speaking entries in order
+ * while holding the TTS lock, dropping stale entries and stopping.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TTSQueue } from '../src/services/tts-queue.js';
+
+describe('TTSQueue', () => {
+  let dir;
+  let queueFile;
+  let lockFile;
+  let queue;
+  let spoken;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 's2t-tts-'));
+    queueFile = path.join(dir, 'queue.txt');
+    lockFile = path.join(dir, 'speaking');
+    spoken = [];
+
+    queue = new TTSQueue({ queueFile, lockFile });
+    queue.setCallbacks({
+      onSpeak: vi.fn(async (text) => {
+        spoken.push({ text, locked: fs.existsSync(lockFile) });
+      })
+    });
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    queue.shutdown();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const waitForIdle = async () => {
+    while (queue.isSpeaking()) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  };
+
+  describe('enqueue()', () => {
+    it('speaks entries in order', async () => {
+      queue.enqueue('first');
+      queue.enqueue('second');
+      await waitForIdle();
+
+      expect(spoken.map(s => s.text)).toEqual(['first', 'second']);
+    });
+
+    it('ignores empty text', () => {
+      expect(queue.enqueue('   ')).toBe(false);
+      expect(queue.enqueue(null)).toBe(false);
+      expect(queue.size()).toBe(0);
+    });
+
+    it('holds the lock while speaking and releases it afterwards', async () => {
+      queue.enqueue('hello');
+      await waitForIdle();
+
+      expect(spoken[0].locked).toBe(true);
+      expect(fs.existsSync(lockFile)).toBe(false);
+    });
+
+    it('waits for another speaker to release the lock', async () => {
+      fs.writeFileSync(lockFile, '');
+      queue.enqueue('hello');
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(spoken).toHaveLength(0);
+
+      fs.unlinkSync(lockFile);
+      await waitForIdle();
+      expect(spoken.map(s => s.text)).toEqual(['hello']);
+    });
+
+    it('keeps speaking after a failed entry', async () => {
+      queue.onSpeak.mockRejectedValueOnce(new Error('no voice'));
+      queue.enqueue('broken');
+      queue.enqueue('works');
+      await waitForIdle();
+
+      expect(queue.onSpeak).toHaveBeenCalledTimes(2);
+      expect(fs.existsSync(lockFile)).toBe(false);
+    });
+  });
+
+  describe('stale entries', () => {
+    it('drops entries that waited longer than maxAgeMs', async () => {
+      queue = new TTSQueue({ queueFile, lockFile, maxAgeMs: 1000 });
+      const onSpeak = vi.fn(async () => {});
+      queue.setCallbacks({ onSpeak });
+
+      vi.spyOn(Date, 'now').mockReturnValue(0);
+      queue.pending.push({ text: 'old', source: 'file', queuedAt: 0 });
+      Date.now.mockReturnValue(5000);
+      queue.enqueue('new');
+      await waitForIdle();
+
+      expect(onSpeak).toHaveBeenCalledTimes(1);
+      expect(onSpeak).toHaveBeenCalledWith('new');
+    });
+
+    it('discards entries written before start()', () => {
+      fs.writeFileSync(queueFile, 'from a previous run\n');
+      queue.start();
+
+      expect(fs.existsSync(queueFile)).toBe(false);
+      expect(queue.size()).toBe(0);
+    });
+  });
+
+  describe('poll()', () => {
+    it('reads every line from the queue file', async () => {
+      fs.writeFileSync(queueFile, 'one\n\ntwo\n');
+      queue.poll();
+      await waitForIdle();
+
+      expect(spoken.map(s => s.text)).toEqual(['one', 'two']);
+      expect(fs.existsSync(queueFile)).toBe(false);
+    });
+
+    it('does nothing when the file does not exist', () => {
+      queue.poll();
+      expect(queue.onSpeak).not.toHaveBeenCalled();
+    });
+
+    it('picks up lines appended after start()', async () => {
+      queue.start();
+      fs.appendFileSync(queueFile, 'plan opened\n');
+
+      await new Promise(resolve => setTimeout(resolve, 400));
+      await waitForIdle();
+      expect(spoken.map(s => s.text)).toEqual(['plan opened']);
+    });
+  });
+
+  describe('stop()', () => {
+    it('drops pending entries and keeps the lock for the stop handler', async () => {
+      let finish;
+      queue.onSpeak.mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }));
+      queue.enqueue('long message');
+      queue.enqueue('next');
+      queue.enqueue('after that');
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(queue.stop()).toBe(2);
+      finish();
+      await waitForIdle();
+
+      expect(queue.onSpeak).toHaveBeenCalledTimes(1);
+      expect(fs.existsSync(lockFile)).toBe(true);
+    });
+
+    it('discards unread queue file entries', () => {
+      fs.writeFileSync(queueFile, 'unread\n');
+      queue.stop();
+      expect(fs.existsSync(queueFile)).toBe(false);
+    });
+  });
+});
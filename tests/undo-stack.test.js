@@ -0,0 +1,152 @@
+/**
+ * Tests for the undo stack: targets, barriers, multi-undo and redo
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { UndoStack } from '../src/services/undo-stack.js';
+
+describe('UndoStack', () => {
+  let stack;
+  let target;
+  let screen;
+
+  beforeEach(() => {
+    target = { app: 'Notes', window: 'Shopping' };
+    screen = '';
+    stack = new UndoStack({ focusSettleMs: 0 });
+    stack.setCallbacks({
+      getTarget: () => ({ ...target }),
+      onFocusApp: vi.fn(async (app) => {
+        target = { app, window: 'Shopping' };
+        return true;
+      }),
+      onDelete: vi.fn(async (count) => { screen = screen.slice(0, -count); }),
+      onType: vi.fn(async (text) => { screen += text; }),
+      onUndoChain: vi.fn(async () => {}),
+      onRedoChain: vi.fn(async () => {})
+    });
+  });
+
+  const type = (text) => {
+    screen += text;
+    return stack.pushText(text);
+  };
+
+  it('records the text, target and time of each entry', () => {
+    const entry = type('milk ');
+    expect(entry).toMatchObject({ type: 'text', text: 'milk ', app: 'Notes', window: 'Shopping' });
+    expect(entry.timestamp).toBeGreaterThan(0);
+  });
+
+  it('undoes several entries at once', async () => {
+    type('milk ');
+    type('eggs ');
+    type('bread ');
+
+    const result = await stack.undo(2);
+
+    expect(result.undone.map(entry => entry.text)).toEqual(['bread ', 'eggs ']);
+    expect(screen).toBe('milk ');
+  });
+
+  it('refocuses the app the text went into', async () => {
+    type('milk ');
+    target = { app: 'Slack', window: 'general' };
+
+    const result = await stack.undo();
+
+    expect(stack.onFocusApp).toHaveBeenCalledWith('Notes');
+    expect(result).toMatchObject({ refused: null, refocused: true });
+    expect(screen).toBe('');
+  });
+
+  it('refuses when another window of the app is in front', async () => {
+    type('milk ');
+    target = { app: 'Notes', window: 'Recipes' };
+
+    const result = await stack.undo();
+
+    expect(result.undone).toEqual([]);
+    expect(result.refused).toContain('Shopping');
+    expect(stack.onDelete).not.toHaveBeenCalled();
+  });
+
+  it('ignores unsaved-changes markers in window titles', async () => {
+    type('milk ');
+    target = { app: 'Notes', window: '● Shopping — Edited' };
+
+    expect((await stack.undo()).refused).toBeNull();
+  });
+
+  it('stops at Enter', async () => {
+    type('hello ');
+    stack.barrier('enter');
+    type('world ');
+
+    const result = await stack.undo(3);
+
+    expect(result.undone.map(entry => entry.text)).toEqual(['world ']);
+    expect(result.refused).toBe('the text was already submitted');
+    expect(screen).toBe('hello ');
+  });
+
+  it('undoes action chains as one entry', async () => {
+    stack.pushChain([{ action: 'select_all' }, { action: 'copy' }]);
+
+    await stack.undo();
+
+    expect(stack.onUndoChain).toHaveBeenCalledWith([{ action: 'select_all' }, { action: 'copy' }]);
+  });
+
+  it('redoes undone entries until something new is typed', async () => {
+    type('milk ');
+    type('eggs ');
+    await stack.undo(2);
+
+    const result = await stack.redo();
+    expect(result.redone.map(entry => entry.text)).toEqual(['milk ']);
+    expect(screen).toBe('milk ');
+
+    type('tea ');
+    expect((await stack.redo()).redone).toEqual([]);
+  });
+
+  it('undoes and redoes edits by retyping the text they replaced', async () => {
+    type('teh cat ');
+    screen = 'the cat ';
+    stack.pushEdit('the cat ', 'teh cat ');
+
+    await stack.undo();
+    expect(screen).toBe('teh cat ');
+
+    await stack.redo();
+    expect(screen).toBe('the cat ');
+  });
+
+  it('knows the dictated text before the cursor', () => {
+    type('hello ');
+    type('wrold ');
+    stack.pushEdit('world ', 'wrold ');
+
+    expect(stack.tailText()).toBe('hello world ');
+    expect(stack.lastChunk()).toBe('world ');
+  });
+
+  it('forgets the text before the cursor after a chain or in another window', () => {
+    type('hello ');
+    target = { app: 'Notes', window: 'Recipes' };
+    expect(stack.tailText()).toBe('');
+
+    target = { app: 'Notes', window: 'Shopping' };
+    stack.pushChain([{ action: 'cursor_start' }]);
+    expect(stack.tailText()).toBe('');
+    expect(stack.lastChunk()).toBeNull();
+  });
+
+  it('reads back the newest text, also from before Enter', () => {
+    type('hello ');
+    stack.barrier('enter');
+
+    expect(stack.lastText()).toMatchObject({ text: 'hello ', app: 'Notes' });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for the boosted keyword vocabulary (vocabulary.js)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildKeywordVocabulary, tokenize, MAX_KEYWORDS } from '../src/services/vocabulary.js';
+
+describe('vocabulary', () => {
+  describe('tokenize()', () => {
+    it('splits phrases into boostable words', () => {
+      expect(tokenize('switch to the Terminal')).toEqual(['switch', 'Terminal']);
+      expect(tokenize('"tempo" 120, please!')).toEqual(['tempo', 'please']);
+      expect(tokenize('')).toEqual([]);
+    });
+  });
+
+  describe('buildKeywordVocabulary()', () => {
+    it('always boosts the wake word', () => {
+      expect(buildKeywordVocabulary()).toEqual(['computer:2']);
+    });
+
+    it('combines commands, apps, addon phrases and jargon', () => {
+      const keywords = buildKeywordVocabulary({
+        commands: ['computer stop listening', 'ship it'],
+        apps: ['Google Chrome', 'chrome'],
+        addons: ['music mode', 'able ton mode'],
+        jargon: ['Kubernetes']
+      });
+
+      expect(keywords[0]).toBe('Kubernetes:3');
+      expect(keywords).toEqual(expect.arrayContaining([
+        'computer:2', 'stop:2', 'listening:2', 'ship:2', 'music:2', 'Google:1.5', 'Chrome:1.5'
+      ]));
+      expect(keywords).not.toContain('mode:2');
+    });
+
+    it('ranks jargon first, then command words by how often they are used', () => {
+      const keywords = buildKeywordVocabulary({
+        commands: ['copy that', 'paste that', 'copy it'],
+        apps: ['Slack'],
+        jargon: ['kubectl:5', 'Speech2Type']
+      });
+
+      expect(keywords).toEqual(['kubectl:5', 'Speech2Type:3', 'copy:2', 'computer:2', 'paste:2', 'Slack:1.5']);
+    });
+
+    it('lets the higher-priority source decide spelling and boost', () => {
+      const keywords = buildKeywordVocabulary({ apps: ['Xcode'], jargon: ['XCODE:4'] });
+      expect(keywords).toContain('XCODE:4');
+      expect(keywords.filter(k => k.toLowerCase().startsWith('xcode'))).toHaveLength(1);
+    });
+
+    it('caps the list', () => {
+      const commands = Array.from({ length: 150 }, (_, i) => `word${String.fromCharCode(97 + (i % 26))}${i}`);
+      expect(buildKeywordVocabulary({ commands })).toHaveLength(MAX_KEYWORDS);
+      expect(buildKeywordVocabulary({ commands }, { limit: 10 })).toHaveLength(10);
+    });
+  });
+});
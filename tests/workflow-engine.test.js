@@ -0,0 +1,272 @@
+/**
+ * Tests for WorkflowEngine service (Phase 2.5)
+ *
+ * Tests matching workflow trigger phrases and running trained
+ * multi-step workflows (delays, typing, conditionals, cancellation).
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { WorkflowEngine, StepType } from '../src/services/workflow-engine.js';
+
+// Mock commandDictionary
+vi.mock('../src/services/commands.js', () => ({
+  commandDictionary: {
+    data: {
+      workflows: []
+    },
+    normalize: (phrase) => phrase.toLowerCase().trim().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ')
+  }
+}));
+
+import { commandDictionary } from '../src/services/commands.js';
+
+describe('WorkflowEngine', () => {
+  let engine;
+  let callbacks;
+
+  beforeEach(() => {
+    engine = new WorkflowEngine();
+    callbacks = {
+      onSpeak: vi.fn().mockResolvedValue(undefined),
+      onResolve: vi.fn(async (description) => ({ action: description.replace(/\s+/g, '_') })),
+      onExecute: vi.fn().mockResolvedValue(true),
+      onType: vi.fn().mockResolvedValue(true),
+      onCondition: vi.fn().mockResolvedValue(true),
+      onProgress: vi.fn()
+    };
+    engine.setCallbacks(callbacks);
+
+    commandDictionary.data.workflows = [
+      {
+        id: 'wf_1',
+        name: 'ship it',
+        phrases: ['ship it', 'send it off'],
+        steps: [
+          { description: 'select all', conditional: false },
+          { description: 'copy', conditional: false }
+        ]
+      }
+    ];
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('findWorkflow()', () => {
+    it('finds a workflow by trigger phrase', () => {
+      expect(engine.findWorkflow('ship it')?.id).toBe('wf_1');
+    });
+
+    it('matches alternate phrases and ignores case/punctuation', () => {
+      expect(engine.findWorkflow('Send it off.')?.id).toBe('wf_1');
+    });
+
+    it('returns null for unknown phrases', () => {
+      expect(engine.findWorkflow('ship it now')).toBeNull();
+      expect(engine.findWorkflow('')).toBeNull();
+    });
+
+    it('returns null when there are no workflows', () => {
+      commandDictionary.data.workflows = [];
+      expect(engine.findWorkflow('ship it')).toBeNull();
+    });
+  });
+
+  describe('isCancelPhrase()', () => {
+    it('recognizes cancel phrases', () => {
+      expect(engine.isCancelPhrase('computer cancel')).toBe(true);
+      expect(engine.isCancelPhrase('computer stop')).toBe(true);
+      expect(engine.isCancelPhrase('computer cancel workflow')).toBe(true);
+    });
+
+    it('requires the computer prefix', () => {
+      expect(engine.isCancelPhrase('cancel')).toBe(false);
+      expect(engine.isCancelPhrase('cancel the order')).toBe(false);
+    });
+  });
+
+  describe('parseStep()', () => {
+    it('parses delays in seconds', () => {
+      const step = engine.parseStep({ description: 'wait 2 seconds' });
+      expect(step.type).toBe(StepType.DELAY);
+      expect(step.ms).toBe(2000);
+    });
+
+    it('parses delays in milliseconds', () => {
+      const step = engine.parseStep({ description: 'pause 500 milliseconds' });
+      expect(step.type).toBe(StepType.DELAY);
+      expect(step.ms).toBe(500);
+    });
+
+    it('defaults delay unit to seconds and caps long delays', () => {
+      expect(engine.parseStep({ description: 'wait 1' }).ms).toBe(1000);
+      expect(engine.parseStep({ description: 'wait 600 seconds' }).ms).toBe(30000);
+    });
+
+    it('parses typing steps', () => {
+      const step = engine.parseStep({ description: 'type hello world' });
+      expect(step.type).toBe(StepType.TYPE);
+      expect(step.text).toBe('hello world');
+    });
+
+    it('treats everything else as an action', () => {
+      const step = engine.parseStep({ description: 'open a new tab.' });
+      expect(step.type).toBe(StepType.ACTION);
+      expect(step.description).toBe('open a new tab');
+      expect(step.condition).toBeNull();
+    });
+
+    it('splits conditional steps into condition and action', () => {
+      const step = engine.parseStep({ description: "if I'm in chrome, open a new tab", conditional: true });
+      expect(step.condition).toBe("I'm in chrome");
+      expect(step.description).toBe('open a new tab');
+    });
+
+    it('supports "then" in conditionals', () => {
+      const step = engine.parseStep({ description: 'if terminal is focused then wait 1 second', conditional: true });
+      expect(step.condition).toBe('terminal is focused');
+      expect(step.type).toBe(StepType.DELAY);
+    });
+
+    it('ignores conditional syntax when the step is not flagged', () => {
+      const step = engine.parseStep({ description: 'if in chrome, copy', conditional: false });
+      expect(step.condition).toBeNull();
+    });
+  });
+
+  describe('run()', () => {
+    it('executes each step in order', async () => {
+      const result = await engine.run(commandDictionary.data.workflows[0]);
+
+      expect(result).toEqual({ completed: true, stepsRun: 2 });
+      expect(callbacks.onExecute).toHaveBeenNthCalledWith(1, 'select_all', null);
+      expect(callbacks.onExecute).toHaveBeenNthCalledWith(2, 'copy', null);
+      expect(engine.isRunning()).toBe(false);
+    });
+
+    it('reports progress by voice', async () => {
+      await engine.run(commandDictionary.data.workflows[0]);
+
+      expect(callbacks.onSpeak).toHaveBeenCalledWith('Running ship it.');
+      expect(callbacks.onSpeak).toHaveBeenCalledWith('ship it done.');
+      expect(callbacks.onProgress).toHaveBeenCalledTimes(2);
+    });
+
+    it('passes resolved targets to onExecute', async () => {
+      callbacks.onResolve.mockResolvedValueOnce({ action: 'focus_app', target: 'chrome' });
+      await engine.run({ name: 'browse', steps: [{ description: 'switch to chrome' }] });
+
+      expect(callbacks.onExecute).toHaveBeenCalledWith('focus_app', 'chrome');
+    });
+
+    it('types text for typing steps', async () => {
+      await engine.run({ name: 'greet', steps: [{ description: 'type hello there' }] });
+
+      expect(callbacks.onType).toHaveBeenCalledWith('hello there');
+      expect(callbacks.onExecute).not.toHaveBeenCalled();
+    });
+
+    it('waits for delay steps', async () => {
+      vi.useFakeTimers();
+      const promise = engine.run({ name: 'slow', steps: [{ description: 'wait 2 seconds' }, { description: 'copy' }] });
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(callbacks.onExecute).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(1500);
+      const result = await promise;
+
+      expect(callbacks.onExecute).toHaveBeenCalledWith('copy', null);
+      expect(result.completed).toBe(true);
+    });
+
+    it('runs conditional steps only when the condition holds', async () => {
+      callbacks.onCondition.mockResolvedValueOnce(false);
+      const result = await engine.run({
+        name: 'cond',
+        steps: [
+          { description: 'if in chrome, new tab', conditional: true },
+          { description: 'copy' }
+        ]
+      });
+
+      expect(callbacks.onCondition).toHaveBeenCalledWith('in chrome');
+      expect(callbacks.onExecute).toHaveBeenCalledTimes(1);
+      expect(callbacks.onExecute).toHaveBeenCalledWith('copy', null);
+      expect(result.stepsRun).toBe(1);
+    });
+
+    it('skips conditional steps whose condition is not understood', async () => {
+      callbacks.onCondition.mockResolvedValueOnce(null);
+      await engine.run({ name: 'cond', steps: [{ description: 'if it is raining, copy', conditional: true }] });
+
+      expect(callbacks.onExecute).not.toHaveBeenCalled();
+    });
+
+    it('stops and reports when a step cannot be resolved', async () => {
+      callbacks.onResolve.mockResolvedValueOnce(null);
+      const result = await engine.run(commandDictionary.data.workflows[0]);
+
+      expect(result.completed).toBe(false);
+      expect(result.stepsRun).toBe(0);
+      expect(result.error).toContain("don't know how to select all");
+      expect(callbacks.onExecute).not.toHaveBeenCalled();
+      expect(callbacks.onSpeak).toHaveBeenCalledWith(expect.stringContaining('Step 1 failed'));
+      expect(engine.isRunning()).toBe(false);
+    });
+
+    it('stops when an action fails', async () => {
+      callbacks.onExecute.mockResolvedValueOnce(false);
+      const result = await engine.run(commandDictionary.data.workflows[0]);
+
+      expect(result.completed).toBe(false);
+      expect(callbacks.onExecute).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops when an action throws', async () => {
+      callbacks.onExecute.mockRejectedValueOnce(new Error('boom'));
+      const result = await engine.run(commandDictionary.data.workflows[0]);
+
+      expect(result.completed).toBe(false);
+      expect(result.error).toBe('boom');
+    });
+
+    it('refuses to start a second workflow while running', async () => {
+      vi.useFakeTimers();
+      const first = engine.run({ name: 'slow', steps: [{ description: 'wait 1 second' }] });
+      const second = await engine.run(commandDictionary.data.workflows[0]);
+
+      expect(second.error).toBe('already_running');
+
+      await vi.advanceTimersByTimeAsync(1000);
+      await first;
+    });
+  });
+
+  describe('cancel()', () => {
+    it('returns false when nothing is running', () => {
+      expect(engine.cancel()).toBe(false);
+    });
+
+    it('interrupts a delay and skips remaining steps', async () => {
+      vi.useFakeTimers();
+      const promise = engine.run({
+        name: 'slow',
+        steps: [{ description: 'wait 10 seconds' }, { description: 'copy' }]
+      });
+
+      await vi.advanceTimersByTimeAsync(100);
+      expect(engine.cancel()).toBe(true);
+
+      const result = await promise;
+      expect(result).toEqual({ completed: false, stepsRun: 1, cancelled: true });
+      expect(callbacks.onExecute).not.toHaveBeenCalled();
+      expect(callbacks.onSpeak).toHaveBeenCalledWith('Cancelled slow.');
+    });
+  });
+});